@@ -4,7 +4,7 @@ const { useState, useEffect, useRef, useCallback } = React;
 const generateId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
 // App version
-const APP_VERSION = '2.4';
+const APP_VERSION = '2.6';
 
 // Storage keys (all local-only, not synced to Drive)
 const STORAGE_KEYS = {
@@ -14,9 +14,20 @@ const STORAGE_KEYS = {
   googleClientId: 'bookboard-google-client-id',
   lastOpenedProject: 'bookboard-last-opened',
   debugMode: 'bookboard-debug-mode',
-  autoRearrange: 'bookboard-auto-rearrange'
+  autoRearrange: 'bookboard-auto-rearrange',
+  manuscriptExport: 'bookboard-manuscript-export',
+  syncQueue: 'bookboard-sync-queue',
+  syncProvider: 'bookboard-sync-provider',
+  webdavPassword: 'bookboard-webdav-password',
+  restToken: 'bookboard-rest-token',
+  syncedVersions: 'bookboard-synced-versions',
+  syncTombstones: 'bookboard-sync-tombstones'
 };
 
+// Undo history limits
+const MAX_UNDO_STEPS = 100;
+const UNDO_GROUP_WINDOW_MS = 1000; // Changes with the same group key closer than this merge into one step
+
 // Google Drive API configuration
 const DRIVE_FOLDER_NAME = 'Bookboard';
 const DRIVE_SCOPES = 'https://www.googleapis.com/auth/drive.file';
@@ -86,51 +97,88 @@ const getOrCreateBookboardFolder = async (accessToken) => {
   return createData.id;
 };
 
-const saveProjectToDrive = async (accessToken, project) => {
+// Find a project's file in the Bookboard folder (null if it hasn't been saved to Drive)
+const findDriveFile = async (accessToken, projectId) => {
   const folderId = await getOrCreateBookboardFolder(accessToken);
-  const fileName = `${project.id}.json`;
-  
-  // Check if file already exists
+  const fileName = `${projectId}.json`;
   const searchResponse = await fetch(
-    `https://www.googleapis.com/drive/v3/files?q=name='${fileName}' and '${folderId}' in parents and trashed=false&fields=files(id)`,
+    `https://www.googleapis.com/drive/v3/files?q=name='${fileName}' and '${folderId}' in parents and trashed=false&fields=files(id,modifiedTime,appProperties)`,
     { headers: { Authorization: `Bearer ${accessToken}` } }
   );
+  if (!searchResponse.ok) {
+    throw new Error(`Drive search failed (${searchResponse.status})`);
+  }
   const searchData = await searchResponse.json();
+  return (searchData.files && searchData.files[0]) || null;
+};
+
+// Create a JSON file (with parents) or update an existing one (with fileId)
+const uploadDriveFile = async (accessToken, { fileId, name, parents, appProperties }, data) => {
+  const metadata = { name, mimeType: 'application/json' };
+  if (appProperties) metadata.appProperties = appProperties;
+  if (!fileId) metadata.parents = parents;
+  const form = new FormData();
+  form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
+  form.append('file', new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
   
-  const projectData = JSON.stringify(project, null, 2);
-  const blob = new Blob([projectData], { type: 'application/json' });
-  
-  const metadata = {
-    name: fileName,
-    mimeType: 'application/json'
-  };
-  
-  if (searchData.files && searchData.files.length > 0) {
-    // Update existing file
-    const fileId = searchData.files[0].id;
-    const form = new FormData();
-    form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
-    form.append('file', blob);
-    
-    await fetch(`https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`, {
-      method: 'PATCH',
-      headers: { Authorization: `Bearer ${accessToken}` },
-      body: form
-    });
-  } else {
-    // Create new file
-    metadata.parents = [folderId];
-    const form = new FormData();
-    form.append('metadata', new Blob([JSON.stringify(metadata)], { type: 'application/json' }));
-    form.append('file', blob);
-    
-    await fetch('https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart', {
-      method: 'POST',
+  const response = await fetch(
+    fileId
+      ? `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart&fields=id`
+      : 'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id',
+    {
+      method: fileId ? 'PATCH' : 'POST',
       headers: { Authorization: `Bearer ${accessToken}` },
       body: form
-    });
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Drive upload failed (${response.status})`);
+  }
+  return (await response.json()).id;
+};
+
+const downloadDriveFile = async (accessToken, fileId) => {
+  const response = await fetch(
+    `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`Drive download failed (${response.status})`);
+  }
+  return response.json();
+};
+
+const deleteDriveFile = async (accessToken, fileId) => {
+  const response = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Drive delete failed (${response.status})`);
+  }
+};
+
+const saveProjectToDrive = async (accessToken, project, { split = false } = {}) => {
+  const folderId = await getOrCreateBookboardFolder(accessToken);
+  
+  // Check if file already exists
+  const existingFile = await findDriveFile(accessToken, project.id);
+  const wasSplit = existingFile?.appProperties?.layout === 'split';
+  
+  if (split && canSplitProject(project)) {
+    return saveSplitProjectToDrive(accessToken, project, folderId, existingFile);
   }
   
+  await uploadDriveFile(accessToken, {
+    fileId: existingFile?.id,
+    name: `${project.id}.json`,
+    parents: [folderId],
+    appProperties: driveAppProperties(project)
+  }, project);
+  // Switched back to a single file (or deleted): the chapter files are no longer needed
+  if (wasSplit) {
+    await deleteDrivePartsFolder(accessToken, folderId, project.id);
+  }
   return true;
 };
 
@@ -138,38 +186,552 @@ const listDriveProjects = async (accessToken) => {
   const folderId = await getOrCreateBookboardFolder(accessToken);
   
   const response = await fetch(
-    `https://www.googleapis.com/drive/v3/files?q='${folderId}' in parents and mimeType='application/json' and trashed=false&fields=files(id,name,modifiedTime)&orderBy=modifiedTime desc`,
+    `https://www.googleapis.com/drive/v3/files?q='${folderId}' in parents and mimeType='application/json' and trashed=false&fields=files(id,name,modifiedTime,appProperties)&orderBy=modifiedTime desc`,
     { headers: { Authorization: `Bearer ${accessToken}` } }
   );
   const data = await response.json();
-  return data.files || [];
+  return (data.files || []).map(file => remoteProjectEntry(file.id, file.name, file.modifiedTime, file.appProperties));
+};
+
+// Drive limits each app property to 124 bytes of key and value together
+const fitDriveProperty = (key, value) => {
+  let text = String(value ?? '');
+  const encoder = new TextEncoder();
+  while (encoder.encode(key + text).length > 124) text = text.slice(0, -1);
+  return text;
 };
 
+const driveAppProperties = (project, layout = 'single') => Object.fromEntries(
+  Object.entries({ ...projectSyncMetadata(project), layout }).map(([key, value]) => [key, fitDriveProperty(key, value)])
+);
+
 const loadProjectFromDrive = async (accessToken, fileId) => {
+  const project = await downloadDriveFile(accessToken, fileId);
+  return isSplitManifest(project) ? assembleSplitProject(accessToken, project) : project;
+};
+
+// Drive keeps earlier revisions of each file it updates (for 30 days, up to 100 of them)
+const listDriveRevisions = async (accessToken, projectId) => {
+  const file = await findDriveFile(accessToken, projectId);
+  if (!file) return [];
   const response = await fetch(
-    `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+    `https://www.googleapis.com/drive/v3/files/${file.id}/revisions?fields=revisions(id,modifiedTime,size)&pageSize=200`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+  if (!response.ok) {
+    throw new Error(`Drive revision list failed (${response.status})`);
+  }
+  const data = await response.json();
+  // Drive lists oldest first
+  return (data.revisions || [])
+    .map(revision => ({ id: revision.id, modifiedTime: revision.modifiedTime, size: Number(revision.size) || null }))
+    .reverse();
+};
+
+const loadDriveRevision = async (accessToken, projectId, revisionId) => {
+  const file = await findDriveFile(accessToken, projectId);
+  if (!file) throw new Error('Project not found on Drive');
+  const response = await fetch(
+    `https://www.googleapis.com/drive/v3/files/${file.id}/revisions/${revisionId}?alt=media`,
     { headers: { Authorization: `Bearer ${accessToken}` } }
   );
+  if (!response.ok) {
+    throw new Error(`Drive revision download failed (${response.status})`);
+  }
   const project = await response.json();
-  return project;
+  return isSplitManifest(project) ? assembleSplitProject(accessToken, project) : project;
 };
 
 const deleteProjectFromDrive = async (accessToken, projectId) => {
-  const folderId = await getOrCreateBookboardFolder(accessToken);
-  const fileName = `${projectId}.json`;
+  const existingFile = await findDriveFile(accessToken, projectId);
   
-  const searchResponse = await fetch(
-    `https://www.googleapis.com/drive/v3/files?q=name='${fileName}' and '${folderId}' in parents and trashed=false&fields=files(id)`,
+  if (existingFile) {
+    await deleteDriveFile(accessToken, existingFile.id);
+    if (existingFile.appProperties?.layout === 'split') {
+      await deleteDrivePartsFolder(accessToken, await getOrCreateBookboardFolder(accessToken), projectId);
+    }
+  }
+};
+
+// Split Drive layout
+// Large projects can be stored as a small manifest (`<project id>.json`, so listing, history
+// and tombstones work as usual) plus one file per chapter and one for the cards, kept in a
+// `<project id>` folder. Part files are named after a hash of their content and never change,
+// so a save only uploads the parts that changed and a load only downloads parts this device
+// doesn't already have. Saving merges the manifest with the one on Drive part by part (and
+// the cards card by card), so edits to different chapters or cards on two devices never
+// overwrite each other.
+const DRIVE_SPLIT_MIN_WORDS = 20000;
+const DRIVE_PART_RETENTION_DAYS = 30; // Parts are kept this long after they stop being used, as long as Drive keeps manifest revisions
+
+// Encrypted projects and tombstones are always a single file
+const canSplitProject = (project) => !isEncryptedProject(project) && !isTombstone(project) &&
+  countProjectWords(project) >= DRIVE_SPLIT_MIN_WORDS;
+
+const isSplitManifest = (data) => data?.layout === 'split';
+
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const hashJson = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(value)));
+  return Array.from(new Uint8Array(digest).slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Hashes of a project's parts: { chapters: Map(id -> hash), entities: hash }
+const hashProjectParts = async (project) => {
+  const chapters = new Map();
+  for (const chapter of project.chapters) {
+    chapters.set(chapter.id, await hashJson(chapter));
+  }
+  return { chapters, entities: await hashJson(project.entities) };
+};
+
+// Everything in the manifest apart from the parts
+const manifestFields = (project) => {
+  const { chapters, entities, chapterParts, entitiesPart, layout, updatedAt, ...fields } = project;
+  return fields;
+};
+
+const findDrivePartsFolder = async (accessToken, folderId, projectId) => {
+  const response = await fetch(
+    `https://www.googleapis.com/drive/v3/files?q=name='${projectId}' and '${folderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false&fields=files(id)`,
     { headers: { Authorization: `Bearer ${accessToken}` } }
   );
-  const searchData = await searchResponse.json();
-  
-  if (searchData.files && searchData.files.length > 0) {
-    await fetch(`https://www.googleapis.com/drive/v3/files/${searchData.files[0].id}`, {
-      method: 'DELETE',
-      headers: { Authorization: `Bearer ${accessToken}` }
+  if (!response.ok) {
+    throw new Error(`Drive search failed (${response.status})`);
+  }
+  const data = await response.json();
+  return data.files?.[0]?.id || null;
+};
+
+const createDrivePartsFolder = async (accessToken, folderId, projectId) => {
+  const response = await fetch('https://www.googleapis.com/drive/v3/files', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ name: projectId, mimeType: 'application/vnd.google-apps.folder', parents: [folderId] })
+  });
+  if (!response.ok) {
+    throw new Error(`Drive folder creation failed (${response.status})`);
+  }
+  return (await response.json()).id;
+};
+
+const deleteDrivePartsFolder = async (accessToken, folderId, projectId) => {
+  const partsFolderId = await findDrivePartsFolder(accessToken, folderId, projectId);
+  if (partsFolderId) await deleteDriveFile(accessToken, partsFolderId);
+};
+
+// All files in a parts folder, by name
+const listDriveParts = async (accessToken, partsFolderId) => {
+  const files = new Map();
+  let pageToken = '';
+  do {
+    const response = await fetch(
+      `https://www.googleapis.com/drive/v3/files?q='${partsFolderId}' in parents and trashed=false&fields=nextPageToken,files(id,name,modifiedTime,appProperties)&pageSize=1000${pageToken ? `&pageToken=${pageToken}` : ''}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+    if (!response.ok) {
+      throw new Error(`Drive list failed (${response.status})`);
+    }
+    const data = await response.json();
+    (data.files || []).forEach(file => files.set(file.name, file));
+    pageToken = data.nextPageToken || '';
+  } while (pageToken);
+  return files;
+};
+
+// Record when a part stopped being used (an ISO date), or clear it (null) when it is used again
+const markDrivePartUnused = async (accessToken, fileId, unusedSince) => {
+  const response = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}`, {
+    method: 'PATCH',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ appProperties: { unusedSince } })
+  });
+  if (!response.ok) {
+    throw new Error(`Drive update failed (${response.status})`);
+  }
+};
+
+// Three-way merge of part references: a part this device hasn't changed since the last
+// sync takes the Drive copy's reference, anything it has changed (or added, or deleted) wins.
+// The cards part is 'merge' when both sides changed it, to be merged card by card.
+// Returns the merged chapter ids in order, which side each part comes from, and the fields.
+const mergeManifestParts = (base, local, localHashes, baseHashes, remote) => {
+  const remoteChapters = new Map(remote.chapterParts.map(part => [part.id, part]));
+  const chapterSources = new Map();
+  new Set([...localHashes.chapters.keys(), ...remoteChapters.keys(), ...baseHashes.chapters.keys()]).forEach(id => {
+    const localChanged = localHashes.chapters.get(id) !== baseHashes.chapters.get(id);
+    const source = localChanged ? 'local' : 'remote';
+    const present = source === 'local' ? localHashes.chapters.has(id) : remoteChapters.has(id);
+    if (present) chapterSources.set(id, source);
+  });
+
+  // Local order, with chapters only on Drive placed after the chapter before them there
+  const order = local.chapters.map(ch => ch.id).filter(id => chapterSources.has(id));
+  remote.chapterParts.forEach((part, i) => {
+    if (!chapterSources.has(part.id) || order.includes(part.id)) return;
+    const previous = remote.chapterParts.slice(0, i).reverse().find(p => order.includes(p.id));
+    order.splice(previous ? order.indexOf(previous.id) + 1 : 0, 0, part.id);
+  });
+
+  const entitiesSource = localHashes.entities === baseHashes.entities ? 'remote'
+    : remote.entitiesPart.hash === baseHashes.entities ? 'local'
+    : 'merge';
+
+  // Project-level fields (title, folders, trash...): take whichever side changed
+  const baseFields = manifestFields(base);
+  const localFields = manifestFields(local);
+  const remoteFields = manifestFields(remote);
+  const fields = {};
+  Object.keys({ ...baseFields, ...localFields, ...remoteFields }).forEach(key => {
+    const value = sameJson(localFields[key], baseFields[key]) ? remoteFields[key] : localFields[key];
+    if (value !== undefined) fields[key] = value;
+  });
+
+  return { order, chapterSources, entitiesSource, fields };
+};
+
+// Upload a project as manifest + parts. Resolves with { remoteChanges } when the manifest
+// kept parts from Drive that this device doesn't have yet.
+const saveSplitProjectToDrive = async (accessToken, project, folderId, existingFile) => {
+  const partsFolderId = await findDrivePartsFolder(accessToken, folderId, project.id) ||
+    await createDrivePartsFolder(accessToken, folderId, project.id);
+  const existingParts = await listDriveParts(accessToken, partsFolderId);
+  const localHashes = await hashProjectParts(project);
+
+  // Merge with the Drive manifest if another device may have changed it since the last sync
+  const base = await loadSyncBase(project.id);
+  const remote = existingFile?.appProperties?.layout === 'split' && base
+    ? await downloadDriveFile(accessToken, existingFile.id).catch(() => null)
+    : null;
+  let merge = null;
+  if (remote && isSplitManifest(remote)) {
+    merge = mergeManifestParts(base, project, localHashes, await hashProjectParts(base), remote);
+  }
+
+  // Upload the parts Drive doesn't have yet
+  const uploadPart = async (name, data) => {
+    const existing = existingParts.get(name);
+    if (existing) return existing.id;
+    const fileId = await uploadDriveFile(accessToken, { name, parents: [partsFolderId] }, data);
+    existingParts.set(name, { id: fileId, name, modifiedTime: new Date().toISOString() });
+    return fileId;
+  };
+  const localChapters = new Map(project.chapters.map(ch => [ch.id, ch]));
+  const remoteChapterParts = new Map((remote?.chapterParts || []).map(part => [part.id, part]));
+  const chapterParts = [];
+  for (const id of merge ? merge.order : project.chapters.map(ch => ch.id)) {
+    if (merge && merge.chapterSources.get(id) === 'remote') {
+      chapterParts.push(remoteChapterParts.get(id));
+    } else {
+      const hash = localHashes.chapters.get(id);
+      chapterParts.push({ id, hash, fileId: await uploadPart(`chapter-${id}-${hash}.json`, localChapters.get(id)) });
+    }
+  }
+  let entitiesPart;
+  if (merge && merge.entitiesSource === 'remote') {
+    entitiesPart = remote.entitiesPart;
+  } else if (merge && merge.entitiesSource === 'merge') {
+    // Both sides changed cards: combine them card by card. A card changed on both sides
+    // stops the upload; the retry merges the whole project and shows the conflict.
+    const remoteEntities = await downloadDriveFile(accessToken, remote.entitiesPart.fileId);
+    const { items, conflicts } = mergeItemLists('entity', base.entities, project.entities, remoteEntities, [], entityChanged);
+    if (conflicts.length > 0) {
+      throw new Error('Cards were changed on another device during the upload');
+    }
+    const hash = await hashJson(items);
+    entitiesPart = { hash, fileId: await uploadPart(`entities-${hash}.json`, items) };
+  } else {
+    entitiesPart = { hash: localHashes.entities, fileId: await uploadPart(`entities-${localHashes.entities}.json`, project.entities) };
+  }
+
+  const remoteChanges = !!merge && (
+    chapterParts.some(part => part.hash !== localHashes.chapters.get(part.id)) ||
+    chapterParts.length !== project.chapters.length ||
+    entitiesPart.hash !== localHashes.entities ||
+    Object.keys({ ...merge.fields, ...manifestFields(project) }).some(key => !sameJson(merge.fields[key], project[key]))
+  );
+  const manifest = {
+    ...(merge ? merge.fields : manifestFields(project)),
+    id: project.id,
+    updatedAt: remoteChanges ? new Date().toISOString() : project.updatedAt,
+    layout: 'split',
+    chapterParts,
+    entitiesPart
+  };
+  await uploadDriveFile(accessToken, {
+    fileId: existingFile?.id,
+    name: `${project.id}.json`,
+    parents: [folderId],
+    appProperties: driveAppProperties({ ...manifest, chapters: project.chapters }, 'split')
+  }, manifest);
+
+  // Tidy up parts nothing has used for as long as Drive keeps manifest revisions. Parts never
+  // change, so their modified time says when they were made, not when a save replaced them:
+  // the first save that finds a part unused stamps it, and the part is deleted once the stamp
+  // is older than any manifest revision that can still point at it.
+  const used = new Set([...chapterParts.map(part => part.fileId), entitiesPart.fileId]);
+  const cutoff = Date.now() - DRIVE_PART_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const keepGoing = (action, file) => (error) => log(`Drive part not ${action}`, { name: file.name, error: error.message });
+  for (const file of existingParts.values()) {
+    const unusedSince = file.appProperties?.unusedSince;
+    if (used.has(file.id)) {
+      if (unusedSince) await markDrivePartUnused(accessToken, file.id, null).catch(keepGoing('updated', file));
+    } else if (!unusedSince) {
+      await markDrivePartUnused(accessToken, file.id, new Date().toISOString()).catch(keepGoing('updated', file));
+    } else if (new Date(unusedSince) < cutoff) {
+      await deleteDriveFile(accessToken, file.id).catch(keepGoing('deleted', file));
+    }
+  }
+
+  return { remoteChanges };
+};
+
+// Rebuild a project from its manifest, reusing parts this device already has
+const assembleSplitProject = async (accessToken, manifest) => {
+  const known = new Map();
+  const local = loadProject(manifest.id);
+  const base = await loadSyncBase(manifest.id);
+  for (const copy of [local, base]) {
+    if (!copy || isEncryptedProject(copy)) continue;
+    for (const chapter of copy.chapters) known.set(await hashJson(chapter), chapter);
+    known.set(await hashJson(copy.entities), copy.entities);
+  }
+  const fetchPart = async (part) => known.has(part.hash) ? known.get(part.hash) : downloadDriveFile(accessToken, part.fileId)
+    .catch(() => { throw new Error('Part of this project is missing from Drive'); });
+
+  const chapters = [];
+  for (const part of manifest.chapterParts) {
+    chapters.push(await fetchPart(part));
+  }
+  const { layout, chapterParts, entitiesPart, ...fields } = manifest;
+  return { ...fields, chapters, entities: await fetchPart(entitiesPart) };
+};
+
+// Sync providers
+// Each sync backend offers the same operations, so the rest of the app doesn't need to
+// know where projects are kept. Remote projects are referred to by the `id` that
+// list() and find() return (a Drive file id, a WebDAV file name or a REST project id).
+//   list()           -> [{ id, name, modifiedTime, projectId, title, wordCount, updatedAt, state }]
+//   find(projectId)  -> { id, modifiedTime } or null
+//   load(id)         -> project data
+//   save(project)    -> { remoteChanges: true } if the saved copy kept changes from another
+//                       device that this one doesn't have yet (split Drive layout)
+//   remove(projectId)
+// Providers that keep earlier versions of each file also offer:
+//   listRevisions(projectId)             -> [{ id, modifiedTime, size }], newest first (null if unsupported)
+//   loadRevision(projectId, revisionId)  -> project data
+const SYNC_PROVIDER_NAMES = {
+  drive: 'Google Drive',
+  webdav: 'WebDAV',
+  rest: 'REST server'
+};
+
+// Project details stored next to each remote file (Drive app properties, WebDAV properties),
+// so the library can be compared without downloading every project.
+// state is 'active', 'trashed' or 'deleted' (a tombstone left by a permanent delete).
+const projectSyncMetadata = (project) => ({
+  projectId: project.id,
+  title: project.title || '',
+  wordCount: project.tombstone ? '' : countProjectWords(project) ?? '',
+  updatedAt: project.updatedAt || '',
+  state: project.tombstone ? 'deleted' : project.deletedAt ? 'trashed' : 'active'
+});
+
+// A listed remote file, filled in from whatever metadata the provider returned.
+// Files uploaded before metadata was stored only have a name.
+const remoteProjectEntry = (id, name, modifiedTime, metadata = {}) => ({
+  id,
+  name,
+  modifiedTime: modifiedTime || null,
+  projectId: metadata.projectId || name.replace(/\.json$/, ''),
+  title: metadata.title || null,
+  wordCount: metadata.wordCount == null || metadata.wordCount === '' ? null : Number(metadata.wordCount),
+  updatedAt: metadata.updatedAt || null,
+  state: metadata.state || 'active'
+});
+
+const DEFAULT_SYNC_CONFIG = { type: 'drive', driveSplit: false, webdavUrl: '', webdavUsername: '', restUrl: '' };
+
+const loadSyncConfig = () => ({
+  ...DEFAULT_SYNC_CONFIG,
+  ...JSON.parse(localStorage.getItem(STORAGE_KEYS.syncProvider) || '{}')
+});
+
+const createDriveProvider = ({ split = false } = {}) => ({
+  type: 'drive',
+  name: SYNC_PROVIDER_NAMES.drive,
+  list: () => listDriveProjects(googleAccessToken),
+  find: (projectId) => findDriveFile(googleAccessToken, projectId),
+  load: (fileId) => loadProjectFromDrive(googleAccessToken, fileId),
+  save: (project) => saveProjectToDrive(googleAccessToken, project, { split }),
+  remove: (projectId) => deleteProjectFromDrive(googleAccessToken, projectId),
+  listRevisions: (projectId) => listDriveRevisions(googleAccessToken, projectId),
+  loadRevision: (projectId, revisionId) => loadDriveRevision(googleAccessToken, projectId, revisionId)
+});
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Text for XML documents: escaped, without the control characters XML does not allow
+const xmlText = (text) => escapeXml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+
+// Namespace for the project details kept as WebDAV properties
+const WEBDAV_NS = 'urn:x-bookboard:project';
+
+// WebDAV (Nextcloud, ownCloud, Apache mod_dav...): one JSON file per project in the folder at `url`
+const createWebDavProvider = ({ url, username, password }) => {
+  const folder = url.endsWith('/') ? url : `${url}/`;
+  const request = async (path, method, { headers = {}, body, allow = [] } = {}) => {
+    const response = await fetch(folder + path, {
+      method,
+      headers: username ? { ...headers, Authorization: `Basic ${bytesToBase64(new TextEncoder().encode(`${username}:${password || ''}`))}` } : headers,
+      body
     });
+    if (!response.ok && !allow.includes(response.status)) {
+      throw new Error(`WebDAV ${method} failed (${response.status})`);
+    }
+    return response;
+  };
+  const putFile = (project) => request(`${encodeURIComponent(project.id)}.json`, 'PUT', {
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(project, null, 2),
+    allow: [404, 409]
+  });
+  // Servers without custom property support still sync, just without titles in the list
+  const setProperties = (project) => {
+    const props = Object.entries(projectSyncMetadata(project))
+      .map(([key, value]) => `<b:${key}>${escapeXml(value)}</b:${key}>`)
+      .join('');
+    return request(`${encodeURIComponent(project.id)}.json`, 'PROPPATCH', {
+      headers: { 'Content-Type': 'application/xml' },
+      body: `<?xml version="1.0"?><d:propertyupdate xmlns:d="DAV:" xmlns:b="${WEBDAV_NS}"><d:set><d:prop>${props}</d:prop></d:set></d:propertyupdate>`
+    }).catch(error => log('WebDAV properties not saved', { projectId: project.id, error: error.message }));
+  };
+
+  return {
+    type: 'webdav',
+    name: SYNC_PROVIDER_NAMES.webdav,
+    list: async () => {
+      const response = await request('', 'PROPFIND', {
+        headers: { Depth: '1', 'Content-Type': 'application/xml' },
+        body: `<?xml version="1.0"?><d:propfind xmlns:d="DAV:" xmlns:b="${WEBDAV_NS}"><d:prop><d:getlastmodified/>` +
+          Object.keys(projectSyncMetadata({})).map(key => `<b:${key}/>`).join('') +
+          '</d:prop></d:propfind>'
+      });
+      const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+      return Array.from(doc.getElementsByTagNameNS('DAV:', 'response'))
+        .map(entry => {
+          const href = entry.getElementsByTagNameNS('DAV:', 'href')[0]?.textContent || '';
+          const modified = entry.getElementsByTagNameNS('DAV:', 'getlastmodified')[0]?.textContent;
+          const name = decodeURIComponent(href.replace(/\/$/, '').split('/').pop());
+          const metadata = {};
+          Array.from(entry.getElementsByTagNameNS(WEBDAV_NS, '*')).forEach(prop => {
+            if (prop.textContent) metadata[prop.localName] = prop.textContent;
+          });
+          return remoteProjectEntry(name, name, modified ? new Date(modified).toISOString() : null, metadata);
+        })
+        .filter(file => file.name.endsWith('.json'))
+        .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+    },
+    find: async (projectId) => {
+      const fileName = `${projectId}.json`;
+      const response = await request(encodeURIComponent(fileName), 'HEAD', { allow: [404] });
+      return response.ok ? { id: fileName, modifiedTime: response.headers.get('Last-Modified') } : null;
+    },
+    load: async (fileName) => (await request(encodeURIComponent(fileName), 'GET')).json(),
+    save: async (project) => {
+      let response = await putFile(project);
+      if (response.status === 404 || response.status === 409) {
+        // The folder doesn't exist yet
+        await request('', 'MKCOL', { allow: [405] });
+        response = await putFile(project);
+      }
+      if (!response.ok) {
+        throw new Error(`WebDAV PUT failed (${response.status})`);
+      }
+      await setProperties(project);
+      return true;
+    },
+    remove: async (projectId) => {
+      await request(`${encodeURIComponent(projectId)}.json`, 'DELETE', { allow: [404] });
+    }
+  };
+};
+
+// Generic REST server:
+//   GET    {url}/projects       -> [{ id, title, updatedAt, wordCount?, state? }]
+//   GET    {url}/projects/{id}  -> project JSON
+//   HEAD   {url}/projects/{id}  -> 200 or 404, optional (GET is used if it answers 405 or 501)
+//   PUT    {url}/projects/{id}  <- project JSON
+//   DELETE {url}/projects/{id}
+// and optionally, for servers that keep history:
+//   GET    {url}/projects/{id}/revisions        -> [{ id, updatedAt, size }], newest first
+//   GET    {url}/projects/{id}/revisions/{rev}  -> project JSON
+const createRestProvider = ({ url, token }) => {
+  const base = `${url.replace(/\/$/, '')}/projects`;
+  const request = async (path, method, { body, allow = [] } = {}) => {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(base + path, { method, headers, body });
+    if (!response.ok && !allow.includes(response.status)) {
+      throw new Error(`Sync server ${method} failed (${response.status})`);
+    }
+    return response;
+  };
+
+  return {
+    type: 'rest',
+    name: SYNC_PROVIDER_NAMES.rest,
+    list: async () => {
+      const projects = await (await request('', 'GET')).json();
+      return projects
+        .map(p => remoteProjectEntry(p.id, p.title || p.id, p.updatedAt, { ...p, projectId: p.id }))
+        .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+    },
+    find: async (projectId) => {
+      let response = await request(`/${encodeURIComponent(projectId)}`, 'HEAD', { allow: [404, 405, 501] });
+      if (response.status === 405 || response.status === 501) {
+        response = await request(`/${encodeURIComponent(projectId)}`, 'GET', { allow: [404] });
+      }
+      return response.ok ? { id: projectId, modifiedTime: response.headers.get('Last-Modified') } : null;
+    },
+    load: async (projectId) => (await request(`/${encodeURIComponent(projectId)}`, 'GET')).json(),
+    save: async (project) => {
+      await request(`/${encodeURIComponent(project.id)}`, 'PUT', { body: JSON.stringify(project) });
+      return true;
+    },
+    remove: async (projectId) => {
+      await request(`/${encodeURIComponent(projectId)}`, 'DELETE', { allow: [404] });
+    },
+    listRevisions: async (projectId) => {
+      const response = await request(`/${encodeURIComponent(projectId)}/revisions`, 'GET', { allow: [404, 501] });
+      if (!response.ok) return null;
+      const revisions = await response.json();
+      return revisions.map(r => ({ id: r.id, modifiedTime: r.updatedAt || r.modifiedTime || null, size: r.size ?? null }));
+    },
+    loadRevision: async (projectId, revisionId) =>
+      (await request(`/${encodeURIComponent(projectId)}/revisions/${encodeURIComponent(revisionId)}`, 'GET')).json()
+  };
+};
+
+// The configured provider, or null if it isn't ready (not signed in, no URL...)
+const getSyncProvider = (config, secrets) => {
+  if (config.type === 'webdav') {
+    return config.webdavUrl
+      ? createWebDavProvider({ url: config.webdavUrl, username: config.webdavUsername, password: secrets.webdavPassword })
+      : null;
+  }
+  if (config.type === 'rest') {
+    return config.restUrl ? createRestProvider({ url: config.restUrl, token: secrets.restToken }) : null;
   }
+  return googleAccessToken ? createDriveProvider({ split: config.driveSplit }) : null;
 };
 
 // Debug log storage (in memory, not persisted)
@@ -198,1626 +760,6463 @@ const getLogText = () => {
   }).join('\n\n');
 };
 
-// Default empty project
-const createEmptyProject = () => ({
-  id: generateId('proj'),
-  title: "Untitled Novel",
-  chapters: [],
-  entities: [],
-  customFolders: [], // User-defined folders (array of strings)
-  createdAt: new Date().toISOString(),
-  updatedAt: new Date().toISOString()
-});
-
-// Load project index from localStorage
-const loadProjectIndex = () => {
-  const stored = localStorage.getItem(STORAGE_KEYS.projectIndex);
-  return stored ? JSON.parse(stored) : [];
+// Project schema
+// schemaVersion follows APP_VERSION. When the stored project shape changes,
+// bump APP_VERSION and add a migration that upgrades older projects.
+const ENTITY_TYPES = ['character', 'location', 'object', 'scene', 'theme', 'idea'];
+const BOOK_TYPES = ['novel', 'collection', 'screenplay'];
+const SCENE_FIELDS = ['act', 'sequence', 'sceneNumber']; // Optional text on screenplay scenes
+
+// Compare dotted version strings ('2.10' > '2.9')
+const compareVersions = (a, b) => {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
 };
 
-// Save project index to localStorage
-const saveProjectIndex = (index) => {
-  localStorage.setItem(STORAGE_KEYS.projectIndex, JSON.stringify(index));
-};
+// Each migration upgrades a project to the given version. Applied in order.
+const PROJECT_MIGRATIONS = [
+  {
+    version: '2.0',
+    migrate: (project) => ({ ...project, customFolders: project.customFolders || [] })
+  },
+  {
+    version: '2.1',
+    migrate: (project) => ({ ...project, bookType: project.bookType || 'novel' })
+  },
+  {
+    version: '2.3',
+    migrate: (project) => ({
+      ...project,
+      entities: (project.entities || []).map(e => ({ ...e, starred: !!e.starred }))
+    })
+  },
+  {
+    version: '2.5',
+    migrate: (project) => ({ ...project, trash: project.trash || [] })
+  },
+  {
+    // Screenplays: bookType 'screenplay' and SCENE_FIELDS on chapters, which older projects
+    // don't have. Project details: metadata, an object of front matter values.
+    version: '2.6',
+    migrate: (project) => {
+      const { metadata, ...rest } = project;
+      return isMetadataObject(metadata) ? { ...rest, metadata } : rest;
+    }
+  }
+];
 
-// Load a specific project
-const loadProject = (projectId) => {
-  const stored = localStorage.getItem(STORAGE_KEYS.projectPrefix + projectId);
-  return stored ? JSON.parse(stored) : null;
-};
+const isMetadataObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
 
-// Save a specific project
-const saveProject = (project) => {
-  const updated = { ...project, updatedAt: new Date().toISOString() };
-  localStorage.setItem(STORAGE_KEYS.projectPrefix + project.id, JSON.stringify(updated));
-  
-  // Update index
-  const index = loadProjectIndex();
-  const existingIdx = index.findIndex(p => p.id === project.id);
-  const indexEntry = {
-    id: project.id,
-    title: project.title,
-    updatedAt: updated.updatedAt,
-    chapterCount: project.chapters.length,
-    entityCount: project.entities.length
-  };
-  
-  if (existingIdx >= 0) {
-    index[existingIdx] = indexEntry;
-  } else {
-    index.push(indexEntry);
+// Bring a project up to the current schema. Projects without a version predate 2.0.
+const migrateProject = (project) => {
+  const fromVersion = project.schemaVersion || '1.0';
+  if (compareVersions(fromVersion, APP_VERSION) > 0) {
+    // Written by a newer Bookboard: leave as-is rather than guess
+    return { project, fromVersion, isNewer: true };
   }
-  saveProjectIndex(index);
-  
-  return updated;
+  const migrated = PROJECT_MIGRATIONS
+    .filter(m => compareVersions(m.version, fromVersion) > 0)
+    .reduce((p, m) => {
+      log('Migrating project', { id: p.id, to: m.version });
+      return m.migrate(p);
+    }, project);
+  return { project: { ...migrated, schemaVersion: APP_VERSION }, fromVersion, isNewer: false };
 };
 
-// Delete a project
-const deleteProjectFromStorage = (projectId) => {
-  localStorage.removeItem(STORAGE_KEYS.projectPrefix + projectId);
-  const index = loadProjectIndex().filter(p => p.id !== projectId);
-  saveProjectIndex(index);
-};
+// Check imported project data. Returns the problems found and a repaired copy.
+// Issues with fixable: false mean the file cannot be imported.
+const validateProject = (data) => {
+  const issues = [];
+  const issue = (message, fixable = true) => issues.push({ message, fixable });
 
-// Main App Component
-function App() {
-  const [view, setView] = useState('library'); // 'library' or 'editor'
-  const [projectIndex, setProjectIndex] = useState(loadProjectIndex);
-  const [currentProject, setCurrentProject] = useState(null);
-  const [showImportModal, setShowImportModal] = useState(false);
-  const [showExportModal, setShowExportModal] = useState(false);
-  const [showEntityModal, setShowEntityModal] = useState(false);
-  const [showExtractModal, setShowExtractModal] = useState(false);
-  const [showExtractConfirmModal, setShowExtractConfirmModal] = useState(false);
-  const [showImportConflictModal, setShowImportConflictModal] = useState(false);
-  const [showSettingsModal, setShowSettingsModal] = useState(false);
-  const [showAddFolderModal, setShowAddFolderModal] = useState(false);
-  const [showMergeModal, setShowMergeModal] = useState(false);
-  const [showDriveModal, setShowDriveModal] = useState(false);
-  const [pendingImport, setPendingImport] = useState(null);
-  const [editingEntity, setEditingEntity] = useState(null);
-  const [editingChapterId, setEditingChapterId] = useState(null);
-  const [defaultEntityType, setDefaultEntityType] = useState(null); // For add button in folders
-  const [bookType, setBookType] = useState('novel'); // 'novel' or 'collection'
-  const [loading, setLoading] = useState(false);
-  const [loadingMessage, setLoadingMessage] = useState('');
-  const [geminiKey, setGeminiKey] = useState(() => localStorage.getItem(STORAGE_KEYS.geminiKey) || '');
-  const [googleClientId, setGoogleClientId] = useState(() => localStorage.getItem(STORAGE_KEYS.googleClientId) || '');
-  const [googleAuthStatus, setGoogleAuthStatus] = useState('not_configured'); // 'not_configured', 'signed_out', 'signed_in'
-  const [driveProjects, setDriveProjects] = useState([]);
-  const [debugMode, setDebugMode] = useState(() => localStorage.getItem(STORAGE_KEYS.debugMode) === 'true');
-  const [autoRearrange, setAutoRearrange] = useState(() => localStorage.getItem(STORAGE_KEYS.autoRearrange) !== 'false'); // Default true
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    issue('File does not contain a project object', false);
+    return { issues, repaired: null };
+  }
 
-  // Save debug mode when it changes
-  useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.debugMode, debugMode.toString());
-  }, [debugMode]);
+  const repaired = { ...data };
 
-  // Save autoRearrange when it changes
-  useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.autoRearrange, autoRearrange.toString());
-  }, [autoRearrange]);
+  if (typeof repaired.title !== 'string' || !repaired.title.trim()) {
+    issue('Project has no title; "Untitled Novel" will be used');
+    repaired.title = 'Untitled Novel';
+  }
+  if (repaired.bookType && !BOOK_TYPES.includes(repaired.bookType)) {
+    issue(`Unknown book type "${repaired.bookType}"; it will be treated as a novel`);
+    repaired.bookType = 'novel';
+  }
 
-  // Save Gemini key when it changes
-  useEffect(() => {
-    if (geminiKey) {
-      localStorage.setItem(STORAGE_KEYS.geminiKey, geminiKey);
+  // Chapters
+  if (repaired.chapters === undefined) {
+    repaired.chapters = [];
+  } else if (!Array.isArray(repaired.chapters)) {
+    issue('"chapters" is not a list', false);
+    return { issues, repaired: null };
+  }
+  const chapterIds = new Set();
+  repaired.chapters = repaired.chapters.map((ch, i) => {
+    const label = `Chapter ${i + 1}`;
+    if (!ch || typeof ch !== 'object') {
+      issue(`${label} is not a chapter object and will be dropped`);
+      return null;
     }
-  }, [geminiKey]);
-
-  // Save Google Client ID when it changes
-  useEffect(() => {
-    if (googleClientId) {
-      localStorage.setItem(STORAGE_KEYS.googleClientId, googleClientId);
-      setGoogleAuthStatus('signed_out');
-    } else {
-      setGoogleAuthStatus('not_configured');
+    const fixed = { ...ch };
+    if (!fixed.id) {
+      issue(`${label} has no id; a new one will be generated`);
+      fixed.id = generateId('ch');
+    } else if (chapterIds.has(fixed.id)) {
+      issue(`${label} repeats the id "${fixed.id}"; a new one will be generated`);
+      fixed.id = generateId('ch');
     }
-  }, [googleClientId]);
-
-  // Initialize Google Auth when client ID is available
-  useEffect(() => {
-    if (googleClientId && typeof google !== 'undefined') {
-      initGoogleAuth(
-        googleClientId,
-        (token) => {
-          setGoogleAuthStatus('signed_in');
-          // Refresh drive projects list
-          listDriveProjects(token).then(setDriveProjects).catch(console.error);
-        },
-        (error) => {
-          console.error('Google auth error:', error);
-          setGoogleAuthStatus('signed_out');
-        }
-      );
+    chapterIds.add(fixed.id);
+    if (typeof fixed.title !== 'string') {
+      issue(`${label} has no title`);
+      fixed.title = label;
     }
-  }, [googleClientId]);
-
-  // Handle Google Sign In
-  const handleGoogleSignIn = () => {
-    if (!googleClientId) {
-      alert('Please configure your Google Client ID in Settings first.');
-      setShowSettingsModal(true);
-      return;
+    if (typeof fixed.content !== 'string') {
+      if (fixed.content !== undefined) issue(`${label} content is not text and will be converted`);
+      fixed.content = fixed.content == null ? '' : String(fixed.content);
     }
-    requestGoogleAuth();
-  };
+    SCENE_FIELDS.forEach(field => {
+      if (fixed[field] == null || typeof fixed[field] === 'string') return;
+      if (typeof fixed[field] === 'number') {
+        fixed[field] = String(fixed[field]);
+      } else {
+        issue(`${label} has an invalid ${field}; it will be removed`);
+        delete fixed[field];
+      }
+    });
+    return fixed;
+  }).filter(Boolean);
 
-  // Save current project to Drive
-  const handleSaveToDrive = async () => {
-    if (!googleAccessToken || !currentProject) return;
-    
-    setLoading(true);
-    setLoadingMessage('Saving to Google Drive...');
-    try {
-      await saveProjectToDrive(googleAccessToken, currentProject);
-      const projects = await listDriveProjects(googleAccessToken);
-      setDriveProjects(projects);
-      alert('Project saved to Google Drive!');
-    } catch (error) {
-      console.error('Save to Drive error:', error);
-      alert('Failed to save to Drive: ' + error.message);
-    }
-    setLoading(false);
-  };
+  // Custom folders
+  if (repaired.customFolders !== undefined && !Array.isArray(repaired.customFolders)) {
+    issue('"customFolders" is not a list and will be reset');
+    repaired.customFolders = [];
+  }
+  const customFolders = (repaired.customFolders || []).filter(f => typeof f === 'string' && f.trim());
+  if (customFolders.length !== (repaired.customFolders || []).length) {
+    issue('Some custom folder names are empty or not text and will be removed');
+  }
 
-  // Save all local projects to Drive
-  const handleSaveAllToDrive = async () => {
-    if (!googleAccessToken) return;
-    
-    setLoading(true);
-    const index = loadProjectIndex();
-    for (let i = 0; i < index.length; i++) {
-      setLoadingMessage(`Saving to Drive... (${i + 1}/${index.length})`);
-      const project = loadProject(index[i].id);
-      if (project) {
-        try {
-          await saveProjectToDrive(googleAccessToken, project);
-        } catch (error) {
-          console.error(`Failed to save ${project.title}:`, error);
-        }
+  // Entities
+  if (repaired.entities === undefined) {
+    repaired.entities = [];
+  } else if (!Array.isArray(repaired.entities)) {
+    issue('"entities" is not a list', false);
+    return { issues, repaired: null };
+  }
+  const entityIds = new Set();
+  repaired.entities = repaired.entities.map((ent, i) => {
+    if (!ent || typeof ent !== 'object') {
+      issue(`Card ${i + 1} is not a card object and will be dropped`);
+      return null;
+    }
+    const fixed = { ...ent };
+    if (typeof fixed.name !== 'string' || !fixed.name.trim()) {
+      issue(`Card ${i + 1} has no name; it will be called "Untitled"`);
+      fixed.name = 'Untitled';
+    }
+    const label = `Card "${fixed.name}"`;
+    if (!fixed.id) {
+      issue(`${label} has no id; a new one will be generated`);
+      fixed.id = generateId('ent');
+    } else if (entityIds.has(fixed.id)) {
+      issue(`${label} repeats the id "${fixed.id}"; a new one will be generated`);
+      fixed.id = generateId('ent');
+    }
+    entityIds.add(fixed.id);
+    if (!ENTITY_TYPES.includes(fixed.type)) {
+      issue(fixed.type
+        ? `${label} has unknown type "${fixed.type}"; it will become an idea`
+        : `${label} has no type; it will become an idea`);
+      fixed.type = 'idea';
+    }
+    if (fixed.chapterRefs !== undefined && !Array.isArray(fixed.chapterRefs)) {
+      issue(`${label} has invalid chapter references; they will be removed`);
+      fixed.chapterRefs = [];
+    } else if (fixed.chapterRefs) {
+      const valid = fixed.chapterRefs.filter(ref => chapterIds.has(ref));
+      if (valid.length !== fixed.chapterRefs.length) {
+        issue(`${label} refers to ${fixed.chapterRefs.length - valid.length} missing chapter(s); those references will be removed`);
       }
+      fixed.chapterRefs = valid;
     }
-    const projects = await listDriveProjects(googleAccessToken);
-    setDriveProjects(projects);
-    setLoading(false);
-    alert('All projects saved to Google Drive!');
-  };
+    if (fixed.folder && !customFolders.includes(fixed.folder)) {
+      issue(`${label} is in folder "${fixed.folder}", which does not exist; the folder will be created`);
+      customFolders.push(fixed.folder);
+    }
+    if (fixed.position && (typeof fixed.position.x !== 'number' || typeof fixed.position.y !== 'number')) {
+      issue(`${label} has an invalid position; it will be placed automatically`);
+      delete fixed.position;
+    }
+    return fixed;
+  }).filter(Boolean);
+  repaired.customFolders = customFolders;
+
+  // Project details: an object; known fields hold text, or a number for the target word count
+  if (repaired.metadata !== undefined && !isMetadataObject(repaired.metadata)) {
+    issue('Project details ("metadata") are not an object and will be dropped');
+    delete repaired.metadata;
+  } else if (repaired.metadata) {
+    const metadata = { ...repaired.metadata };
+    MANUSCRIPT_METADATA_FIELDS.forEach(({ key, label, number }) => {
+      const value = metadata[key];
+      if (value == null || typeof value === (number ? 'number' : 'string')) return;
+      if (number && typeof value === 'string' && /^\s*[\d,]+\s*$/.test(value)) {
+        metadata[key] = Number(value.replace(/[,\s]/g, ''));
+      } else if (!number && typeof value === 'number') {
+        metadata[key] = String(value);
+      } else {
+        issue(`Project detail "${label}" is not ${number ? 'a number' : 'text'} and will be dropped`);
+        delete metadata[key];
+      }
+    });
+    repaired.metadata = metadata;
+  }
 
-  // Load a project from Drive
-  const handleLoadFromDrive = async (fileId, fileName) => {
-    if (!googleAccessToken) return;
-    
-    setLoading(true);
-    setLoadingMessage('Loading from Google Drive...');
+  if (repaired.schemaVersion && compareVersions(repaired.schemaVersion, APP_VERSION) > 0) {
+    issue(`File was saved by a newer Bookboard (v${repaired.schemaVersion}); some data may not be understood`);
+  }
+
+  return { issues, repaired };
+};
+
+// Manuscript metadata
+// Project details kept in project.metadata. Markdown manuscripts carry them as a YAML front
+// matter block; other keys found there are kept as they are and written back on export.
+const MANUSCRIPT_METADATA_FIELDS = [
+  { key: 'author', label: 'Author', aliases: ['author', 'authors', 'by', 'pen name'] },
+  { key: 'genre', label: 'Genre', aliases: ['genre', 'genres'] },
+  { key: 'series', label: 'Series', aliases: ['series', 'series name', 'series title'] },
+  {
+    key: 'targetWordCount',
+    label: 'Target word count',
+    aliases: ['target word count', 'targetwordcount', 'target', 'word count target', 'target words', 'word target', 'target length', 'word count goal', 'wordcount goal'],
+    number: true
+  },
+  { key: 'pov', label: 'Point of view', aliases: ['pov', 'point of view', 'viewpoint'] },
+  { key: 'tense', label: 'Tense', aliases: ['tense'] }
+];
+
+// A front matter key as a metadata key: known fields by any alias, others in camelCase
+const metadataKey = (rawKey) => {
+  const normalized = rawKey.trim().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[\s_-]+/g, ' ');
+  const field = MANUSCRIPT_METADATA_FIELDS.find(f => f.aliases.includes(normalized));
+  return field ? field.key : normalized.replace(/ (\w)/g, (_, letter) => letter.toUpperCase());
+};
+
+// One YAML scalar: quoted strings, numbers, booleans and null; anything else stays text
+const yamlScalar = (raw) => {
+  const value = raw.trim();
+  if (/^"(.*)"$/.test(value)) {
     try {
-      const project = await loadProjectFromDrive(googleAccessToken, fileId);
-      
-      // Check if project with same ID exists locally
-      const existingLocal = loadProject(project.id);
-      if (existingLocal) {
-        const useLocal = confirm(
-          `"${project.title}" exists locally (updated ${new Date(existingLocal.updatedAt).toLocaleString()}).\n` +
-          `Drive version updated ${new Date(project.updatedAt).toLocaleString()}.\n\n` +
-          `Click OK to replace local with Drive version, or Cancel to keep local.`
-        );
-        if (!useLocal) {
-          setLoading(false);
-          return;
-        }
-      }
-      
-      // Save to local storage
-      saveProject(project);
-      setProjectIndex(loadProjectIndex());
-      setShowDriveModal(false);
-      alert(`Loaded "${project.title}" from Drive!`);
+      return JSON.parse(value);
     } catch (error) {
-      console.error('Load from Drive error:', error);
-      alert('Failed to load from Drive: ' + error.message);
+      return value.slice(1, -1);
     }
-    setLoading(false);
-  };
+  }
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  const text = value.replace(/\s+#.*$/, '');
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  if (/^(null|~)?$/i.test(text)) return null;
+  return text;
+};
 
-  // Auto-save current project when it changes
-  useEffect(() => {
-    if (currentProject) {
-      const saved = saveProject(currentProject);
-      setProjectIndex(loadProjectIndex());
+// Split a YAML front matter block off the top of a Markdown file into { metadata, body }.
+// Reads the flat subset manuscripts use: key: value pairs, [a, b] lists and "- item" lists.
+// metadata is null when there is no block.
+const parseFrontMatter = (markdown) => {
+  const match = markdown.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  if (!match) return { metadata: null, body: markdown };
+  const metadata = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach(line => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      metadata[listKey].push(yamlScalar(item[1]));
+      return;
     }
-  }, [currentProject]);
+    const pair = line.match(/^([^\s:#][^:]*):(?:\s+(.*))?$/);
+    if (!pair) return;
+    const key = metadataKey(pair[1]);
+    const value = (pair[2] || '').trim();
+    listKey = value ? null : key;
+    if (!value) {
+      metadata[key] = [];
+    } else if (/^\[.*\]$/.test(value)) {
+      metadata[key] = (value.slice(1, -1).match(/\s*("[^"]*"|'[^']*'|[^,]+)/g) || []).map(yamlScalar).filter(v => v !== null);
+    } else {
+      metadata[key] = yamlScalar(value);
+    }
+  });
+  Object.keys(metadata).forEach(key => {
+    const field = MANUSCRIPT_METADATA_FIELDS.find(f => f.key === key);
+    if (field?.number && typeof metadata[key] === 'string') {
+      // "90,000" or "90k words"
+      const number = metadata[key].replace(/[,_\s]/g, '').match(/^(\d+(?:\.\d+)?)(k?)/i);
+      if (number) metadata[key] = Math.round(Number(number[1]) * (number[2] ? 1000 : 1));
+    }
+    if (metadata[key] === null || (Array.isArray(metadata[key]) && metadata[key].length === 0)) delete metadata[key];
+  });
+  return { metadata, body: markdown.slice(match[0].length) };
+};
 
-  // Open a project
-  const openProject = (projectId) => {
-    const project = loadProject(projectId);
-    if (project) {
-      // Ensure customFolders exists for older projects
-      if (!project.customFolders) {
-        project.customFolders = [];
-      }
-      setCurrentProject(project);
-      setView('editor');
-      localStorage.setItem(STORAGE_KEYS.lastOpenedProject, projectId);
+// Metadata as a YAML front matter block ('' when there is nothing to write). Structured
+// values such as a screenplay's title page are left to their own exports.
+const formatFrontMatter = (metadata) => {
+  const yamlValue = (value) => typeof value === 'string' &&
+    (/^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|\s$|\n/.test(value) || /^(true|false|yes|no|null|~|-?\d+(\.\d+)?)$/i.test(value))
+    ? JSON.stringify(value)
+    : String(value);
+  const lines = Object.entries(metadata || {}).flatMap(([key, value]) => {
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) {
+      return value.length === 0 || value.some(v => v !== null && typeof v === 'object')
+        ? []
+        : [`${key}:`, ...value.map(v => `  - ${yamlValue(v)}`)];
     }
-  };
+    return typeof value === 'object' ? [] : [`${key}: ${yamlValue(value)}`];
+  });
+  return lines.length > 0 ? `---\n${lines.join('\n')}\n---\n\n` : '';
+};
 
-  // Create new project
-  const createNewProject = () => {
-    const project = createEmptyProject();
-    setCurrentProject(project);
-    setView('editor');
-  };
+// Metadata as [{ key, label, value }] for display, known fields first
+const describeMetadata = (metadata = {}) => {
+  const known = MANUSCRIPT_METADATA_FIELDS.map(f => f.key);
+  const keys = [...known, ...Object.keys(metadata).filter(key => !known.includes(key))];
+  return keys.flatMap(key => {
+    const value = metadata[key];
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value) ? value.some(v => v !== null && typeof v === 'object') : typeof value === 'object') return [];
+    const field = MANUSCRIPT_METADATA_FIELDS.find(f => f.key === key);
+    const text = Array.isArray(value) ? value.join(', ') : typeof value === 'number' ? value.toLocaleString() : String(value);
+    return text ? [{ key, label: field ? field.label : key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^\w/, c => c.toUpperCase()), value: text }] : [];
+  });
+};
 
-  // Go back to library
-  const goToLibrary = () => {
-    setCurrentProject(null);
-    setView('library');
-  };
+// DOCX import
+// A .docx file is a zip of XML parts. The document body is converted to the Markdown the
+// importer already understands: heading styles (or "Chapter N" paragraphs) become ## chapters,
+// italic and bold runs become *text* and **text**, and scene break markers become * * *.
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const CHAPTER_PARAGRAPH_PATTERN = /^(chapter|ch\.)\s+([0-9]+|[ivxlcdm]+|[a-z]+(-[a-z]+)?)\b.{0,60}$|^(prologue|epilogue|interlude)\b.{0,60}$/i;
+const SCENE_BREAK_PATTERN = /^\s*(([*#~•·§+=-]|—)\s*){1,5}$/;
+
+const wordChild = (element, name) => Array.from(element?.childNodes || []).find(node => node.namespaceURI === WORD_NS && node.localName === name) || null;
+const wordAttr = (element, name) => element?.getAttributeNS(WORD_NS, name) ?? element?.getAttribute(`w:${name}`) ?? null;
+
+// <w:i/> and <w:b/> are on unless their value says otherwise
+const wordToggle = (rPr, name) => {
+  const element = wordChild(rPr, name);
+  if (!element) return null;
+  const value = wordAttr(element, 'val');
+  return value === null || !['0', 'false', 'off'].includes(value);
+};
 
-  // Delete a project with confirmation
-  const handleDeleteProject = (projectId, projectTitle) => {
-    if (confirm(`Delete "${projectTitle}"? This cannot be undone.`)) {
-      deleteProjectFromStorage(projectId);
-      setProjectIndex(loadProjectIndex());
-      if (currentProject?.id === projectId) {
-        setCurrentProject(null);
-        setView('library');
-      }
+// Style ids -> { name, level, italic, bold } from word/styles.xml
+const readWordStyles = (stylesXml) => {
+  const styles = new Map();
+  if (!stylesXml) return styles;
+  const doc = new DOMParser().parseFromString(stylesXml, 'application/xml');
+  Array.from(doc.getElementsByTagNameNS(WORD_NS, 'style')).forEach(style => {
+    const name = (wordAttr(wordChild(style, 'name'), 'val') || '').toLowerCase();
+    const outline = wordAttr(wordChild(wordChild(style, 'pPr'), 'outlineLvl'), 'val');
+    const headingMatch = name.match(/^heading\s*(\d)$/);
+    const rPr = wordChild(style, 'rPr');
+    styles.set(wordAttr(style, 'styleId'), {
+      name,
+      level: headingMatch ? Number(headingMatch[1]) : outline !== null ? Number(outline) + 1 : null,
+      italic: wordToggle(rPr, 'i'),
+      bold: wordToggle(rPr, 'b')
+    });
+  });
+  return styles;
+};
+
+// Wrap a run of text in Markdown emphasis, keeping surrounding spaces outside the markers
+const emphasize = (text, italic, bold) => {
+  const marker = `${bold ? '**' : ''}${italic ? '*' : ''}`;
+  if (!marker || !text.trim()) return text;
+  const [, lead, body, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return `${lead}${marker}${body}${marker.split('').reverse().join('')}${trail}`;
+};
+
+// One paragraph's text as Markdown, plus its plain text and heading level
+const readWordParagraph = (paragraph, styles) => {
+  const pPr = wordChild(paragraph, 'pPr');
+  const paragraphStyle = styles.get(wordAttr(wordChild(pPr, 'pStyle'), 'val')) || {};
+  const outline = wordAttr(wordChild(pPr, 'outlineLvl'), 'val');
+  const level = paragraphStyle.level ?? (outline !== null ? Number(outline) + 1 : null);
+
+  // Merge neighbouring runs with the same formatting so emphasis isn't split up
+  const pieces = [];
+  Array.from(paragraph.getElementsByTagNameNS(WORD_NS, 'r')).forEach(run => {
+    const rPr = wordChild(run, 'rPr');
+    const runStyle = styles.get(wordAttr(wordChild(rPr, 'rStyle'), 'val')) || {};
+    const italic = !!(wordToggle(rPr, 'i') ?? runStyle.italic ?? paragraphStyle.italic);
+    const bold = !!(wordToggle(rPr, 'b') ?? runStyle.bold ?? paragraphStyle.bold);
+    let text = '';
+    Array.from(run.childNodes).forEach(node => {
+      if (node.namespaceURI !== WORD_NS) return;
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'br' && wordAttr(node, 'type') !== 'page') text += '\n';
+      else if (node.localName === 'noBreakHyphen') text += '-';
+    });
+    if (!text) return;
+    const last = pieces[pieces.length - 1];
+    if (last && last.italic === italic && last.bold === bold) {
+      last.text += text;
+    } else {
+      pieces.push({ text, italic, bold });
     }
-  };
+  });
 
-  // Update project title
-  const updateTitle = (title) => {
-    setCurrentProject(prev => ({ ...prev, title }));
-  };
+  const plain = pieces.map(piece => piece.text).join('');
+  // Headings are plain text; their style usually makes them bold anyway
+  const markdown = level ? plain : pieces.map(piece => emphasize(piece.text, piece.italic, piece.bold)).join('');
+  return { plain: plain.trim(), markdown: markdown.trim(), level, isTitle: paragraphStyle.name === 'title' };
+};
 
-  // Add custom folder
-  const addCustomFolder = (folderName) => {
-    if (!folderName.trim()) return;
-    setCurrentProject(prev => ({
-      ...prev,
-      customFolders: [...(prev.customFolders || []), folderName.trim()]
-    }));
-    setShowAddFolderModal(false);
-  };
+// Convert a .docx file to Markdown. Resolves with { bookTitle, markdown }.
+const readDocx = async (arrayBuffer, fileName) => {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('The DOCX reader could not be loaded. Check your connection and reload the page.');
+  }
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(arrayBuffer);
+  } catch (error) {
+    throw new Error('File is not a valid .docx document');
+  }
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) throw new Error('File is not a valid .docx document (no word/document.xml)');
+  const styles = readWordStyles(await zip.file('word/styles.xml')?.async('string'));
+  const coreXml = await zip.file('docProps/core.xml')?.async('string');
+  const coreTitle = coreXml
+    ? new DOMParser().parseFromString(coreXml, 'application/xml').getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0]?.textContent.trim()
+    : '';
+
+  const body = new DOMParser().parseFromString(documentXml, 'application/xml').getElementsByTagNameNS(WORD_NS, 'body')[0];
+  const paragraphs = Array.from(body.getElementsByTagNameNS(WORD_NS, 'p'))
+    .map(p => readWordParagraph(p, styles))
+    .filter(p => p.plain || p.markdown);
+
+  // Heading 1 paragraphs are chapters (with any Heading 2 under them as scene headings), unless
+  // there is only one Heading 1, which is then the title above Heading 2 chapters.
+  // Without heading styles, paragraphs like "Chapter 12" or "Prologue" start chapters.
+  const count = level => paragraphs.filter(p => p.level === level).length;
+  const chapterLevel = count(1) > 1 || (count(1) === 1 && count(2) === 0) ? 1 : count(2) > 0 ? 2 : null;
+  const isChapter = p => chapterLevel ? p.level === chapterLevel : CHAPTER_PARAGRAPH_PATTERN.test(p.plain);
+
+  let bookTitle = paragraphs.find(p => p.isTitle)?.plain || null;
+  // A single Heading 1 above Heading 2 chapters is the title
+  const titleHeading = !bookTitle && chapterLevel === 2 && count(1) === 1 &&
+    paragraphs.findIndex(p => p.level === 1) < paragraphs.findIndex(isChapter)
+    ? paragraphs.find(p => p.level === 1)
+    : null;
+  bookTitle = bookTitle || titleHeading?.plain || coreTitle || fileName.replace(/\.docx$/i, '');
+
+  // Parts (headings above chapter level) go at the top of the chapter they introduce
+  const lines = [`# ${bookTitle}`, ''];
+  let pendingHeadings = [];
+  paragraphs.forEach(p => {
+    if (p.isTitle || p === titleHeading) return;
+    if (isChapter(p)) {
+      lines.push(`## ${p.plain}`, '', ...pendingHeadings);
+      pendingHeadings = [];
+    } else if (p.level && chapterLevel && p.level < chapterLevel) {
+      pendingHeadings.push(`### ${p.plain}`, '');
+    } else if (p.level) {
+      lines.push(`### ${p.plain}`, '');
+    } else if (SCENE_BREAK_PATTERN.test(p.plain)) {
+      lines.push('* * *', '');
+    } else {
+      // A body paragraph starting like a heading or quote is escaped, so it stays text
+      lines.push(p.markdown.replace(/^(#{1,6}\s|>)/, '\\$1'), '');
+    }
+  });
+  return { bookTitle, markdown: lines.join('\n') };
+};
 
-  // Delete custom folder
-  const deleteCustomFolder = (folderName) => {
-    if (confirm(`Delete folder "${folderName}"? Cards in this folder will be unassigned but not deleted.`)) {
-      setCurrentProject(prev => ({
-        ...prev,
-        customFolders: (prev.customFolders || []).filter(f => f !== folderName),
-        entities: prev.entities.map(e => e.folder === folderName ? { ...e, folder: null } : e)
-      }));
+// DOCX manuscript export
+// Builds a Word document in standard manuscript format: 12pt Times or Courier, double-spaced,
+// 1" margins, a "Surname / Title / page" header, a cover page with the word count and each
+// chapter starting a third of the way down a new page. Markdown emphasis becomes italic and bold.
+const MANUSCRIPT_FONTS = ['Times New Roman', 'Courier New'];
+const MANUSCRIPT_LINE_SPACING = { double: 480, oneAndHalf: 360, single: 240 }; // Twentieths of a point
+const MANUSCRIPT_PAPER = {
+  letter: { width: 12240, height: 15840 },
+  a4: { width: 11906, height: 16838 }
+};
+const MANUSCRIPT_EXPORT_DEFAULTS = {
+  font: 'Times New Roman',
+  lineSpacing: 'double',
+  paper: 'letter',
+  contact: '',
+  includeCover: true,
+  includeFrontMatter: true,
+  chapterPageBreaks: true
+};
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// "about 85,000 words": the nearest thousand for long works, the nearest hundred otherwise
+const approximateWordCount = (words) => {
+  const step = words >= 10000 ? 1000 : 100;
+  return `about ${Math.max(step, Math.round(words / step) * step).toLocaleString('en-US')} words`;
+};
+
+// Markdown inline emphasis (**bold**, *italic*, _italic_) as [{ text, bold, italic }] spans
+const emphasisSpans = (text) => text
+  .split(/(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|\b_[^_\s][^_]*_\b)/)
+  .filter(Boolean)
+  .map(part => {
+    const bold = /^\*\*.+\*\*$/.test(part);
+    const italic = !bold && /^(\*.+\*|_.+_)$/.test(part);
+    return { text: bold ? part.slice(2, -2) : italic ? part.slice(1, -1) : part, bold, italic };
+  });
+
+// Markdown inline emphasis as Word runs
+const manuscriptRuns = (text) => emphasisSpans(text)
+  .map(({ text: content, bold, italic }) => {
+    const props = bold ? '<w:rPr><w:b/></w:rPr>' : italic ? '<w:rPr><w:i/></w:rPr>' : '';
+    return `<w:r>${props}<w:t xml:space="preserve">${xmlText(content)}</w:t></w:r>`;
+  })
+  .join('');
+
+// One Word paragraph. options: { align, indent ('first' or 'block'), before, pageBreak, line }
+const manuscriptParagraph = (runs, options = {}) => {
+  const props = [
+    options.pageBreak ? '<w:pageBreakBefore/>' : '',
+    options.before || options.line ? `<w:spacing w:before="${options.before || 0}" w:after="0"${options.line ? ` w:line="${options.line}" w:lineRule="auto"` : ''}/>` : '',
+    options.indent === 'first' ? '<w:ind w:firstLine="720"/>' : options.indent === 'block' ? '<w:ind w:left="720" w:right="720"/>' : '',
+    options.align ? `<w:jc w:val="${options.align}"/>` : '',
+    options.tabs || ''
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+};
+
+// A chapter's Markdown text as Word paragraphs. Each line is a paragraph; scene breaks become a centred #.
+const manuscriptBody = (content) => (content || '').split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    if (SCENE_BREAK_PATTERN.test(line)) return manuscriptParagraph(manuscriptRuns('#'), { align: 'center' });
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (heading) return manuscriptParagraph(manuscriptRuns(heading[1]), { align: 'center' });
+    const quote = line.match(/^>\s?(.*)$/);
+    if (quote) return quote[1] ? manuscriptParagraph(manuscriptRuns(quote[1]), { indent: 'block' }) : '';
+    return manuscriptParagraph(manuscriptRuns(line), { indent: 'first' });
+  })
+  .join('');
+
+// Build the manuscript .docx for a project. settings are MANUSCRIPT_EXPORT_DEFAULTS plus
+// authorName and surname. Returns a Blob.
+const buildManuscriptDocx = async (project, settings) => {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('The Word writer could not be loaded. Check your connection and reload the page.');
+  }
+  const options = { ...MANUSCRIPT_EXPORT_DEFAULTS, ...settings };
+  const paper = MANUSCRIPT_PAPER[options.paper] || MANUSCRIPT_PAPER.letter;
+  const line = MANUSCRIPT_LINE_SPACING[options.lineSpacing] || MANUSCRIPT_LINE_SPACING.double;
+  const chapters = [...project.chapters]
+    .sort((a, b) => a.order - b.order)
+    .filter(ch => options.includeFrontMatter || !ch.isFrontMatter);
+  const words = chapters.reduce((total, ch) => total + countWords(ch.content), 0);
+  const title = project.title || 'Untitled';
+  const author = (options.authorName || '').trim();
+  const surname = (options.surname || '').trim() || author.split(/\s+/).pop() || '';
+
+  const body = [];
+  if (options.includeCover) {
+    // Contact details top left (single-spaced), word count top right, title and byline centred halfway down
+    const contactLines = [author, ...options.contact.split('\n').map(l => l.trim()).filter(Boolean)];
+    const rightTab = `<w:tabs><w:tab w:val="right" w:pos="${paper.width - 2880}"/></w:tabs>`;
+    contactLines.forEach((text, i) => {
+      const runs = manuscriptRuns(text) + (i === 0 ? `<w:r><w:tab/><w:t>${escapeXml(approximateWordCount(words))}</w:t></w:r>` : '');
+      body.push(manuscriptParagraph(runs, { line: 240, tabs: i === 0 ? rightTab : '' }));
+    });
+    body.push(manuscriptParagraph(`<w:r><w:t xml:space="preserve">${xmlText(title)}</w:t></w:r>`, { align: 'center', before: Math.round(paper.height / 2) - 2880 }));
+    if (author) body.push(manuscriptParagraph(`<w:r><w:t xml:space="preserve">by ${xmlText(author)}</w:t></w:r>`, { align: 'center' }));
+  }
+  chapters.forEach((ch, i) => {
+    const startsPage = i === 0 || options.chapterPageBreaks;
+    const pageBreak = startsPage && (i > 0 || options.includeCover);
+    const before = startsPage ? Math.round(paper.height / 3) - 1440 : line;
+    if (ch.isFrontMatter) {
+      // Dedications and epigraphs have no heading
+      body.push(manuscriptParagraph('', { pageBreak, before }));
+    } else {
+      body.push(manuscriptParagraph(`<w:r><w:t xml:space="preserve">${xmlText(ch.title)}</w:t></w:r>`, { align: 'center', pageBreak, before }));
+      body.push(manuscriptParagraph(''));
     }
-  };
+    body.push(manuscriptBody(ch.content));
+  });
+  body.push(manuscriptParagraph('', {}), manuscriptParagraph('<w:r><w:t>END</w:t></w:r>', { align: 'center' }));
+
+  const header = [surname, title].filter(Boolean).map(text => `${xmlText(text)} / `).join('');
+  const sectPr = `<w:sectPr>
+      <w:headerReference w:type="default" r:id="rId3"/>
+      <w:pgSz w:w="${paper.width}" w:h="${paper.height}"/>
+      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+      ${options.includeCover ? '<w:pgNumType w:start="0"/>\n      <w:titlePg/>' : ''}
+    </w:sectPr>`;
+  const wordNamespaces = `xmlns:w="${WORD_NS}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/settings.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml"/>
+  <Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+  zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${xmlText(title)}</dc:title>
+  <dc:creator>${xmlText(author)}</dc:creator>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:modified>
+</cp:coreProperties>`);
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/settings" Target="settings.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>
+</Relationships>`);
+  zip.file('word/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${wordNamespaces}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="${escapeXml(options.font)}" w:hAnsi="${escapeXml(options.font)}" w:eastAsia="${escapeXml(options.font)}" w:cs="${escapeXml(options.font)}"/>
+      <w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="en-US"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:before="0" w:after="0" w:line="${line}" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Header"><w:name w:val="header"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:line="240" w:lineRule="auto"/><w:jc w:val="right"/></w:pPr></w:style>
+</w:styles>`);
+  zip.file('word/settings.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:settings ${wordNamespaces}>
+  <w:defaultTabStop w:val="720"/>
+  <w:compat><w:compatSetting w:name="compatibilityMode" w:uri="http://schemas.microsoft.com/office/word" w:val="15"/></w:compat>
+</w:settings>`);
+  zip.file('word/header1.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:hdr ${wordNamespaces}>
+  <w:p><w:pPr><w:pStyle w:val="Header"/></w:pPr><w:r><w:t xml:space="preserve">${header}</w:t></w:r><w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r><w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>
+</w:hdr>`);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${wordNamespaces}>
+  <w:body>
+    ${body.join('\n    ')}
+    ${sectPr}
+  </w:body>
+</w:document>`);
+  return zip.generateAsync({ type: 'blob', mimeType: DOCX_MIME_TYPE });
+};
 
-  // Update entity position
-  const updateEntityPosition = (id, x, y) => {
-    setCurrentProject(prev => ({
-      ...prev,
-      entities: prev.entities.map(e => 
-        e.id === id ? { ...e, position: { x, y } } : e
-      )
-    }));
-  };
+// EPUB import
+// An .epub is a zip of XHTML documents listed in reading order by the OPF package's spine.
+// Each document is converted to Markdown and the table of contents (EPUB 3 nav or EPUB 2 NCX)
+// decides where chapters start and what they are called. Dedication, epigraph and copyright
+// pages are gathered into the front matter; cover, title and contents pages are left out.
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const OPS_NS = 'http://www.idpf.org/2007/ops';
+const EPUB_FRONT_MATTER_PATTERN = /\b(dedication|epigraph|copyright(-page)?)\b/i;
+const EPUB_SKIPPED_PATTERN = /\b(cover(page)?|title-?page|half-?title(page)?|toc|nav|contents|table of contents|landmarks)\b/i;
+const EPUB_BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody',
+  'td', 'tfoot', 'th', 'thead', 'tr', 'ul']);
+
+const tagName = (node) => node.nodeType === 1 ? node.localName.toLowerCase() : null;
+const epubElements = (root, name) => Array.from(root?.getElementsByTagName('*') || []).filter(el => tagName(el) === name);
+const epubChildren = (element, name) => Array.from(element?.childNodes || []).filter(node => tagName(node) === name);
+const epubType = (element) => element?.getAttributeNS?.(OPS_NS, 'type') || element?.getAttribute?.('epub:type') || '';
+// Whether a heading at the top of a chapter just repeats its TOC label ("Chapter 2" under "2. Calm")
+const repeatsLabel = (label, heading) => {
+  const clean = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  if (clean(heading) && clean(label).includes(clean(heading))) return true;
+  const number = heading.trim().match(/^(chapter\s+)?(\d+|[ivxlcdm]+)\.?$/i)?.[2];
+  return !!number && label.toLowerCase().split(/[^\p{L}\p{N}]+/u).includes(number.toLowerCase());
+};
 
-  // Delete entity
-  const deleteEntity = (id) => {
-    setCurrentProject(prev => ({
-      ...prev,
-      entities: prev.entities.filter(e => e.id !== id)
-    }));
-  };
+// 'front', 'skip' or 'content' from labels, file names and epub:type values
+const epubPageKind = (...hints) => {
+  const text = hints.filter(Boolean).join(' ');
+  if (EPUB_FRONT_MATTER_PATTERN.test(text)) return 'front';
+  if (EPUB_SKIPPED_PATTERN.test(text)) return 'skip';
+  return 'content';
+};
 
-  // Toggle star on entity
-  const toggleStar = (id) => {
-    setCurrentProject(prev => ({
-      ...prev,
-      entities: prev.entities.map(e => 
-        e.id === id ? { ...e, starred: !e.starred } : e
-      )
-    }));
-  };
+// Resolve an href against the file it appears in. Returns { path, fragment }.
+const resolveEpubHref = (baseFile, href) => {
+  const [path, fragment = ''] = href.split('#');
+  if (!path) return { path: baseFile, fragment: decodeURIComponent(fragment) };
+  const parts = baseFile.split('/').slice(0, -1);
+  decodeURIComponent(path).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return { path: parts.join('/'), fragment: decodeURIComponent(fragment) };
+};
 
-  // Save entity (add or update)
-  const saveEntity = (entity) => {
-    setCurrentProject(prev => {
-      const exists = prev.entities.find(e => e.id === entity.id);
-      if (exists) {
-        return {
-          ...prev,
-          entities: prev.entities.map(e => e.id === entity.id ? entity : e)
-        };
+// Books often use HTML entities XML doesn't know (&nbsp;), so fall back to the HTML parser
+const parseEpubDocument = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xhtml+xml');
+  return doc.getElementsByTagName('parsererror').length > 0 ? new DOMParser().parseFromString(text, 'text/html') : doc;
+};
+
+// Table of contents entries as { label, path, fragment, depth }, in reading order
+const readEpubToc = (navDoc, navPath, ncxDoc, ncxPath) => {
+  const entries = [];
+  if (navDoc) {
+    const navs = epubElements(navDoc, 'nav');
+    const toc = navs.find(nav => /\btoc\b/.test(epubType(nav))) || navs[0];
+    const walk = (list, depth) => epubChildren(list, 'li').forEach(item => {
+      const link = epubChildren(item, 'a')[0];
+      const label = (link || epubChildren(item, 'span')[0])?.textContent.replace(/\s+/g, ' ').trim();
+      if (link?.getAttribute('href') && label) {
+        entries.push({ label, depth, ...resolveEpubHref(navPath, link.getAttribute('href')) });
+      }
+      epubChildren(item, 'ol').forEach(child => walk(child, depth + 1));
+    });
+    epubChildren(toc, 'ol').forEach(list => walk(list, 1));
+  }
+  if (entries.length === 0 && ncxDoc) {
+    const walk = (parent, depth) => epubChildren(parent, 'navpoint').forEach(point => {
+      const label = epubElements(epubChildren(point, 'navlabel')[0], 'text')[0]?.textContent.replace(/\s+/g, ' ').trim();
+      const src = epubChildren(point, 'content')[0]?.getAttribute('src');
+      if (src && label) entries.push({ label, depth, ...resolveEpubHref(ncxPath, src) });
+      walk(point, depth + 1);
+    });
+    walk(epubElements(ncxDoc, 'navmap')[0], 1);
+  }
+  return entries;
+};
+
+// Flatten an XHTML body into blocks: { heading }, { markdown } and { anchor } where an element
+// carries one of the given ids (so one file can hold several chapters).
+const readEpubBlocks = (body, anchors) => {
+  const blocks = [];
+  let found = [];
+  const inline = (node) => {
+    if (node.nodeType === 3) return node.nodeValue.replace(/\s+/g, ' ');
+    const tag = tagName(node);
+    if (!tag || ['script', 'style', 'img', 'svg', 'head'].includes(tag)) return '';
+    if (anchors.has(node.getAttribute('id'))) found.push(node.getAttribute('id'));
+    if (tag === 'br') return '\n';
+    const text = Array.from(node.childNodes).map(inline).join('');
+    if (['em', 'i', 'cite'].includes(tag)) return emphasize(text, true, false);
+    if (['strong', 'b'].includes(tag)) return emphasize(text, false, true);
+    return text;
+  };
+  const push = (block) => {
+    found.forEach(anchor => blocks.push({ anchor }));
+    found = [];
+    if (block) blocks.push(block);
+  };
+  const paragraph = (text, quote) => {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return push(null);
+    push({ markdown: lines.map(line => quote ? `> ${line}` : line).join('\n') });
+  };
+  const walk = (element, quote) => {
+    let loose = '';
+    Array.from(element.childNodes).forEach(child => {
+      const tag = tagName(child);
+      if (!EPUB_BLOCK_TAGS.has(tag)) {
+        loose += inline(child);
+        return;
+      }
+      paragraph(loose, quote);
+      loose = '';
+      if (anchors.has(child.getAttribute('id'))) found.push(child.getAttribute('id'));
+      const className = child.getAttribute('class') || '';
+      if (/^h[1-6]$/.test(tag)) {
+        const text = child.textContent.replace(/\s+/g, ' ').trim();
+        Array.from(child.childNodes).forEach(inline); // Collect anchors inside the heading
+        if (text) push({ heading: text });
+        else push(null);
+      } else if (tag === 'hr' || (/scene|break|ornament|dinkus|divider/i.test(className) && !child.textContent.replace(/[\s\p{P}\p{S}]/gu, ''))) {
+        push({ markdown: '* * *' });
+      } else if (tag === 'pre') {
+        push({ markdown: child.textContent.replace(/\n+$/, '') });
+      } else if (Array.from(child.childNodes).some(node => EPUB_BLOCK_TAGS.has(tagName(node)))) {
+        walk(child, quote || tag === 'blockquote');
       } else {
-        return {
-          ...prev,
-          entities: [...prev.entities, { 
-            ...entity, 
-            id: generateId('ent'),
-            position: entity.position || { x: 100 + Math.random() * 400, y: 100 + Math.random() * 300 }
-          }]
-        };
+        const text = Array.from(child.childNodes).map(inline).join('');
+        if (SCENE_BREAK_PATTERN.test(text.trim())) push({ markdown: '* * *' });
+        else paragraph(tag === 'li' && text.trim() ? `- ${text.trim()}` : text, quote || tag === 'blockquote');
       }
     });
-    setShowEntityModal(false);
-    setEditingEntity(null);
-    setDefaultEntityType(null);
+    paragraph(loose, quote);
   };
+  walk(body, false);
+  push(null);
+  return blocks;
+};
 
-  // Merge two entities of the same type
-  const mergeEntities = (keepEntity, mergeEntity) => {
-    setCurrentProject(prev => {
-      const merged = {
-        ...keepEntity,
-        description: [keepEntity.description, mergeEntity.description].filter(Boolean).join('\n\n'),
-        chapterRefs: [...new Set([...(keepEntity.chapterRefs || []), ...(mergeEntity.chapterRefs || [])])],
-        storyRefs: keepEntity.storyRefs || mergeEntity.storyRefs 
-          ? [...new Set([...(keepEntity.storyRefs || []), ...(mergeEntity.storyRefs || [])])]
-          : undefined
-      };
-      return {
-        ...prev,
-        entities: prev.entities
-          .filter(e => e.id !== mergeEntity.id)
-          .map(e => e.id === keepEntity.id ? merged : e)
-      };
-    });
-    setShowMergeModal(false);
+// Convert an .epub file to Markdown. Resolves with { bookTitle, author, markdown }.
+const readEpub = async (arrayBuffer, fileName) => {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('The EPUB reader could not be loaded. Check your connection and reload the page.');
+  }
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(arrayBuffer);
+  } catch (error) {
+    throw new Error('File is not a valid .epub book');
+  }
+  const readText = (path) => zip.file(path)?.async('string') || Promise.resolve(null);
+  const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+  const containerXml = await readText('META-INF/container.xml');
+  const opfPath = containerXml && epubElements(parseXml(containerXml), 'rootfile')[0]?.getAttribute('full-path');
+  const opfXml = opfPath && await readText(opfPath);
+  if (!opfXml) throw new Error('File is not a valid .epub book (no package document)');
+
+  // Font obfuscation also uses encryption.xml; encrypted text documents mean DRM
+  const encryptionXml = await readText('META-INF/encryption.xml');
+  if (encryptionXml && epubElements(parseXml(encryptionXml), 'cipherreference')
+    .some(ref => /\.x?html?$/i.test(ref.getAttribute('URI') || ''))) {
+    throw new Error('This EPUB is DRM-protected and cannot be imported');
+  }
+
+  const opf = parseXml(opfXml);
+  const metadataText = name => Array.from(opf.getElementsByTagNameNS(DC_NS, name));
+  const bookTitle = metadataText('title')[0]?.textContent.trim() || fileName.replace(/\.epub$/i, '');
+  // Skip illustrators, editors and so on when a role is given (EPUB 2 attribute or EPUB 3 refines)
+  const roleOf = creator => creator.getAttributeNS(OPF_NS, 'role') || creator.getAttribute('opf:role') ||
+    epubElements(opf, 'meta').find(meta => meta.getAttribute('refines') === `#${creator.getAttribute('id')}` && meta.getAttribute('property') === 'role')?.textContent.trim();
+  const author = metadataText('creator')
+    .filter(creator => !roleOf(creator) || roleOf(creator) === 'aut')
+    .map(creator => creator.textContent.trim())
+    .filter(Boolean)
+    .join(' & ') || null;
+
+  const manifest = new Map(epubElements(opf, 'item').map(item => [item.getAttribute('id'), {
+    path: resolveEpubHref(opfPath, item.getAttribute('href') || '').path,
+    mediaType: item.getAttribute('media-type') || '',
+    properties: item.getAttribute('properties') || ''
+  }]));
+  const spine = epubElements(opf, 'spine')[0];
+  const navItem = [...manifest.values()].find(item => /\bnav\b/.test(item.properties));
+  const ncxItem = manifest.get(spine?.getAttribute('toc')) || [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+  const navText = navItem && await readText(navItem.path);
+  const ncxText = ncxItem && await readText(ncxItem.path);
+  const navDoc = navText ? parseEpubDocument(navText) : null;
+  const toc = readEpubToc(navDoc, navItem?.path, ncxText ? parseXml(ncxText) : null, ncxItem?.path);
+
+  // Page types from the EPUB 2 guide or EPUB 3 landmarks
+  const pageTypes = new Map();
+  epubElements(opf, 'reference').forEach(ref => {
+    pageTypes.set(resolveEpubHref(opfPath, ref.getAttribute('href') || '').path, ref.getAttribute('type'));
+  });
+  epubElements(navDoc, 'nav').filter(nav => /\blandmarks\b/.test(epubType(nav))).forEach(nav => {
+    epubElements(nav, 'a').forEach(link => pageTypes.set(resolveEpubHref(navItem.path, link.getAttribute('href') || '').path, epubType(link)));
+  });
+
+  // Chapters are the TOC level with the most content entries; entries above it are parts
+  const depthCounts = {};
+  toc.filter(entry => epubPageKind(entry.label) === 'content').forEach(entry => {
+    depthCounts[entry.depth] = (depthCounts[entry.depth] || 0) + 1;
+  });
+  const chapterDepth = Number(Object.keys(depthCounts).sort((a, b) => depthCounts[b] - depthCounts[a] || a - b)[0]) || 1;
+  const entriesByPath = new Map();
+  toc.filter(entry => entry.depth <= chapterDepth).forEach(entry => {
+    const entries = entriesByPath.get(entry.path) || [];
+    if (!entries.some(other => other.fragment === entry.fragment)) entries.push(entry);
+    entriesByPath.set(entry.path, entries);
+  });
+
+  const front = [];
+  const chapters = [];
+  let pendingParts = [];
+  let target = null; // { lines, title, started } receiving the current text, or null to drop it
+
+  const startEntry = (entry, fileKind) => {
+    const kind = epubPageKind(entry.label) === 'content' ? fileKind : epubPageKind(entry.label);
+    if (kind === 'skip') {
+      target = null;
+    } else if (kind === 'front') {
+      front.push(`### ${entry.label}`, '');
+      target = { lines: front, title: entry.label, started: false };
+    } else if (entry.depth < chapterDepth) {
+      pendingParts.push(`### ${entry.label}`, '');
+      target = { lines: pendingParts, title: entry.label, started: false };
+    } else {
+      target = { lines: [...pendingParts], title: entry.label, started: false };
+      pendingParts = [];
+      chapters.push(target);
+    }
   };
 
-  // Rearrange entities in a folder to grid layout
-  const rearrangeEntities = (entityIds) => {
-    setCurrentProject(prev => {
-      // Get the entities to rearrange
-      const toRearrange = prev.entities.filter(e => entityIds.includes(e.id));
-      
-      // Sort by first chapter/story appearance
-      const extractableChapters = prev.chapters.filter(ch => !ch.isFrontMatter);
-      toRearrange.sort((a, b) => {
-        const getFirstAppearance = (entity) => {
-          if (entity.chapterRefs && entity.chapterRefs.length > 0) {
-            const indices = entity.chapterRefs
-              .map(ref => extractableChapters.findIndex(ch => ch.id === ref))
-              .filter(i => i >= 0);
-            return indices.length > 0 ? Math.min(...indices) : 999;
-          }
-          return 999;
-        };
-        return getFirstAppearance(a) - getFirstAppearance(b);
-      });
-      
-      // Calculate new positions in grid
-      const cardWidth = 240;
-      const cardHeight = 180;
-      const cardsPerRow = 5;
-      const startX = 40;
-      const startY = 40;
-      
-      const newPositions = {};
-      toRearrange.forEach((entity, i) => {
-        const col = i % cardsPerRow;
-        const row = Math.floor(i / cardsPerRow);
-        newPositions[entity.id] = { x: startX + col * cardWidth, y: startY + row * cardHeight };
-      });
-      
-      return {
-        ...prev,
-        entities: prev.entities.map(e => 
-          newPositions[e.id] ? { ...e, position: newPositions[e.id] } : e
-        )
-      };
+  for (const itemref of epubElements(spine, 'itemref')) {
+    const item = manifest.get(itemref.getAttribute('idref'));
+    if (!item || item === navItem || !/html/.test(item.mediaType)) continue;
+    const text = await readText(item.path);
+    if (!text) continue;
+    const doc = parseEpubDocument(text);
+    const body = epubElements(doc, 'body')[0] || doc.documentElement;
+    const section = Array.from(body.childNodes).find(node => tagName(node) === 'section');
+    const fileHints = [item.path.split('/').pop().replace(/\.\w+$/, ''), pageTypes.get(item.path), epubType(body), epubType(section)].join(' ');
+    const fileKind = epubPageKind(fileHints);
+    const entries = entriesByPath.get(item.path) || [];
+    const blocks = readEpubBlocks(body, new Set(entries.map(entry => entry.fragment).filter(Boolean)));
+
+    // Entries without a fragment (or whose anchor is missing) start at the top of the file
+    const topEntries = entries.filter(entry => !entry.fragment || !blocks.some(block => block.anchor === entry.fragment));
+    if (topEntries.length > 0) {
+      topEntries.forEach(entry => startEntry(entry, fileKind));
+    } else if (fileKind !== 'content' || toc.length === 0 || chapters.length === 0) {
+      // Untitled pages: front matter before the first chapter, or a chapter each when there's no TOC
+      if (fileKind === 'skip') {
+        target = null;
+      } else if (fileKind === 'front' || (toc.length > 0 && chapters.length === 0)) {
+        const pageName = fileHints.match(EPUB_FRONT_MATTER_PATTERN)?.[1].toLowerCase();
+        const title = pageName ? pageName[0].toUpperCase() + pageName.slice(1) : '';
+        if (title) front.push(`### ${title}`, '');
+        target = { lines: front, title, started: false };
+      } else {
+        target = { lines: [], title: null, started: false };
+        chapters.push(target);
+      }
+    } else if (!target || target.lines === front) {
+      target = chapters[chapters.length - 1]; // A chapter split across files
+    }
+
+    blocks.forEach(block => {
+      if (block.anchor) {
+        const entry = entries.find(e => e.fragment === block.anchor);
+        if (!topEntries.includes(entry)) startEntry(entry, fileKind);
+      } else if (!target) {
+        return;
+      } else if (block.heading && !target.started && target.title === null) {
+        target.title = block.heading;
+      } else if (block.heading && !target.started && repeatsLabel(target.title, block.heading)) {
+        // Already used as the chapter title
+      } else {
+        target.lines.push(block.heading ? `### ${block.heading}` : block.markdown, '');
+        target.started = true;
+      }
     });
+  }
+
+  if (chapters.length === 0) throw new Error('No chapters found in this EPUB');
+  chapters[chapters.length - 1].lines.push(...pendingParts);
+  const lines = [
+    `# ${bookTitle}`, '',
+    ...front,
+    ...chapters.flatMap((chapter, i) => [`## ${chapter.title || `Chapter ${i + 1}`}`, '', ...chapter.lines])
+  ];
+  return { bookTitle, author, markdown: lines.join('\n') };
+};
+
+// EPUB export
+// Writes an EPUB 3 package: a title page, the front matter as its own section, one XHTML
+// document per chapter in order, and a nav document with the table of contents and landmarks.
+// The cover image and stylesheet are optional.
+const EPUB_EXPORT_DEFAULTS = {
+  language: 'en',
+  includeCss: true,
+  cover: null // { name, type, data (ArrayBuffer) }
+};
+const EPUB_STYLESHEET = `body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.5em; text-align: center; margin: 3em 0 2em; page-break-before: always; }
+h2 { font-size: 1.15em; text-align: center; margin: 2em 0 1em; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+h1 + p, h2 + p, hr + p, blockquote + p, .front-matter p { text-indent: 0; }
+.front-matter { margin-top: 4em; text-align: center; }
+.front-matter p { text-align: center; margin-bottom: 1em; }
+blockquote { margin: 1em 2em; font-style: italic; }
+blockquote em { font-style: normal; }
+hr.scene-break { border: none; margin: 1.5em 0; text-align: center; }
+hr.scene-break::after { content: "* * *"; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page h1 { page-break-before: avoid; margin-bottom: 1em; }
+.cover { text-align: center; margin: 0; padding: 0; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+// Text for XHTML
+const xhtmlText = xmlText;
+
+// Markdown inline emphasis as XHTML
+const xhtmlInline = (text) => emphasisSpans(text)
+  .map(({ text: content, bold, italic }) => bold ? `<strong>${xhtmlText(content)}</strong>` : italic ? `<em>${xhtmlText(content)}</em>` : xhtmlText(content))
+  .join('');
+
+// A chapter's Markdown text as XHTML blocks: one paragraph per line, ### headings,
+// > quotes (consecutive lines share a blockquote) and scene breaks as <hr/>
+const xhtmlBody = (content) => {
+  const blocks = [];
+  let quote = [];
+  const flushQuote = () => {
+    if (quote.length > 0) blocks.push(`<blockquote>\n${quote.join('\n')}\n</blockquote>`);
+    quote = [];
   };
+  (content || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const quoteLine = line.match(/^>\s?(.*)$/);
+    if (quoteLine) {
+      if (quoteLine[1]) quote.push(`<p>${xhtmlInline(quoteLine[1])}</p>`);
+      return;
+    }
+    flushQuote();
+    const heading = line.match(/^#{1,6}\s+(.+)$/);
+    if (SCENE_BREAK_PATTERN.test(line)) blocks.push('<hr class="scene-break"/>');
+    else if (heading) blocks.push(`<h2>${xhtmlInline(heading[1])}</h2>`);
+    else blocks.push(`<p>${xhtmlInline(line)}</p>`);
+  });
+  flushQuote();
+  return blocks.join('\n');
+};
 
-  // Reorder chapters
-  const reorderChapters = (fromIndex, toIndex) => {
-    setCurrentProject(prev => {
-      const newChapters = [...prev.chapters];
-      const [moved] = newChapters.splice(fromIndex, 1);
-      newChapters.splice(toIndex, 0, moved);
-      return {
-        ...prev,
-        chapters: newChapters.map((ch, i) => ({ ...ch, order: i + 1 }))
-      };
+// A complete XHTML content document
+const xhtmlDocument = (title, body, { language, includeCss }) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="${OPS_NS}" xml:lang="${xhtmlText(language)}" lang="${xhtmlText(language)}">
+<head>
+<meta charset="UTF-8"/>
+<title>${xhtmlText(title)}</title>
+${includeCss ? '<link rel="stylesheet" type="text/css" href="style.css"/>\n' : ''}</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// Build the EPUB for a project. settings are EPUB_EXPORT_DEFAULTS plus author. Returns a Blob.
+const buildEpub = async (project, settings) => {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('The EPUB writer could not be loaded. Check your connection and reload the page.');
+  }
+  const options = { ...EPUB_EXPORT_DEFAULTS, ...settings };
+  options.language = (options.language || '').trim() || 'en';
+  const title = project.title || 'Untitled';
+  const author = (options.author || '').trim();
+  const chapters = [...project.chapters].sort((a, b) => a.order - b.order);
+  const coverType = options.cover && ({ 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' })[options.cover.type];
+  if (options.cover && !coverType) {
+    throw new Error('The cover must be a JPEG, PNG, GIF or WebP image');
+  }
+
+  // Reading order: [{ id, href, title, body, type, inToc }]
+  const documents = [];
+  if (coverType) {
+    documents.push({
+      id: 'cover', href: 'cover.xhtml', title: 'Cover', type: 'cover', inToc: false,
+      body: `<section class="cover" epub:type="cover">\n<img src="cover.${coverType}" alt="${xhtmlText(title)}"/>\n</section>`
     });
+  }
+  documents.push({
+    id: 'title-page', href: 'title-page.xhtml', title, type: 'titlepage', inToc: false,
+    body: `<section class="title-page" epub:type="titlepage">\n<h1>${xhtmlText(title)}</h1>\n${author ? `<p>${xhtmlText(author)}</p>\n` : ''}</section>`
+  });
+  chapters.forEach((ch, i) => {
+    const chapterTitle = ch.title || `Chapter ${i + 1}`;
+    if (ch.isFrontMatter) {
+      documents.push({
+        id: `front-matter-${i + 1}`, href: `front-matter-${i + 1}.xhtml`, title: chapterTitle, type: 'frontmatter', inToc: true,
+        body: `<section class="front-matter" epub:type="frontmatter" aria-label="${xhtmlText(chapterTitle)}">\n${xhtmlBody(ch.content)}\n</section>`
+      });
+    } else {
+      const number = String(documents.filter(d => d.type === 'chapter').length + 1).padStart(3, '0');
+      documents.push({
+        id: `chapter-${number}`, href: `chapter-${number}.xhtml`, title: chapterTitle, type: 'chapter', inToc: true,
+        body: `<section epub:type="chapter" role="doc-chapter">\n<h1>${xhtmlInline(chapterTitle)}</h1>\n${xhtmlBody(ch.content)}\n</section>`
+      });
+    }
+  });
+  const firstChapter = documents.find(d => d.type === 'chapter') || documents.find(d => d.inToc);
+
+  const tocItems = documents.filter(d => d.inToc).map(d => `      <li><a href="${d.href}">${xhtmlText(d.title)}</a></li>`);
+  const landmarks = [
+    coverType && '<li><a epub:type="cover" href="cover.xhtml">Cover</a></li>',
+    '<li><a epub:type="titlepage" href="title-page.xhtml">Title Page</a></li>',
+    '<li><a epub:type="toc" href="nav.xhtml">Contents</a></li>',
+    firstChapter && `<li><a epub:type="bodymatter" href="${firstChapter.href}">Start of Content</a></li>`
+  ].filter(Boolean).map(item => `      ${item}`);
+  const nav = `<nav epub:type="toc" id="toc" role="doc-toc">
+  <h1>Contents</h1>
+  <ol>
+${tocItems.length > 0 ? tocItems.join('\n') : '      <li><a href="title-page.xhtml">' + xhtmlText(title) + '</a></li>'}
+  </ol>
+</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+  <h2>Landmarks</h2>
+  <ol>
+${landmarks.join('\n')}
+  </ol>
+</nav>`;
+
+  const identifier = `urn:bookboard:${project.id || generateId('proj')}`;
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const details = project.metadata || {};
+  const subjects = [].concat(details.genre || []).filter(genre => typeof genre === 'string' && genre.trim());
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    options.includeCss && '<item id="css" href="style.css" media-type="text/css"/>',
+    coverType && `<item id="cover-image" href="cover.${coverType}" media-type="${options.cover.type}" properties="cover-image"/>`,
+    ...documents.map(d => `<item id="${d.id}" href="${d.href}" media-type="application/xhtml+xml"/>`)
+  ].filter(Boolean);
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="${OPF_NS}" version="3.0" unique-identifier="book-id" xml:lang="${xhtmlText(options.language)}">
+  <metadata xmlns:dc="${DC_NS}">
+    <dc:identifier id="book-id">${xhtmlText(identifier)}</dc:identifier>
+    <dc:title>${xhtmlText(title)}</dc:title>
+    <dc:language>${xhtmlText(options.language)}</dc:language>
+${author ? `    <dc:creator id="author">${xhtmlText(author)}</dc:creator>\n    <meta refines="#author" property="role" scheme="marc:relators">aut</meta>\n` : ''}${subjects.map(subject => `    <dc:subject>${xhtmlText(subject)}</dc:subject>\n`).join('')}${details.series ? `    <meta property="belongs-to-collection" id="series">${xhtmlText(details.series)}</meta>\n    <meta refines="#series" property="collection-type">series</meta>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+${coverType ? '    <meta name="cover" content="cover-image"/>\n' : ''}  </metadata>
+  <manifest>
+${manifest.map(item => `    ${item}`).join('\n')}
+  </manifest>
+  <spine>
+${documents.map(d => `    <itemref idref="${d.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', opf);
+  zip.file('OEBPS/nav.xhtml', xhtmlDocument('Contents', nav, options));
+  if (options.includeCss) zip.file('OEBPS/style.css', EPUB_STYLESHEET);
+  if (coverType) zip.file(`OEBPS/cover.${coverType}`, options.cover.data);
+  documents.forEach(d => zip.file(`OEBPS/${d.href}`, xhtmlDocument(d.title, d.body, options)));
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+};
+
+// Story bible website export
+// A self-contained static site: an index, one page per card type and custom folder, one page
+// per card and an excerpt page per chapter. Card names mentioned in descriptions link to their
+// cards. As a zip, every page is its own file with relative links; as a single file, every page
+// is a section of one document linked by anchors. Both work offline.
+const BIBLE_SITE_TYPES = [
+  { type: 'character', label: 'Characters', singular: 'Character' },
+  { type: 'location', label: 'Locations', singular: 'Location' },
+  { type: 'object', label: 'Objects', singular: 'Object' },
+  { type: 'scene', label: 'Scenes', singular: 'Scene' },
+  { type: 'theme', label: 'Themes', singular: 'Theme' },
+  { type: 'idea', label: 'Ideas', singular: 'Idea' }
+];
+const BIBLE_EXCERPT_WORDS = 300;
+const BIBLE_SITE_STYLESHEET = `body { font-family: Georgia, serif; line-height: 1.6; color: #2c2416; background: #f7f3ea; margin: 0; }
+main, section.page { max-width: 760px; margin: 0 auto; padding: 24px 32px 48px; }
+nav.site { font-family: system-ui, sans-serif; font-size: 0.85rem; background: #2c2416; padding: 10px 32px; }
+nav.site a { color: #f7f3ea; margin-right: 16px; text-decoration: none; }
+nav.site a:hover { text-decoration: underline; }
+h1 { font-size: 1.8rem; margin-bottom: 4px; }
+.kind { font-family: system-ui, sans-serif; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.08em; color: #7a6a50; }
+.kind a { color: inherit; }
+a { color: #8b3a2f; }
+ul.cards { list-style: none; padding: 0; }
+ul.cards li { margin-bottom: 10px; }
+ul.cards li span { display: block; font-size: 0.9rem; color: #5a4d38; }
+blockquote { margin: 1em 2em; font-style: italic; }
+hr.scene-break { border: none; text-align: center; }
+hr.scene-break::after { content: "* * *"; }
+hr.page-break { border: none; border-top: 2px solid #d8cdb6; margin: 0; }
+.excerpt { background: #fffdf8; border: 1px solid #e3d9c4; padding: 16px 24px; }
+.excerpt p { margin: 0 0 0.8em; }
+.star { color: #c9a227; }
+`;
+
+// Finds the names of items ({ name }) in text: whole words, ignoring case, longest first so
+// "Old Town Hall" wins over "Old Town". text.split(pattern) puts the matches at odd indexes.
+// null when no name is three or more characters long.
+const nameMatcher = (items) => {
+  const named = items
+    .filter(item => (item.name || '').trim().length >= 3)
+    .sort((a, b) => b.name.trim().length - a.name.trim().length);
+  if (named.length === 0) return null;
+  const alternatives = named.map(item => item.name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  return {
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})(?![\\p{L}\\p{N}])`, 'giu'),
+    find: (text) => named.find(item => item.name.trim().toLowerCase() === text.toLowerCase())
   };
+};
 
-  // Update chapter content
-  const updateChapterContent = (chapterId, content) => {
-    setCurrentProject(prev => ({
-      ...prev,
-      chapters: prev.chapters.map(ch => 
-        ch.id === chapterId ? { ...ch, content } : ch
-      )
-    }));
+// A file-name friendly version of a name
+const siteSlug = (text) => String(text)
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// The first words of a chapter, the last paragraph cut short with …
+const chapterExcerpt = (content, limit = BIBLE_EXCERPT_WORDS) => {
+  const lines = (content || '').split('\n');
+  const kept = [];
+  let words = 0;
+  for (const line of lines) {
+    const count = countWords(line);
+    if (words + count > limit) {
+      kept.push(`${line.trim().split(/\s+/).slice(0, limit - words).join(' ')}…`);
+      return kept.join('\n');
+    }
+    kept.push(line);
+    words += count;
+  }
+  return kept.join('\n');
+};
+
+// Build the bible site for a project. Returns a Blob: a .zip, or one .html file when singleFile is set.
+const buildBibleSite = async (project, { singleFile = false } = {}) => {
+  if (!singleFile && typeof JSZip === 'undefined') {
+    throw new Error('The zip writer could not be loaded. Check your connection and reload the page.');
+  }
+  const title = project.title || 'Untitled';
+  const chapters = [...project.chapters].sort((a, b) => a.order - b.order);
+  const entities = project.entities || [];
+  const customFolders = (project.customFolders || []).filter(folder => entities.some(e => e.folder === folder));
+
+  // Page ids, unique even when names repeat
+  const usedIds = new Set(['index']);
+  const pageId = (prefix, name) => {
+    const base = `${prefix}-${siteSlug(name) || prefix}`;
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  };
+  const cardIds = new Map(entities.map(e => [e.id, pageId('card', e.name)]));
+  const chapterIds = new Map(chapters.map((ch, i) => [ch.id, pageId('chapter', ch.isFrontMatter ? 'front-matter' : `${i + 1}-${ch.title}`)]));
+  const folderIds = new Map(customFolders.map(folder => [folder, pageId('folder', folder)]));
+  const href = (id) => singleFile ? `#${id}` : `${id}.html`;
+  const link = (id, text) => `<a href="${href(id)}">${xhtmlText(text)}</a>`;
+
+  // Chapters a card appears in: chapterRefs for novels, story titles for collections
+  const cardChapters = (entity) => {
+    const byId = (entity.chapterRefs || []).map(id => chapters.find(ch => ch.id === id));
+    const byTitle = (entity.storyRefs || []).map(storyTitle => chapters.find(ch => ch.title === storyTitle));
+    return [...new Set([...byId, ...byTitle].filter(Boolean))];
   };
 
-  // Update chapter title
-  const updateChapterTitle = (chapterId, title) => {
-    setCurrentProject(prev => ({
-      ...prev,
-      chapters: prev.chapters.map(ch => 
-        ch.id === chapterId ? { ...ch, title } : ch
-      )
-    }));
+  const mentionedIn = new Map(); // card id -> cards whose descriptions mention it
+  const names = nameMatcher(entities);
+  const linkNames = (text, self) => {
+    if (!names) return xhtmlText(text);
+    return text.split(names.pattern).map((part, i) => {
+      if (i % 2 === 0) return xhtmlText(part);
+      const target = names.find(part);
+      if (!target || target.id === self.id) return xhtmlText(part);
+      if (!mentionedIn.has(target.id)) mentionedIn.set(target.id, new Set());
+      mentionedIn.get(target.id).add(self);
+      return link(cardIds.get(target.id), part);
+    }).join('');
   };
+  const describe = (entity) => (entity.description || '').split(/\n\s*\n|\n/).map(line => line.trim()).filter(Boolean)
+    .map(line => `<p>${emphasisSpans(line).map(({ text, bold, italic }) => {
+      const html = linkNames(text, entity);
+      return bold ? `<strong>${html}</strong>` : italic ? `<em>${html}</em>` : html;
+    }).join('')}</p>`)
+    .join('\n');
+  const summary = (entity) => {
+    const text = emphasisSpans((entity.description || '').replace(/\s+/g, ' ').trim()).map(span => span.text).join('');
+    return text ? `<span>${xhtmlText(text.length > 160 ? `${text.slice(0, 160)}…` : text)}</span>` : '';
+  };
+  const cardList = (list) => list.length === 0
+    ? '<p><em>No cards.</em></p>'
+    : `<ul class="cards">\n${list.map(e => `<li>${link(cardIds.get(e.id), e.name)}${e.starred ? ' <span class="star" title="Key card">★</span>' : ''}${summary(e)}</li>`).join('\n')}\n</ul>`;
+  const typeInfo = (type) => BIBLE_SITE_TYPES.find(t => t.type === type) || { type, label: type, singular: type };
+  const usedTypes = BIBLE_SITE_TYPES.filter(t => entities.some(e => e.type === t.type));
+
+  const pages = []; // [{ id, title, body }]
+  // Card pages first, so mentions are known before the pages that list them
+  entities.forEach(entity => {
+    const info = typeInfo(entity.type);
+    const appears = cardChapters(entity);
+    const kind = [
+      link(`type-${entity.type}`, info.singular),
+      entity.folder && folderIds.has(entity.folder) ? link(folderIds.get(entity.folder), entity.folder) : null,
+      entity.starred ? '<span class="star">★ Key</span>' : null
+    ].filter(Boolean).join(' · ');
+    pages.push({
+      id: cardIds.get(entity.id),
+      title: entity.name,
+      body: `<p class="kind">${kind}</p>\n<h1>${xhtmlText(entity.name)}</h1>\n${describe(entity) || '<p><em>No description.</em></p>'}` +
+        (appears.length > 0 ? `\n<h2>Appears In</h2>\n<ul>\n${appears.map(ch => `<li>${link(chapterIds.get(ch.id), ch.title)}</li>`).join('\n')}\n</ul>` : '')
+    });
+  });
+  pages.forEach(page => {
+    const entity = entities.find(e => cardIds.get(e.id) === page.id);
+    const mentions = [...(mentionedIn.get(entity.id) || [])];
+    if (mentions.length > 0) {
+      page.body += `\n<h2>Mentioned By</h2>\n<ul>\n${mentions.map(e => `<li>${link(cardIds.get(e.id), e.name)}</li>`).join('\n')}\n</ul>`;
+    }
+  });
 
-  // Get current editing chapter
-  const editingChapter = editingChapterId 
-    ? currentProject.chapters.find(ch => ch.id === editingChapterId)
-    : null;
+  const unitLabel = project.bookType === 'collection' ? 'Story' : project.bookType === 'screenplay' ? 'Scene' : 'Chapter';
+  chapters.forEach((ch, i) => {
+    const text = chapterExcerpt(ch.content);
+    const cards = entities.filter(e => cardChapters(e).includes(ch));
+    pages.push({
+      id: chapterIds.get(ch.id),
+      title: ch.title,
+      body: `<p class="kind">${ch.isFrontMatter ? 'Front matter' : `${unitLabel} ${chapters.filter(c => !c.isFrontMatter).indexOf(ch) + 1}`} · ${countWords(ch.content).toLocaleString()} words</p>\n` +
+        `<h1>${xhtmlText(ch.title)}</h1>\n<div class="excerpt">\n${xhtmlBody(text)}\n</div>\n` +
+        `<h2>Cards in This Chapter</h2>\n${cardList(cards)}` +
+        `\n<p class="kind">${i > 0 ? link(chapterIds.get(chapters[i - 1].id), `← ${chapters[i - 1].title}`) : ''}` +
+        `${i > 0 && i < chapters.length - 1 ? ' · ' : ''}${i < chapters.length - 1 ? link(chapterIds.get(chapters[i + 1].id), `${chapters[i + 1].title} →`) : ''}</p>`
+    });
+  });
 
-  // Parse markdown to internal format
-  const parseMarkdown = (markdown) => {
-    const lines = markdown.split('\n');
-    const chapters = [];
-    let bookTitle = null;
-    let currentChapter = null;
-    let contentBuffer = [];
-    let frontMatterBuffer = [];
-    let foundFirstChapter = false;
+  usedTypes.forEach(({ type, label }) => {
+    pages.push({ id: `type-${type}`, title: label, body: `<h1>${xhtmlText(label)}</h1>\n${cardList(entities.filter(e => e.type === type))}` });
+  });
+  customFolders.forEach(folder => {
+    pages.push({ id: folderIds.get(folder), title: folder, body: `<p class="kind">Folder</p>\n<h1>${xhtmlText(folder)}</h1>\n${cardList(entities.filter(e => e.folder === folder))}` });
+  });
 
-    for (const line of lines) {
-      const h1Match = line.match(/^#\s+(.+)$/);
-      const h2Match = line.match(/^##\s+(.+)$/);
-      
-      if (h1Match && bookTitle === null) {
-        bookTitle = h1Match[1];
-        continue;
+  const details = describeMetadata(project.metadata);
+  const starred = entities.filter(e => e.starred);
+  const index = [
+    `<h1>${xhtmlText(title)}</h1>\n<p class="kind">Story Bible</p>`,
+    details.length > 0 ? `<ul>\n${details.map(({ label, value }) => `<li><strong>${xhtmlText(label)}:</strong> ${xhtmlText(value)}</li>`).join('\n')}\n</ul>` : '',
+    usedTypes.length > 0 ? `<h2>Cards</h2>\n<ul>\n${usedTypes.map(t => `<li>${link(`type-${t.type}`, t.label)} (${entities.filter(e => e.type === t.type).length})</li>`).join('\n')}\n</ul>` : '',
+    customFolders.length > 0 ? `<h2>Folders</h2>\n<ul>\n${customFolders.map(f => `<li>${link(folderIds.get(f), f)} (${entities.filter(e => e.folder === f).length})</li>`).join('\n')}\n</ul>` : '',
+    starred.length > 0 ? `<h2>Key Cards</h2>\n${cardList(starred)}` : '',
+    chapters.length > 0 ? `<h2>Chapters</h2>\n<ol>\n${chapters.map(ch => `<li>${link(chapterIds.get(ch.id), ch.title)}</li>`).join('\n')}\n</ol>` : ''
+  ].filter(Boolean).join('\n');
+  pages.unshift({ id: 'index', title: 'Story Bible', body: index });
+
+  const siteNav = `<nav class="site">${link('index', title)}${usedTypes.map(t => link(`type-${t.type}`, t.label)).join('')}</nav>`;
+  const htmlPage = (pageTitle, content, head) => `<!DOCTYPE html>
+<html lang="${xhtmlText(String(project.metadata?.language || 'en'))}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${xhtmlText(pageTitle)}</title>
+${head}
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+  if (singleFile) {
+    const sections = pages.map(page => `<section class="page" id="${page.id}">\n${page.body}\n</section>`).join('\n<hr class="page-break"/>\n');
+    const html = htmlPage(`${title} — Story Bible`, `${siteNav}\n${sections}`, `<style>\n${BIBLE_SITE_STYLESHEET}</style>`);
+    return new Blob([html], { type: 'text/html' });
+  }
+  const zip = new JSZip();
+  const folder = zip.folder(`${siteSlug(title) || 'story'}-bible`);
+  folder.file('style.css', BIBLE_SITE_STYLESHEET);
+  pages.forEach(page => {
+    const pageTitle = page.id === 'index' ? `${title} — Story Bible` : `${page.title} — ${title}`;
+    folder.file(`${page.id}.html`, htmlPage(pageTitle, `${siteNav}\n<main>\n${page.body}\n</main>`, '<link rel="stylesheet" href="style.css"/>'));
+  });
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
+
+// Obsidian vault export and import
+// A vault is a folder of Markdown notes: an index note for the project, one note per card in a
+// folder per type and one note per chapter under Chapters/. Front matter holds the ids and card
+// fields, and card names and chapter references become [[wikilinks]]. Importing an edited vault
+// updates the cards and chapters with matching ids and adds new notes as new cards and chapters.
+// Board positions, and cards or chapters whose notes were deleted, are left alone.
+const VAULT_CHAPTERS_FOLDER = 'Chapters';
+const VAULT_APPEARS_PATTERN = /^## Appears In[ \t]*$/m;
+
+// A note name that is safe in file names and [[links]]
+const vaultNoteName = (name) => String(name)
+  .replace(/[\\/:*?"<>|#^[\]]+/g, '-')
+  .replace(/^[\s.]+|[\s.]+$/g, '')
+  .slice(0, 100) || 'Untitled';
+
+// [[Note|text]] and [[Folder/Note]] back to plain text
+const stripWikilinks = (text) => text.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (_, target, alias) => alias || target.split('#')[0].split('/').pop());
+
+// Build the vault for a project as a .zip Blob
+const buildVault = async (project) => {
+  if (typeof JSZip === 'undefined') {
+    throw new Error('The zip writer could not be loaded. Check your connection and reload the page.');
+  }
+  const chapters = [...project.chapters].sort((a, b) => a.order - b.order);
+  const entities = project.entities || [];
+  const typeLabel = (type) => (BIBLE_SITE_TYPES.find(t => t.type === type) || { label: type }).label;
+
+  // Note paths (without .md) by card or chapter id, unique ignoring case
+  const paths = new Map();
+  const used = new Set();
+  const notePath = (folder, name) => {
+    const base = `${folder}/${vaultNoteName(name)}`;
+    let path = base;
+    for (let n = 2; used.has(path.toLowerCase()); n++) path = `${base} ${n}`;
+    used.add(path.toLowerCase());
+    return path;
+  };
+  chapters.forEach((ch, i) => paths.set(ch.id, notePath(VAULT_CHAPTERS_FOLDER, `${String(i + 1).padStart(2, '0')} ${ch.title}`)));
+  entities.forEach(e => paths.set(e.id, notePath(typeLabel(e.type), e.name)));
+  const wikilink = (id, text) => `[[${paths.get(id)}|${text.replace(/[\[\]|]/g, '')}]]`;
+
+  // Mentions of other cards and of chapter titles in descriptions become links
+  const names = nameMatcher([...entities, ...chapters.map(ch => ({ id: ch.id, name: ch.title }))]);
+  const linkMentions = (text, selfId) => !names ? text : text.split(names.pattern).map((part, i) => {
+    const target = i % 2 === 1 ? names.find(part) : null;
+    return target && target.id !== selfId ? wikilink(target.id, part) : part;
+  }).join('');
+
+  const root = vaultNoteName(project.title || 'Untitled');
+  const zip = new JSZip();
+  const vault = zip.folder(root);
+  entities.forEach(entity => {
+    const chapterRefs = (entity.chapterRefs || []).filter(id => paths.has(id));
+    const frontMatter = formatFrontMatter({
+      id: entity.id,
+      type: entity.type,
+      ...(vaultNoteName(entity.name) !== entity.name ? { name: entity.name } : {}),
+      starred: !!entity.starred,
+      folder: entity.folder || null,
+      chapterRefs,
+      ...(entity.storyRefs?.length > 0 ? { storyRefs: entity.storyRefs } : {})
+    });
+    const appears = chapterRefs.length > 0
+      ? `\n\n## Appears In\n\n${chapterRefs.map(id => `- ${wikilink(id, project.chapters.find(ch => ch.id === id).title)}`).join('\n')}`
+      : '';
+    vault.file(`${paths.get(entity.id)}.md`, `${frontMatter}${linkMentions(entity.description || '', entity.id)}${appears}\n`);
+  });
+  chapters.forEach((ch, i) => {
+    const frontMatter = formatFrontMatter({
+      id: ch.id,
+      type: 'chapter',
+      title: ch.title,
+      order: ch.order ?? i + 1,
+      ...(ch.isFrontMatter ? { frontMatter: true } : {})
+    });
+    vault.file(`${paths.get(ch.id)}.md`, `${frontMatter}${ch.content || ''}\n`);
+  });
+
+  // The index note links everything and records which project the vault came from
+  const sections = BIBLE_SITE_TYPES
+    .filter(t => entities.some(e => e.type === t.type))
+    .map(t => `## ${t.label}\n\n${entities.filter(e => e.type === t.type).map(e => `- ${wikilink(e.id, e.name)}`).join('\n')}`);
+  if (chapters.length > 0) {
+    sections.push(`## ${VAULT_CHAPTERS_FOLDER}\n\n${chapters.map((ch, i) => `${i + 1}. ${wikilink(ch.id, ch.title)}`).join('\n')}`);
+  }
+  vault.file(`${root}.md`, `${formatFrontMatter({ bookboardProject: project.id, title: project.title })}# ${project.title}\n\n${sections.join('\n\n')}\n`);
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
+
+// The Markdown notes among dropped files, or inside a .zip, as [{ path, text }] with paths
+// relative to the vault folder. Obsidian settings, __MACOSX and dotfiles are skipped.
+const readVaultNotes = async (files) => {
+  const notes = [];
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      if (typeof JSZip === 'undefined') {
+        throw new Error('The zip reader could not be loaded. Check your connection and reload the page.');
       }
-      
-      if (h2Match) {
-        // Save any front matter before first chapter
-        if (!foundFirstChapter && frontMatterBuffer.length > 0) {
-          const frontMatterContent = frontMatterBuffer.join('\n').trim();
-          if (frontMatterContent) {
-            chapters.push({
-              id: generateId('ch'),
-              title: 'Front Matter',
-              content: frontMatterContent,
-              order: 0,
-              isFrontMatter: true
-            });
-          }
-        }
-        foundFirstChapter = true;
-        
-        if (currentChapter) {
-          currentChapter.content = contentBuffer.join('\n').trim();
-          chapters.push(currentChapter);
-        }
-        currentChapter = {
-          id: generateId('ch'),
-          title: h2Match[1],
-          content: '',
-          order: chapters.length + 1
-        };
-        contentBuffer = [];
-      } else if (currentChapter) {
-        contentBuffer.push(line);
-      } else if (bookTitle !== null) {
-        // Content after title but before first chapter = front matter
-        frontMatterBuffer.push(line);
+      let zip;
+      try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+      } catch (error) {
+        throw new Error(`${file.name} is not a valid .zip file`);
+      }
+      const entries = Object.values(zip.files)
+        .filter(entry => !entry.dir && /\.md$/i.test(entry.name) && !/(^|\/)(__MACOSX|\.)/.test(entry.name));
+      const zipNotes = [];
+      for (const entry of entries) {
+        zipNotes.push({ path: entry.name, text: await entry.async('string') });
       }
+      // Drop the vault's own folder when every note is inside it
+      const top = zipNotes[0]?.path.split('/')[0];
+      const nested = zipNotes.length > 0 && zipNotes.every(note => note.path.startsWith(`${top}/`));
+      notes.push(...zipNotes.map(note => ({ ...note, path: nested ? note.path.slice(top.length + 1) : note.path })));
+    } else if (/\.md$/i.test(file.name)) {
+      notes.push({ path: file.webkitRelativePath || file.name, text: await file.text() });
     }
+  }
+  return notes;
+};
 
-    if (currentChapter) {
-      currentChapter.content = contentBuffer.join('\n').trim();
-      chapters.push(currentChapter);
+// Vault notes as { projectId, title, cards, chapters }, or null when they are not a
+// Bookboard vault. Notes without front matter count as cards in a type folder
+// ("Characters/New Villain.md") or chapters in Chapters/.
+const parseVault = (notes) => {
+  let projectId = null;
+  let title = null;
+  const cards = [];
+  const chapters = [];
+  notes.forEach(({ path, text }) => {
+    const { metadata, body } = parseFrontMatter(text.replace(/\r\n?/g, '\n'));
+    const fields = metadata || {};
+    const parts = path.split('/');
+    const fileName = parts.pop().replace(/\.md$/i, '');
+    const folder = (parts.pop() || '').toLowerCase();
+    const id = fields.id != null ? String(fields.id) : null;
+    if (fields.bookboardProject) {
+      projectId = String(fields.bookboardProject);
+      title = fields.title != null ? String(fields.title) : fileName;
+      return;
     }
-
-    if (chapters.length === 0) {
-      return parseMarkdownFallback(markdown);
+    if (fields.type === 'chapter' || (!fields.type && folder === VAULT_CHAPTERS_FOLDER.toLowerCase())) {
+      chapters.push({
+        id,
+        title: fields.title != null ? String(fields.title) : fileName.replace(/^\d+\s+/, ''),
+        content: body.trim(),
+        order: typeof fields.order === 'number' ? fields.order : null,
+        isFrontMatter: fields.frontMatter === true
+      });
+      return;
     }
-
-    // Re-number chapters to ensure front matter is 0 and others start at 1
-    chapters.forEach((ch, i) => {
-      if (ch.isFrontMatter) {
-        ch.order = 0;
-      } else {
-        ch.order = i + (chapters[0]?.isFrontMatter ? 0 : 1);
-      }
+    const type = ENTITY_TYPES.includes(fields.type) ? fields.type : BIBLE_SITE_TYPES.find(t => t.label.toLowerCase() === folder)?.type;
+    if (!type) return;
+    cards.push({
+      id,
+      type,
+      name: fields.name != null ? String(fields.name) : fileName,
+      description: stripWikilinks(body.split(VAULT_APPEARS_PATTERN)[0]).trim(),
+      starred: fields.starred === true,
+      folder: fields.folder != null && String(fields.folder).trim() ? String(fields.folder).trim() : null,
+      chapterRefs: [].concat(fields.chapterRefs || []).map(String),
+      ...(fields.storyRefs ? { storyRefs: [].concat(fields.storyRefs).map(String) } : {})
     });
+  });
+  const isVault = projectId !== null || cards.some(card => card.id) || chapters.some(ch => ch.id);
+  return isVault ? { projectId, title, cards, chapters } : null;
+};
 
-    return { bookTitle, chapters };
-  };
+// Apply a parsed vault to a project, matching cards and chapters by id. Returns the updated
+// project and { cardsUpdated, cardsAdded, chaptersUpdated, chaptersAdded }.
+const applyVault = (project, vault) => {
+  const counts = { cardsUpdated: 0, cardsAdded: 0, chaptersUpdated: 0, chaptersAdded: 0 };
+  const chapterIds = new Map(); // vault chapter id -> project chapter id
+
+  const chapters = project.chapters.map(ch => {
+    const note = vault.chapters.find(n => n.id === ch.id);
+    if (!note) return ch;
+    chapterIds.set(note.id, ch.id);
+    if (note.title === ch.title && note.content === (ch.content || '').trim()) return ch;
+    counts.chaptersUpdated++;
+    return { ...ch, title: note.title, content: note.content };
+  });
+  const lastOrder = chapters.reduce((max, ch) => Math.max(max, ch.order || 0), 0);
+  vault.chapters
+    .filter(note => !project.chapters.some(ch => ch.id === note.id))
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+    .forEach((note, i) => {
+      const id = generateId('ch');
+      if (note.id) chapterIds.set(note.id, id);
+      chapters.push({ id, title: note.title, content: note.content, order: lastOrder + i + 1, ...(note.isFrontMatter ? { isFrontMatter: true } : {}) });
+      counts.chaptersAdded++;
+    });
+  const chapterRefs = (refs) => [...new Set(refs.map(id => chapterIds.get(id) || id).filter(id => chapters.some(ch => ch.id === id)))];
+
+  // Empty values compare equal, so a card without a description or folder is unchanged
+  const fields = ['type', 'name', 'description', 'starred', 'folder', 'chapterRefs', 'storyRefs'];
+  const comparable = (value) => typeof value === 'string' ? value.trim() || null
+    : Array.isArray(value) ? (value.length > 0 ? JSON.stringify(value) : null)
+    : value || null;
+  const entities = project.entities.map(entity => {
+    const note = vault.cards.find(card => card.id === entity.id);
+    if (!note) return entity;
+    const updated = { ...entity, ...note, id: entity.id, chapterRefs: chapterRefs(note.chapterRefs) };
+    if (!note.storyRefs) delete updated.storyRefs;
+    if (fields.every(field => comparable(updated[field]) === comparable(entity[field]))) return entity;
+    counts.cardsUpdated++;
+    return updated;
+  });
+  // New notes go in rows under the existing cards
+  const top = entities.reduce((max, e) => Math.max(max, (e.position?.y ?? 0) + 200), 80);
+  vault.cards
+    .filter(card => !project.entities.some(e => e.id === card.id))
+    .forEach((card, i) => {
+      entities.push({
+        ...card,
+        id: generateId('ent'),
+        chapterRefs: chapterRefs(card.chapterRefs),
+        position: { x: 100 + (i % 4) * 240, y: top + Math.floor(i / 4) * 200 }
+      });
+      counts.cardsAdded++;
+    });
 
-  const parseMarkdownFallback = (markdown) => {
-    const lines = markdown.split('\n');
-    const chapters = [];
-    let currentChapter = null;
-    let contentBuffer = [];
+  const customFolders = [...(project.customFolders || [])];
+  entities.forEach(e => {
+    if (e.folder && !customFolders.includes(e.folder)) customFolders.push(e.folder);
+  });
+  return { project: { ...project, chapters, entities, customFolders }, counts };
+};
 
-    for (const line of lines) {
-      const headerMatch = line.match(/^#{1,2}\s+(.+)$/);
-      
-      if (headerMatch) {
-        if (currentChapter) {
-          currentChapter.content = contentBuffer.join('\n').trim();
-          chapters.push(currentChapter);
-        }
-        currentChapter = {
-          id: generateId('ch'),
-          title: headerMatch[1],
-          content: '',
-          order: chapters.length + 1
-        };
-        contentBuffer = [];
-      } else if (currentChapter) {
-        contentBuffer.push(line);
+// Card spreadsheets (CSV and TSV)
+// Cards as one row each, for bulk editing in a spreadsheet. The chapters column lists chapter
+// titles separated by semicolons, or chapter numbers (counting from the first chapter after the
+// front matter) where a title is shared or contains a semicolon; either is read back. Importing
+// matches rows to cards by id, then by name, and previews what changes before anything is applied.
+const CARD_TABLE_COLUMNS = ['id', 'type', 'name', 'description', 'chapters', 'folder', 'starred'];
+const CARD_TABLE_HEADERS = {
+  id: ['id'],
+  type: ['type', 'kind'],
+  name: ['name', 'title'],
+  description: ['description', 'notes', 'desc'],
+  chapters: ['chapters', 'chapter', 'chapterrefs', 'chapter refs', 'appears in', 'stories'],
+  folder: ['folder'],
+  starred: ['starred', 'star', 'key']
+};
+const TRUE_CELLS = ['yes', 'y', 'true', '1', 'x', '★', '*'];
+const FALSE_CELLS = ['', 'no', 'n', 'false', '0'];
+// Spreadsheets run cells starting with these as formulas, so they are written after a ' (as is a
+// cell that already starts with ' and one of them, so the ' survives the trip back)
+const FORMULA_CELL_PATTERN = /^'?[=+\-@\t\r]/;
+
+const unescapeFormulaCell = (text) => text.startsWith("'") && FORMULA_CELL_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+
+// Rows of cells as CSV or TSV text. Cells with the delimiter, quotes or line breaks are quoted,
+// and cells a spreadsheet would run as a formula start with a '.
+const formatDelimited = (rows, delimiter) => rows
+  .map(row => row.map(cell => {
+    const value = cell == null ? '' : String(cell);
+    const text = FORMULA_CELL_PATTERN.test(value) ? `'${value}` : value;
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter))
+  .join('\r\n');
+
+// CSV or TSV text as rows of cells, with quoted cells that may hold delimiters and line breaks.
+// Each row also records the line it starts on.
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
       }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(Object.assign(row, { line: rowLine }));
+      row = [];
+      cell = '';
+      rowLine = ++line;
+    } else {
+      cell += char;
     }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(Object.assign(row, { line: rowLine }));
+  }
+  return rows;
+};
 
-    if (currentChapter) {
-      currentChapter.content = contentBuffer.join('\n').trim();
-      chapters.push(currentChapter);
-    }
+// Tab for .tsv files and text whose header has more tabs than commas; semicolons for
+// spreadsheets that save CSV with them; commas otherwise
+const detectDelimiter = (text, fileName = '') => {
+  const header = text.split('\n')[0];
+  const count = (char) => header.split(char).length - 1;
+  if (/\.tsv$/i.test(fileName) || count('\t') > count(',')) return '\t';
+  return count(';') > count(',') ? ';' : ',';
+};
 
-    return { bookTitle: null, chapters };
-  };
+// Chapters in numbering order: front matter first, then chapters numbered from 1
+const numberedChapters = (project) => {
+  const sorted = [...project.chapters].sort((a, b) => a.order - b.order);
+  return { sorted, numbered: sorted.filter(ch => !ch.isFrontMatter) };
+};
 
-  // Check for title conflict and handle import
-  const handleImport = (content, isJson) => {
-    try {
-      let importedTitle;
-      let importedData;
-
-      if (isJson) {
-        const data = JSON.parse(content);
-        if (!data.chapters) data.chapters = [];
-        if (!data.entities) data.entities = [];
-        importedTitle = data.title || 'Untitled Novel';
-        importedData = { type: 'json', data };
-      } else {
-        const { bookTitle, chapters } = parseMarkdown(content);
-        importedTitle = bookTitle || 'Untitled Novel';
-        importedData = { type: 'markdown', bookTitle, chapters };
-      }
+// A project's cards as CSV (delimiter ',') or TSV ('\t') text
+const exportCardTable = (project, delimiter) => {
+  const { sorted, numbered } = numberedChapters(project);
+  const titleCount = (title) => sorted.filter(ch => ch.title.toLowerCase() === title.toLowerCase()).length;
+  const chapterLabel = (ch) => ch.isFrontMatter || (titleCount(ch.title) === 1 && !ch.title.includes(';') && !/^\d+$/.test(ch.title.trim()))
+    ? ch.title
+    : String(numbered.indexOf(ch) + 1);
+  const rows = project.entities.map(entity => {
+    const chapters = [
+      ...(entity.chapterRefs || []).map(id => sorted.find(ch => ch.id === id)),
+      ...(entity.storyRefs || []).map(title => sorted.find(ch => ch.title === title))
+    ].filter((ch, i, list) => ch && list.indexOf(ch) === i);
+    return [
+      entity.id,
+      entity.type,
+      entity.name,
+      entity.description || '',
+      sorted.filter(ch => chapters.includes(ch)).map(chapterLabel).join('; '),
+      entity.folder || '',
+      entity.starred ? 'yes' : ''
+    ];
+  });
+  return formatDelimited([CARD_TABLE_COLUMNS, ...rows], delimiter);
+};
 
-      // Check for title conflict
-      const existingProject = projectIndex.find(p => p.title.toLowerCase() === importedTitle.toLowerCase());
-      
-      if (existingProject) {
-        setPendingImport({ ...importedData, title: importedTitle, existingProject });
-        setShowImportModal(false);
-        setShowImportConflictModal(true);
-      } else {
-        completeImport(importedData, importedTitle);
+// Compare a spreadsheet with a project's cards. Returns { rows, error }: error when the file
+// cannot be used at all, otherwise rows of { line, status ('changed', 'added', 'unchanged' or
+// 'error'), name, changes (field names), errors, card (the card after the row is applied) }.
+const previewCardTable = (project, text, fileName = '') => {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content, fileName);
+  const [header, ...body] = parseDelimited(content, delimiter);
+  const columns = {};
+  (header || []).forEach((cell, i) => {
+    const name = cell.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    const field = Object.keys(CARD_TABLE_HEADERS).find(key => CARD_TABLE_HEADERS[key].includes(name));
+    if (field && columns[field] === undefined) columns[field] = i;
+  });
+  if (columns.id === undefined && columns.name === undefined) {
+    return { rows: [], error: 'The first row must name the columns, including "id" or "name".' };
+  }
+
+  const { sorted, numbered } = numberedChapters(project);
+  const isCollection = project.bookType === 'collection';
+  const claimed = new Map(); // card id -> line of the row that updates it
+  const adding = new Map(); // type and lower-case name -> line of the row that adds that card
+  const rows = body
+    .filter(cells => cells.some(cell => cell.trim()))
+    .map(cells => {
+      const cell = (field) => columns[field] === undefined ? undefined : unescapeFormulaCell((cells[columns[field]] || '').trim());
+      const errors = [];
+      const id = cell('id');
+      const name = cell('name');
+      const typeCell = cell('type');
+      const type = typeCell ? BIBLE_SITE_TYPES.find(t => [t.type, t.label.toLowerCase(), t.singular.toLowerCase()].includes(typeCell.toLowerCase()))?.type : undefined;
+      if (typeCell && !type) errors.push(`Unknown type "${typeCell}"`);
+
+      // By id, then by name (and type, when given)
+      let existing = id ? project.entities.find(e => e.id === id) : null;
+      if (!existing && name) {
+        const sameName = project.entities.filter(e => e.name.trim().toLowerCase() === name.toLowerCase() && (!type || e.type === type));
+        if (sameName.length > 1) errors.push(`${sameName.length} cards are called "${name}"; add the id to choose one`);
+        else existing = sameName[0] || null;
+      }
+      if (existing && claimed.has(existing.id)) errors.push(`Row on line ${claimed.get(existing.id)} already updates "${existing.name}"`);
+      if (!existing && !name) errors.push(id ? `No card has the id "${id}"; give a name to add it` : 'The name is empty');
+      if (!existing && name && !type && !errors.length) errors.push('New cards need a type');
+      const newKey = `${type}:${(name || '').toLowerCase()}`;
+      if (!existing && name && type && adding.has(newKey)) errors.push(`Row on line ${adding.get(newKey)} already adds "${name}"`);
+      if (existing && name === '') errors.push('The name is empty');
+
+      const card = existing ? { ...existing } : { type, name, description: '', chapterRefs: [], folder: null, starred: false };
+      if (type) card.type = type;
+      if (name) card.name = name;
+      if (cell('description') !== undefined) card.description = unescapeFormulaCell(cells[columns.description] || '');
+      if (cell('folder') !== undefined) card.folder = cell('folder') || null;
+      if (cell('starred') !== undefined) {
+        const value = cell('starred').toLowerCase();
+        if (TRUE_CELLS.includes(value)) card.starred = true;
+        else if (FALSE_CELLS.includes(value)) card.starred = false;
+        else errors.push(`Starred should be yes or no, not "${cell('starred')}"`);
       }
+      if (cell('chapters') !== undefined) {
+        const chapters = cell('chapters').split(';').map(token => token.trim()).filter(Boolean).map(token => {
+          const chapter = sorted.find(ch => ch.title.trim().toLowerCase() === token.toLowerCase()) ||
+            (/^\d+$/.test(token) ? numbered[Number(token) - 1] : null);
+          if (!chapter) errors.push(`No chapter "${token}"`);
+          return chapter;
+        }).filter(Boolean);
+        card.chapterRefs = sorted.filter(ch => chapters.includes(ch)).map(ch => ch.id);
+        if (isCollection) card.storyRefs = sorted.filter(ch => chapters.includes(ch)).map(ch => ch.title);
+      }
+
+      const fields = ['type', 'name', 'description', 'folder', 'starred', 'chapterRefs'];
+      const comparable = (value) => Array.isArray(value) ? [...value].sort().join('\n') : value || '';
+      const changes = existing ? fields.filter(field => comparable(card[field]) !== comparable(existing[field])) : [];
+      if (existing && errors.length === 0) claimed.set(existing.id, cells.line);
+      if (!existing && errors.length === 0) adding.set(newKey, cells.line);
+      const status = errors.length > 0 ? 'error' : !existing ? 'added' : changes.length > 0 ? 'changed' : 'unchanged';
+      return { line: cells.line, status, name: name || existing?.name || id || '', changes, errors, card };
+    });
+  return { rows, error: null };
+};
+
+// Apply the changed and added rows of a preview. New cards go in rows under the existing ones.
+const applyCardTable = (project, rows) => {
+  const updates = new Map(rows.filter(row => row.status === 'changed').map(row => [row.card.id, row.card]));
+  const entities = project.entities.map(entity => updates.get(entity.id) || entity);
+  const top = entities.reduce((max, e) => Math.max(max, (e.position?.y ?? 0) + 200), 80);
+  rows.filter(row => row.status === 'added').forEach((row, i) => {
+    entities.push({
+      ...row.card,
+      id: generateId('ent'),
+      position: { x: 100 + (i % 4) * 240, y: top + Math.floor(i / 4) * 200 }
+    });
+  });
+  const customFolders = [...(project.customFolders || [])];
+  entities.forEach(e => {
+    if (e.folder && !customFolders.includes(e.folder)) customFolders.push(e.folder);
+  });
+  return { ...project, entities, customFolders };
+};
+
+// Plain text chapter detection
+// Text manuscripts rarely use Markdown headings. Any line on its own that matches one of the
+// enabled rules starts a chapter, and text before the first chapter becomes front matter.
+const TEXT_CHAPTER_RULES = [
+  { id: 'markdown', label: 'Markdown headings (# and ##)', pattern: /^#{1,2}\s+\S/ },
+  { id: 'chapterWords', label: '"Chapter 12", "CHAPTER ONE", "Prologue", "Epilogue"', pattern: CHAPTER_PARAGRAPH_PATTERN },
+  { id: 'roman', label: 'Roman numerals on their own line (IV, XII.)', pattern: /^[IVXLCDM]{1,8}\.?$/ },
+  { id: 'numbers', label: 'Numbers on their own line (12, 12.)', pattern: /^\d{1,3}\.?$/ },
+  { id: 'separators', label: 'Separator lines (***, # or ~) — chapters are numbered', pattern: SCENE_BREAK_PATTERN, untitled: true }
+];
+// Headings that are only a number, e.g. "CHAPTER ONE" or "XII", may have a subtitle on the next line
+const BARE_CHAPTER_PATTERN = /^((chapter|ch\.)\s+\S+|\d+|[IVXLCDM]+)\.?$/i;
+
+// Enabled rules plus custom patterns (one regular expression per line) as line matchers
+const compileTextRules = (options) => {
+  const errors = [];
+  const matchers = TEXT_CHAPTER_RULES
+    .filter(rule => options.rules.includes(rule.id))
+    .map(rule => ({ test: line => rule.pattern.test(line), untitled: !!rule.untitled }));
+  options.customPatterns.split('\n').map(p => p.trim()).filter(Boolean).forEach(source => {
+    try {
+      const pattern = new RegExp(source, 'i');
+      matchers.push({ test: line => pattern.test(line), untitled: false });
     } catch (error) {
-      alert(`Import failed: ${error.message}`);
+      errors.push(`${source}: ${error.message}`);
+    }
+  });
+  return { matchers, errors };
+};
+
+// Rules that find at least two chapters in the text, for the wizard's starting point
+const suggestTextRules = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && line.length <= 100);
+  const matches = rule => lines.filter(line => rule.pattern.test(line)).length;
+  const found = TEXT_CHAPTER_RULES.filter(rule => !rule.untitled && matches(rule) >= 2).map(rule => rule.id);
+  if (found.length > 0) return found;
+  return matches(TEXT_CHAPTER_RULES.find(rule => rule.id === 'separators')) > 0 ? ['separators'] : ['chapterWords'];
+};
+
+// Split a text manuscript into chapters. options: { rules, customPatterns, subtitles, scenes }.
+// With scenes set, scene breaks inside a chapter become "### Scene N" sub-headings.
+// Returns { bookTitle, chapters, errors }; each chapter carries a sceneCount for the preview.
+const detectTextChapters = (text, options) => {
+  const { matchers, errors } = compileTextRules(options);
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let bookTitle = null;
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (bookTitle === null && sections.length === 0 && /^#\s+\S/.test(line) && !current.lines.some(l => l.trim())) {
+      bookTitle = line.replace(/^#\s+/, '');
+      continue;
     }
+    const matcher = line && line.length <= 100 ? matchers.find(m => m.test(line)) : null;
+    if (!matcher) {
+      current.lines.push(lines[i]);
+      continue;
+    }
+    sections.push(current);
+    let title = matcher.untitled ? null : line.replace(/^#{1,2}\s+/, '').replace(/\.$/, '');
+    if (title && options.subtitles && BARE_CHAPTER_PATTERN.test(title)) {
+      const next = lines.findIndex((l, j) => j > i && l.trim());
+      const candidate = next === -1 ? '' : lines[next].trim();
+      if (candidate && candidate.length <= 60 && !/[.!?,;:"'”’…]$/.test(candidate) && !matchers.some(m => m.test(candidate))) {
+        title = `${title}: ${candidate}`;
+        i = next;
+      }
+    }
+    current = { title, lines: [] };
+  }
+  sections.push(current);
+
+  const toChapter = (section, order) => {
+    const content = section.lines
+      .map(line => SCENE_BREAK_PATTERN.test(line) ? '* * *' : line.replace(/\s+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    const scenes = content.split(/\n*^\* \* \*$\n*/m).filter(scene => scene.trim());
+    return {
+      id: generateId('ch'),
+      title: section.title || `Chapter ${order}`,
+      content: options.scenes && scenes.length > 1
+        ? scenes.map((scene, i) => `### Scene ${i + 1}\n\n${scene}`).join('\n\n')
+        : content,
+      order,
+      sceneCount: scenes.length
+    };
   };
 
-  // Complete the import (after conflict resolution if needed)
-  const completeImport = (importedData, title, overwriteId = null) => {
-    let project;
+  const [front, ...rest] = sections;
+  const chapters = (rest.length > 0 ? rest : [front]).map((section, i) => toChapter(section, i + 1));
+  if (rest.length > 0 && front.lines.some(line => line.trim())) {
+    chapters.unshift({ ...toChapter(front, 0), title: 'Front Matter', isFrontMatter: true });
+  }
+  return { bookTitle, chapters, errors };
+};
 
-    if (overwriteId) {
-      project = loadProject(overwriteId);
-      if (importedData.type === 'json') {
-        project = {
-          ...importedData.data,
-          id: overwriteId,
-          title: title,
-          createdAt: project.createdAt,
-          chapters: importedData.data.chapters.map((ch, i) => ({
-            ...ch,
-            id: ch.id || generateId('ch'),
-            order: ch.order || i + 1
-          })),
-          entities: importedData.data.entities.map((ent, i) => ({
-            ...ent,
-            id: ent.id || generateId('ent'),
-            position: ent.position || { x: 100 + (i % 4) * 240, y: 80 + Math.floor(i / 4) * 200 }
-          }))
-        };
-      } else {
-        project = {
-          ...project,
-          title: title,
-          chapters: importedData.chapters,
-          entities: []
-        };
+// Draft re-import
+// Importing a revised manuscript over a project keeps chapter ids, and with them the cards'
+// chapter references, by matching each new chapter to an old one on title and text overlap.
+const DRAFT_MATCH_THRESHOLD = 0.3;
+const DRAFT_PART_THRESHOLD = 0.6; // Share of a chapter's text found in another to call it a split or merge
+
+// Overlapping three-word sequences, so reworded sentences still share most of them
+const textShingles = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  const shingles = new Set();
+  for (let i = 0; i + 2 < words.length; i++) shingles.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  if (shingles.size === 0 && words.length > 0) shingles.add(words.join(' '));
+  return shingles;
+};
+
+// Shared title words, ignoring "Chapter" and numbers, which shift when chapters are added
+const titleSimilarity = (a, b) => {
+  if (a.trim().toLowerCase() === b.trim().toLowerCase()) return 1;
+  const words = title => new Set((title.toLowerCase().match(/\p{L}+/gu) || []).filter(w => !['chapter', 'part', 'the', 'a', 'an', 'of'].includes(w)));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+// Compare every old chapter with every new one: similarity[old][new] = { score, oldShare, newShare },
+// where the shares are how much of each chapter's text turns up in the other
+const compareDraftChapters = (oldChapters, newChapters) => {
+  const oldSets = oldChapters.map(ch => textShingles(ch.content));
+  const newSets = newChapters.map(ch => textShingles(ch.content));
+  return oldChapters.map((oldChapter, i) => newChapters.map((newChapter, j) => {
+    if (!!oldChapter.isFrontMatter !== !!newChapter.isFrontMatter) return { score: 0, oldShare: 0, newShare: 0 };
+    if (oldChapter.isFrontMatter) return { score: 1, oldShare: 0, newShare: 0 }; // There is only one front matter
+    const [small, large] = oldSets[i].size < newSets[j].size ? [oldSets[i], newSets[j]] : [newSets[j], oldSets[i]];
+    let shared = 0;
+    small.forEach(shingle => { if (large.has(shingle)) shared++; });
+    const union = oldSets[i].size + newSets[j].size - shared;
+    const title = titleSimilarity(oldChapter.title, newChapter.title);
+    return {
+      score: union > 0 ? 0.25 * title + 0.75 * (shared / union) : title,
+      oldShare: oldSets[i].size > 0 ? shared / oldSets[i].size : 0,
+      newShare: newSets[j].size > 0 ? shared / newSets[j].size : 0
+    };
+  }));
+};
+
+// Best one-to-one matching, as the old chapter id for each new chapter (null for none)
+const matchDraftChapters = (oldChapters, newChapters, similarity) => {
+  const pairs = [];
+  similarity.forEach((row, i) => row.forEach(({ score }, j) => {
+    if (score >= DRAFT_MATCH_THRESHOLD) pairs.push({ i, j, score });
+  }));
+  // Ties go to the pair closest in position
+  pairs.sort((a, b) => b.score - a.score || Math.abs(a.i - a.j) - Math.abs(b.i - b.j));
+  const assignment = newChapters.map(() => null);
+  const used = new Set();
+  pairs.forEach(({ i, j }) => {
+    if (assignment[j] !== null || used.has(i)) return;
+    assignment[j] = oldChapters[i].id;
+    used.add(i);
+  });
+  return assignment;
+};
+
+// What a matching means. Each new chapter is 'matched', 'split' (most of its text comes from an
+// old chapter matched elsewhere; splitFrom is that chapter's id) or 'added'. Old chapters left
+// over were merged into a new chapter (mergedInto is its index) or removed.
+const describeDraftMatching = (oldChapters, newChapters, similarity, assignment) => {
+  const rows = newChapters.map((chapter, j) => {
+    if (assignment[j]) return { chapter, oldId: assignment[j], status: 'matched' };
+    let source = -1;
+    similarity.forEach((row, i) => {
+      if (row[j].newShare >= DRAFT_PART_THRESHOLD && (source === -1 || row[j].newShare > similarity[source][j].newShare)) source = i;
+    });
+    return source === -1
+      ? { chapter, oldId: null, status: 'added' }
+      : { chapter, oldId: null, status: 'split', splitFrom: oldChapters[source].id };
+  });
+  const used = new Set(assignment.filter(Boolean));
+  const removed = oldChapters.map((chapter, i) => ({ chapter, i })).filter(({ chapter }) => !used.has(chapter.id)).map(({ chapter, i }) => {
+    let target = -1;
+    similarity[i].forEach((s, j) => {
+      if (s.oldShare >= DRAFT_PART_THRESHOLD && (target === -1 || s.oldShare > similarity[i][target].oldShare)) target = j;
+    });
+    return { chapter, mergedInto: target === -1 ? null : target };
+  });
+  return { rows, removed };
+};
+
+// Where references to each old chapter go: old chapter id -> indexes of new chapters
+const draftReferenceTargets = ({ rows, removed }) => {
+  const targets = new Map();
+  const add = (oldId, j) => targets.set(oldId, [...(targets.get(oldId) || []), j]);
+  rows.forEach((row, j) => {
+    if (row.oldId) add(row.oldId, j);
+    if (row.splitFrom) add(row.splitFrom, j);
+  });
+  removed.forEach(({ chapter, mergedInto }) => {
+    if (mergedInto !== null) add(chapter.id, mergedInto);
+  });
+  return targets;
+};
+
+// Apply a reviewed matching. Matched chapters keep their ids (and any other fields); card
+// references follow chapters that were split or merged and are dropped for removed chapters.
+const applyDraftReimport = (project, matching) => {
+  const oldById = new Map(project.chapters.map(ch => [ch.id, ch]));
+  const chapters = matching.rows.map((row, j) => {
+    const { isFrontMatter, ...kept } = oldById.get(row.oldId) || {};
+    return { ...kept, ...row.chapter, id: row.oldId || generateId('ch') };
+  });
+  const targets = draftReferenceTargets(matching);
+  const titles = new Map(matching.rows
+    .map((row, j) => row.oldId ? [oldById.get(row.oldId).title, chapters[j].title] : null)
+    .filter(Boolean));
+  const entities = project.entities.map(entity => ({
+    ...entity,
+    ...(entity.chapterRefs ? {
+      chapterRefs: [...new Set(entity.chapterRefs.flatMap(id => (targets.get(id) || []).map(j => chapters[j].id)))]
+    } : {}),
+    // Collections refer to stories by title
+    ...(entity.storyRefs ? { storyRefs: entity.storyRefs.map(title => titles.get(title) || title) } : {})
+  }));
+  return { ...project, chapters, entities };
+};
+
+// Multi-file import
+// Writers who keep one file per chapter can drop them all at once, or a .zip of them.
+// Each file becomes a chapter titled by its opening heading.
+const CHAPTER_FILE_PATTERN = /\.(md|markdown|txt|docx)$/i;
+
+// Natural order, so "Chapter 2" comes before "Chapter 10"
+const compareFileNames = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+// The first number in a file name ("03 - The Storm.md", "ch12.docx"), or null
+const fileNumber = (name) => {
+  const match = name.split('/').pop().match(/\d+/);
+  return match ? Number(match[0]) : null;
+};
+
+// Order chapter files by name ('name') or by the number in their name ('number'; files without one go last)
+const sortChapterFiles = (files, mode) => [...files].sort((a, b) => {
+  if (mode === 'number') {
+    const numberA = fileNumber(a.name);
+    const numberB = fileNumber(b.name);
+    if (numberA !== numberB) return numberA === null ? 1 : numberB === null ? -1 : numberA - numberB;
+  }
+  return compareFileNames(a.name, b.name);
+});
+
+// One file's text as a chapter. A heading (or a "Chapter 12" line) before any other text is the
+// title, skipping a "# Book" line above a "## Chapter" one; otherwise a front matter title or the
+// file name is. Other front matter is returned as metadata for the project.
+const chapterFromMarkdown = (markdown, fileName) => {
+  const { metadata: frontMatter, body } = parseFrontMatter(markdown);
+  const { title, ...metadata } = frontMatter || {};
+  const lines = body.replace(/\r\n?/g, '\n').split('\n');
+  const nextLine = (from) => lines.findIndex((line, i) => i >= from && line.trim());
+  let first = nextLine(0);
+  if (first !== -1 && /^#\s/.test(lines[first]) && /^##\s/.test(lines[nextLine(first + 1)] || '')) {
+    first = nextLine(first + 1);
+  }
+  const line = first === -1 ? '' : lines[first].trim();
+  const heading = line.match(/^#{1,3}\s+(.+)$/)?.[1] || (CHAPTER_PARAGRAPH_PATTERN.test(line) ? line : null);
+  const baseName = fileName.split('/').pop().replace(/\.\w+$/, '');
+  return {
+    title: heading ? heading.trim() : title ? String(title) : baseName.replace(/^[\d\s._-]+(?=\D)/, '').trim() || baseName,
+    // Any further chapter-level headings become sub-headings so they stay in this chapter
+    content: (heading ? lines.slice(first + 1) : lines).join('\n').replace(/^#{1,2}(\s)/gm, '###$1').trim(),
+    metadata
+  };
+};
+
+// Read dropped files, and the chapter files inside any .zip, as [{ name, title, content, metadata }]
+const readChapterFiles = async (files) => {
+  const chapters = [];
+  const readFile = async (name, readText, readBuffer) => {
+    try {
+      const markdown = /\.docx$/i.test(name)
+        ? (await readDocx(await readBuffer(), name.split('/').pop())).markdown
+        : await readText();
+      chapters.push({ name, ...chapterFromMarkdown(markdown, name) });
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  };
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      if (typeof JSZip === 'undefined') {
+        throw new Error('The zip reader could not be loaded. Check your connection and reload the page.');
       }
-    } else {
-      project = createEmptyProject();
-      project.title = title;
+      let zip;
+      try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+      } catch (error) {
+        throw new Error(`${file.name} is not a valid .zip file`);
+      }
+      const entries = Object.values(zip.files)
+        .filter(entry => !entry.dir && CHAPTER_FILE_PATTERN.test(entry.name) && !/(^|\/)(__MACOSX|\.)/.test(entry.name));
+      for (const entry of entries) {
+        await readFile(entry.name, () => entry.async('string'), () => entry.async('arraybuffer'));
+      }
+    } else if (CHAPTER_FILE_PATTERN.test(file.name)) {
+      await readFile(file.name, () => file.text(), () => file.arrayBuffer());
+    }
+  }
+  return chapters;
+};
 
-      if (importedData.type === 'json') {
-        project.chapters = importedData.data.chapters.map((ch, i) => ({
-          ...ch,
-          id: ch.id || generateId('ch'),
-          order: ch.order || i + 1
-        }));
-        project.entities = importedData.data.entities.map((ent, i) => ({
-          ...ent,
-          id: ent.id || generateId('ent'),
-          position: ent.position || { x: 100 + (i % 4) * 240, y: 80 + Math.floor(i / 4) * 200 }
-        }));
+// Fountain screenplays
+// Screenplay projects (bookType 'screenplay') keep one scene per chapter, titled by its scene
+// heading, with the act (# section) and sequence (## section) it belongs to. Scene text stays
+// in Fountain, so it exports back unchanged.
+const FOUNTAIN_SCENE_HEADING = /^(\.(?!\.)|(int|ext|est|int\.?\/ext|i\/e)[.\s])/i;
+const FOUNTAIN_TITLE_KEY = /^(title|credit|author|authors|source|draft date|date|contact|copyright|notes|revision)\s*:/i;
+
+// A character cue without extensions such as (V.O.) or (CONT'D) and the dual dialogue caret
+const fountainCueName = (line) => line.replace(/^@/, '').replace(/\s*\^$/, '').replace(/\(.*?\)/g, ' ').replace(/\s+/g, ' ').trim();
+
+// The element type of each line: 'scene', 'section', 'synopsis', 'pagebreak', 'note', 'centered',
+// 'transition', 'lyric', 'character', 'parenthetical', 'dialogue', 'action' or 'blank'
+const classifyFountainLines = (text) => {
+  const lines = text.split('\n');
+  let inDialogue = false;
+  return lines.map((raw, i) => {
+    const line = raw.trim();
+    const afterBlank = i === 0 || !lines[i - 1].trim();
+    const beforeText = !!lines[i + 1]?.trim();
+    if (!line) {
+      inDialogue = false;
+      return 'blank';
+    }
+    if (inDialogue) return /^\(.*\)$/.test(line) ? 'parenthetical' : 'dialogue';
+    if (line.startsWith('!')) return 'action';
+    if (line.startsWith('#')) return 'section';
+    if (/^===+$/.test(line)) return 'pagebreak';
+    if (line.startsWith('=')) return 'synopsis';
+    if (/^\[\[[\s\S]*\]\]$/.test(line)) return 'note';
+    if (/^>.*<$/.test(line)) return 'centered';
+    if (afterBlank && FOUNTAIN_SCENE_HEADING.test(line)) return 'scene';
+    if (line.startsWith('>') || (afterBlank && !beforeText && /^[^a-z]+TO:$/.test(line))) return 'transition';
+    if (line.startsWith('~')) return 'lyric';
+    const name = fountainCueName(line);
+    if (afterBlank && beforeText && (line.startsWith('@') || (/\p{Lu}/u.test(name) && name === name.toUpperCase() && !/TO:$/.test(name)))) {
+      inDialogue = true;
+      return 'character';
+    }
+    return 'action';
+  });
+};
+
+// Title page values without emphasis or line breaks
+const plainTitleValue = (value) => value?.replace(/[*_]/g, '').replace(/\s*\n\s*/g, ' ');
+
+// Parse a Fountain screenplay into { title, metadata, chapters }. The title page becomes
+// metadata (author, plus every key for export); text before the first scene is front matter.
+const parseFountain = (text, fileName) => {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const titlePage = [];
+  let start = 0;
+  if (FOUNTAIN_TITLE_KEY.test(lines[0] || '')) {
+    for (; start < lines.length && lines[start].trim(); start++) {
+      const match = lines[start].match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/);
+      const last = titlePage[titlePage.length - 1];
+      if (match) titlePage.push({ key: match[1].trim(), value: match[2].trim() });
+      else if (last) last.value = [last.value, lines[start].trim()].filter(Boolean).join('\n');
+    }
+  }
+  const titleValue = key => plainTitleValue(titlePage.find(entry => entry.key.toLowerCase() === key)?.value);
+
+  const body = lines.slice(start).join('\n');
+  const bodyLines = body.split('\n');
+  const chapters = [];
+  const frontMatter = [];
+  let current = null;
+  let act = null;
+  let sequence = null;
+  classifyFountainLines(body).forEach((type, i) => {
+    const line = bodyLines[i].trim();
+    if (type === 'section') {
+      const depth = line.match(/^#+/)[0].length;
+      const name = line.replace(/^#+\s*/, '');
+      if (depth === 1) {
+        act = name;
+        sequence = null;
       } else {
-        project.chapters = importedData.chapters;
-        project.entities = [];
+        sequence = name;
       }
+    } else if (type === 'scene') {
+      const sceneNumber = line.match(/#([^#]*)#$/)?.[1];
+      current = {
+        id: generateId('ch'),
+        title: line.replace(/^\./, '').replace(/\s*#[^#]*#$/, '').trim(),
+        lines: [],
+        act,
+        sequence,
+        ...(sceneNumber ? { sceneNumber } : {})
+      };
+      chapters.push(current);
+    } else {
+      (current ? current.lines : frontMatter).push(bodyLines[i]);
     }
+  });
 
-    setCurrentProject(project);
-    setView('editor');
-    setShowImportModal(false);
-    setShowImportConflictModal(false);
-    setPendingImport(null);
+  const finish = ({ lines: sceneLines, ...chapter }, i) => ({
+    ...chapter,
+    content: sceneLines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    order: i + 1
+  });
+  const scenes = chapters.map(finish);
+  const front = frontMatter.join('\n').trim();
+  if (front) scenes.unshift({ id: generateId('ch'), title: 'Front Matter', content: front, order: 0, isFrontMatter: true });
+
+  const author = titleValue('author') || titleValue('authors') || null;
+  return {
+    title: titleValue('title') || fileName.replace(/\.\w+$/, '') || 'Untitled Screenplay',
+    metadata: { ...(author ? { author } : {}), ...(titlePage.length > 0 ? { titlePage } : {}) },
+    chapters: scenes
   };
+};
 
-  // Handle conflict resolution
-  const handleConflictResolution = (action) => {
-    if (!pendingImport) return;
+// Characters from dialogue cues, without AI: [{ name, chapterIds, cues }], most lines first
+const detectFountainCharacters = (chapters) => {
+  const found = new Map();
+  chapters.forEach(chapter => {
+    const lines = (chapter.content || '').split('\n');
+    classifyFountainLines(chapter.content || '').forEach((type, i) => {
+      if (type !== 'character') return;
+      const cue = fountainCueName(lines[i].trim());
+      const entry = found.get(cue.toUpperCase()) || { name: cue, chapterIds: new Set(), cues: 0 };
+      entry.chapterIds.add(chapter.id);
+      entry.cues++;
+      found.set(cue.toUpperCase(), entry);
+    });
+  });
+  return [...found.values()].sort((a, b) => b.cues - a.cues);
+};
 
-    if (action === 'overwrite') {
-      completeImport(pendingImport, pendingImport.title, pendingImport.existingProject.id);
-    } else if (action === 'new') {
-      const baseTitle = pendingImport.title;
-      let version = 2;
-      while (projectIndex.find(p => p.title.toLowerCase() === `${baseTitle} v${version}`.toLowerCase())) {
-        version++;
-      }
-      completeImport(pendingImport, `${baseTitle} v${version}`);
-    } else {
-      setShowImportConflictModal(false);
-      setPendingImport(null);
+// "DR. MARY JANE" -> "Dr. Mary Jane"
+const titleCaseName = (name) => name.toLowerCase().replace(/(^|[\s'.-])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+
+// Add character cards for dialogue cues, or add scenes to existing character cards with the same name
+const mergeFountainCharacters = (entities, chapters) => {
+  const next = [...entities];
+  detectFountainCharacters(chapters).forEach(({ name, chapterIds, cues }) => {
+    const index = next.findIndex(e => e.type === 'character' && e.name.toUpperCase() === name.toUpperCase());
+    if (index !== -1) {
+      next[index] = { ...next[index], chapterRefs: [...new Set([...(next[index].chapterRefs || []), ...chapterIds])] };
+      return;
     }
-  };
+    const i = next.length;
+    next.push({
+      id: generateId('ent'),
+      type: 'character',
+      name: name === name.toUpperCase() ? titleCaseName(name) : name,
+      description: `Speaks ${cues} time${cues === 1 ? '' : 's'} in ${chapterIds.size} scene${chapterIds.size === 1 ? '' : 's'}.`,
+      chapterRefs: [...chapterIds],
+      folder: null,
+      position: { x: 40 + (i % 5) * 240, y: 40 + Math.floor(i / 5) * 180 }
+    });
+  });
+  return next;
+};
 
-  // Export as JSON
-  const exportAsJson = () => {
-    const blob = new Blob([JSON.stringify(currentProject, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-project.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+// A screenplay project as Fountain: title page, sections when the act or sequence changes, then scenes
+const exportFountain = (project) => {
+  // Imported title page entries keep their formatting unless the title or author has changed since
+  const author = project.metadata?.author;
+  const entries = (project.metadata?.titlePage || []).map(entry => {
+    if (/^title$/i.test(entry.key)) return plainTitleValue(entry.value) === project.title ? entry : { ...entry, value: project.title };
+    if (/^authors?$/i.test(entry.key)) return !author ? null : plainTitleValue(entry.value) === author ? entry : { ...entry, value: author };
+    return entry;
+  }).filter(Boolean);
+  if (!entries.some(entry => /^title$/i.test(entry.key))) entries.unshift({ key: 'Title', value: project.title });
+  if (author && !entries.some(entry => /^authors?$/i.test(entry.key))) entries.splice(1, 0, { key: 'Author', value: author });
+  const parts = [entries.map(({ key, value }) => `${key}: ${value.includes('\n') ? `\n    ${value.split('\n').join('\n    ')}` : value}`).join('\n')];
+  let act = null;
+  let sequence = null;
+  project.chapters.forEach(chapter => {
+    if (chapter.isFrontMatter) {
+      parts.push(chapter.content);
+      return;
+    }
+    if (chapter.act && chapter.act !== act) {
+      parts.push(`# ${chapter.act}`);
+      sequence = null;
+    }
+    if (chapter.sequence && chapter.sequence !== sequence) parts.push(`## ${chapter.sequence}`);
+    act = chapter.act || act;
+    sequence = chapter.sequence || sequence;
+    // Force headings Fountain wouldn't recognise with a leading period
+    const heading = `${FOUNTAIN_SCENE_HEADING.test(chapter.title) ? '' : '.'}${chapter.title}${chapter.sceneNumber ? ` #${chapter.sceneNumber}#` : ''}`;
+    parts.push([heading, chapter.content].filter(Boolean).join('\n\n'));
+  });
+  return `${parts.filter(Boolean).join('\n\n')}\n`;
+};
+
+// IndexedDB storage configuration
+// Projects and the project index live in IndexedDB; settings stay in localStorage.
+const IDB_NAME = 'bookboard';
+const IDB_VERSION = 3;
+const IDB_STORES = {
+  projects: 'projects',
+  meta: 'meta',
+  snapshots: 'snapshots',       // Snapshot metadata (small, listed in history)
+  snapshotData: 'snapshotData', // Full project copy for each snapshot
+  syncBases: 'syncBases'        // Last copy synced with Drive, per project
+};
+
+// Secondary indexes, created alongside their store
+const IDB_INDEXES = {
+  snapshots: ['projectId']
+};
+
+// In-memory cache so the storage functions below stay synchronous.
+// It is hydrated from IndexedDB once at startup and written through on every change.
+let storageDb = null;
+let projectIndexCache = [];
+const projectCache = new Map();
+let storageErrorListener = null;
+let pendingStorageError = null; // Reported before the app registered its listener (at startup)
+
+// Register a callback for storage write failures (quota exceeded etc.)
+const onStorageError = (listener) => {
+  storageErrorListener = listener;
+  if (listener && pendingStorageError) {
+    listener(pendingStorageError);
+    pendingStorageError = null;
+  }
+};
+
+const isQuotaError = (error) => {
+  return !!error && (error.name === 'QuotaExceededError' || error.code === 22 || error.code === 1014);
+};
+
+const reportStorageError = (error, context) => {
+  console.error(`Storage error (${context}):`, error);
+  const report = {
+    context,
+    isQuota: isQuotaError(error),
+    message: isQuotaError(error)
+      ? 'Browser storage is full. Your latest changes could not be saved. Export or delete projects to free space.'
+      : context === 'startup'
+        ? `Could not read browser storage: ${error?.message || error}. Projects that could not be read are not shown.`
+        : `Could not save to browser storage: ${error?.message || error}`
   };
+  if (storageErrorListener) {
+    storageErrorListener(report);
+  } else {
+    pendingStorageError = report;
+  }
+};
 
-  // Export manuscript as Markdown
-  const exportManuscript = () => {
-    let md = `# ${currentProject.title}\n\n`;
-    
-    currentProject.chapters.forEach((ch) => {
-      md += `## ${ch.title}\n\n`;
-      md += `${ch.content}\n\n`;
-    });
+// JSON from localStorage, or null (reported) when the entry is missing or corrupt
+const readLocalStorageJson = (key) => {
+  const stored = localStorage.getItem(key);
+  if (stored === null) return null;
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    reportStorageError(new Error(`"${key}" is corrupt (${error.message})`), 'startup');
+    return null;
+  }
+};
 
-    const blob = new Blob([md.trim()], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-manuscript.md`;
-    a.click();
-    URL.revokeObjectURL(url);
+const openStorageDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.values(IDB_STORES).forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        const store = db.createObjectStore(storeName);
+        (IDB_INDEXES[storeName] || []).forEach(field => store.createIndex(field, field));
+      }
+    });
   };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
 
-  // Export bible as Markdown
-  const exportBible = () => {
-    let md = `# ${currentProject.title} — Story Bible\n\n`;
-    
-    if (currentProject.chapters.length > 0) {
-      md += `## Chapter Outline\n\n`;
-      currentProject.chapters.forEach((ch, i) => {
-        md += `${i + 1}. ${ch.title}\n`;
-      });
-      md += `\n`;
+// Run a single request against an object store and resolve with its result
+const idbRequest = (storeName, mode, makeRequest) => new Promise((resolve, reject) => {
+  const tx = storageDb.transaction(storeName, mode);
+  const request = makeRequest(tx.objectStore(storeName));
+  tx.oncomplete = () => resolve(request.result);
+  tx.onerror = () => reject(tx.error || request.error);
+  tx.onabort = () => reject(tx.error || request.error);
+});
+
+const idbGetAll = (storeName) => new Promise((resolve, reject) => {
+  const tx = storageDb.transaction(storeName, 'readonly');
+  const store = tx.objectStore(storeName);
+  const keysRequest = store.getAllKeys();
+  const valuesRequest = store.getAll();
+  tx.oncomplete = () => resolve(keysRequest.result.map((key, i) => [key, valuesRequest.result[i]]));
+  tx.onerror = () => reject(tx.error);
+});
+
+const idbGet = (storeName, key) => idbRequest(storeName, 'readonly', store => store.get(key));
+const idbPut = (storeName, key, value) => idbRequest(storeName, 'readwrite', store => store.put(value, key));
+const idbDelete = (storeName, key) => idbRequest(storeName, 'readwrite', store => store.delete(key));
+
+// Put (or, with value undefined, delete) several records in one transaction: all or nothing
+const idbWriteAll = (writes) => new Promise((resolve, reject) => {
+  if (writes.length === 0) return resolve();
+  const tx = storageDb.transaction([...new Set(writes.map(write => write.storeName))], 'readwrite');
+  writes.forEach(({ storeName, key, value }) => {
+    const store = tx.objectStore(storeName);
+    if (value === undefined) store.delete(key); else store.put(value, key);
+  });
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// Persist a record without blocking the caller; failures are reported to the UI
+const writeRecord = (storeName, key, value) => {
+  if (!storageDb) {
+    // IndexedDB unavailable: fall back to localStorage
+    try {
+      const storageKey = storeName === IDB_STORES.projects ? STORAGE_KEYS.projectPrefix + key : `bookboard-${storeName}-${key}`;
+      localStorage.setItem(storageKey, JSON.stringify(value));
+    } catch (error) {
+      reportStorageError(error, storeName);
     }
+    return Promise.resolve();
+  }
+  return idbPut(storeName, key, value).catch(error => reportStorageError(error, storeName));
+};
 
-    const entityTypes = ['character', 'theme', 'location', 'scene', 'idea'];
-    const typeLabels = {
-      character: 'Characters',
-      theme: 'Themes',
-      location: 'Locations',
-      scene: 'Key Scenes',
-      idea: 'Ideas & Notes'
-    };
+const removeRecord = (storeName, key) => {
+  if (!storageDb) {
+    const storageKey = storeName === IDB_STORES.projects ? STORAGE_KEYS.projectPrefix + key : `bookboard-${storeName}-${key}`;
+    localStorage.removeItem(storageKey);
+    return Promise.resolve();
+  }
+  return idbDelete(storeName, key).catch(error => reportStorageError(error, storeName));
+};
 
-    entityTypes.forEach(type => {
-      const entities = currentProject.entities.filter(e => e.type === type);
-      if (entities.length > 0) {
-        md += `## ${typeLabels[type]}\n\n`;
-        entities.forEach(entity => {
-          md += `### ${entity.name}\n\n`;
-          if (entity.description) {
-            md += `${entity.description}\n\n`;
-          }
-          const metadata = [];
-          if (entity.folder) {
-            metadata.push(`Folder: ${entity.folder}`);
-          }
-          if (entity.chapterRefs?.length > 0) {
-            const chapterNames = entity.chapterRefs
-              .map(id => {
-                const ch = currentProject.chapters.find(c => c.id === id);
-                return ch ? ch.title : null;
-              })
-              .filter(Boolean);
-            if (chapterNames.length > 0) {
-              metadata.push(`Appears in: ${chapterNames.join(', ')}`);
-            }
-          }
-          if (metadata.length > 0) {
-            md += `*${metadata.join(' | ')}*\n\n`;
-          }
-        });
-      }
-    });
-
-    // Custom folders section
-    const customFolders = currentProject.customFolders || [];
-    if (customFolders.length > 0) {
-      md += `## Custom Folders\n\n`;
-      customFolders.forEach(folder => {
-        const folderEntities = currentProject.entities.filter(e => e.folder === folder);
-        md += `### ${folder}\n\n`;
-        if (folderEntities.length === 0) {
-          md += `*Empty*\n\n`;
-        } else {
-          folderEntities.forEach(entity => {
-            md += `- **${entity.name}** (${entity.type})${entity.description ? `: ${entity.description.substring(0, 100)}${entity.description.length > 100 ? '...' : ''}` : ''}\n`;
-          });
-          md += `\n`;
-        }
-      });
+// Move projects saved by earlier versions out of localStorage
+const migrateLocalStorageProjects = async () => {
+  const projectKeys = Object.keys(localStorage).filter(key => key.startsWith(STORAGE_KEYS.projectPrefix));
+  const storedIndex = localStorage.getItem(STORAGE_KEYS.projectIndex);
+  if (projectKeys.length === 0 && !storedIndex) return;
+
+  log('Migrating projects from localStorage', { count: projectKeys.length });
+  // Projects saved while IndexedDB was unavailable win over the IndexedDB copies, and
+  // projects only IndexedDB has stay in the library
+  const index = readLocalStorageJson(STORAGE_KEYS.projectIndex) || [];
+  const migrated = [];
+  for (const key of projectKeys) {
+    const project = readLocalStorageJson(key);
+    if (!project) continue; // Corrupt entries stay in localStorage
+    const id = key.slice(STORAGE_KEYS.projectPrefix.length);
+    await idbPut(IDB_STORES.projects, id, project);
+    migrated.push(key);
+    if (!index.some(p => p.id === id)) {
+      index.push(buildIndexEntry(project));
     }
+  }
+  const storedIdbIndex = (await idbRequest(IDB_STORES.meta, 'readonly', store => store.get('index'))) || [];
+  storedIdbIndex.forEach(entry => {
+    if (!index.some(p => p.id === entry.id)) index.push(entry);
+  });
+  await idbPut(IDB_STORES.meta, 'index', index);
 
-    const blob = new Blob([md.trim()], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-bible.md`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
+  // Only clear localStorage once everything is safely in IndexedDB
+  migrated.forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem(STORAGE_KEYS.projectIndex);
+};
 
-  // Find empty position for new entity card
-  const findEmptyPosition = (existingPositions, startX = 80, startY = 60) => {
-    const cardWidth = 240;
-    const cardHeight = 200;
-    const maxX = 1600;
-    
-    let x = startX;
-    let y = startY;
-    
-    const isOverlapping = (testX, testY) => {
-      return existingPositions.some(pos => {
-        return Math.abs(testX - pos.x) < cardWidth && Math.abs(testY - pos.y) < cardHeight;
-      });
-    };
-    
-    let iterations = 0;
-    while (isOverlapping(x, y) && iterations < 100) {
-      x += cardWidth;
-      if (x > maxX) {
-        x = startX;
-        y += cardHeight;
-      }
-      iterations++;
+// Open IndexedDB, migrate old data and fill the cache. Call once before rendering.
+const initStorage = async () => {
+  try {
+    storageDb = await openStorageDb();
+    await migrateLocalStorageProjects();
+    const projects = await idbGetAll(IDB_STORES.projects);
+    projects.forEach(([id, project]) => projectCache.set(id, project));
+    projectIndexCache = (await idbRequest(IDB_STORES.meta, 'readonly', store => store.get('index'))) || [];
+    if (navigator.storage?.persist) {
+      navigator.storage.persist().catch(() => {});
     }
-    
-    return { x, y };
-  };
+  } catch (error) {
+    console.error('IndexedDB unavailable, falling back to localStorage:', error);
+    storageDb = null;
+    projectIndexCache = readLocalStorageJson(STORAGE_KEYS.projectIndex) || [];
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(STORAGE_KEYS.projectPrefix))
+      .forEach(key => {
+        const project = readLocalStorageJson(key);
+        if (project) projectCache.set(key.slice(STORAGE_KEYS.projectPrefix.length), project);
+      });
+  }
+};
 
-  // Handle extract button - check if entities exist
-  const handleExtractClick = () => {
-    if (currentProject.entities.length > 0) {
-      setShowExtractConfirmModal(true);
-    } else {
-      setShowExtractModal(true);
-    }
-  };
+// Get used and available browser storage in bytes (null if unsupported)
+const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+};
 
-  // Clear entities and start fresh extraction
-  const handleClearAndExtract = () => {
-    setCurrentProject(prev => ({ ...prev, entities: [] }));
-    setShowExtractConfirmModal(false);
-    setShowExtractModal(true);
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+// Passphrase encryption (WebCrypto)
+// A protected project is stored (locally, in snapshots and on Drive) as an envelope:
+// title, dates and counts in the clear so the library can list it, everything else
+// AES-GCM encrypted with a key derived from the passphrase. Keys live in memory only,
+// and a project counts as protected while this tab holds its key.
+const CRYPTO_ITERATIONS = 250000;
+const SECRET_PREFIX = 'enc:'; // Marks an encrypted value in localStorage
+const projectLocks = new Map(); // projectId -> { key, salt, iterations } for unlocked projects
+let secretsLock = null; // Same, for the stored API keys
+const projectWriteChains = new Map(); // Keeps async (encrypted) writes in order per project
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+// Derive an AES key from a passphrase. Pass no salt to start a new lock.
+const createLock = async (passphrase, salt = null, iterations = CRYPTO_ITERATIONS) => {
+  const saltBytes = salt ? base64ToBytes(salt) : crypto.getRandomValues(new Uint8Array(16));
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  return { key, salt: bytesToBase64(saltBytes), iterations };
+};
+
+const encryptText = async (lock, text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, lock.key, new TextEncoder().encode(text));
+  return {
+    kdf: 'PBKDF2-SHA256',
+    iterations: lock.iterations,
+    salt: lock.salt,
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data))
   };
+};
 
-  // Add to existing entities
-  const handleAddToExisting = () => {
-    setShowExtractConfirmModal(false);
-    setShowExtractModal(true);
+const decryptText = async (lock, sealed) => {
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) },
+      lock.key,
+      base64ToBytes(sealed.data)
+    );
+    return new TextDecoder().decode(plain);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+};
+
+const isEncryptedProject = (project) => !!project?.ciphertext;
+
+const isProjectProtected = (project) => isEncryptedProject(project) || projectLocks.has(project.id);
+
+const encryptProject = async (project, lock) => {
+  const { data, ...encryption } = await encryptText(lock, JSON.stringify(project));
+  return {
+    id: project.id,
+    title: project.title,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    deletedAt: project.deletedAt || null,
+    chapterCount: project.chapters.length,
+    entityCount: project.entities.length,
+    wordCount: countProjectWords(project),
+    encryption,
+    ciphertext: data
   };
+};
 
-  // Extract entities using Gemini API
-  const extractEntities = async (isCollection = false) => {
-    if (!geminiKey) {
-      alert('Please enter your Gemini API key');
-      return;
+const decryptProject = async (record, lock) => {
+  const project = JSON.parse(await decryptText(lock, { ...record.encryption, data: record.ciphertext }));
+  // Fields kept outside the envelope may have changed (e.g. moved to trash while locked)
+  const { deletedAt, ...rest } = project;
+  return record.deletedAt ? { ...rest, deletedAt: record.deletedAt } : rest;
+};
+
+// Encrypt a protected project for storage or sync; other projects pass through
+const sealProject = async (project) => {
+  if (!project || isEncryptedProject(project) || !projectLocks.has(project.id)) return project;
+  return encryptProject(project, projectLocks.get(project.id));
+};
+
+// Decrypt a stored envelope with the project's in-memory key
+const openSealedProject = async (record) => {
+  if (!isEncryptedProject(record)) return record;
+  const lock = projectLocks.get(record.id);
+  if (!lock) throw new Error(`"${record.title}" is locked`);
+  return decryptProject(record, lock);
+};
+
+// Encrypted writes are async, so each project's writes are chained to stay in order
+const queueProjectWrite = (projectId, task) => {
+  const next = (projectWriteChains.get(projectId) || Promise.resolve()).then(task);
+  projectWriteChains.set(projectId, next.catch(() => {}));
+  return next;
+};
+
+// Unlock a stored project with its passphrase and keep it decrypted for this session
+const unlockProject = async (projectId, passphrase) => {
+  const record = projectCache.get(projectId);
+  if (!isEncryptedProject(record)) return record;
+  const lock = await createLock(passphrase, record.encryption.salt, record.encryption.iterations);
+  const project = await decryptProject(record, lock);
+  projectLocks.set(projectId, lock);
+  projectCache.set(projectId, project);
+  return project;
+};
+
+// Forget a project's key; the cached copy goes back to the encrypted envelope
+const lockProject = (projectId) => {
+  return queueProjectWrite(projectId, async () => {
+    const project = projectCache.get(projectId);
+    if (project) {
+      projectCache.set(projectId, await sealProject(project));
     }
+    projectLocks.delete(projectId);
+  });
+};
 
-    if (currentProject.chapters.length === 0) {
-      alert('Import a manuscript first');
-      return;
+// Check a passphrase against an unlocked project's key
+const verifyProjectPassphrase = async (projectId, passphrase) => {
+  const lock = projectLocks.get(projectId);
+  const check = await encryptText(lock, projectId);
+  await decryptText(await createLock(passphrase, lock.salt, lock.iterations), check);
+};
+
+// Set, change or (with no passphrase) remove a project's protection.
+// The project, its snapshots and its sync base are stored again under the new key. They
+// are all re-sealed before anything is written, and written together, so a failure
+// leaves the project and everything stored with it on the old key.
+const setProjectPassphrase = async (project, passphrase) => {
+  const previousLock = projectLocks.get(project.id);
+  const nextLock = passphrase ? await createLock(passphrase) : null;
+
+  const writes = [];
+  for (const snapshot of await listSnapshots(project.id)) {
+    const stored = await idbGet(IDB_STORES.snapshotData, snapshot.id);
+    if (!stored || (isEncryptedProject(stored) && !previousLock)) continue;
+    const data = isEncryptedProject(stored) ? await decryptProject(stored, previousLock) : stored;
+    writes.push({ storeName: IDB_STORES.snapshotData, key: snapshot.id, value: nextLock ? await encryptProject(data, nextLock) : data });
+  }
+  // A base this tab can't open is dropped, so the next sync starts from a fresh one
+  const base = storageDb ? await idbGet(IDB_STORES.syncBases, project.id) : null;
+  if (base) {
+    const data = !isEncryptedProject(base) ? base : previousLock ? await decryptProject(base, previousLock).catch(() => null) : null;
+    const value = !data ? undefined : nextLock ? await encryptProject(data, nextLock) : data;
+    writes.push({ storeName: IDB_STORES.syncBases, key: project.id, value });
+  }
+  await idbWriteAll(writes);
+
+  await queueProjectWrite(project.id, () => {
+    if (nextLock) {
+      projectLocks.set(project.id, nextLock);
+    } else {
+      projectLocks.delete(project.id);
     }
+  });
+  saveProject(project);
+  await queueProjectWrite(project.id, () => postTabMessage({ type: 'project-protection-changed', projectId: project.id }));
+};
 
-    setLoading(true);
-    setLoadingMessage('Analysing manuscript...');
-    setShowExtractModal(false);
-    clearLog();
-    
-    try {
-      // Filter out front matter from extraction
-      const extractableChapters = currentProject.chapters.filter(ch => !ch.isFrontMatter);
-      const chapterCount = extractableChapters.length;
-      log('Starting extraction', { chapterCount, isCollection });
+// Stored API keys: plain text, or SECRET_PREFIX + sealed JSON when protected
+const isSecretEncrypted = (storageKey) => (localStorage.getItem(storageKey) || '').startsWith(SECRET_PREFIX);
 
-      // Build full text
-      const fullText = extractableChapters.map((ch, i) => 
-        `## ${isCollection ? 'Story' : 'Section'} ${i + 1}: ${ch.title}\n${ch.content}`
-      ).join('\n\n');
-      
-      log('Full text prepared', { length: fullText.length });
+const SECRET_KEYS = [STORAGE_KEYS.geminiKey, STORAGE_KEYS.googleClientId, STORAGE_KEYS.webdavPassword, STORAGE_KEYS.restToken];
 
-      // Decide whether to chunk based on size
-      const CHUNK_THRESHOLD = 200000;
-      let needsChunking = fullText.length > CHUNK_THRESHOLD;
-      
-      let allNewEntities = [];
+const secretsAreProtected = () => SECRET_KEYS.some(isSecretEncrypted);
 
-      if (!needsChunking) {
-        // Try single request for smaller documents
-        log('Attempting single request');
-        setLoadingMessage('Analysing manuscript...');
-        
-        const result = await extractChunk(fullText, 1, chapterCount, chapterCount, isCollection, extractableChapters);
-        log('Single request complete', { entities: result.entities?.length, hitMaxTokens: result.hitMaxTokens });
-        
-        if (result.hitMaxTokens) {
-          // Retry with chunking
-          log('MAX_TOKENS hit, falling back to chunked extraction');
-          needsChunking = true;
-        } else if (result.entities) {
-          allNewEntities = result.entities;
-        }
-      }
-      
-      if (needsChunking) {
-        // Chunk for larger documents or when single request hit token limit
-        const chunkSize = 3;
-        const chunks = [];
-        
-        for (let i = 0; i < chapterCount; i += chunkSize) {
-          chunks.push({
-            chapters: extractableChapters.slice(i, i + chunkSize),
-            startNum: i + 1
-          });
-        }
-        
-        log('Processing in chunks', { totalChunks: chunks.length, chunkSize });
-        allNewEntities = []; // Reset in case we had partial results from failed single request
+// Read a stored key; encrypted keys read as empty until unlocked
+const readSecret = (storageKey) => {
+  const value = localStorage.getItem(storageKey) || '';
+  return value.startsWith(SECRET_PREFIX) ? '' : value;
+};
 
-        for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
-          const { chapters, startNum } = chunks[chunkIndex];
-          const endNum = startNum + chapters.length - 1;
-          
-          setLoadingMessage(`Analysing ${isCollection ? 'stories' : 'sections'} ${startNum}-${endNum} of ${chapterCount}...`);
-          
-          const chunkText = chapters.map((ch, i) => 
-            `## ${isCollection ? 'Story' : 'Section'} ${startNum + i}: ${ch.title}\n${ch.content}`
-          ).join('\n\n');
-          
-          log(`Processing chunk ${chunkIndex + 1}`, { startNum, endNum, textLength: chunkText.length });
+const writeSecret = async (storageKey, value) => {
+  if (secretsLock) {
+    const sealed = await encryptText(secretsLock, value);
+    localStorage.setItem(storageKey, SECRET_PREFIX + JSON.stringify(sealed));
+  } else if (!isSecretEncrypted(storageKey)) {
+    localStorage.setItem(storageKey, value);
+  }
+};
 
-          try {
-            const result = await extractChunk(chunkText, startNum, endNum, chapterCount, isCollection, extractableChapters);
-            log(`Chunk ${chunkIndex + 1} complete`, { entities: result.entities?.length });
-            if (result.entities) {
-              allNewEntities.push(...result.entities);
-            }
-          } catch (error) {
-            log('Chunk failed, continuing', { chunkIndex, error: error.message });
-          }
-        }
-      }
+// Decrypt the stored API keys. Returns { [storageKey]: value }.
+const unlockSecrets = async (passphrase) => {
+  const values = {};
+  let lock = null;
+  for (const storageKey of SECRET_KEYS) {
+    if (!isSecretEncrypted(storageKey)) {
+      values[storageKey] = localStorage.getItem(storageKey) || '';
+      continue;
+    }
+    const sealed = JSON.parse(localStorage.getItem(storageKey).slice(SECRET_PREFIX.length));
+    if (!lock || lock.salt !== sealed.salt) {
+      lock = await createLock(passphrase, sealed.salt, sealed.iterations);
+    }
+    values[storageKey] = await decryptText(lock, sealed);
+  }
+  secretsLock = lock;
+  return values;
+};
 
-      log('All API calls complete', { totalEntities: allNewEntities.length });
+// Encrypt (or, with no passphrase, decrypt) the stored API keys
+const protectSecrets = async (passphrase, values) => {
+  secretsLock = passphrase ? await createLock(passphrase) : null;
+  for (const storageKey of SECRET_KEYS) {
+    if (values[storageKey]) {
+      if (!secretsLock) localStorage.removeItem(storageKey);
+      await writeSecret(storageKey, values[storageKey]);
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+  }
+};
 
-      if (allNewEntities.length === 0) {
-        log('No entities extracted');
-        alert('No entities could be extracted. Check the debug log for details.');
-        setLoading(false);
-        return;
-      }
+// Default empty project
+const createEmptyProject = () => ({
+  id: generateId('proj'),
+  title: "Untitled Novel",
+  chapters: [],
+  entities: [],
+  customFolders: [], // User-defined folders (array of strings)
+  trash: [], // Deleted cards and folders
+  schemaVersion: APP_VERSION,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
 
-      // Deduplicate entities by name+type (only for novels, not collections)
-      let processedEntities = allNewEntities;
-      if (!isCollection) {
-        log('Starting deduplication (novel mode)');
-        const seen = new Set();
-        const deduped = [];
-        for (const entity of allNewEntities) {
-          const key = `${entity.type}:${entity.name.toLowerCase().trim()}`;
-          if (!seen.has(key)) {
-            seen.add(key);
-            deduped.push(entity);
-          } else {
-            const existing = deduped.find(e => `${e.type}:${e.name.toLowerCase().trim()}` === key);
-            if (existing && entity.chapterNums) {
-              existing.chapterNums = [...new Set([...(existing.chapterNums || []), ...entity.chapterNums])].sort((a,b) => a-b);
-            }
-          }
-        }
-        log('Deduplication complete', { before: allNewEntities.length, after: deduped.length });
-        processedEntities = deduped;
-      } else {
-        log('Skipping deduplication (collection mode)');
-      }
+// Load project index
+const loadProjectIndex = () => {
+  return projectIndexCache.map(entry => ({ ...entry }));
+};
 
-      // Position entities in a grid, sorted by first chapter appearance
-      log('Starting positioning');
-      
-      // Sort by type first, then by first chapter appearance
-      processedEntities.sort((a, b) => {
-        const typeOrder = ['scene', 'character', 'location', 'theme', 'idea'];
-        const typeA = typeOrder.indexOf(a.type);
-        const typeB = typeOrder.indexOf(b.type);
-        if (typeA !== typeB) return typeA - typeB;
-        
-        const firstChA = Math.min(...(a.chapterNums || [999]));
-        const firstChB = Math.min(...(b.chapterNums || [999]));
-        return firstChA - firstChB;
-      });
-      
-      const finalEntities = processedEntities.map((entity, i) => {
-        // Grid positioning: fit to reasonable viewport width
-        const cardWidth = 240;
-        const cardHeight = 180;
-        const cardsPerRow = 5;
-        const startX = 40;
-        const startY = 40;
-        
-        const col = i % cardsPerRow;
-        const row = Math.floor(i / cardsPerRow);
-        
-        return {
-          ...entity,
-          id: generateId('ent'),
-          chapterRefs: (entity.chapterNums || [])
-            .map(num => extractableChapters[num - 1]?.id)
-            .filter(Boolean),
-          // For collections, store story titles instead of chapter refs
-          storyRefs: isCollection ? (entity.chapterNums || [])
-            .map(num => extractableChapters[num - 1]?.title)
-            .filter(Boolean) : undefined,
-          position: { x: startX + col * cardWidth, y: startY + row * cardHeight }
-        };
-      });
-      
-      // Remove chapterNums from final entities
-      finalEntities.forEach(e => delete e.chapterNums);
+// Save project index
+const saveProjectIndex = (index) => {
+  projectIndexCache = index;
+  if (storageDb) {
+    writeRecord(IDB_STORES.meta, 'index', index);
+  } else {
+    try {
+      localStorage.setItem(STORAGE_KEYS.projectIndex, JSON.stringify(index));
+    } catch (error) {
+      reportStorageError(error, 'index');
+    }
+  }
+};
 
-      log('Positioning complete', { count: finalEntities.length });
+const countWords = (text) => {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
 
-      log('Updating project state');
-      setCurrentProject(prev => ({
-        ...prev,
-        bookType: isCollection ? 'collection' : 'novel',
-        entities: [...prev.entities, ...finalEntities]
-      }));
+// Total words in a project's chapters (encrypted projects carry the count outside the envelope)
+const countProjectWords = (project) => {
+  if (isEncryptedProject(project)) return project.wordCount ?? null;
+  return (project.chapters || []).reduce((total, chapter) => total + countWords(chapter.content), 0);
+};
 
-      log('Extraction complete');
-      setLoading(false);
-      
-    } catch (error) {
-      log('FATAL ERROR', { message: error.message, stack: error.stack });
-      console.error('Extraction error:', error);
-      alert(`Extraction failed: ${error.message}`);
-      setLoading(false);
-    }
-  };
+// Chapter, card and word counts, e.g. for listing earlier versions
+const summarizeProject = (project) => ({
+  chapterCount: project.chapters.length,
+  entityCount: project.entities.length,
+  wordCount: countProjectWords(project)
+});
 
-  // Helper function to extract from a chunk of text
-  // Returns { entities: [...], hitMaxTokens: boolean }
-  const extractChunk = async (text, startNum, endNum, totalSections, isCollection = false, chapters = []) => {
-    const sectionCount = endNum - startNum + 1;
-    const unitName = isCollection ? 'story' : 'section';
-    const unitNamePlural = isCollection ? 'stories' : 'sections';
-    const sectionRange = startNum === endNum ? `${unitName} ${startNum}` : `${unitNamePlural} ${startNum}-${endNum}`;
-    
-    // Build story titles list for collection mode
-    const storyTitles = isCollection ? chapters.slice(startNum - 1, endNum).map((ch, i) => 
-      `${startNum + i}: "${ch.title}"`
-    ).join(', ') : '';
-    
-    // IMPORTANT: Scenes first in the prompt since they're most likely to be cut off by token limits
-    const collectionNote = isCollection ? `
-IMPORTANT: This is a SHORT STORY COLLECTION. Each story is INDEPENDENT. Characters with the same name in different stories are DIFFERENT PEOPLE. Do NOT merge or deduplicate characters across stories.
-Story titles: ${storyTitles}
-` : '';
+// Summary of a project shown in the library
+const buildIndexEntry = (project) => ({
+  id: project.id,
+  title: project.title,
+  updatedAt: project.updatedAt,
+  chapterCount: isEncryptedProject(project) ? project.chapterCount : project.chapters.length,
+  entityCount: isEncryptedProject(project) ? project.entityCount : project.entities.length,
+  wordCount: countProjectWords(project),
+  deletedAt: project.deletedAt || null,
+  encrypted: isProjectProtected(project)
+});
 
-    const prompt = `Analyse this text and extract entities. This is ${sectionRange} of a ${totalSections}-${unitName} work.
-${collectionNote}
-TEXT:
-${text}
+// Load a specific project
+const loadProject = (projectId) => {
+  const stored = projectCache.get(projectId);
+  return stored ? JSON.parse(JSON.stringify(stored)) : null;
+};
 
-Extract (in this order - SCENES FIRST as they are most important):
+// Save a specific project. keepUpdatedAt stores a copy as it came (e.g. unchanged from the sync provider).
+const saveProject = (project, { keepUpdatedAt = false } = {}) => {
+  const updated = { ...project, updatedAt: keepUpdatedAt && project.updatedAt ? project.updatedAt : new Date().toISOString() };
+  projectCache.set(project.id, updated);
+  const resolved = pendingResolvedKeys;
+  pendingResolvedKeys = [];
+  queueProjectWrite(project.id, async () => {
+    const record = await sealProject(updated);
+    await writeRecord(IDB_STORES.projects, project.id, record);
+    postTabMessage({ type: 'project-saved', projectId: project.id, resolved });
+  }).catch(error => reportStorageError(error, 'projects'));
+  
+  // Update index
+  const index = loadProjectIndex();
+  const existingIdx = index.findIndex(p => p.id === project.id);
+  const indexEntry = buildIndexEntry(updated);
+  
+  if (existingIdx >= 0) {
+    index[existingIdx] = indexEntry;
+  } else {
+    index.push(indexEntry);
+  }
+  saveProjectIndex(index);
+  
+  return updated;
+};
 
-1. SCENES: Extract AT LEAST ONE significant scene per ${unitName}. You have ${sectionCount} ${unitNamePlural} (${startNum}-${endNum}), so provide at least ${sectionCount} scenes. Each scene should capture the key action, conflict, or development in that ${unitName}.
+// Delete a project
+const deleteProjectFromStorage = (projectId) => {
+  projectCache.delete(projectId);
+  removeRecord(IDB_STORES.projects, projectId)
+    .then(() => postTabMessage({ type: 'project-deleted', projectId }));
+  const index = loadProjectIndex().filter(p => p.id !== projectId);
+  saveProjectIndex(index);
+  deleteSnapshots(projectId);
+  setSyncedVersion(projectId, null);
+  if (storageDb) {
+    idbDelete(IDB_STORES.syncBases, projectId).catch(error => reportStorageError(error, 'sync base'));
+  }
+};
 
-2. CHARACTERS: People mentioned by name. Include their role/description and which ${unitName} numbers they appear in.${isCollection ? ' Remember: same name in different stories = different characters.' : ''}
+// Snapshot history
+// Auto snapshots are taken at most once per interval while a project is edited,
+// and before destructive operations. Manual snapshots are kept longer.
+const SNAPSHOT_AUTO_INTERVAL_MS = 10 * 60 * 1000;
+const SNAPSHOT_RETENTION = {
+  maxAuto: 20,
+  maxManual: 50,
+  maxAutoAgeDays: 30
+};
+const lastAutoSnapshotAt = new Map();
 
-3. LOCATIONS: Named places or settings.
+// Fields compared when deciding whether a card changed (position is ignored)
+const ENTITY_DIFF_FIELDS = ['type', 'name', 'description', 'folder', 'starred', 'chapterRefs', 'storyRefs'];
 
-4. OBJECTS: Significant objects only - McGuffins, artefacts, weapons, heirlooms, or items central to the plot. Do NOT include mundane items. May be zero if no significant objects appear.
+const entityChanged = (before, after) => {
+  return ENTITY_DIFF_FIELDS.some(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+};
 
-5. THEMES: Major themes or motifs (typically 2-4 for this excerpt).
+// Compare two versions of a project
+const diffProjects = (before, after) => {
+  const beforeChapters = new Map(before.chapters.map(ch => [ch.id, ch]));
+  const afterChapters = new Map(after.chapters.map(ch => [ch.id, ch]));
+  const chapters = { added: [], removed: [], edited: [], reordered: false };
+
+  after.chapters.forEach(ch => {
+    const old = beforeChapters.get(ch.id);
+    if (!old) {
+      chapters.added.push(ch);
+    } else if (old.title !== ch.title || old.content !== ch.content) {
+      chapters.edited.push({ before: old, after: ch });
+    }
+  });
+  before.chapters.forEach(ch => {
+    if (!afterChapters.has(ch.id)) chapters.removed.push(ch);
+  });
+  const keptOrderBefore = before.chapters.filter(ch => afterChapters.has(ch.id)).map(ch => ch.id);
+  const keptOrderAfter = after.chapters.filter(ch => beforeChapters.has(ch.id)).map(ch => ch.id);
+  chapters.reordered = keptOrderBefore.join() !== keptOrderAfter.join();
+
+  const beforeEntities = new Map(before.entities.map(e => [e.id, e]));
+  const afterEntities = new Map(after.entities.map(e => [e.id, e]));
+  const entities = { added: [], removed: [], edited: [], merged: [] };
+
+  after.entities.forEach(e => {
+    const old = beforeEntities.get(e.id);
+    if (!old) {
+      entities.added.push(e);
+    } else if (entityChanged(old, e)) {
+      entities.edited.push({ before: old, after: e });
+    }
+  });
+  before.entities.forEach(e => {
+    if (afterEntities.has(e.id)) return;
+    // A removed card whose text was folded into a surviving card of the same type was merged
+    const mergedInto = entities.edited.find(({ after: kept }) =>
+      kept.type === e.type && e.description && (kept.description || '').includes(e.description)
+    );
+    if (mergedInto) {
+      entities.merged.push({ from: e, into: mergedInto.after });
+    } else {
+      entities.removed.push(e);
+    }
+  });
 
-Use ${unitName} numbers ${startNum}-${endNum} for the chapterNums field.
+  return { chapters, entities };
+};
 
-Respond ONLY with valid JSON (no markdown fences, no explanation):
-{
-  "entities": [
-    {"type": "scene", "name": "Scene Title", "description": "What happens", "chapterNums": [${startNum}]},
-    {"type": "character", "name": "Name", "description": "Brief description", "chapterNums": [${startNum}]},
-    {"type": "location", "name": "Place", "description": "Description", "chapterNums": [${startNum}]},
-    {"type": "object", "name": "Object Name", "description": "Significance", "chapterNums": [${startNum}]},
-    {"type": "theme", "name": "Theme Name", "description": "How it manifests", "chapterNums": [${startNum}]}
-  ]
-}`;
+// Reduce a diff to counts, small enough to store with each snapshot
+const summarizeDiff = (diff) => ({
+  chaptersAdded: diff.chapters.added.length,
+  chaptersRemoved: diff.chapters.removed.length,
+  chaptersEdited: diff.chapters.edited.length,
+  chaptersReordered: diff.chapters.reordered,
+  cardsAdded: diff.entities.added.length,
+  cardsRemoved: diff.entities.removed.length,
+  cardsEdited: diff.entities.edited.length,
+  cardsMerged: diff.entities.merged.length
+});
 
-    log('Sending API request', { sectionRange, promptLength: prompt.length });
-    
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 65536, // Maximum allowed for Gemini 2.5 Flash
-        }
-      })
-    });
+const isDiffEmpty = (summary) => Object.values(summary).every(value => !value);
+
+const formatDiffSummary = (summary) => {
+  if (!summary) return 'First snapshot';
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parts = [];
+  if (summary.chaptersAdded) parts.push(`${plural(summary.chaptersAdded, 'chapter')} added`);
+  if (summary.chaptersEdited) parts.push(`${plural(summary.chaptersEdited, 'chapter')} edited`);
+  if (summary.chaptersRemoved) parts.push(`${plural(summary.chaptersRemoved, 'chapter')} removed`);
+  if (summary.chaptersReordered) parts.push('chapters reordered');
+  if (summary.cardsAdded) parts.push(`${plural(summary.cardsAdded, 'card')} added`);
+  if (summary.cardsEdited) parts.push(`${plural(summary.cardsEdited, 'card')} edited`);
+  if (summary.cardsRemoved) parts.push(`${plural(summary.cardsRemoved, 'card')} removed`);
+  if (summary.cardsMerged) parts.push(`${plural(summary.cardsMerged, 'card')} merged`);
+  return parts.length > 0 ? parts.join(', ') : 'No changes';
+};
 
-    if (!response.ok) {
-      const error = await response.json();
-      log('API error', error);
-      throw new Error(error.error?.message || 'API request failed');
-    }
+// List a project's snapshots, newest first (metadata only)
+const listSnapshots = async (projectId) => {
+  if (!storageDb) return [];
+  const snapshots = await idbRequest(IDB_STORES.snapshots, 'readonly', store => store.index('projectId').getAll(projectId));
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
 
-    const data = await response.json();
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    const finishReason = data.candidates?.[0]?.finishReason;
-    const hitMaxTokens = finishReason === 'MAX_TOKENS';
-    
-    log('API response received', { 
-      contentLength: content?.length,
-      finishReason,
-      hitMaxTokens
-    });
-    
-    if (!content) {
-      log('No content in response', data);
-      throw new Error('No response from Gemini');
+const loadSnapshotData = async (snapshotId) => openSealedProject(await idbGet(IDB_STORES.snapshotData, snapshotId));
+
+const deleteSnapshot = async (snapshotId) => {
+  await idbDelete(IDB_STORES.snapshotData, snapshotId);
+  await idbDelete(IDB_STORES.snapshots, snapshotId);
+};
+
+const deleteSnapshots = async (projectId) => {
+  try {
+    const snapshots = await listSnapshots(projectId);
+    for (const snapshot of snapshots) {
+      await deleteSnapshot(snapshot.id);
     }
+  } catch (error) {
+    reportStorageError(error, 'snapshots');
+  }
+};
 
-    let cleanedContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    let parsed;
-    try {
-      parsed = JSON.parse(cleanedContent);
-      log('JSON parsed successfully', { entityCount: parsed.entities?.length });
-    } catch (parseError) {
-      log('JSON parse error, attempting salvage', { error: parseError.message, content: cleanedContent.substring(0, 500) });
-      
-      // Try to salvage truncated JSON
-      const lastCompleteEntity = cleanedContent.lastIndexOf('},');
-      if (lastCompleteEntity > 0) {
-        cleanedContent = cleanedContent.substring(0, lastCompleteEntity + 1) + ']}';
-        try {
-          parsed = JSON.parse(cleanedContent);
-          log('Salvaged partial JSON', { entityCount: parsed.entities?.length });
-        } catch (e) {
-          log('Salvage failed', { error: e.message });
-          throw new Error('Response was truncated and could not be recovered');
-        }
-      } else {
-        throw new Error('Invalid JSON response');
+// Apply the retention policy to a project's snapshots
+const pruneSnapshots = async (projectId) => {
+  const snapshots = await listSnapshots(projectId);
+  const maxAge = SNAPSHOT_RETENTION.maxAutoAgeDays * 24 * 60 * 60 * 1000;
+  const auto = snapshots.filter(s => s.kind === 'auto');
+  const manual = snapshots.filter(s => s.kind === 'manual');
+  const expired = [
+    ...auto.filter((s, i) => i >= SNAPSHOT_RETENTION.maxAuto || Date.now() - new Date(s.createdAt) > maxAge),
+    ...manual.slice(SNAPSHOT_RETENTION.maxManual)
+  ];
+  for (const snapshot of expired) {
+    await deleteSnapshot(snapshot.id);
+  }
+};
+
+// Store a copy of the project. Auto snapshots are skipped when nothing changed.
+const createSnapshot = async (project, kind = 'auto', label = '') => {
+  if (!storageDb || !project) return null;
+  try {
+    const [latest] = await listSnapshots(project.id);
+    // A snapshot sealed under an older passphrase can't be compared; treat it as missing
+    const previous = latest ? await loadSnapshotData(latest.id).catch(() => null) : null;
+    const changes = previous ? summarizeDiff(diffProjects(previous, project)) : null;
+    if (kind === 'auto' && changes && isDiffEmpty(changes)) return null;
+
+    const snapshot = {
+      id: generateId('snap'),
+      projectId: project.id,
+      kind,
+      label,
+      createdAt: new Date().toISOString(),
+      title: project.title,
+      chapterCount: project.chapters.length,
+      entityCount: project.entities.length,
+      changes
+    };
+    await idbPut(IDB_STORES.snapshotData, snapshot.id, await sealProject(project));
+    await idbPut(IDB_STORES.snapshots, snapshot.id, snapshot);
+    await pruneSnapshots(project.id);
+    log('Snapshot created', { projectId: project.id, kind, label });
+    return snapshot;
+  } catch (error) {
+    reportStorageError(error, 'snapshots');
+    return null;
+  }
+};
+
+// Take an auto snapshot if the interval has passed since the last one
+const maybeAutoSnapshot = (project) => {
+  const last = lastAutoSnapshotAt.get(project.id) || 0;
+  if (Date.now() - last < SNAPSHOT_AUTO_INTERVAL_MS) return;
+  lastAutoSnapshotAt.set(project.id, Date.now());
+  createSnapshot(project, 'auto');
+};
+
+// Trash
+// Deleted projects stay in storage with a deletedAt stamp; deleted cards and
+// folders move into the project's own trash array so they sync with it.
+const TRASH_RETENTION_DAYS = 30;
+
+const isTrashExpired = (deletedAt) => {
+  return Date.now() - new Date(deletedAt) > TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+};
+
+const moveProjectToTrash = (projectId) => {
+  const project = loadProject(projectId);
+  if (project) {
+    saveProject({ ...project, deletedAt: new Date().toISOString() });
+  }
+};
+
+const restoreProjectFromTrash = (projectId) => {
+  const project = loadProject(projectId);
+  if (project) {
+    const { deletedAt, ...restored } = project;
+    saveProject(restored);
+  }
+};
+
+// Permanently remove projects that have been in the trash too long
+const purgeExpiredProjects = () => {
+  loadProjectIndex()
+    .filter(p => p.deletedAt && isTrashExpired(p.deletedAt))
+    .forEach(p => purgeProject(p.id));
+};
+
+// Drop expired card and folder trash from a project
+const purgeExpiredTrash = (project) => {
+  const trash = (project.trash || []).filter(t => !isTrashExpired(t.deletedAt));
+  return trash.length === (project.trash || []).length ? project : { ...project, trash };
+};
+
+// Put deleted cards and folders back where they were
+const restoreTrashItems = (project, trashIds) => {
+  const toRestore = (project.trash || []).filter(t => trashIds.includes(t.id));
+  let customFolders = [...(project.customFolders || [])];
+  let entities = [...project.entities];
+
+  toRestore.forEach(trashItem => {
+    if (trashItem.kind === 'folder') {
+      if (!customFolders.includes(trashItem.name)) {
+        customFolders.push(trashItem.name);
+      }
+      entities = entities.map(e =>
+        trashItem.entityIds.includes(e.id) && !e.folder ? { ...e, folder: trashItem.name } : e
+      );
+    } else if (trashItem.kind === 'entity') {
+      const entity = trashItem.entity;
+      // Recreate the card's custom folder if it has since been deleted
+      if (entity.folder && !customFolders.includes(entity.folder)) {
+        customFolders.push(entity.folder);
+      }
+      if (!entities.some(e => e.id === entity.id)) {
+        entities.push(entity);
       }
     }
-    
-    return { entities: parsed.entities || [], hitMaxTokens };
-  };
+  });
 
-  // Render library or editor view
-  if (view === 'library') {
-    return (
-      <div className="app-container">
-        <div className="library-header">
-          <h1>Bookboard</h1>
-          <div className="library-actions">
-            {googleAuthStatus === 'signed_in' ? (
-              <>
-                <button className="btn btn-drive" onClick={() => setShowDriveModal(true)} title="Google Drive">
-                  ☁️ Drive
-                </button>
-                <button className="btn btn-drive" onClick={handleSaveAllToDrive} title="Save all to Drive">
-                  ⬆️ Sync All
-                </button>
-              </>
-            ) : googleAuthStatus === 'signed_out' ? (
-              <button className="btn btn-drive" onClick={handleGoogleSignIn} title="Sign in to Google">
-                ☁️ Sign In
-              </button>
-            ) : null}
-            <button className="btn" onClick={() => setShowSettingsModal(true)}>Settings</button>
-            <button className="btn" onClick={() => setShowImportModal(true)}>Import</button>
-            <button className="btn btn-primary" onClick={createNewProject}>New Project</button>
-          </div>
-        </div>
-        
-        <div className="library-content">
-          {projectIndex.length === 0 ? (
-            <div className="empty-state">
-              <h2>No projects yet</h2>
-              <p>Import a manuscript or create a new project to get started.</p>
-              <div style={{ display: 'flex', gap: '12px', justifyContent: 'center', marginTop: '24px' }}>
-                <button className="btn" onClick={() => setShowImportModal(true)}>Import</button>
-                <button className="btn btn-primary" onClick={createNewProject}>New Project</button>
-              </div>
-              {googleAuthStatus === 'signed_in' && driveProjects.length > 0 && (
-                <p style={{ marginTop: '16px' }}>
-                  Or <button className="btn-link" onClick={() => setShowDriveModal(true)}>load from Google Drive</button>
-                </p>
-              )}
-            </div>
-          ) : (
-            <div className="project-grid">
-              {projectIndex
-                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-                .map(project => (
-                  <div key={project.id} className="project-card" onClick={() => openProject(project.id)}>
-                    <button 
-                      className="project-delete" 
-                      onClick={(e) => { e.stopPropagation(); handleDeleteProject(project.id, project.title); }}
-                      title="Delete project"
-                    >
-                      ×
-                    </button>
-                    <h3>{project.title}</h3>
-                    <div className="project-meta">
-                      <span>{project.chapterCount || 0} chapters</span>
-                      <span>{project.entityCount || 0} cards</span>
-                    </div>
-                    <div className="project-date">
-                      Last edited: {new Date(project.updatedAt).toLocaleDateString()}
-                    </div>
-                  </div>
-                ))}
-            </div>
-          )}
-        </div>
+  return {
+    ...project,
+    customFolders,
+    entities,
+    trash: (project.trash || []).filter(t => !trashIds.includes(t.id))
+  };
+};
 
-        {showImportModal && (
-          <ImportModal
-            onImport={handleImport}
-            onClose={() => setShowImportModal(false)}
-          />
-        )}
+// Multi-tab coordination
+// Tabs announce saves over a BroadcastChannel (or the storage event where that is
+// unavailable). Messages only carry ids; receivers read the project from storage.
+const TAB_ID = generateId('tab');
+const TAB_CHANNEL_NAME = 'bookboard';
+const TAB_MESSAGE_KEY = 'bookboard-tab-message';
+let tabChannel = null;
+let tabMessageListener = null;
+let pendingResolvedKeys = []; // Conflicts resolved here, sent with the next save
+
+const onTabMessage = (listener) => {
+  tabMessageListener = listener;
+};
 
-        {showImportConflictModal && pendingImport && (
-          <ImportConflictModal
-            existingTitle={pendingImport.existingProject.title}
-            onOverwrite={() => handleConflictResolution('overwrite')}
-            onCreateNew={() => handleConflictResolution('new')}
-            onCancel={() => handleConflictResolution('cancel')}
-          />
-        )}
+const postTabMessage = (message) => {
+  const payload = { ...message, tabId: TAB_ID, sentAt: Date.now() };
+  if (tabChannel) {
+    tabChannel.postMessage(payload);
+  } else {
+    try {
+      localStorage.setItem(TAB_MESSAGE_KEY, JSON.stringify(payload));
+    } catch (error) {
+      console.error('Could not notify other tabs:', error);
+    }
+  }
+};
 
-        {showDriveModal && (
-          <DriveModal
-            projects={driveProjects}
-            onLoad={handleLoadFromDrive}
-            onRefresh={async () => {
-              if (googleAccessToken) {
-                const projects = await listDriveProjects(googleAccessToken);
-                setDriveProjects(projects);
-              }
-            }}
-            onClose={() => setShowDriveModal(false)}
-          />
-        )}
+// Bring this tab's cache up to date with a change made elsewhere, then tell the app
+const handleTabMessage = async (message) => {
+  if (!message || message.tabId === TAB_ID) return;
 
-        {showSettingsModal && (
-          <SettingsModal
-            geminiKey={geminiKey}
-            onGeminiKeyChange={setGeminiKey}
-            googleClientId={googleClientId}
-            onGoogleClientIdChange={setGoogleClientId}
-            googleAuthStatus={googleAuthStatus}
-            onGoogleSignIn={handleGoogleSignIn}
-            autoRearrange={autoRearrange}
-            onAutoRearrangeChange={setAutoRearrange}
-            debugMode={debugMode}
-            onDebugModeChange={setDebugMode}
-            onClose={() => setShowSettingsModal(false)}
-          />
-        )}
-      </div>
-    );
+  if (message.type === 'project-saved' || message.type === 'project-protection-changed') {
+    if (message.type === 'project-protection-changed') {
+      // The old key no longer matches; the project has to be unlocked again here
+      projectLocks.delete(message.projectId);
+    }
+    const record = storageDb
+      ? await idbGet(IDB_STORES.projects, message.projectId)
+      : JSON.parse(localStorage.getItem(STORAGE_KEYS.projectPrefix + message.projectId) || 'null');
+    if (!record) return;
+    // Keep protected projects decrypted here if this tab has unlocked them
+    const project = projectLocks.has(record.id)
+      ? await openSealedProject(record).catch(() => record)
+      : record;
+    projectCache.set(project.id, project);
+    const entry = buildIndexEntry(project);
+    const exists = projectIndexCache.some(p => p.id === project.id);
+    projectIndexCache = exists
+      ? projectIndexCache.map(p => p.id === project.id ? entry : p)
+      : [...projectIndexCache, entry];
+  } else if (message.type === 'project-deleted') {
+    projectCache.delete(message.projectId);
+    projectIndexCache = projectIndexCache.filter(p => p.id !== message.projectId);
   }
 
-  // Editor view
-  return (
-    <div className="app-container">
-      <TopBar 
-        title={currentProject.title}
-        onTitleChange={updateTitle}
-        onLibrary={goToLibrary}
-        onImport={() => setShowImportModal(true)}
-        onExport={() => setShowExportModal(true)}
-        onExtract={handleExtractClick}
-        hasChapters={currentProject.chapters.length > 0}
-        googleAuthStatus={googleAuthStatus}
-        onSaveToDrive={handleSaveToDrive}
-      />
-      
-      <div className="main-layout">
-        <TimelinePanel 
-          chapters={currentProject.chapters} 
-          onReorder={reorderChapters}
-          onChapterClick={(chapterId) => setEditingChapterId(chapterId)}
-          editingChapterId={editingChapterId}
-        />
-        {editingChapter ? (
-          <ChapterEditor
-            chapter={editingChapter}
-            chapterIndex={currentProject.chapters.findIndex(ch => ch.id === editingChapterId)}
-            onUpdateContent={(content) => updateChapterContent(editingChapterId, content)}
-            onUpdateTitle={(title) => updateChapterTitle(editingChapterId, title)}
-            onClose={() => setEditingChapterId(null)}
-          />
-        ) : (
-          <Corkboard 
-            key={currentProject.id}
-            entities={currentProject.entities}
-            chapters={currentProject.chapters}
-            customFolders={currentProject.customFolders || []}
-            onUpdatePosition={updateEntityPosition}
-            onEditEntity={(entity) => { setEditingEntity(entity); setShowEntityModal(true); }}
-            onDeleteEntity={deleteEntity}
-            onToggleStar={toggleStar}
-            isEmpty={currentProject.chapters.length === 0 && currentProject.entities.length === 0}
-            onImport={() => setShowImportModal(true)}
-            onAddEntity={(type, folder) => { 
-              setDefaultEntityType(type); 
-              setEditingEntity(folder ? { folder } : null); 
-              setShowEntityModal(true); 
-            }}
-            onAddFolder={() => setShowAddFolderModal(true)}
-            onDeleteCustomFolder={deleteCustomFolder}
-            onMergeEntities={(selected) => mergeEntities(selected[0], selected[1])}
-            onRearrangeEntities={rearrangeEntities}
-            autoRearrange={autoRearrange}
-          />
-        )}
-      </div>
+  if (tabMessageListener) {
+    tabMessageListener(message);
+  }
+};
 
-      {showImportModal && (
-        <ImportModal
-          onImport={handleImport}
-          onClose={() => setShowImportModal(false)}
-        />
-      )}
+const initTabChannel = () => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+    tabChannel.onmessage = (e) => handleTabMessage(e.data);
+  } else {
+    window.addEventListener('storage', (e) => {
+      if (e.key === TAB_MESSAGE_KEY && e.newValue) {
+        handleTabMessage(JSON.parse(e.newValue));
+      }
+    });
+  }
+};
 
-      {showImportConflictModal && pendingImport && (
-        <ImportConflictModal
-          existingTitle={pendingImport.existingProject.title}
-          onOverwrite={() => handleConflictResolution('overwrite')}
-          onCreateNew={() => handleConflictResolution('new')}
-          onCancel={() => handleConflictResolution('cancel')}
-        />
-      )}
+// Which project list each kind of conflicting item lives in
+const CONFLICT_LISTS = { chapter: 'chapters', entity: 'entities' };
 
-      {showExportModal && (
-        <ExportModal
-          onExportJson={exportAsJson}
-          onExportManuscript={exportManuscript}
-          onExportBible={exportBible}
-          hasChapters={currentProject.chapters.length > 0}
-          hasEntities={currentProject.entities.length > 0}
-          onClose={() => setShowExportModal(false)}
-        />
-      )}
+// Replace the item with this id in place (or remove it when item is null)
+const replaceItemById = (items, id, item) => {
+  const idx = items.findIndex(i => i.id === id);
+  if (idx < 0) return item ? [...items, item] : items;
+  const result = [...items];
+  if (item) {
+    result.splice(idx, 1, item);
+  } else {
+    result.splice(idx, 1);
+  }
+  return result;
+};
 
-      {showExtractModal && (
-        <ExtractModal
-          geminiKey={geminiKey}
-          onGeminiKeyChange={setGeminiKey}
-          onExtract={extractEntities}
-          onClose={() => setShowExtractModal(false)}
-        />
-      )}
+// Swap each conflicted item in a project for one side's version
+const applyConflictSide = (project, conflicts, side) => conflicts.reduce((acc, conflict) => {
+  const listKey = CONFLICT_LISTS[conflict.kind];
+  return { ...acc, [listKey]: replaceItemById(acc[listKey], conflict.id, conflict[side]) };
+}, project);
+
+// Three-way merge of a list of chapters or cards by id.
+// Items changed on one side only take that side; items changed on both become conflicts
+// (the local version is kept until the author chooses).
+const mergeItemLists = (kind, baseItems, localItems, remoteItems, forceRemoteIds, contentChanged) => {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const baseMap = new Map(baseItems.map(item => [item.id, item]));
+  const localMap = new Map(localItems.map(item => [item.id, item]));
+  const remoteMap = new Map(remoteItems.map(item => [item.id, item]));
+
+  // Follow whichever side reordered; prefer remote if both did
+  const ids = list => list.map(item => item.id).join();
+  const primary = ids(remoteItems) !== ids(baseItems) ? remoteItems : localItems;
+  const secondary = primary === remoteItems ? localItems : remoteItems;
+  const order = primary.map(item => item.id);
+  secondary.forEach((item, i) => {
+    if (!order.includes(item.id)) order.splice(Math.min(i, order.length), 0, item.id);
+  });
 
-      {showExtractConfirmModal && (
-        <ExtractConfirmModal
-          entityCount={currentProject.entities.length}
-          onClearAndExtract={handleClearAndExtract}
-          onAddToExisting={handleAddToExisting}
-          onCancel={() => setShowExtractConfirmModal(false)}
-        />
-      )}
+  const items = [];
+  const conflicts = [];
+  order.forEach(id => {
+    const base = baseMap.get(id);
+    const local = localMap.get(id);
+    const remote = remoteMap.get(id);
+    let chosen;
+    if (forceRemoteIds.includes(id) || same(local, remote) || same(local, base)) {
+      chosen = remote;
+    } else if (same(remote, base)) {
+      chosen = local;
+    } else {
+      chosen = local || remote;
+      if (!local || !remote || contentChanged(local, remote)) {
+        conflicts.push({ kind, id, local: local || null, remote: remote || null });
+      }
+    }
+    if (chosen) items.push(chosen);
+  });
+  return { items, conflicts };
+};
 
-      {showEntityModal && (
-        <EntityModal
-          entity={editingEntity}
-          chapters={currentProject.chapters}
-          customFolders={currentProject.customFolders || []}
-          defaultType={defaultEntityType}
-          onSave={saveEntity}
-          onClose={() => { setShowEntityModal(false); setEditingEntity(null); setDefaultEntityType(null); }}
-        />
-      )}
+// Merge a project saved in another tab into the open copy
+const mergeProjectVersions = (base, local, remote, resolvedKeys = []) => {
+  const forced = kind => resolvedKeys.filter(key => key.startsWith(`${kind}:`)).map(key => key.slice(kind.length + 1));
+  const chapters = mergeItemLists('chapter', base.chapters, local.chapters, remote.chapters, forced('chapter'),
+    (a, b) => a.title !== b.title || a.content !== b.content);
+  const entities = mergeItemLists('entity', base.entities, local.entities, remote.entities, forced('entity'),
+    (a, b) => entityChanged(a, b));
+  // Trash entries are never edited, so both sides' deletions can simply be combined
+  const trash = mergeItemLists('trash', base.trash || [], local.trash || [], remote.trash || [], [], () => false);
+
+  // Project-level fields (title, folders, trash...): take whichever side changed
+  const merged = { ...remote };
+  Object.keys({ ...local, ...remote }).forEach(key => {
+    if (key === 'chapters' || key === 'entities' || key === 'trash' || key === 'updatedAt') return;
+    const localChanged = JSON.stringify(local[key] ?? null) !== JSON.stringify(base[key] ?? null);
+    if (localChanged) merged[key] = local[key];
+  });
+  merged.chapters = chapters.items;
+  merged.entities = entities.items;
+  merged.trash = trash.items;
 
-      {showAddFolderModal && (
-        <AddFolderModal
-          existingFolders={currentProject.customFolders || []}
-          onAdd={addCustomFolder}
-          onClose={() => setShowAddFolderModal(false)}
-        />
-      )}
+  const conflicts = [...chapters.conflicts, ...entities.conflicts];
 
-      {loading && (
-        <div className="loading-overlay">
-          <div className="loading-spinner"></div>
-          <p>{loadingMessage}</p>
-        </div>
-      )}
-    </div>
-  );
-}
+  // The new common base is the remote copy, except conflicted items stay at the old base
+  // so they keep showing as conflicts until resolved.
+  const nextBase = applyConflictSide(remote, conflicts.map(conflict => ({
+    ...conflict,
+    base: base[CONFLICT_LISTS[conflict.kind]].find(item => item.id === conflict.id) || null
+  })), 'base');
 
-// Top Bar Component (Editor view)
-function TopBar({ title, onTitleChange, onLibrary, onImport, onExport, onExtract, hasChapters, googleAuthStatus, onSaveToDrive }) {
-  return (
-    <div className="top-bar">
-      <button className="btn btn-back" onClick={onLibrary} title="Back to library">←</button>
-      <input
-        type="text"
-        value={title}
-        onChange={(e) => onTitleChange(e.target.value)}
-        placeholder="Novel Title"
-      />
-      <div className="top-bar-spacer"></div>
-      <button className="btn" onClick={onImport}>Import</button>
-      {hasChapters && (
-        <button className="btn btn-secondary" onClick={onExtract}>Extract</button>
-      )}
-      <button className="btn btn-primary" onClick={onExport}>Export</button>
-      {googleAuthStatus === 'signed_in' && (
-        <button className="btn btn-drive" onClick={onSaveToDrive} title="Save to Google Drive">☁️</button>
-      )}
-    </div>
-  );
-}
+  return { merged, conflicts, nextBase };
+};
 
-// Timeline Panel Component
-function TimelinePanel({ chapters, onReorder, onChapterClick, editingChapterId }) {
-  const [dragIndex, setDragIndex] = useState(null);
-  const [dragOverIndex, setDragOverIndex] = useState(null);
+// Drive merge
+// The copy last saved to or loaded from the sync provider (Drive, WebDAV...) is kept as the
+// base for three-way merges, so loading combines both sides' changes instead of replacing one.
+const MERGE_FIELDS = {
+  chapter: ['title', 'content'],
+  entity: ENTITY_DIFF_FIELDS
+};
 
-  const handleDragStart = (e, index) => {
-    setDragIndex(index);
-    e.dataTransfer.effectAllowed = 'move';
-  };
+const loadSyncBase = async (projectId) => {
+  if (!storageDb) return null;
+  try {
+    return (await openSealedProject(await idbGet(IDB_STORES.syncBases, projectId))) || null;
+  } catch (error) {
+    return null; // Sealed under a key this tab doesn't have
+  }
+};
 
-  const handleDragOver = (e, index) => {
-    e.preventDefault();
-    if (dragIndex !== null && dragIndex !== index) {
-      setDragOverIndex(index);
+const saveSyncBase = async (project) => {
+  if (!project) return;
+  setSyncedVersion(project.id, project.updatedAt);
+  if (!storageDb) return;
+  try {
+    await idbPut(IDB_STORES.syncBases, project.id, await sealProject(project));
+  } catch (error) {
+    reportStorageError(error, 'sync base');
+  }
+};
+
+// Compare two copies of a project, ignoring when they were saved
+const sameProjectContent = (a, b) => {
+  const { updatedAt: aSavedAt, ...aContent } = a;
+  const { updatedAt: bSavedAt, ...bContent } = b;
+  return JSON.stringify(aContent) === JSON.stringify(bContent);
+};
+
+// Merge one chapter or card field by field.
+// Returns the merged item (local values where both sides changed) and the conflicting fields.
+const mergeItemFields = (kind, base, local, remote) => {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const item = {};
+  const fields = [];
+  Object.keys({ ...base, ...local, ...remote }).forEach(key => {
+    if (same(local[key], remote[key]) || same(local[key], base[key])) {
+      if (remote[key] !== undefined) item[key] = remote[key];
+    } else {
+      if (local[key] !== undefined) item[key] = local[key];
+      // Fields like card positions just keep the local value
+      if (!same(remote[key], base[key]) && MERGE_FIELDS[kind].includes(key)) fields.push(key);
     }
-  };
+  });
+  return { item, fields };
+};
 
-  const handleDrop = (e, index) => {
-    e.preventDefault();
-    if (dragIndex !== null && dragIndex !== index) {
-      onReorder(dragIndex, index);
+// Three-way merge of a Drive copy into the local one.
+// Conflicts carry the changed fields, or null fields when one side deleted the item.
+const mergeWithDrive = (base, local, remote) => {
+  const { merged, conflicts } = mergeProjectVersions(base || { id: local.id, chapters: [], entities: [], trash: [] }, local, remote);
+  const remaining = [];
+  let result = merged;
+  conflicts.forEach(conflict => {
+    const listKey = CONFLICT_LISTS[conflict.kind];
+    const baseItem = base?.[listKey].find(item => item.id === conflict.id) || {};
+    if (!conflict.local || !conflict.remote) {
+      remaining.push({ ...conflict, fields: null, merged: conflict.local || conflict.remote });
+      return;
     }
-    setDragIndex(null);
-    setDragOverIndex(null);
-  };
+    const { item, fields } = mergeItemFields(conflict.kind, baseItem, conflict.local, conflict.remote);
+    result = { ...result, [listKey]: replaceItemById(result[listKey], conflict.id, item) };
+    if (fields.length > 0) {
+      remaining.push({ ...conflict, fields, merged: item });
+    }
+  });
+  return { merged: result, conflicts: remaining };
+};
 
-  const handleDragEnd = () => {
-    setDragIndex(null);
-    setDragOverIndex(null);
-  };
+// Apply the author's choices ({ [conflictKey]: 'local' | 'remote' | { field: side } }) to a merge
+const resolveDriveConflicts = (merged, conflicts, choices) => conflicts.reduce((acc, conflict) => {
+  const key = `${conflict.kind}:${conflict.id}`;
+  const choice = choices[key] || 'local';
+  let item;
+  if (!conflict.fields) {
+    item = choice === 'remote' ? conflict.remote : conflict.local;
+  } else {
+    item = { ...conflict.merged };
+    conflict.fields.forEach(field => {
+      const side = typeof choice === 'string' ? choice : (choice[field] || 'local');
+      item[field] = (side === 'remote' ? conflict.remote : conflict.local)[field];
+    });
+  }
+  const listKey = CONFLICT_LISTS[conflict.kind];
+  return { ...acc, [listKey]: replaceItemById(acc[listKey], conflict.id, item) };
+}, merged);
+
+// Background sync
+// Changed projects are queued (in localStorage, so the queue survives a reload) and
+// uploaded after a short pause in editing. Failed uploads retry with increasing delays.
+const AUTO_SYNC_DELAY_MS = 5000;
+const SYNC_RETRY_DELAYS_MS = [10 * 1000, 30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+const SYNC_STATUS_LABELS = {
+  synced: { label: '✓ Synced', help: 'All changes are synced' },
+  pending: { label: '● Pending', help: 'Changes will be uploaded shortly' },
+  offline: { label: '⚠ Offline', help: 'Changes will be uploaded when you are online and signed in' },
+  error: { label: '⚠ Sync error', help: 'Uploading failed. Retrying automatically.' }
+};
 
-  return (
-    <div className="timeline-panel">
-      <div className="timeline-header">Chapter Timeline</div>
-      {chapters.length === 0 ? (
-        <p style={{ color: 'rgba(255,255,255,0.5)', fontSize: '0.85rem', fontStyle: 'italic' }}>
-          Import a manuscript to see chapters here
-        </p>
-      ) : (
-        chapters.map((chapter, index) => (
-          <div 
-            key={chapter.id} 
-            className={`chapter-card ${dragIndex === index ? 'dragging' : ''} ${dragOverIndex === index ? 'drag-over' : ''} ${editingChapterId === chapter.id ? 'selected' : ''}`}
-            draggable
-            onDragStart={(e) => handleDragStart(e, index)}
-            onDragOver={(e) => handleDragOver(e, index)}
-            onDrop={(e) => handleDrop(e, index)}
-            onDragEnd={handleDragEnd}
-            onClick={() => onChapterClick(chapter.id)}
-          >
-            <div className="chapter-number">Chapter {index + 1}</div>
-            <div className="chapter-title">{chapter.title}</div>
-            {chapter.content && (
-              <div className="chapter-preview">{chapter.content.substring(0, 120)}...</div>
-            )}
-          </div>
-        ))
-      )}
-    </div>
-  );
-}
+// { [projectId]: { attempts, retryAt } }
+const loadSyncQueue = () => JSON.parse(localStorage.getItem(STORAGE_KEYS.syncQueue) || '{}');
 
-// Corkboard Component with Folder Navigation
-function Corkboard({ 
-  entities, 
-  chapters, 
-  customFolders = [],
-  onUpdatePosition, 
-  onEditEntity, 
-  onDeleteEntity,
-  onToggleStar,
-  isEmpty, 
-  onImport,
-  onAddEntity,
-  onAddFolder,
-  onDeleteCustomFolder,
-  onMergeEntities,
-  onRearrangeEntities,
-  autoRearrange = true
-}) {
-  const [activeFolder, setActiveFolder] = useState(null);
-  const [isCustomFolder, setIsCustomFolder] = useState(false);
-  const [isKeyFolder, setIsKeyFolder] = useState(false);
-  const [selectedForMerge, setSelectedForMerge] = useState([]);
-  const [showMergeModal, setShowMergeModal] = useState(false);
-  
-  // ESC key to go back or clear selection
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      if (e.key === 'Escape') {
-        if (selectedForMerge.length > 0) {
-          setSelectedForMerge([]);
-        } else if (activeFolder) {
-          setActiveFolder(null);
-          setIsCustomFolder(false);
-          setIsKeyFolder(false);
+const saveSyncQueue = (queue) => {
+  localStorage.setItem(STORAGE_KEYS.syncQueue, JSON.stringify(queue));
+};
+
+// Queue a project for upload. Each change pushes the upload back, so it happens
+// once editing pauses (or later, if the project is waiting to retry).
+const markProjectDirty = (projectId) => {
+  const queue = loadSyncQueue();
+  const entry = queue[projectId] || { attempts: 0, retryAt: 0 };
+  queue[projectId] = { ...entry, retryAt: Math.max(entry.retryAt, Date.now() + AUTO_SYNC_DELAY_MS) };
+  saveSyncQueue(queue);
+};
+
+const markProjectSynced = (projectId) => {
+  const queue = loadSyncQueue();
+  delete queue[projectId];
+  saveSyncQueue(queue);
+};
+
+// Retry everything now, e.g. when the connection comes back
+const resetSyncBackoff = () => {
+  const queue = loadSyncQueue();
+  Object.values(queue).forEach(entry => { entry.retryAt = 0; });
+  saveSyncQueue(queue);
+};
+
+// The updatedAt of the copy each project had on both sides at its last sync: { [projectId]: updatedAt }.
+// Comparing it with each side's current updatedAt shows which side has changed since.
+const loadSyncedVersions = () => JSON.parse(localStorage.getItem(STORAGE_KEYS.syncedVersions) || '{}');
+
+const setSyncedVersion = (projectId, updatedAt) => {
+  const versions = loadSyncedVersions();
+  if (updatedAt) {
+    versions[projectId] = updatedAt;
+  } else {
+    delete versions[projectId];
+  }
+  localStorage.setItem(STORAGE_KEYS.syncedVersions, JSON.stringify(versions));
+};
+
+// Tombstones waiting to be uploaded for permanently deleted projects: { [projectId]: tombstone }
+const loadSyncTombstones = () => JSON.parse(localStorage.getItem(STORAGE_KEYS.syncTombstones) || '{}');
+
+const saveSyncTombstones = (tombstones) => {
+  localStorage.setItem(STORAGE_KEYS.syncTombstones, JSON.stringify(tombstones));
+};
+
+// Replaces the remote copy of a deleted project so other devices delete it too instead of restoring it
+const createTombstone = (project) => {
+  const deletedAt = new Date().toISOString();
+  return { id: project.id, title: project.title, tombstone: true, deletedAt, updatedAt: deletedAt };
+};
+
+const isTombstone = (data) => !!data?.tombstone;
+
+// Delete a project for good. Projects that have been synced get a tombstone queued for upload.
+const purgeProject = (projectId) => {
+  const project = loadProject(projectId);
+  if (project && loadSyncedVersions()[projectId]) {
+    saveSyncTombstones({ ...loadSyncTombstones(), [projectId]: createTombstone(project) });
+    markProjectDirty(projectId);
+  }
+  deleteProjectFromStorage(projectId);
+};
+
+// Check the remote copy before an upload, so changes another device uploaded since this one
+// last synced are merged in rather than overwritten. Resolves with { project } to upload
+// (the merge, with a new updatedAt and remote set, when the remote copy had moved on) or
+// { conflict } ({ local, remote, merged, conflicts } for the merge dialog) when it can't be merged.
+const mergeBeforeUpload = async (provider, project) => {
+  if (isEncryptedProject(project)) return { project }; // Locked here, so it can't have been edited
+  const file = await provider.find(project.id);
+  if (!file) return { project };
+  const fetched = await provider.load(file.id);
+  if (isTombstone(fetched)) return { project }; // Deleted elsewhere; the library reconcile offers what to do
+  const data = await openSealedProject(fetched).catch(() => null);
+  if (!data || isEncryptedProject(data)) {
+    throw new Error(`The copy of "${project.title}" on ${provider.name} is locked with another passphrase`);
+  }
+  const { project: remote } = migrateProject(data);
+  const base = await loadSyncBase(project.id);
+  if ((base && sameProjectContent(remote, base)) || sameProjectContent(remote, project)) return { project };
+  const { merged, conflicts } = mergeWithDrive(base, project, remote);
+  if (conflicts.length > 0) return { conflict: { local: project, remote, merged, conflicts } };
+  return { project: { ...merged, updatedAt: new Date().toISOString() }, remote };
+};
+
+// Upload the queued projects that are due. Merges for the open project (openProjectId) are
+// left to the app, so they become undoable changes; other projects are merged here.
+// Resolves with the overall status ('synced', 'pending', 'offline' or 'error'), when to try again,
+// and the projects whose remote copy now has changes from other devices to merge in.
+const pushSyncQueue = async (provider, openProjectId = null) => {
+  const queue = loadSyncQueue();
+  const remoteChanged = [];
+  if (Object.keys(queue).length === 0) return { status: 'synced', retryIn: null, remoteChanged };
+  if (!provider || !navigator.onLine) return { status: 'offline', retryIn: null, remoteChanged };
+
+  for (const [projectId, entry] of Object.entries(queue)) {
+    if (entry.retryAt > Date.now()) continue;
+    const project = loadProject(projectId);
+    const tombstone = loadSyncTombstones()[projectId];
+    try {
+      // Trashed projects are uploaded too, so they move to the trash on other devices
+      let uploaded = project;
+      if (project) {
+        const { project: upload, remote, conflict } = await mergeBeforeUpload(provider, project);
+        if (conflict || (remote && projectId === openProjectId)) {
+          remoteChanged.push(projectId);
+          if (conflict) throw new Error('Changed on both sides; waiting for the conflicts to be merged');
+          markProjectDirty(projectId); // Uploaded once the app has merged it into the open project
+          continue;
         }
+        const result = await provider.save(await sealProject(upload));
+        await saveSyncBase(upload);
+        if (remote) saveProject(upload, { keepUpdatedAt: true });
+        if (result?.remoteChanges) remoteChanged.push(projectId);
+        uploaded = upload;
+      } else if (tombstone) {
+        await provider.save(tombstone);
+        const { [projectId]: uploaded, ...remaining } = loadSyncTombstones();
+        saveSyncTombstones(remaining);
       }
-    };
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [activeFolder, selectedForMerge]);
-  
-  // Clear selection when changing folders
-  useEffect(() => {
-    setSelectedForMerge([]);
-  }, [activeFolder]);
-  
-  // Auto-rearrange cards when opening a folder
-  useEffect(() => {
-    if (activeFolder && autoRearrange) {
-      // Get current folder entities
-      let folderEnts;
-      if (isKeyFolder) {
-        folderEnts = entities.filter(e => e.type === activeFolder && e.starred);
-      } else if (isCustomFolder) {
-        folderEnts = entities.filter(e => e.folder === activeFolder);
-      } else {
-        folderEnts = entities.filter(e => e.type === activeFolder);
-      }
-      if (folderEnts.length > 0) {
-        onRearrangeEntities(folderEnts.map(e => e.id));
-      }
-    }
-  }, [activeFolder, isCustomFolder, isKeyFolder]); // Only on folder change, not on entity changes
-  
-  // Toggle entity selection for merge
-  const toggleMergeSelection = (entity) => {
-    setSelectedForMerge(prev => {
-      if (prev.find(e => e.id === entity.id)) {
-        return prev.filter(e => e.id !== entity.id);
-      }
-      // Only allow selecting same type
-      if (prev.length > 0 && prev[0].type !== entity.type) {
-        return prev; // Ignore if different type
-      }
-      if (prev.length >= 2) {
-        return prev; // Max 2 for merge
+      // Stay queued if the project was edited again during the upload
+      if (loadProject(projectId)?.updatedAt === uploaded?.updatedAt) {
+        markProjectSynced(projectId);
       }
-      return [...prev, entity];
-    });
-  };
-  
-  // Entity types for folders
-  const entityTypes = [
-    { type: 'scene', label: 'Scenes', keyLabel: 'Key Scenes', icon: '🎬' },
-    { type: 'character', label: 'Characters', keyLabel: 'Key Characters', icon: '👤' },
-    { type: 'location', label: 'Locations', keyLabel: 'Key Locations', icon: '📍' },
-    { type: 'object', label: 'Objects', keyLabel: 'Key Objects', icon: '🔮' },
-    { type: 'theme', label: 'Themes', keyLabel: 'Key Themes', icon: '💡' },
-    { type: 'idea', label: 'Ideas', keyLabel: 'Key Ideas', icon: '📝' }
-  ];
-  
-  // Reserved folder names (can't create custom folders with these names)
-  const reservedFolderNames = entityTypes.map(et => et.keyLabel.toLowerCase());
-  
-  // Count entities per type
-  const getCounts = () => {
-    const counts = {};
-    entityTypes.forEach(et => {
-      counts[et.type] = entities.filter(e => e.type === et.type).length;
-    });
-    return counts;
-  };
-  
-  // Count starred entities per type
-  const getStarredCounts = () => {
-    const counts = {};
-    entityTypes.forEach(et => {
-      counts[et.type] = entities.filter(e => e.type === et.type && e.starred).length;
-    });
-    return counts;
-  };
-  
-  // Count entities per custom folder
-  const getCustomFolderCounts = () => {
-    const counts = {};
-    (customFolders || []).forEach(folder => {
-      counts[folder] = entities.filter(e => e.folder === folder).length;
-    });
-    return counts;
-  };
-  
-  const counts = getCounts();
-  const starredCounts = getStarredCounts();
-  const customCounts = getCustomFolderCounts();
-  
-  // Get entities for current view
-  const getFolderEntities = () => {
-    if (!activeFolder) return [];
-    if (isKeyFolder) {
-      // Key folder: starred entities of that type
-      return entities.filter(e => e.type === activeFolder && e.starred);
-    }
-    if (isCustomFolder) {
-      return entities.filter(e => e.folder === activeFolder);
+      log('Auto-synced', { projectId, provider: provider.type });
+    } catch (error) {
+      const latest = loadSyncQueue();
+      const attempts = (latest[projectId]?.attempts || 0) + 1;
+      const delay = SYNC_RETRY_DELAYS_MS[Math.min(attempts, SYNC_RETRY_DELAYS_MS.length) - 1];
+      latest[projectId] = { attempts, retryAt: Date.now() + delay };
+      saveSyncQueue(latest);
+      log('Auto-sync failed', { projectId, attempts, error: error.message });
     }
-    return entities.filter(e => e.type === activeFolder);
-  };
-  
-  const folderEntities = getFolderEntities();
-  const activeFolderInfo = entityTypes.find(et => et.type === activeFolder);
-  
-  // Handle add button click
-  const handleAddClick = () => {
-    if (activeFolder && !isCustomFolder) {
-      // Inside a type folder - add entity with that type
-      onAddEntity(activeFolder);
-    } else if (activeFolder && isCustomFolder) {
-      // Inside a custom folder - add entity and assign to this folder
-      onAddEntity(null, activeFolder);
+  }
+
+  const remaining = Object.values(loadSyncQueue());
+  if (remaining.length === 0) return { status: 'synced', retryIn: null, remoteChanged };
+  const retryIn = Math.max(0, Math.min(...remaining.map(entry => entry.retryAt)) - Date.now());
+  if (!navigator.onLine) return { status: 'offline', retryIn: null, remoteChanged };
+  return { status: remaining.some(entry => entry.attempts > 0) ? 'error' : 'pending', retryIn, remoteChanged };
+};
+
+// Library reconcile
+// Pair each local project with its remote file and sort the pairs by which side has
+// changed since the last sync. Files are matched on the project id in their metadata.
+const reconcileLibrary = (localProjects, remoteFiles) => {
+  const synced = loadSyncedVersions();
+  const tombstones = loadSyncTombstones();
+  const remoteById = new Map(remoteFiles.map(file => [file.projectId, file]));
+  const groups = { diverged: [], deletedRemote: [], newerRemote: [], newerLocal: [], localOnly: [], remoteOnly: [], inSync: [] };
+
+  localProjects.forEach(local => {
+    const remote = remoteById.get(local.id) || null;
+    remoteById.delete(local.id);
+    const pair = { id: local.id, local, remote };
+    if (!remote) {
+      if (!local.deletedAt) groups.localOnly.push(pair);
+    } else if (remote.state === 'deleted') {
+      if (!local.deletedAt) groups.deletedRemote.push(pair);
+    } else if (remote.updatedAt && remote.updatedAt === local.updatedAt) {
+      groups.inSync.push(pair);
+    } else if (remote.updatedAt && remote.updatedAt === synced[local.id]) {
+      groups.newerLocal.push(pair);
+    } else if (local.updatedAt === synced[local.id]) {
+      groups.newerRemote.push(pair);
     } else {
-      // At top level - add a new custom folder
-      onAddFolder();
+      groups.diverged.push(pair);
     }
-  };
-  
-  if (isEmpty && (!customFolders || customFolders.length === 0)) {
-    return (
+  });
+  // Remote projects deleted here but whose tombstone hasn't been uploaded yet are left out
+  remoteById.forEach((remote, projectId) => {
+    if (remote.state === 'active' && !tombstones[projectId]) {
+      groups.remoteOnly.push({ id: projectId, local: null, remote });
+    }
+  });
+  return groups;
+};
+
+// Main App Component
+function App() {
+  const [view, setView] = useState('library'); // 'library' or 'editor'
+  const [projectIndex, setProjectIndex] = useState(loadProjectIndex);
+  const [currentProject, setCurrentProject] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showEntityModal, setShowEntityModal] = useState(false);
+  const [showExtractModal, setShowExtractModal] = useState(false);
+  const [showExtractConfirmModal, setShowExtractConfirmModal] = useState(false);
+  const [showImportConflictModal, setShowImportConflictModal] = useState(false);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [showAddFolderModal, setShowAddFolderModal] = useState(false);
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [showDriveModal, setShowDriveModal] = useState(false);
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [showRevisionsModal, setShowRevisionsModal] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showTabConflictModal, setShowTabConflictModal] = useState(false);
+  const [showProtectionModal, setShowProtectionModal] = useState(false);
+  const [showProjectSettings, setShowProjectSettings] = useState(false);
+  const [showManuscriptExport, setShowManuscriptExport] = useState(false);
+  const [showEpubExport, setShowEpubExport] = useState(false);
+  const [showUnlockKeysModal, setShowUnlockKeysModal] = useState(false);
+  const [unlockTarget, setUnlockTarget] = useState(null); // Locked project waiting for its passphrase
+  const [driveMerge, setDriveMerge] = useState(null); // Drive load with conflicts awaiting choices
+  const [syncStatus, setSyncStatus] = useState(() => Object.keys(loadSyncQueue()).length > 0 ? 'pending' : 'synced');
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importReport, setImportReport] = useState(null); // Validation problems awaiting confirmation
+  const [textImport, setTextImport] = useState(null); // { text, fileName } awaiting chapter detection
+  const [draftReimport, setDraftReimport] = useState(null); // { project, chapters } awaiting chapter matching review
+  const [multiImport, setMultiImport] = useState(null); // { title, files } awaiting ordering
+  const [cardImport, setCardImport] = useState(null); // { fileName, rows } spreadsheet rows awaiting review
+  const [editingEntity, setEditingEntity] = useState(null);
+  const [editingChapterId, setEditingChapterId] = useState(null);
+  const [defaultEntityType, setDefaultEntityType] = useState(null); // For add button in folders
+  const [bookType, setBookType] = useState('novel'); // 'novel', 'collection' or 'screenplay'
+  const [loading, setLoading] = useState(false);
+  const [loadingMessage, setLoadingMessage] = useState('');
+  const [geminiKey, setGeminiKey] = useState(() => readSecret(STORAGE_KEYS.geminiKey));
+  const [googleClientId, setGoogleClientId] = useState(() => readSecret(STORAGE_KEYS.googleClientId));
+  const [secretsStatus, setSecretsStatus] = useState(() => secretsAreProtected() ? 'locked' : 'off'); // 'off', 'locked', 'unlocked'
+  const [googleAuthStatus, setGoogleAuthStatus] = useState('not_configured'); // 'not_configured', 'signed_out', 'signed_in'
+  const [driveProjects, setDriveProjects] = useState([]); // Remote projects listed by the sync provider
+  const [syncConfig, setSyncConfig] = useState(loadSyncConfig);
+  const [webdavPassword, setWebdavPassword] = useState(() => readSecret(STORAGE_KEYS.webdavPassword));
+  const [restToken, setRestToken] = useState(() => readSecret(STORAGE_KEYS.restToken));
+  const [debugMode, setDebugMode] = useState(() => localStorage.getItem(STORAGE_KEYS.debugMode) === 'true');
+  const [autoRearrange, setAutoRearrange] = useState(() => localStorage.getItem(STORAGE_KEYS.autoRearrange) !== 'false'); // Default true
+  const [storageError, setStorageError] = useState(null);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+
+  // Surface storage write failures (e.g. quota exceeded) in the UI
+  useEffect(() => {
+    onStorageError(setStorageError);
+    return () => onStorageError(null);
+  }, []);
+
+  // Empty expired items from the library trash on startup
+  useEffect(() => {
+    purgeExpiredProjects();
+    setProjectIndex(loadProjectIndex());
+  }, []);
+
+  // Refresh storage usage while the library is showing
+  useEffect(() => {
+    if (view === 'library') {
+      getStorageEstimate().then(setStorageEstimate).catch(() => setStorageEstimate(null));
+    }
+  }, [view, projectIndex]);
+
+  // Save debug mode when it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.debugMode, debugMode.toString());
+  }, [debugMode]);
+
+  // Save autoRearrange when it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.autoRearrange, autoRearrange.toString());
+  }, [autoRearrange]);
+
+  // Save Gemini key when it changes
+  useEffect(() => {
+    if (geminiKey) {
+      writeSecret(STORAGE_KEYS.geminiKey, geminiKey);
+    }
+  }, [geminiKey]);
+
+  // Save Google Client ID when it changes
+  useEffect(() => {
+    if (googleClientId) {
+      writeSecret(STORAGE_KEYS.googleClientId, googleClientId);
+      setGoogleAuthStatus('signed_out');
+    } else {
+      setGoogleAuthStatus('not_configured');
+    }
+  }, [googleClientId]);
+
+  // Initialize Google Auth when client ID is available
+  useEffect(() => {
+    if (googleClientId && typeof google !== 'undefined') {
+      initGoogleAuth(
+        googleClientId,
+        (token) => {
+          setGoogleAuthStatus('signed_in');
+        },
+        (error) => {
+          console.error('Google auth error:', error);
+          setGoogleAuthStatus('signed_out');
+        }
+      );
+    }
+  }, [googleClientId]);
+
+  // Save sync settings when they change
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.syncProvider, JSON.stringify(syncConfig));
+  }, [syncConfig]);
+
+  useEffect(() => {
+    if (webdavPassword) {
+      writeSecret(STORAGE_KEYS.webdavPassword, webdavPassword);
+    }
+  }, [webdavPassword]);
+
+  useEffect(() => {
+    if (restToken) {
+      writeSecret(STORAGE_KEYS.restToken, restToken);
+    }
+  }, [restToken]);
+
+  // The sync provider in use, or null while it isn't ready (e.g. signed out of Google)
+  const syncProvider = syncConfig.type !== 'drive' || googleAuthStatus === 'signed_in'
+    ? getSyncProvider(syncConfig, { webdavPassword, restToken })
+    : null;
+  const syncConfigured = syncConfig.type === 'drive' ? googleAuthStatus !== 'not_configured' : !!syncProvider;
+  const syncProviderRef = useRef(syncProvider);
+  syncProviderRef.current = syncProvider;
+  // Changes whenever a different provider (or server) becomes ready
+  const syncKey = syncProvider ? [syncConfig.type, syncConfig.webdavUrl, syncConfig.webdavUsername, syncConfig.restUrl].join('|') : '';
+
+  // List the remote projects whenever the provider changes
+  useEffect(() => {
+    setDriveProjects([]);
+    if (syncProvider) {
+      syncProvider.list().then(setDriveProjects).catch(console.error);
+    }
+  }, [syncKey]);
+
+  // Refresh the remote list whenever the sync dialog opens
+  useEffect(() => {
+    if (showDriveModal && syncProvider) {
+      syncProvider.list().then(setDriveProjects).catch(console.error);
+    }
+  }, [showDriveModal]);
+
+  // Decrypt the stored API keys for this session
+  const handleUnlockSecrets = async (passphrase) => {
+    const values = await unlockSecrets(passphrase);
+    setGeminiKey(values[STORAGE_KEYS.geminiKey]);
+    setGoogleClientId(values[STORAGE_KEYS.googleClientId]);
+    setWebdavPassword(values[STORAGE_KEYS.webdavPassword]);
+    setRestToken(values[STORAGE_KEYS.restToken]);
+    setSecretsStatus('unlocked');
+    setShowUnlockKeysModal(false);
+  };
+
+  // Encrypt the stored API keys with a passphrase, or store them in plain text again
+  const handleProtectSecrets = async (passphrase) => {
+    await protectSecrets(passphrase, {
+      [STORAGE_KEYS.geminiKey]: geminiKey,
+      [STORAGE_KEYS.googleClientId]: googleClientId,
+      [STORAGE_KEYS.webdavPassword]: webdavPassword,
+      [STORAGE_KEYS.restToken]: restToken
+    });
+    setSecretsStatus(passphrase ? 'unlocked' : 'off');
+  };
+
+  // Handle Google Sign In
+  const handleGoogleSignIn = () => {
+    if (!googleClientId) {
+      alert('Please configure your Google Client ID in Settings first.');
+      setShowSettingsModal(true);
+      return;
+    }
+    requestGoogleAuth();
+  };
+
+  // Background sync: upload queued projects, then come back for retries
+  const syncTimerRef = useRef(null);
+  const syncRunningRef = useRef(false);
+
+  const scheduleSync = (delay) => {
+    clearTimeout(syncTimerRef.current);
+    syncTimerRef.current = setTimeout(runSync, delay);
+  };
+
+  const runSync = async () => {
+    if (syncRunningRef.current) {
+      scheduleSync(AUTO_SYNC_DELAY_MS);
+      return;
+    }
+    clearTimeout(syncTimerRef.current);
+    syncRunningRef.current = true;
+    const { status, retryIn, remoteChanged } = await pushSyncQueue(syncProviderRef.current, projectRef.current?.id);
+    syncRunningRef.current = false;
+    setSyncStatus(status);
+    if (retryIn !== null) scheduleSync(retryIn);
+    // Another device's changes were kept on upload, or must be merged before uploading:
+    // bring them into the open project (conflicts open the merge dialog)
+    if (projectRef.current && remoteChanged.includes(projectRef.current.id)) {
+      checkDriveForUpdates(projectRef.current.id);
+    }
+  };
+
+  // Queue a changed project for upload once editing pauses
+  const queueProjectSync = (projectId) => {
+    if (!syncConfigured) return;
+    markProjectDirty(projectId);
+    setSyncStatus(prev => prev === 'synced' ? 'pending' : prev);
+    scheduleSync(AUTO_SYNC_DELAY_MS);
+  };
+
+  // Start syncing once the provider is ready, and again whenever the connection comes back
+  useEffect(() => {
+    if (!syncProvider) {
+      if (Object.keys(loadSyncQueue()).length > 0) setSyncStatus('offline');
+      return;
+    }
+    runSync();
+    const handleOnline = () => {
+      resetSyncBackoff();
+      runSync();
+    };
+    const handleOffline = () => setSyncStatus('offline');
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(syncTimerRef.current);
+    };
+  }, [syncKey]);
+
+  // Upload a project by hand, after merging in what another device uploaded since the last
+  // sync. Resolves with the provider's save result, or null when the copies conflict and
+  // nothing was uploaded (the merge dialog opens unless openMergeDialog is false).
+  const uploadProject = async (project, { openMergeDialog = true } = {}) => {
+    const { project: upload, remote, conflict } = await mergeBeforeUpload(syncProvider, project);
+    if (conflict) {
+      if (openMergeDialog) setDriveMerge(conflict);
+      return null;
+    }
+    const result = await syncProvider.save(await sealProject(upload));
+    await saveSyncBase(upload);
+    if (remote && projectRef.current?.id === upload.id) {
+      commitChange('Merge synced changes', () => upload);
+    } else if (remote) {
+      saveProject(upload, { keepUpdatedAt: true });
+      setProjectIndex(loadProjectIndex());
+    }
+    markProjectSynced(project.id);
+    return result || {};
+  };
+
+  // Save current project to the sync provider
+  const handleSaveToDrive = async () => {
+    if (!syncProvider || !currentProject) return;
+    
+    setLoading(true);
+    setLoadingMessage(`Saving to ${syncProvider.name}...`);
+    try {
+      const result = await uploadProject(currentProject);
+      if (!result) {
+        setLoading(false);
+        return; // Changed on both sides: the merge dialog is open
+      }
+      runSync();
+      if (result.remoteChanges) checkDriveForUpdates(currentProject.id);
+      const projects = await syncProvider.list();
+      setDriveProjects(projects);
+      alert(`Project saved to ${syncProvider.name}!`);
+    } catch (error) {
+      console.error('Save to sync provider error:', error);
+      alert(`Failed to save to ${syncProvider.name}: ` + error.message);
+    }
+    setLoading(false);
+  };
+
+  // Upload one project from the library reconcile list
+  const handleUploadProject = async (projectId) => {
+    const project = loadProject(projectId);
+    if (!syncProvider || !project) return;
+    
+    setLoading(true);
+    setLoadingMessage(`Saving "${project.title}" to ${syncProvider.name}...`);
+    try {
+      await uploadProject(project);
+      setDriveProjects(await syncProvider.list());
+    } catch (error) {
+      console.error('Save to sync provider error:', error);
+      alert(`Failed to save to ${syncProvider.name}: ` + error.message);
+    }
+    setLoading(false);
+  };
+
+  // Move a project deleted on another device to the trash here as well.
+  // It isn't queued for upload: the remote tombstone already records the deletion.
+  const handleTrashDeletedProject = (projectId) => {
+    moveProjectToTrash(projectId);
+    setProjectIndex(loadProjectIndex());
+  };
+
+  // Save all local projects to the sync provider
+  const handleSaveAllToDrive = async () => {
+    if (!syncProvider) return;
+    
+    setLoading(true);
+    const index = loadProjectIndex();
+    const conflicted = [];
+    for (let i = 0; i < index.length; i++) {
+      setLoadingMessage(`Saving to ${syncProvider.name}... (${i + 1}/${index.length})`);
+      const project = loadProject(index[i].id);
+      if (project) {
+        try {
+          if (!(await uploadProject(project, { openMergeDialog: false }))) conflicted.push(project.title);
+        } catch (error) {
+          console.error(`Failed to save ${project.title}:`, error);
+        }
+      }
+    }
+    const projects = await syncProvider.list().catch(() => []);
+    setDriveProjects(projects);
+    setLoading(false);
+    runSync();
+    alert(conflicted.length > 0
+      ? `Saved to ${syncProvider.name}, except projects changed on both sides: ${conflicted.map(title => `"${title}"`).join(', ')}. Load them from ${syncProvider.name} to merge them first.`
+      : `All projects saved to ${syncProvider.name}!`);
+  };
+
+  // Load a project from the sync provider, merging it with the local copy if there is one
+  const handleLoadFromDrive = async (fileId, fileName) => {
+    if (!syncProvider) return;
+    
+    setLoading(true);
+    setLoadingMessage(`Loading from ${syncProvider.name}...`);
+    try {
+      // Protected projects stay encrypted unless this tab has unlocked them
+      const fetched = await syncProvider.load(fileId);
+      if (isTombstone(fetched)) {
+        alert(`"${fetched.title}" was deleted on another device.`);
+        setLoading(false);
+        return;
+      }
+      const data = await openSealedProject(fetched).catch(() => fetched);
+      const { project, isNewer } = isEncryptedProject(data)
+        ? { project: data, isNewer: false }
+        : migrateProject(data);
+      if (isNewer && !confirm(`"${project.title}" on ${syncProvider.name} was saved by a newer version of Bookboard (v${project.schemaVersion}). Load it anyway?`)) {
+        setLoading(false);
+        return;
+      }
+      
+      const existingLocal = loadProject(project.id);
+      if (existingLocal && !isEncryptedProject(existingLocal) && !isEncryptedProject(project)) {
+        // Both copies are readable: merge them against the last synced version
+        const base = await loadSyncBase(project.id);
+        const { merged, conflicts } = mergeWithDrive(base, existingLocal, project);
+        if (conflicts.length > 0) {
+          setDriveMerge({ local: existingLocal, remote: project, merged, conflicts });
+          setShowDriveModal(false);
+        } else {
+          await completeDriveLoad(existingLocal, project, merged);
+        }
+      } else {
+        // A locked copy can't be merged, so one side has to win
+        if (existingLocal && !confirm(
+          `"${project.title}" exists locally (updated ${new Date(existingLocal.updatedAt).toLocaleString()}).\n` +
+          `${syncProvider.name} version updated ${new Date(project.updatedAt).toLocaleString()}.\n\n` +
+          `Unlock both copies to merge them. Click OK to replace local with the ${syncProvider.name} version, or Cancel to keep local.`
+        )) {
+          setLoading(false);
+          return;
+        }
+        await completeDriveLoad(existingLocal, project, project);
+      }
+    } catch (error) {
+      console.error('Load from sync provider error:', error);
+      alert(`Failed to load from ${syncProvider.name}: ` + error.message);
+    }
+    setLoading(false);
+  };
+
+  // Save the result of a load and remember the remote copy as the new sync base
+  const completeDriveLoad = async (local, remote, result) => {
+    const providerName = syncProviderRef.current?.name || 'the server';
+    if (local && !isEncryptedProject(local)) {
+      await createSnapshot(local, 'auto', `Before loading from ${providerName}`);
+    }
+    // An unchanged remote copy keeps its timestamp, so the library shows it as in sync
+    saveProject(result, { keepUpdatedAt: sameProjectContent(result, remote) });
+    await saveSyncBase(remote);
+    setProjectIndex(loadProjectIndex());
+    setShowDriveModal(false);
+    if (local && sameProjectContent(result, local)) {
+      alert(`"${result.title}" is already up to date with ${providerName}.`);
+    } else if (local && !isEncryptedProject(result) && !sameProjectContent(result, remote)) {
+      // The merge has changes the server doesn't have yet
+      markProjectDirty(result.id);
+      scheduleSync(AUTO_SYNC_DELAY_MS);
+      alert(`Merged "${result.title}" with ${providerName}. Changes made on this device are kept and will be uploaded shortly.`);
+    } else {
+      alert(`Loaded "${result.title}" from ${providerName}!`);
+    }
+  };
+
+  // Finish a Drive merge with the author's choices for each conflict
+  const handleDriveMergeApply = async (choices) => {
+    const { local, remote, merged, conflicts } = driveMerge;
+    setDriveMerge(null);
+    const resolved = resolveDriveConflicts(merged, conflicts, choices);
+    try {
+      if (projectRef.current?.id === local.id) {
+        // Merging into the open project: make it an undoable change
+        commitChange('Merge synced changes', () => resolved);
+        await saveSyncBase(remote);
+        return;
+      }
+      await completeDriveLoad(local, remote, resolved);
+    } catch (error) {
+      console.error('Sync merge error:', error);
+      alert('Failed to merge: ' + error.message);
+    }
+  };
+
+  // Auto-save current project when it changes
+  useEffect(() => {
+    if (currentProject === remoteAppliedRef.current) {
+      // Came unchanged from another tab, which has already saved it
+      setProjectIndex(loadProjectIndex());
+      return;
+    }
+    if (currentProject) {
+      const saved = saveProject(currentProject);
+      setProjectIndex(loadProjectIndex());
+      maybeAutoSnapshot(saved);
+      // Queue for syncing unless it's just been opened unchanged
+      if (currentProject !== openedProjectRef.current) {
+        openedProjectRef.current = null; // From now on every save counts, even an undo back to the start
+        queueProjectSync(currentProject.id);
+      }
+    }
+  }, [currentProject]);
+
+  // Look for a newer synced copy when a project is opened
+  useEffect(() => {
+    if (currentProject && syncProvider) {
+      checkDriveForUpdates(currentProject.id);
+    }
+  }, [currentProject?.id, syncKey]);
+
+  // Merge changes made on other devices into the open project.
+  // Conflicts go to the Drive merge dialog.
+  const checkDriveForUpdates = async (projectId) => {
+    const provider = syncProviderRef.current;
+    if (!provider) return;
+    try {
+      const file = await provider.find(projectId);
+      if (!file) return;
+      const fetched = await provider.load(file.id);
+      if (isTombstone(fetched)) return; // Deleted elsewhere; the library reconcile offers what to do
+      const data = await openSealedProject(fetched).catch(() => null);
+      if (!data) return;
+      const { project: remote } = migrateProject(data);
+      const base = await loadSyncBase(projectId);
+      const local = projectRef.current;
+      if (!local || local.id !== projectId) return;
+      if (base && sameProjectContent(remote, base)) return; // Nothing new remotely
+      if (sameProjectContent(remote, local)) {
+        await saveSyncBase(remote);
+        return;
+      }
+      const { merged, conflicts } = mergeWithDrive(base, local, remote);
+      if (conflicts.length > 0) {
+        setDriveMerge({ local, remote, merged, conflicts });
+        return;
+      }
+      if (merged.deletedAt && !local.deletedAt) {
+        saveProject(merged);
+        await saveSyncBase(remote);
+        if (!sameProjectContent(merged, remote)) queueProjectSync(projectId);
+        alert(`"${local.title}" was moved to Trash on another device.`);
+        goToLibrary();
+        return;
+      }
+      commitChange('Merge synced changes', () => merged);
+      await saveSyncBase(remote);
+      log('Merged newer synced copy', { projectId, provider: provider.type });
+    } catch (error) {
+      console.error('Sync update check failed:', error);
+      setSyncStatus('error');
+    }
+  };
+
+  // Undo/redo history for the open project. Each entry holds the project state
+  // before and after one change; restoring is just swapping the state back.
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const projectRef = useRef(currentProject);
+  projectRef.current = currentProject;
+  const openedProjectRef = useRef(null); // The project as it was opened, before any changes
+
+  const resetHistory = () => {
+    setUndoStack([]);
+    setRedoStack([]);
+  };
+
+  // Replay another tab's changes (from base to remote) onto every undo and redo state,
+  // so undoing a step of ours doesn't also undo their edits
+  const rebaseHistory = (base, remote) => {
+    const rebase = (state) => mergeProjectVersions(base, state, remote).merged;
+    const rebaseEntry = (entry) => ({ ...entry, before: rebase(entry.before), after: rebase(entry.after) });
+    setUndoStack(prev => prev.map(rebaseEntry));
+    setRedoStack(prev => prev.map(rebaseEntry));
+  };
+
+  // Apply an undoable change to the current project.
+  // Changes sharing a groupKey in quick succession (e.g. a drag) become one step.
+  const commitChange = (label, updater, groupKey = null) => {
+    const before = projectRef.current;
+    if (!before) return;
+    const after = updater(before);
+    if (after === before) return;
+    projectRef.current = after;
+    setCurrentProject(after);
+
+    const now = Date.now();
+    setUndoStack(prev => {
+      const last = prev[prev.length - 1];
+      if (groupKey && last && last.groupKey === groupKey && now - last.time < UNDO_GROUP_WINDOW_MS) {
+        return [...prev.slice(0, -1), { ...last, after, time: now }];
+      }
+      return [...prev, { label, before, after, groupKey, time: now }].slice(-MAX_UNDO_STEPS);
+    });
+    setRedoStack([]);
+  };
+
+  const undo = () => {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    projectRef.current = entry.before;
+    setCurrentProject(entry.before);
+    setUndoStack(prev => prev.slice(0, -1));
+    setRedoStack(prev => [...prev, entry]);
+  };
+
+  const redo = () => {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+    projectRef.current = entry.after;
+    setCurrentProject(entry.after);
+    setRedoStack(prev => prev.slice(0, -1));
+    setUndoStack(prev => [...prev, entry]);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Text fields keep their native undo.
+  useEffect(() => {
+    if (view !== 'editor') return;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [view, undoStack, redoStack]);
+
+  // Multi-tab state: the last version known to be shared with other tabs,
+  // conflicts waiting for a decision, and which other tabs have this project open
+  const sharedBaseRef = useRef(null);
+  const remoteAppliedRef = useRef(null);
+  const [tabConflicts, setTabConflicts] = useState([]);
+  const [otherTabIds, setOtherTabIds] = useState([]);
+
+  useEffect(() => {
+    sharedBaseRef.current = currentProject;
+    setTabConflicts([]);
+    setOtherTabIds([]);
+    if (!currentProject) return;
+    const projectId = currentProject.id;
+    postTabMessage({ type: 'project-opened', projectId });
+    const handleUnload = () => postTabMessage({ type: 'project-closed', projectId });
+    window.addEventListener('beforeunload', handleUnload);
+    return () => {
+      window.removeEventListener('beforeunload', handleUnload);
+      handleUnload();
+    };
+  }, [currentProject?.id]);
+
+  useEffect(() => {
+    onTabMessage((message) => {
+      setProjectIndex(loadProjectIndex());
+      const open = projectRef.current;
+      if (!open || message.projectId !== open.id) return;
+
+      if (message.type === 'project-opened' || message.type === 'project-present') {
+        setOtherTabIds(prev => prev.includes(message.tabId) ? prev : [...prev, message.tabId]);
+        if (message.type === 'project-opened') {
+          postTabMessage({ type: 'project-present', projectId: open.id });
+        }
+      } else if (message.type === 'project-closed') {
+        setOtherTabIds(prev => prev.filter(id => id !== message.tabId));
+      } else if (message.type === 'project-deleted') {
+        alert(`"${open.title}" was deleted in another tab.`);
+        setCurrentProject(null);
+        setView('library');
+      } else if (message.type === 'project-protection-changed') {
+        alert(`The passphrase for "${open.title}" was changed in another tab. Unlock it again to keep working.`);
+        setCurrentProject(null);
+        setView('library');
+      } else if (message.type === 'project-saved') {
+        const remote = loadProject(open.id);
+        if (!remote || isEncryptedProject(remote)) return;
+        if (remote.deletedAt) {
+          alert(`"${open.title}" was moved to Trash in another tab.`);
+          setCurrentProject(null);
+          setView('library');
+          return;
+        }
+        const base = sharedBaseRef.current || open;
+        const { merged, conflicts, nextBase } = mergeProjectVersions(base, open, remote, message.resolved || []);
+        sharedBaseRef.current = nextBase;
+        rebaseHistory(base, remote);
+        setTabConflicts(conflicts);
+        if (conflicts.length > 0) {
+          log('Conflicting edits from another tab', { conflicts: conflicts.map(c => `${c.kind}:${c.id}`) });
+        }
+
+        // Only save (and notify back) if this tab has changes the other tab lacks.
+        // Unresolved conflicts alone don't count, or the two tabs would trade saves forever.
+        const { updatedAt: mergedAt, ...mergedContent } = applyConflictSide(merged, conflicts, 'remote');
+        const { updatedAt: remoteAt, ...remoteContent } = remote;
+        const next = conflicts.length > 0 ? merged : remote;
+        if (JSON.stringify(mergedContent) !== JSON.stringify(remoteContent)) {
+          projectRef.current = merged;
+          setCurrentProject(merged);
+          return;
+        }
+        remoteAppliedRef.current = next;
+        projectRef.current = next;
+        setCurrentProject(next);
+      }
+    });
+    return () => onTabMessage(null);
+  }, []);
+
+  // Settle a conflicting edit, telling the other tab which version won
+  const resolveTabConflict = (conflict, choice) => {
+    const key = `${conflict.kind}:${conflict.id}`;
+    const chosen = choice === 'theirs' ? conflict.remote : conflict.local;
+    const listKey = CONFLICT_LISTS[conflict.kind];
+    pendingResolvedKeys = [...pendingResolvedKeys, key];
+    if (sharedBaseRef.current) {
+      sharedBaseRef.current = {
+        ...sharedBaseRef.current,
+        [listKey]: replaceItemById(sharedBaseRef.current[listKey], conflict.id, chosen)
+      };
+    }
+    // Always produce a new project object so the choice is saved and broadcast
+    commitChange(choice === 'theirs' ? 'Use other tab\'s version' : 'Keep my version', prev => ({
+      ...prev,
+      [listKey]: replaceItemById(prev[listKey], conflict.id, chosen && { ...chosen })
+    }));
+    setTabConflicts(prev => prev.filter(c => `${c.kind}:${c.id}` !== key));
+  };
+
+  // Open a project, asking for its passphrase first if it is locked
+  const openProject = (projectId) => {
+    const stored = loadProject(projectId);
+    if (isEncryptedProject(stored)) {
+      setUnlockTarget({ id: stored.id, title: stored.title });
+      return;
+    }
+    if (stored) {
+      const { project: migrated, isNewer } = migrateProject(stored);
+      if (isNewer) {
+        alert(`"${stored.title}" was saved by a newer version of Bookboard (v${stored.schemaVersion}). Some data may not display correctly.`);
+      }
+      const project = purgeExpiredTrash(migrated);
+      openedProjectRef.current = project;
+      projectRef.current = project;
+      setCurrentProject(project);
+      resetHistory();
+      setView('editor');
+      localStorage.setItem(STORAGE_KEYS.lastOpenedProject, projectId);
+    }
+  };
+
+  // Unlock a protected project and open it
+  const handleUnlockProject = async (passphrase) => {
+    await unlockProject(unlockTarget.id, passphrase);
+    setUnlockTarget(null);
+    openProject(unlockTarget.id);
+  };
+
+  // Set, change or remove the open project's passphrase
+  const handleSetProjectPassphrase = async (currentPassphrase, passphrase) => {
+    if (isProjectProtected(currentProject)) {
+      await verifyProjectPassphrase(currentProject.id, currentPassphrase);
+    }
+    await setProjectPassphrase(projectRef.current, passphrase);
+    setProjectIndex(loadProjectIndex());
+  };
+
+  // Forget the open project's key and return to the library
+  const handleLockProject = () => {
+    const projectId = currentProject.id;
+    setShowProtectionModal(false);
+    goToLibrary();
+    lockProject(projectId).then(() => setProjectIndex(loadProjectIndex()));
+  };
+
+  // Create new project
+  const createNewProject = () => {
+    const project = createEmptyProject();
+    setCurrentProject(project);
+    resetHistory();
+    setView('editor');
+  };
+
+  // Go back to library
+  const goToLibrary = () => {
+    setCurrentProject(null);
+    resetHistory();
+    setView('library');
+  };
+
+  // Move a project to the trash
+  const handleDeleteProject = (projectId, projectTitle) => {
+    if (confirm(`Move "${projectTitle}" to Trash? It can be restored for ${TRASH_RETENTION_DAYS} days.`)) {
+      moveProjectToTrash(projectId);
+      queueProjectSync(projectId);
+      setProjectIndex(loadProjectIndex());
+      if (currentProject?.id === projectId) {
+        setCurrentProject(null);
+        setView('library');
+      }
+    }
+  };
+
+  // Restore projects from the library trash
+  const handleRestoreProjects = (projectIds) => {
+    projectIds.forEach(projectId => {
+      restoreProjectFromTrash(projectId);
+      queueProjectSync(projectId);
+    });
+    setProjectIndex(loadProjectIndex());
+  };
+
+  // Permanently delete projects from the library trash
+  const handlePurgeProjects = (projectIds) => {
+    if (confirm(`Permanently delete ${projectIds.length} project(s)? This cannot be undone.`)) {
+      projectIds.forEach(purgeProject);
+      setProjectIndex(loadProjectIndex());
+      if (syncConfigured) runSync();
+    }
+  };
+
+  // Update project title
+  const updateTitle = (title) => {
+    commitChange('Rename project', prev => ({ ...prev, title }), 'title');
+  };
+
+  // Update the manuscript details from the project settings panel
+  const updateMetadata = (metadata) => {
+    commitChange('Edit project details', prev => ({ ...prev, metadata }));
+  };
+
+  // Add custom folder
+  const addCustomFolder = (folderName) => {
+    if (!folderName.trim()) return;
+    commitChange('Add folder', prev => ({
+      ...prev,
+      customFolders: [...(prev.customFolders || []), folderName.trim()]
+    }));
+    setShowAddFolderModal(false);
+  };
+
+  // Delete custom folder
+  const deleteCustomFolder = (folderName) => {
+    if (confirm(`Delete folder "${folderName}"? Cards in this folder will be unassigned but not deleted. The folder can be restored from Trash.`)) {
+      commitChange('Delete folder', prev => ({
+        ...prev,
+        customFolders: (prev.customFolders || []).filter(f => f !== folderName),
+        entities: prev.entities.map(e => e.folder === folderName ? { ...e, folder: null } : e),
+        trash: [...(prev.trash || []), {
+          id: generateId('trash'),
+          kind: 'folder',
+          name: folderName,
+          entityIds: prev.entities.filter(e => e.folder === folderName).map(e => e.id),
+          deletedAt: new Date().toISOString()
+        }]
+      }));
+    }
+  };
+
+  // Update entity position
+  const updateEntityPosition = (id, x, y) => {
+    commitChange('Move card', prev => ({
+      ...prev,
+      entities: prev.entities.map(e => 
+        e.id === id ? { ...e, position: { x, y } } : e
+      )
+    }), `move:${id}`);
+  };
+
+  // Delete entity
+  const deleteEntity = (id) => {
+    commitChange('Delete card', prev => ({
+      ...prev,
+      entities: prev.entities.filter(e => e.id !== id),
+      trash: [...(prev.trash || []), {
+        id: generateId('trash'),
+        kind: 'entity',
+        entity: prev.entities.find(e => e.id === id),
+        deletedAt: new Date().toISOString()
+      }]
+    }));
+  };
+
+  // Restore cards and folders from the project trash
+  const restoreFromTrash = (trashIds) => {
+    commitChange('Restore from trash', prev => restoreTrashItems(prev, trashIds));
+  };
+
+  // Permanently remove items from the project trash
+  const purgeFromTrash = (trashIds) => {
+    commitChange('Empty trash', prev => ({
+      ...prev,
+      trash: (prev.trash || []).filter(t => !trashIds.includes(t.id))
+    }));
+  };
+
+  // Toggle star on entity
+  const toggleStar = (id) => {
+    commitChange('Star card', prev => ({
+      ...prev,
+      entities: prev.entities.map(e => 
+        e.id === id ? { ...e, starred: !e.starred } : e
+      )
+    }));
+  };
+
+  // Save entity (add or update)
+  const saveEntity = (entity) => {
+    commitChange(entity.id ? 'Edit card' : 'Add card', prev => {
+      const exists = prev.entities.find(e => e.id === entity.id);
+      if (exists) {
+        return {
+          ...prev,
+          entities: prev.entities.map(e => e.id === entity.id ? entity : e)
+        };
+      } else {
+        return {
+          ...prev,
+          entities: [...prev.entities, { 
+            ...entity, 
+            id: generateId('ent'),
+            position: entity.position || { x: 100 + Math.random() * 400, y: 100 + Math.random() * 300 }
+          }]
+        };
+      }
+    });
+    setShowEntityModal(false);
+    setEditingEntity(null);
+    setDefaultEntityType(null);
+  };
+
+  // Merge two entities of the same type
+  const mergeEntities = (keepEntity, mergeEntity) => {
+    commitChange('Merge cards', prev => {
+      const merged = {
+        ...keepEntity,
+        description: [keepEntity.description, mergeEntity.description].filter(Boolean).join('\n\n'),
+        chapterRefs: [...new Set([...(keepEntity.chapterRefs || []), ...(mergeEntity.chapterRefs || [])])],
+        storyRefs: keepEntity.storyRefs || mergeEntity.storyRefs 
+          ? [...new Set([...(keepEntity.storyRefs || []), ...(mergeEntity.storyRefs || [])])]
+          : undefined
+      };
+      return {
+        ...prev,
+        entities: prev.entities
+          .filter(e => e.id !== mergeEntity.id)
+          .map(e => e.id === keepEntity.id ? merged : e)
+      };
+    });
+    setShowMergeModal(false);
+  };
+
+  // Rearrange entities in a folder to grid layout
+  const rearrangeEntities = (entityIds) => {
+    commitChange('Rearrange cards', prev => {
+      // Get the entities to rearrange
+      const toRearrange = prev.entities.filter(e => entityIds.includes(e.id));
+      
+      // Sort by first chapter/story appearance
+      const extractableChapters = prev.chapters.filter(ch => !ch.isFrontMatter);
+      toRearrange.sort((a, b) => {
+        const getFirstAppearance = (entity) => {
+          if (entity.chapterRefs && entity.chapterRefs.length > 0) {
+            const indices = entity.chapterRefs
+              .map(ref => extractableChapters.findIndex(ch => ch.id === ref))
+              .filter(i => i >= 0);
+            return indices.length > 0 ? Math.min(...indices) : 999;
+          }
+          return 999;
+        };
+        return getFirstAppearance(a) - getFirstAppearance(b);
+      });
+      
+      // Calculate new positions in grid
+      const cardWidth = 240;
+      const cardHeight = 180;
+      const cardsPerRow = 5;
+      const startX = 40;
+      const startY = 40;
+      
+      const newPositions = {};
+      toRearrange.forEach((entity, i) => {
+        const col = i % cardsPerRow;
+        const row = Math.floor(i / cardsPerRow);
+        newPositions[entity.id] = { x: startX + col * cardWidth, y: startY + row * cardHeight };
+      });
+      
+      // Nothing to record if every card is already in place
+      const unchanged = toRearrange.every(e => 
+        e.position?.x === newPositions[e.id].x && e.position?.y === newPositions[e.id].y
+      );
+      if (unchanged) return prev;
+      
+      return {
+        ...prev,
+        entities: prev.entities.map(e => 
+          newPositions[e.id] ? { ...e, position: newPositions[e.id] } : e
+        )
+      };
+    });
+  };
+
+  // Reorder chapters
+  const reorderChapters = (fromIndex, toIndex) => {
+    commitChange('Reorder chapters', prev => {
+      const newChapters = [...prev.chapters];
+      const [moved] = newChapters.splice(fromIndex, 1);
+      newChapters.splice(toIndex, 0, moved);
+      return {
+        ...prev,
+        chapters: newChapters.map((ch, i) => ({ ...ch, order: i + 1 }))
+      };
+    });
+  };
+
+  // Update chapter content
+  const updateChapterContent = (chapterId, content) => {
+    commitChange('Edit chapter', prev => ({
+      ...prev,
+      chapters: prev.chapters.map(ch => 
+        ch.id === chapterId ? { ...ch, content } : ch
+      )
+    }), `content:${chapterId}`);
+  };
+
+  // Update chapter title
+  const updateChapterTitle = (chapterId, title) => {
+    commitChange('Rename chapter', prev => ({
+      ...prev,
+      chapters: prev.chapters.map(ch => 
+        ch.id === chapterId ? { ...ch, title } : ch
+      )
+    }), `title:${chapterId}`);
+  };
+
+  // Take a manual snapshot of the current project
+  const takeSnapshot = (label) => createSnapshot(currentProject, 'manual', label.trim());
+
+  // Replace the current project with a snapshot, keeping a snapshot of what is replaced
+  const restoreSnapshot = async (snapshotProject) => {
+    await createSnapshot(currentProject, 'auto', 'Before restore');
+    commitChange('Restore snapshot', prev => ({ ...snapshotProject, id: prev.id }));
+    setEditingChapterId(null);
+    setShowHistoryModal(false);
+  };
+
+  // Replace the current project with a version kept by the sync provider
+  const restoreRevision = async (revisionProject) => {
+    await createSnapshot(currentProject, 'auto', 'Before restoring a synced version');
+    const { deletedAt, ...restored } = revisionProject;
+    commitChange('Restore synced version', prev => ({ ...restored, id: prev.id }));
+    setEditingChapterId(null);
+    setShowRevisionsModal(false);
+  };
+
+  // Save a version kept by the sync provider as a new project
+  const restoreRevisionAsCopy = (revisionProject, revisionTime) => {
+    const { deletedAt, ...restored } = revisionProject;
+    const versionDate = revisionTime ? new Date(revisionTime).toLocaleDateString() : 'earlier version';
+    const copy = saveProject({
+      ...restored,
+      id: generateId('proj'),
+      title: `${restored.title} (${versionDate})`,
+      createdAt: new Date().toISOString()
+    });
+    setProjectIndex(loadProjectIndex());
+    queueProjectSync(copy.id);
+    setShowRevisionsModal(false);
+    if (confirm(`Saved as "${copy.title}" in your library. Open it now?`)) {
+      openProject(copy.id);
+    }
+  };
+
+  // Copy selected chapters and cards from a snapshot into the current project
+  const restoreSnapshotItems = async (snapshotProject, chapterIds, entityIds) => {
+    await createSnapshot(currentProject, 'auto', 'Before restore');
+    commitChange('Restore from snapshot', prev => {
+      const chapters = [...prev.chapters];
+      snapshotProject.chapters.forEach((ch, snapshotIndex) => {
+        if (!chapterIds.includes(ch.id)) return;
+        const existingIdx = chapters.findIndex(c => c.id === ch.id);
+        if (existingIdx >= 0) {
+          chapters[existingIdx] = ch;
+        } else {
+          chapters.splice(Math.min(snapshotIndex, chapters.length), 0, ch);
+        }
+      });
+      const entities = [...prev.entities];
+      snapshotProject.entities.forEach(ent => {
+        if (!entityIds.includes(ent.id)) return;
+        const existingIdx = entities.findIndex(e => e.id === ent.id);
+        if (existingIdx >= 0) {
+          entities[existingIdx] = { ...ent, position: entities[existingIdx].position };
+        } else {
+          entities.push(ent);
+        }
+      });
+      return {
+        ...prev,
+        chapters: chapters.map((ch, i) => ({ ...ch, order: ch.isFrontMatter ? 0 : i + 1 })),
+        entities
+      };
+    });
+    setShowHistoryModal(false);
+  };
+
+  // Get current editing chapter
+  const editingChapter = editingChapterId 
+    ? currentProject.chapters.find(ch => ch.id === editingChapterId)
+    : null;
+
+  // Parse markdown to internal format. A YAML front matter block becomes the metadata,
+  // and its title is used when there is no # title.
+  const parseMarkdown = (markdown) => {
+    const { metadata, body } = parseFrontMatter(markdown);
+    const { title, ...details } = metadata || {};
+    const lines = body.split('\n');
+    const chapters = [];
+    let bookTitle = null;
+    let currentChapter = null;
+    let contentBuffer = [];
+    let frontMatterBuffer = [];
+    let foundFirstChapter = false;
+
+    for (const line of lines) {
+      const h1Match = line.match(/^#\s+(.+)$/);
+      const h2Match = line.match(/^##\s+(.+)$/);
+      
+      if (h1Match && bookTitle === null) {
+        bookTitle = h1Match[1];
+        continue;
+      }
+      
+      if (h2Match) {
+        // Save any front matter before first chapter
+        if (!foundFirstChapter && frontMatterBuffer.length > 0) {
+          const frontMatterContent = frontMatterBuffer.join('\n').trim();
+          if (frontMatterContent) {
+            chapters.push({
+              id: generateId('ch'),
+              title: 'Front Matter',
+              content: frontMatterContent,
+              order: 0,
+              isFrontMatter: true
+            });
+          }
+        }
+        foundFirstChapter = true;
+        
+        if (currentChapter) {
+          currentChapter.content = contentBuffer.join('\n').trim();
+          chapters.push(currentChapter);
+        }
+        currentChapter = {
+          id: generateId('ch'),
+          title: h2Match[1],
+          content: '',
+          order: chapters.length + 1
+        };
+        contentBuffer = [];
+      } else if (currentChapter) {
+        contentBuffer.push(line);
+      } else if (bookTitle !== null) {
+        // Content after title but before first chapter = front matter
+        frontMatterBuffer.push(line);
+      }
+    }
+
+    if (currentChapter) {
+      currentChapter.content = contentBuffer.join('\n').trim();
+      chapters.push(currentChapter);
+    }
+
+    if (chapters.length === 0) {
+      return { ...parseMarkdownFallback(body), bookTitle: title ? String(title) : null, metadata: metadata && details };
+    }
+
+    // Re-number chapters to ensure front matter is 0 and others start at 1
+    chapters.forEach((ch, i) => {
+      if (ch.isFrontMatter) {
+        ch.order = 0;
+      } else {
+        ch.order = i + (chapters[0]?.isFrontMatter ? 0 : 1);
+      }
+    });
+
+    return { bookTitle: bookTitle ?? (title ? String(title) : null), chapters, metadata: metadata && details };
+  };
+
+  const parseMarkdownFallback = (markdown) => {
+    const lines = markdown.split('\n');
+    const chapters = [];
+    let currentChapter = null;
+    let contentBuffer = [];
+
+    for (const line of lines) {
+      const headerMatch = line.match(/^#{1,2}\s+(.+)$/);
+      
+      if (headerMatch) {
+        if (currentChapter) {
+          currentChapter.content = contentBuffer.join('\n').trim();
+          chapters.push(currentChapter);
+        }
+        currentChapter = {
+          id: generateId('ch'),
+          title: headerMatch[1],
+          content: '',
+          order: chapters.length + 1
+        };
+        contentBuffer = [];
+      } else if (currentChapter) {
+        contentBuffer.push(line);
+      }
+    }
+
+    if (currentChapter) {
+      currentChapter.content = contentBuffer.join('\n').trim();
+      chapters.push(currentChapter);
+    }
+
+    return { bookTitle: null, chapters };
+  };
+
+  // Check for title conflict and handle import.
+  // format is 'json', 'markdown', 'text', 'fountain', 'docx' or 'epub' (content is then an ArrayBuffer),
+  // or 'csv' or 'tsv' for a card spreadsheet, which updates the open project.
+  // Text without Markdown chapter headings goes through the chapter detection wizard.
+  const handleImport = async (content, format, fileName = '') => {
+    try {
+      if (format === 'csv' || format === 'tsv') {
+        if (view !== 'editor' || !currentProject) {
+          alert('Open a project first, then import the spreadsheet to update its cards.');
+          return;
+        }
+        const { rows, error } = previewCardTable(currentProject, content, fileName);
+        if (error) throw new Error(error);
+        if (rows.length === 0) throw new Error('The spreadsheet has no rows.');
+        setCardImport({ fileName, rows });
+        setShowImportModal(false);
+        return;
+      }
+      const { metadata: frontMatter, body } = format === 'markdown' ? parseFrontMatter(content) : { body: content };
+      if (format === 'text' || (format === 'markdown' && !/^##?\s+\S/m.test(body))) {
+        setTextImport({ text: body, fileName, metadata: frontMatter });
+        setShowImportModal(false);
+        return;
+      }
+      if (format === 'docx') {
+        setLoading(true);
+        setLoadingMessage('Reading document...');
+        const { markdown } = await readDocx(content, fileName).finally(() => setLoading(false));
+        const { bookTitle, chapters } = parseMarkdown(markdown);
+        checkImportConflict({ type: 'markdown', bookTitle, chapters }, bookTitle || 'Untitled Novel');
+        return;
+      }
+      if (format === 'epub') {
+        setLoading(true);
+        setLoadingMessage('Reading book...');
+        const { author, markdown } = await readEpub(content, fileName).finally(() => setLoading(false));
+        const { bookTitle, chapters } = parseMarkdown(markdown);
+        const metadata = author ? { author } : null;
+        checkImportConflict({ type: 'markdown', bookTitle, chapters, metadata }, bookTitle || 'Untitled Novel');
+        return;
+      }
+      if (format === 'fountain') {
+        const { title, metadata, chapters } = parseFountain(content, fileName);
+        const entities = mergeFountainCharacters([], chapters);
+        checkImportConflict({ type: 'markdown', bookTitle: title, chapters, metadata, bookType: 'screenplay', entities }, title);
+        return;
+      }
+      if (format === 'json') {
+        let raw;
+        try {
+          raw = JSON.parse(content);
+        } catch (parseError) {
+          throw new Error(`File is not valid JSON (${parseError.message})`);
+        }
+        const { issues, repaired } = validateProject(raw);
+        log('Import validation', { issues });
+        if (issues.length > 0) {
+          setImportReport({ issues, repaired });
+          setShowImportModal(false);
+          return;
+        }
+        continueJsonImport(repaired);
+        return;
+      }
+
+      const { bookTitle, chapters, metadata } = parseMarkdown(content);
+      checkImportConflict({ type: 'markdown', bookTitle, chapters, metadata }, bookTitle || 'Untitled Novel');
+    } catch (error) {
+      alert(`Import failed: ${error.message}`);
+    }
+  };
+
+  // Read several chapter files (or a .zip of them) and show them for ordering.
+  // Markdown notes exported as an Obsidian vault update their project instead.
+  const handleImportFiles = async (files) => {
+    setLoading(true);
+    setLoadingMessage('Reading files...');
+    try {
+      const vault = files.every(file => /\.(md|zip)$/i.test(file.name)) ? parseVault(await readVaultNotes(files)) : null;
+      if (vault) {
+        setLoading(false);
+        handleVaultImport(vault);
+        return;
+      }
+      const chapterFiles = await readChapterFiles(files);
+      if (chapterFiles.length === 0) {
+        alert('No .md, .txt or .docx files found.');
+        return;
+      }
+      const zip = files.length === 1 ? files[0].name.replace(/\.zip$/i, '') : '';
+      setMultiImport({ title: zip || 'Untitled Novel', files: chapterFiles });
+      setShowImportModal(false);
+    } catch (error) {
+      alert(`Import failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Update the vault's project from its notes (after a snapshot) as an undoable change,
+  // opening it first if another project is open, or make a new project when that project
+  // is not in the library
+  const handleVaultImport = (vault) => {
+    const target = vault.projectId && projectIndex.find(p => p.id === vault.projectId && !p.deletedAt);
+    if (!target) {
+      const empty = { title: vault.title || 'Imported Vault', chapters: [], entities: [], customFolders: [] };
+      const { issues, repaired } = validateProject(applyVault(empty, vault).project);
+      setShowImportModal(false);
+      if (issues.length > 0) {
+        setImportReport({ issues, repaired });
+        return;
+      }
+      continueJsonImport(repaired);
+      return;
+    }
+    const isOpen = projectRef.current?.id === target.id;
+    const stored = isOpen ? projectRef.current : loadProject(target.id);
+    if (isEncryptedProject(stored)) {
+      alert(`"${target.title}" is locked. Open it with its passphrase first, then import the vault again.`);
+      return;
+    }
+    const project = isOpen ? stored : purgeExpiredTrash(migrateProject(stored).project);
+    const { counts } = applyVault(project, vault);
+    const changes = [
+      [counts.cardsUpdated, 'card', 'changed'],
+      [counts.cardsAdded, 'new card', ''],
+      [counts.chaptersUpdated, 'chapter', 'changed'],
+      [counts.chaptersAdded, 'new chapter', '']
+    ].filter(([count]) => count > 0).map(([count, noun, verb]) => `${count} ${noun}${count === 1 ? '' : 's'}${verb ? ` ${verb}` : ''}`);
+    if (changes.length === 0) {
+      alert(`The vault matches "${project.title}". Nothing to update.`);
+      return;
+    }
+    if (!confirm(`Update "${project.title}" from the vault?\n\n${changes.join(', ')}.\n\nBoard positions are kept, and cards or chapters missing from the vault are left alone. A snapshot is taken first.`)) return;
+    createSnapshot(project, 'auto', 'Before vault import');
+    if (!isOpen) openProject(target.id);
+    commitChange('Import vault', prev => applyVault(prev, vault).project);
+    setView('editor');
+    setShowImportModal(false);
+  };
+
+  // Apply the reviewed spreadsheet rows to the open project, after a snapshot
+  const handleCardImportApply = () => {
+    createSnapshot(currentProject, 'auto', 'Before spreadsheet import');
+    commitChange('Import cards from spreadsheet', prev => applyCardTable(prev, cardImport.rows));
+    setCardImport(null);
+  };
+
+  // Import the ordered chapter files, one chapter each. Front matter from the files is
+  // combined into the project metadata, earlier files winning.
+  const handleMultiImportConfirm = ({ title, files }) => {
+    const chapters = files.map((file, i) => ({ id: generateId('ch'), title: file.title, content: file.content, order: i + 1 }));
+    const metadata = files.reduceRight((all, file) => ({ ...all, ...file.metadata }), {});
+    setMultiImport(null);
+    checkImportConflict({ type: 'markdown', bookTitle: title, chapters, metadata: Object.keys(metadata).length > 0 ? metadata : null }, title);
+  };
+
+  // Import the chapters chosen in the text import wizard
+  const handleTextImportConfirm = ({ bookTitle, chapters }) => {
+    const { title: frontMatterTitle, ...metadata } = textImport.metadata || {};
+    const title = bookTitle || (frontMatterTitle ? String(frontMatterTitle) : '') || textImport.fileName.replace(/\.\w+$/, '') || 'Untitled Novel';
+    setTextImport(null);
+    checkImportConflict({
+      type: 'markdown',
+      bookTitle: title,
+      chapters: chapters.map(({ sceneCount, ...chapter }) => chapter),
+      metadata: textImport.metadata ? metadata : null
+    }, title);
+  };
+
+  // Migrate validated JSON project data and carry on with the import
+  const continueJsonImport = (data) => {
+    const { project } = migrateProject(data);
+    checkImportConflict({ type: 'json', data: project }, project.title || 'Untitled Novel');
+  };
+
+  // Confirm repairs from the import report
+  const handleImportReportConfirm = () => {
+    const { repaired } = importReport;
+    setImportReport(null);
+    continueJsonImport(repaired);
+  };
+
+  // Check for title conflict before completing the import
+  const checkImportConflict = (importedData, importedTitle) => {
+    const existingProject = projectIndex.find(p => !p.deletedAt && p.title.toLowerCase() === importedTitle.toLowerCase());
+    
+    if (existingProject) {
+      setPendingImport({ ...importedData, title: importedTitle, existingProject });
+      setShowImportModal(false);
+      setShowImportConflictModal(true);
+    } else {
+      completeImport(importedData, importedTitle);
+    }
+  };
+
+  // Complete the import (after conflict resolution if needed)
+  const completeImport = (importedData, title, overwriteId = null) => {
+    let project;
+
+    if (overwriteId) {
+      project = loadProject(overwriteId);
+      createSnapshot(project, 'auto', 'Before import');
+      if (importedData.type === 'json') {
+        project = {
+          ...importedData.data,
+          id: overwriteId,
+          title: title,
+          createdAt: project.createdAt,
+          chapters: importedData.data.chapters.map((ch, i) => ({
+            ...ch,
+            id: ch.id || generateId('ch'),
+            order: ch.order || i + 1
+          })),
+          entities: importedData.data.entities.map((ent, i) => ({
+            ...ent,
+            id: ent.id || generateId('ent'),
+            position: ent.position || { x: 100 + (i % 4) * 240, y: 80 + Math.floor(i / 4) * 200 }
+          }))
+        };
+      } else {
+        project = {
+          ...project,
+          title: title,
+          chapters: importedData.chapters,
+          entities: importedData.entities || []
+        };
+        if (importedData.bookType) project.bookType = importedData.bookType;
+        if (importedData.metadata) project.metadata = { ...project.metadata, ...importedData.metadata };
+      }
+    } else {
+      project = createEmptyProject();
+      project.title = title;
+
+      if (importedData.type === 'json') {
+        // Keep project-level fields such as customFolders, bookType and trash
+        const { id, createdAt, updatedAt, ...importedFields } = importedData.data;
+        Object.assign(project, importedFields, { title });
+        project.chapters = importedData.data.chapters.map((ch, i) => ({
+          ...ch,
+          id: ch.id || generateId('ch'),
+          order: ch.order || i + 1
+        }));
+        project.entities = importedData.data.entities.map((ent, i) => ({
+          ...ent,
+          id: ent.id || generateId('ent'),
+          position: ent.position || { x: 100 + (i % 4) * 240, y: 80 + Math.floor(i / 4) * 200 }
+        }));
+      } else {
+        project.chapters = importedData.chapters;
+        // Screenplays come with character cards from their dialogue cues
+        project.entities = importedData.entities || [];
+        if (importedData.bookType) project.bookType = importedData.bookType;
+        // Manuscript details such as the author, when the file had them
+        if (importedData.metadata) project.metadata = { ...importedData.metadata };
+      }
+    }
+
+    setCurrentProject(project);
+    resetHistory();
+    setView('editor');
+    setShowImportModal(false);
+    setShowImportConflictModal(false);
+    setPendingImport(null);
+  };
+
+  // Handle conflict resolution
+  const handleConflictResolution = (action) => {
+    if (!pendingImport) return;
+
+    if (action === 'overwrite') {
+      if (isEncryptedProject(loadProject(pendingImport.existingProject.id))) {
+        alert(`"${pendingImport.existingProject.title}" is locked. Open it with its passphrase first, or import as a new project.`);
+        return;
+      }
+      completeImport(pendingImport, pendingImport.title, pendingImport.existingProject.id);
+    } else if (action === 'reimport') {
+      const project = loadProject(pendingImport.existingProject.id);
+      if (isEncryptedProject(project)) {
+        alert(`"${pendingImport.existingProject.title}" is locked. Open it with its passphrase first, or import as a new project.`);
+        return;
+      }
+      setDraftReimport({ project, chapters: pendingImport.chapters, metadata: pendingImport.metadata });
+      setShowImportConflictModal(false);
+      setPendingImport(null);
+    } else if (action === 'new') {
+      const baseTitle = pendingImport.title;
+      let version = 2;
+      while (projectIndex.find(p => p.title.toLowerCase() === `${baseTitle} v${version}`.toLowerCase())) {
+        version++;
+      }
+      completeImport(pendingImport, `${baseTitle} v${version}`);
+    } else {
+      setShowImportConflictModal(false);
+      setPendingImport(null);
+    }
+  };
+
+  // Replace a project's chapters with a reviewed new draft, keeping matched chapter ids and cards
+  const handleDraftReimportApply = (matching) => {
+    const project = loadProject(draftReimport.project.id);
+    createSnapshot(project, 'auto', 'Before draft re-import');
+    const updated = applyDraftReimport(project, matching);
+    if (draftReimport.metadata) updated.metadata = { ...project.metadata, ...draftReimport.metadata };
+    setCurrentProject(updated);
+    resetHistory();
+    setView('editor');
+    setDraftReimport(null);
+  };
+
+  // Export as JSON
+  const exportAsJson = () => {
+    const blob = new Blob([JSON.stringify(currentProject, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-project.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export manuscript as Markdown
+  const exportManuscript = () => {
+    if (currentProject.bookType === 'screenplay') {
+      const blob = new Blob([exportFountain(currentProject)], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}.fountain`;
+      a.click();
+      URL.revokeObjectURL(url);
+      return;
+    }
+
+    let md = `${formatFrontMatter(currentProject.metadata)}# ${currentProject.title}\n\n`;
+    
+    currentProject.chapters.forEach((ch) => {
+      md += `## ${ch.title}\n\n`;
+      md += `${ch.content}\n\n`;
+    });
+
+    const blob = new Blob([md.trim()], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-manuscript.md`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export manuscript as a Word document in standard manuscript format (settings are remembered)
+  const exportManuscriptDocx = async (settings) => {
+    const blob = await buildManuscriptDocx(currentProject, settings);
+    localStorage.setItem(STORAGE_KEYS.manuscriptExport, JSON.stringify(settings));
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-manuscript.docx`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export manuscript as an EPUB 3 e-book
+  const exportEpub = async (settings) => {
+    const blob = await buildEpub(currentProject, settings);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}.epub`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export bible as Markdown
+  const exportBible = () => {
+    let md = `# ${currentProject.title} — Story Bible\n\n`;
+
+    const details = describeMetadata(currentProject.metadata);
+    if (details.length > 0) {
+      details.forEach(({ label, value }) => {
+        md += `- **${label}:** ${value}\n`;
+      });
+      md += `\n`;
+    }
+    
+    if (currentProject.chapters.length > 0) {
+      md += `## Chapter Outline\n\n`;
+      currentProject.chapters.forEach((ch, i) => {
+        md += `${i + 1}. ${ch.title}\n`;
+      });
+      md += `\n`;
+    }
+
+    const entityTypes = ['character', 'theme', 'location', 'scene', 'idea'];
+    const typeLabels = {
+      character: 'Characters',
+      theme: 'Themes',
+      location: 'Locations',
+      scene: 'Key Scenes',
+      idea: 'Ideas & Notes'
+    };
+
+    entityTypes.forEach(type => {
+      const entities = currentProject.entities.filter(e => e.type === type);
+      if (entities.length > 0) {
+        md += `## ${typeLabels[type]}\n\n`;
+        entities.forEach(entity => {
+          md += `### ${entity.name}\n\n`;
+          if (entity.description) {
+            md += `${entity.description}\n\n`;
+          }
+          const metadata = [];
+          if (entity.folder) {
+            metadata.push(`Folder: ${entity.folder}`);
+          }
+          if (entity.chapterRefs?.length > 0) {
+            const chapterNames = entity.chapterRefs
+              .map(id => {
+                const ch = currentProject.chapters.find(c => c.id === id);
+                return ch ? ch.title : null;
+              })
+              .filter(Boolean);
+            if (chapterNames.length > 0) {
+              metadata.push(`Appears in: ${chapterNames.join(', ')}`);
+            }
+          }
+          if (metadata.length > 0) {
+            md += `*${metadata.join(' | ')}*\n\n`;
+          }
+        });
+      }
+    });
+
+    // Custom folders section
+    const customFolders = currentProject.customFolders || [];
+    if (customFolders.length > 0) {
+      md += `## Custom Folders\n\n`;
+      customFolders.forEach(folder => {
+        const folderEntities = currentProject.entities.filter(e => e.folder === folder);
+        md += `### ${folder}\n\n`;
+        if (folderEntities.length === 0) {
+          md += `*Empty*\n\n`;
+        } else {
+          folderEntities.forEach(entity => {
+            md += `- **${entity.name}** (${entity.type})${entity.description ? `: ${entity.description.substring(0, 100)}${entity.description.length > 100 ? '...' : ''}` : ''}\n`;
+          });
+          md += `\n`;
+        }
+      });
+    }
+
+    const blob = new Blob([md.trim()], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-bible.md`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export cards and chapters as an Obsidian vault (.zip of Markdown notes)
+  const exportVault = async () => {
+    try {
+      const blob = await buildVault(currentProject);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-vault.zip`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Export the cards as a CSV or TSV spreadsheet
+  const exportCardSpreadsheet = (delimiter) => {
+    const text = exportCardTable(currentProject, delimiter);
+    const blob = new Blob(['\uFEFF' + text], { type: delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-cards.${delimiter === '\t' ? 'tsv' : 'csv'}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Export the bible as a static website: a zip of pages, or one HTML file
+  const exportBibleSite = async (singleFile) => {
+    try {
+      const blob = await buildBibleSite(currentProject, { singleFile });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${currentProject.title.toLowerCase().replace(/\s+/g, '-')}-bible.${singleFile ? 'html' : 'zip'}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Find empty position for new entity card
+  const findEmptyPosition = (existingPositions, startX = 80, startY = 60) => {
+    const cardWidth = 240;
+    const cardHeight = 200;
+    const maxX = 1600;
+    
+    let x = startX;
+    let y = startY;
+    
+    const isOverlapping = (testX, testY) => {
+      return existingPositions.some(pos => {
+        return Math.abs(testX - pos.x) < cardWidth && Math.abs(testY - pos.y) < cardHeight;
+      });
+    };
+    
+    let iterations = 0;
+    while (isOverlapping(x, y) && iterations < 100) {
+      x += cardWidth;
+      if (x > maxX) {
+        x = startX;
+        y += cardHeight;
+      }
+      iterations++;
+    }
+    
+    return { x, y };
+  };
+
+  // Handle extract button - check if entities exist
+  const handleExtractClick = () => {
+    if (secretsStatus === 'locked') {
+      setShowUnlockKeysModal(true);
+    } else if (currentProject.entities.length > 0) {
+      setShowExtractConfirmModal(true);
+    } else {
+      setShowExtractModal(true);
+    }
+  };
+
+  // Clear entities and start fresh extraction
+  const handleClearAndExtract = () => {
+    createSnapshot(currentProject, 'auto', 'Before Clear & Extract');
+    commitChange('Clear cards', prev => ({ ...prev, entities: [] }));
+    setShowExtractConfirmModal(false);
+    setShowExtractModal(true);
+  };
+
+  // Add to existing entities
+  const handleAddToExisting = () => {
+    setShowExtractConfirmModal(false);
+    setShowExtractModal(true);
+  };
+
+  // Character cards from a screenplay's dialogue cues, without AI
+  const detectScreenplayCharacters = () => {
+    commitChange('Detect characters', prev => ({ ...prev, entities: mergeFountainCharacters(prev.entities, prev.chapters) }));
+    setShowExtractModal(false);
+  };
+
+  // Extract entities using Gemini API
+  const extractEntities = async (isCollection = false) => {
+    if (!geminiKey) {
+      alert('Please enter your Gemini API key');
+      return;
+    }
+
+    if (currentProject.chapters.length === 0) {
+      alert('Import a manuscript first');
+      return;
+    }
+
+    setLoading(true);
+    setLoadingMessage('Analysing manuscript...');
+    setShowExtractModal(false);
+    clearLog();
+    
+    try {
+      // Filter out front matter from extraction
+      const extractableChapters = currentProject.chapters.filter(ch => !ch.isFrontMatter);
+      const chapterCount = extractableChapters.length;
+      log('Starting extraction', { chapterCount, isCollection });
+
+      // Build full text
+      const fullText = extractableChapters.map((ch, i) => 
+        `## ${isCollection ? 'Story' : 'Section'} ${i + 1}: ${ch.title}\n${ch.content}`
+      ).join('\n\n');
+      
+      log('Full text prepared', { length: fullText.length });
+
+      // Decide whether to chunk based on size
+      const CHUNK_THRESHOLD = 200000;
+      let needsChunking = fullText.length > CHUNK_THRESHOLD;
+      
+      let allNewEntities = [];
+
+      if (!needsChunking) {
+        // Try single request for smaller documents
+        log('Attempting single request');
+        setLoadingMessage('Analysing manuscript...');
+        
+        const result = await extractChunk(fullText, 1, chapterCount, chapterCount, isCollection, extractableChapters);
+        log('Single request complete', { entities: result.entities?.length, hitMaxTokens: result.hitMaxTokens });
+        
+        if (result.hitMaxTokens) {
+          // Retry with chunking
+          log('MAX_TOKENS hit, falling back to chunked extraction');
+          needsChunking = true;
+        } else if (result.entities) {
+          allNewEntities = result.entities;
+        }
+      }
+      
+      if (needsChunking) {
+        // Chunk for larger documents or when single request hit token limit
+        const chunkSize = 3;
+        const chunks = [];
+        
+        for (let i = 0; i < chapterCount; i += chunkSize) {
+          chunks.push({
+            chapters: extractableChapters.slice(i, i + chunkSize),
+            startNum: i + 1
+          });
+        }
+        
+        log('Processing in chunks', { totalChunks: chunks.length, chunkSize });
+        allNewEntities = []; // Reset in case we had partial results from failed single request
+
+        for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+          const { chapters, startNum } = chunks[chunkIndex];
+          const endNum = startNum + chapters.length - 1;
+          
+          setLoadingMessage(`Analysing ${isCollection ? 'stories' : 'sections'} ${startNum}-${endNum} of ${chapterCount}...`);
+          
+          const chunkText = chapters.map((ch, i) => 
+            `## ${isCollection ? 'Story' : 'Section'} ${startNum + i}: ${ch.title}\n${ch.content}`
+          ).join('\n\n');
+          
+          log(`Processing chunk ${chunkIndex + 1}`, { startNum, endNum, textLength: chunkText.length });
+
+          try {
+            const result = await extractChunk(chunkText, startNum, endNum, chapterCount, isCollection, extractableChapters);
+            log(`Chunk ${chunkIndex + 1} complete`, { entities: result.entities?.length });
+            if (result.entities) {
+              allNewEntities.push(...result.entities);
+            }
+          } catch (error) {
+            log('Chunk failed, continuing', { chunkIndex, error: error.message });
+          }
+        }
+      }
+
+      log('All API calls complete', { totalEntities: allNewEntities.length });
+
+      if (allNewEntities.length === 0) {
+        log('No entities extracted');
+        alert('No entities could be extracted. Check the debug log for details.');
+        setLoading(false);
+        return;
+      }
+
+      // Deduplicate entities by name+type (only for novels, not collections)
+      let processedEntities = allNewEntities;
+      if (!isCollection) {
+        log('Starting deduplication (novel mode)');
+        const seen = new Set();
+        const deduped = [];
+        for (const entity of allNewEntities) {
+          const key = `${entity.type}:${entity.name.toLowerCase().trim()}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            deduped.push(entity);
+          } else {
+            const existing = deduped.find(e => `${e.type}:${e.name.toLowerCase().trim()}` === key);
+            if (existing && entity.chapterNums) {
+              existing.chapterNums = [...new Set([...(existing.chapterNums || []), ...entity.chapterNums])].sort((a,b) => a-b);
+            }
+          }
+        }
+        log('Deduplication complete', { before: allNewEntities.length, after: deduped.length });
+        processedEntities = deduped;
+      } else {
+        log('Skipping deduplication (collection mode)');
+      }
+
+      // Position entities in a grid, sorted by first chapter appearance
+      log('Starting positioning');
+      
+      // Sort by type first, then by first chapter appearance
+      processedEntities.sort((a, b) => {
+        const typeOrder = ['scene', 'character', 'location', 'theme', 'idea'];
+        const typeA = typeOrder.indexOf(a.type);
+        const typeB = typeOrder.indexOf(b.type);
+        if (typeA !== typeB) return typeA - typeB;
+        
+        const firstChA = Math.min(...(a.chapterNums || [999]));
+        const firstChB = Math.min(...(b.chapterNums || [999]));
+        return firstChA - firstChB;
+      });
+      
+      const finalEntities = processedEntities.map((entity, i) => {
+        // Grid positioning: fit to reasonable viewport width
+        const cardWidth = 240;
+        const cardHeight = 180;
+        const cardsPerRow = 5;
+        const startX = 40;
+        const startY = 40;
+        
+        const col = i % cardsPerRow;
+        const row = Math.floor(i / cardsPerRow);
+        
+        return {
+          ...entity,
+          id: generateId('ent'),
+          chapterRefs: (entity.chapterNums || [])
+            .map(num => extractableChapters[num - 1]?.id)
+            .filter(Boolean),
+          // For collections, store story titles instead of chapter refs
+          storyRefs: isCollection ? (entity.chapterNums || [])
+            .map(num => extractableChapters[num - 1]?.title)
+            .filter(Boolean) : undefined,
+          position: { x: startX + col * cardWidth, y: startY + row * cardHeight }
+        };
+      });
+      
+      // Remove chapterNums from final entities
+      finalEntities.forEach(e => delete e.chapterNums);
+
+      log('Positioning complete', { count: finalEntities.length });
+
+      log('Updating project state');
+      commitChange('Extract cards', prev => ({
+        ...prev,
+        bookType: prev.bookType === 'screenplay' ? 'screenplay' : isCollection ? 'collection' : 'novel',
+        entities: [...prev.entities, ...finalEntities]
+      }));
+
+      log('Extraction complete');
+      setLoading(false);
+      
+    } catch (error) {
+      log('FATAL ERROR', { message: error.message, stack: error.stack });
+      console.error('Extraction error:', error);
+      alert(`Extraction failed: ${error.message}`);
+      setLoading(false);
+    }
+  };
+
+  // Helper function to extract from a chunk of text
+  // Returns { entities: [...], hitMaxTokens: boolean }
+  const extractChunk = async (text, startNum, endNum, totalSections, isCollection = false, chapters = []) => {
+    const sectionCount = endNum - startNum + 1;
+    const unitName = isCollection ? 'story' : 'section';
+    const unitNamePlural = isCollection ? 'stories' : 'sections';
+    const sectionRange = startNum === endNum ? `${unitName} ${startNum}` : `${unitNamePlural} ${startNum}-${endNum}`;
+    
+    // Build story titles list for collection mode
+    const storyTitles = isCollection ? chapters.slice(startNum - 1, endNum).map((ch, i) => 
+      `${startNum + i}: "${ch.title}"`
+    ).join(', ') : '';
+    
+    // IMPORTANT: Scenes first in the prompt since they're most likely to be cut off by token limits
+    const collectionNote = isCollection ? `
+IMPORTANT: This is a SHORT STORY COLLECTION. Each story is INDEPENDENT. Characters with the same name in different stories are DIFFERENT PEOPLE. Do NOT merge or deduplicate characters across stories.
+Story titles: ${storyTitles}
+` : '';
+
+    const prompt = `Analyse this text and extract entities. This is ${sectionRange} of a ${totalSections}-${unitName} work.
+${collectionNote}
+TEXT:
+${text}
+
+Extract (in this order - SCENES FIRST as they are most important):
+
+1. SCENES: Extract AT LEAST ONE significant scene per ${unitName}. You have ${sectionCount} ${unitNamePlural} (${startNum}-${endNum}), so provide at least ${sectionCount} scenes. Each scene should capture the key action, conflict, or development in that ${unitName}.
+
+2. CHARACTERS: People mentioned by name. Include their role/description and which ${unitName} numbers they appear in.${isCollection ? ' Remember: same name in different stories = different characters.' : ''}
+
+3. LOCATIONS: Named places or settings.
+
+4. OBJECTS: Significant objects only - McGuffins, artefacts, weapons, heirlooms, or items central to the plot. Do NOT include mundane items. May be zero if no significant objects appear.
+
+5. THEMES: Major themes or motifs (typically 2-4 for this excerpt).
+
+Use ${unitName} numbers ${startNum}-${endNum} for the chapterNums field.
+
+Respond ONLY with valid JSON (no markdown fences, no explanation):
+{
+  "entities": [
+    {"type": "scene", "name": "Scene Title", "description": "What happens", "chapterNums": [${startNum}]},
+    {"type": "character", "name": "Name", "description": "Brief description", "chapterNums": [${startNum}]},
+    {"type": "location", "name": "Place", "description": "Description", "chapterNums": [${startNum}]},
+    {"type": "object", "name": "Object Name", "description": "Significance", "chapterNums": [${startNum}]},
+    {"type": "theme", "name": "Theme Name", "description": "How it manifests", "chapterNums": [${startNum}]}
+  ]
+}`;
+
+    log('Sending API request', { sectionRange, promptLength: prompt.length });
+    
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: 65536, // Maximum allowed for Gemini 2.5 Flash
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      log('API error', error);
+      throw new Error(error.error?.message || 'API request failed');
+    }
+
+    const data = await response.json();
+    const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    const finishReason = data.candidates?.[0]?.finishReason;
+    const hitMaxTokens = finishReason === 'MAX_TOKENS';
+    
+    log('API response received', { 
+      contentLength: content?.length,
+      finishReason,
+      hitMaxTokens
+    });
+    
+    if (!content) {
+      log('No content in response', data);
+      throw new Error('No response from Gemini');
+    }
+
+    let cleanedContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanedContent);
+      log('JSON parsed successfully', { entityCount: parsed.entities?.length });
+    } catch (parseError) {
+      log('JSON parse error, attempting salvage', { error: parseError.message, content: cleanedContent.substring(0, 500) });
+      
+      // Try to salvage truncated JSON
+      const lastCompleteEntity = cleanedContent.lastIndexOf('},');
+      if (lastCompleteEntity > 0) {
+        cleanedContent = cleanedContent.substring(0, lastCompleteEntity + 1) + ']}';
+        try {
+          parsed = JSON.parse(cleanedContent);
+          log('Salvaged partial JSON', { entityCount: parsed.entities?.length });
+        } catch (e) {
+          log('Salvage failed', { error: e.message });
+          throw new Error('Response was truncated and could not be recovered');
+        }
+      } else {
+        throw new Error('Invalid JSON response');
+      }
+    }
+    
+    return { entities: parsed.entities || [], hitMaxTokens };
+  };
+
+  // Render library or editor view
+  if (view === 'library') {
+    const activeProjects = projectIndex.filter(p => !p.deletedAt);
+    const trashedProjects = projectIndex.filter(p => p.deletedAt);
+
+    return (
+      <div className="app-container">
+        <div className="library-header">
+          <h1>Bookboard</h1>
+          <div className="library-actions">
+            {syncProvider ? (
+              <>
+                <button className="btn btn-drive" onClick={() => setShowDriveModal(true)} title={`Projects on ${syncProvider.name}`}>
+                  ☁️ {syncProvider.type === 'drive' ? 'Drive' : syncProvider.name}
+                </button>
+                <button className="btn btn-drive" onClick={handleSaveAllToDrive} title={`Save all to ${syncProvider.name}`}>
+                  ⬆️ Sync All
+                </button>
+              </>
+            ) : syncConfig.type === 'drive' && googleAuthStatus === 'signed_out' ? (
+              <button className="btn btn-drive" onClick={handleGoogleSignIn} title="Sign in to Google">
+                ☁️ Sign In
+              </button>
+            ) : null}
+            {trashedProjects.length > 0 && (
+              <button className="btn" onClick={() => setShowTrashModal(true)} title="Deleted projects">
+                🗑️ Trash ({trashedProjects.length})
+              </button>
+            )}
+            {secretsStatus === 'locked' && (
+              <button className="btn" onClick={() => setShowUnlockKeysModal(true)} title="API keys are encrypted">
+                🔑 Unlock Keys
+              </button>
+            )}
+            <button className="btn" onClick={() => setShowSettingsModal(true)}>Settings</button>
+            <button className="btn" onClick={() => setShowImportModal(true)}>Import</button>
+            <button className="btn btn-primary" onClick={createNewProject}>New Project</button>
+          </div>
+        </div>
+        
+        {storageError && (
+          <StorageErrorBanner error={storageError} onDismiss={() => setStorageError(null)} />
+        )}
+        
+        <div className="library-content">
+          {activeProjects.length === 0 ? (
+            <div className="empty-state">
+              <h2>No projects yet</h2>
+              <p>Import a manuscript or create a new project to get started.</p>
+              <div style={{ display: 'flex', gap: '12px', justifyContent: 'center', marginTop: '24px' }}>
+                <button className="btn" onClick={() => setShowImportModal(true)}>Import</button>
+                <button className="btn btn-primary" onClick={createNewProject}>New Project</button>
+              </div>
+              {syncProvider && driveProjects.length > 0 && (
+                <p style={{ marginTop: '16px' }}>
+                  Or <button className="btn-link" onClick={() => setShowDriveModal(true)}>load from {syncProvider.name}</button>
+                </p>
+              )}
+            </div>
+          ) : (
+            <div className="project-grid">
+              {activeProjects
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+                .map(project => (
+                  <div key={project.id} className="project-card" onClick={() => openProject(project.id)}>
+                    <button 
+                      className="project-delete" 
+                      onClick={(e) => { e.stopPropagation(); handleDeleteProject(project.id, project.title); }}
+                      title="Delete project"
+                    >
+                      ×
+                    </button>
+                    <h3>{project.encrypted && <span className="project-lock" title="Passphrase protected">🔒 </span>}{project.title}</h3>
+                    <div className="project-meta">
+                      <span>{project.chapterCount || 0} chapters</span>
+                      <span>{project.entityCount || 0} cards</span>
+                    </div>
+                    <div className="project-date">
+                      Last edited: {new Date(project.updatedAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                ))}
+            </div>
+          )}
+          {storageEstimate && (
+            <div className="storage-usage">
+              Storage: {formatBytes(storageEstimate.usage)} used of {formatBytes(storageEstimate.quota)} available
+              {storageEstimate.quota > 0 && (
+                <div className="storage-usage-bar">
+                  <div 
+                    className={`storage-usage-fill ${storageEstimate.usage / storageEstimate.quota > 0.9 ? 'warning' : ''}`}
+                    style={{ width: `${Math.min(100, (storageEstimate.usage / storageEstimate.quota) * 100)}%` }}
+                  ></div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {showImportModal && (
+          <ImportModal
+            onImport={handleImport}
+            onImportFiles={handleImportFiles}
+            onClose={() => setShowImportModal(false)}
+          />
+        )}
+
+        {importReport && (
+          <ImportReportModal
+            issues={importReport.issues}
+            onConfirm={handleImportReportConfirm}
+            onCancel={() => setImportReport(null)}
+          />
+        )}
+
+        {multiImport && (
+          <MultiFileImportModal
+            defaultTitle={multiImport.title}
+            files={multiImport.files}
+            onImport={handleMultiImportConfirm}
+            onClose={() => setMultiImport(null)}
+          />
+        )}
+
+        {textImport && (
+          <TextImportModal
+            fileName={textImport.fileName}
+            text={textImport.text}
+            onImport={handleTextImportConfirm}
+            onClose={() => setTextImport(null)}
+          />
+        )}
+
+        {showImportConflictModal && pendingImport && (
+          <ImportConflictModal
+            existingTitle={pendingImport.existingProject.title}
+            onReimport={pendingImport.type === 'markdown' ? () => handleConflictResolution('reimport') : null}
+            onOverwrite={() => handleConflictResolution('overwrite')}
+            onCreateNew={() => handleConflictResolution('new')}
+            onCancel={() => handleConflictResolution('cancel')}
+          />
+        )}
+
+        {draftReimport && (
+          <DraftReimportModal
+            project={draftReimport.project}
+            chapters={draftReimport.chapters}
+            onApply={handleDraftReimportApply}
+            onCancel={() => setDraftReimport(null)}
+          />
+        )}
+
+        {showTrashModal && (
+          <TrashModal
+            title="Deleted Projects"
+            items={trashedProjects.map(p => ({
+              id: p.id,
+              label: p.title,
+              detail: `${p.chapterCount || 0} chapters · ${p.entityCount || 0} cards`,
+              deletedAt: p.deletedAt
+            }))}
+            onRestore={handleRestoreProjects}
+            onPurge={handlePurgeProjects}
+            onClose={() => setShowTrashModal(false)}
+          />
+        )}
+
+        {showDriveModal && (
+          <DriveModal
+            providerName={syncProvider?.name || SYNC_PROVIDER_NAMES[syncConfig.type]}
+            localProjects={projectIndex}
+            remoteProjects={driveProjects}
+            onLoad={handleLoadFromDrive}
+            onUpload={handleUploadProject}
+            onTrashLocal={handleTrashDeletedProject}
+            onRefresh={async () => {
+              if (syncProvider) {
+                const projects = await syncProvider.list();
+                setDriveProjects(projects);
+              }
+            }}
+            onClose={() => setShowDriveModal(false)}
+          />
+        )}
+
+        {driveMerge && (
+          <DriveMergeModal
+            title={driveMerge.local.title}
+            providerName={syncProvider?.name || SYNC_PROVIDER_NAMES[syncConfig.type]}
+            conflicts={driveMerge.conflicts}
+            chapters={driveMerge.merged.chapters}
+            onApply={handleDriveMergeApply}
+            onCancel={() => setDriveMerge(null)}
+          />
+        )}
+
+        {unlockTarget && (
+          <UnlockModal
+            title={`Unlock "${unlockTarget.title}"`}
+            description="This project is protected with a passphrase."
+            onUnlock={handleUnlockProject}
+            onClose={() => setUnlockTarget(null)}
+          />
+        )}
+
+        {showUnlockKeysModal && (
+          <UnlockModal
+            title="Unlock API Keys"
+            description="Your Gemini key and Google Client ID are encrypted. Enter the passphrase to use them this session."
+            onUnlock={handleUnlockSecrets}
+            onClose={() => setShowUnlockKeysModal(false)}
+          />
+        )}
+
+        {showSettingsModal && (
+          <SettingsModal
+            geminiKey={geminiKey}
+            onGeminiKeyChange={setGeminiKey}
+            googleClientId={googleClientId}
+            onGoogleClientIdChange={setGoogleClientId}
+            googleAuthStatus={googleAuthStatus}
+            onGoogleSignIn={handleGoogleSignIn}
+            syncConfig={syncConfig}
+            onSyncConfigChange={setSyncConfig}
+            webdavPassword={webdavPassword}
+            onWebdavPasswordChange={setWebdavPassword}
+            restToken={restToken}
+            onRestTokenChange={setRestToken}
+            secretsStatus={secretsStatus}
+            onProtectSecrets={handleProtectSecrets}
+            onUnlockSecrets={() => setShowUnlockKeysModal(true)}
+            autoRearrange={autoRearrange}
+            onAutoRearrangeChange={setAutoRearrange}
+            debugMode={debugMode}
+            onDebugModeChange={setDebugMode}
+            onClose={() => setShowSettingsModal(false)}
+          />
+        )}
+      </div>
+    );
+  }
+
+  // Editor view
+  return (
+    <div className="app-container">
+      <TopBar 
+        title={currentProject.title}
+        onTitleChange={updateTitle}
+        onLibrary={goToLibrary}
+        onImport={() => setShowImportModal(true)}
+        onExport={() => setShowExportModal(true)}
+        onExtract={handleExtractClick}
+        onHistory={() => setShowHistoryModal(true)}
+        onProtection={() => setShowProtectionModal(true)}
+        onSettings={() => setShowProjectSettings(true)}
+        isProtected={isProjectProtected(currentProject)}
+        onTrash={() => setShowTrashModal(true)}
+        trashCount={(currentProject.trash || []).length}
+        otherTabCount={otherTabIds.length}
+        onUndo={undo}
+        onRedo={redo}
+        undoLabel={undoStack[undoStack.length - 1]?.label}
+        redoLabel={redoStack[redoStack.length - 1]?.label}
+        hasChapters={currentProject.chapters.length > 0}
+        syncName={syncProvider?.name}
+        syncStatus={syncConfigured ? syncStatus : null}
+        onSaveToDrive={handleSaveToDrive}
+      />
+      
+      {storageError && (
+        <StorageErrorBanner error={storageError} onDismiss={() => setStorageError(null)} />
+      )}
+      
+      {tabConflicts.length > 0 && (
+        <div className="storage-error-banner">
+          <span>⚠️ {tabConflicts.length} edit{tabConflicts.length === 1 ? '' : 's'} in another tab conflict with yours.</span>
+          <button className="btn btn-small" onClick={() => setShowTabConflictModal(true)}>Review</button>
+        </div>
+      )}
+      
+      <div className="main-layout">
+        <TimelinePanel 
+          chapters={currentProject.chapters} 
+          isScreenplay={currentProject.bookType === 'screenplay'}
+          onReorder={reorderChapters}
+          onChapterClick={(chapterId) => setEditingChapterId(chapterId)}
+          editingChapterId={editingChapterId}
+        />
+        {editingChapter ? (
+          <ChapterEditor
+            chapter={editingChapter}
+            chapterIndex={currentProject.chapters.findIndex(ch => ch.id === editingChapterId)}
+            isScreenplay={currentProject.bookType === 'screenplay'}
+            onUpdateContent={(content) => updateChapterContent(editingChapterId, content)}
+            onUpdateTitle={(title) => updateChapterTitle(editingChapterId, title)}
+            onClose={() => setEditingChapterId(null)}
+          />
+        ) : (
+          <Corkboard 
+            key={currentProject.id}
+            entities={currentProject.entities}
+            chapters={currentProject.chapters}
+            customFolders={currentProject.customFolders || []}
+            onUpdatePosition={updateEntityPosition}
+            onEditEntity={(entity) => { setEditingEntity(entity); setShowEntityModal(true); }}
+            onDeleteEntity={deleteEntity}
+            onToggleStar={toggleStar}
+            isEmpty={currentProject.chapters.length === 0 && currentProject.entities.length === 0}
+            onImport={() => setShowImportModal(true)}
+            onAddEntity={(type, folder) => { 
+              setDefaultEntityType(type); 
+              setEditingEntity(folder ? { folder } : null); 
+              setShowEntityModal(true); 
+            }}
+            onAddFolder={() => setShowAddFolderModal(true)}
+            onDeleteCustomFolder={deleteCustomFolder}
+            onMergeEntities={(selected) => mergeEntities(selected[0], selected[1])}
+            onRearrangeEntities={rearrangeEntities}
+            autoRearrange={autoRearrange}
+          />
+        )}
+      </div>
+
+      {showImportModal && (
+        <ImportModal
+          onImport={handleImport}
+          onImportFiles={handleImportFiles}
+          onClose={() => setShowImportModal(false)}
+        />
+      )}
+
+      {importReport && (
+        <ImportReportModal
+          issues={importReport.issues}
+          onConfirm={handleImportReportConfirm}
+          onCancel={() => setImportReport(null)}
+        />
+      )}
+
+      {multiImport && (
+        <MultiFileImportModal
+          defaultTitle={multiImport.title}
+          files={multiImport.files}
+          onImport={handleMultiImportConfirm}
+          onClose={() => setMultiImport(null)}
+        />
+      )}
+
+      {textImport && (
+        <TextImportModal
+          fileName={textImport.fileName}
+          text={textImport.text}
+          onImport={handleTextImportConfirm}
+          onClose={() => setTextImport(null)}
+        />
+      )}
+
+      {showImportConflictModal && pendingImport && (
+        <ImportConflictModal
+          existingTitle={pendingImport.existingProject.title}
+          onReimport={pendingImport.type === 'markdown' ? () => handleConflictResolution('reimport') : null}
+          onOverwrite={() => handleConflictResolution('overwrite')}
+          onCreateNew={() => handleConflictResolution('new')}
+          onCancel={() => handleConflictResolution('cancel')}
+        />
+      )}
+
+      {draftReimport && (
+        <DraftReimportModal
+          project={draftReimport.project}
+          chapters={draftReimport.chapters}
+          onApply={handleDraftReimportApply}
+          onCancel={() => setDraftReimport(null)}
+        />
+      )}
+
+      {cardImport && (
+        <CardImportModal
+          fileName={cardImport.fileName}
+          rows={cardImport.rows}
+          onApply={handleCardImportApply}
+          onCancel={() => setCardImport(null)}
+        />
+      )}
+
+      {showExportModal && (
+        <ExportModal
+          onExportJson={exportAsJson}
+          onExportManuscript={exportManuscript}
+          onExportDocx={() => setShowManuscriptExport(true)}
+          onExportEpub={() => setShowEpubExport(true)}
+          onExportBible={exportBible}
+          onExportBibleSite={exportBibleSite}
+          onExportVault={exportVault}
+          onExportCards={exportCardSpreadsheet}
+          hasChapters={currentProject.chapters.length > 0}
+          hasEntities={currentProject.entities.length > 0}
+          isScreenplay={currentProject.bookType === 'screenplay'}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
+
+      {showManuscriptExport && (
+        <ManuscriptExportModal
+          project={currentProject}
+          defaults={JSON.parse(localStorage.getItem(STORAGE_KEYS.manuscriptExport) || '{}')}
+          onExport={exportManuscriptDocx}
+          onClose={() => setShowManuscriptExport(false)}
+        />
+      )}
+
+      {showEpubExport && (
+        <EpubExportModal
+          project={currentProject}
+          onExport={exportEpub}
+          onClose={() => setShowEpubExport(false)}
+        />
+      )}
+
+      {showTabConflictModal && tabConflicts.length > 0 && (
+        <TabConflictModal
+          conflicts={tabConflicts}
+          chapters={currentProject.chapters}
+          onResolve={resolveTabConflict}
+          onClose={() => setShowTabConflictModal(false)}
+        />
+      )}
+
+      {showTrashModal && (
+        <TrashModal
+          title="Trash"
+          items={(currentProject.trash || []).map(t => ({
+            id: t.id,
+            label: t.kind === 'folder' ? `📁 ${t.name}` : t.entity.name,
+            detail: t.kind === 'folder'
+              ? `Folder · ${t.entityIds.length} cards`
+              : `${t.entity.type}${t.entity.folder ? ` · in ${t.entity.folder}` : ''}`,
+            deletedAt: t.deletedAt
+          }))}
+          onRestore={restoreFromTrash}
+          onPurge={purgeFromTrash}
+          onClose={() => setShowTrashModal(false)}
+        />
+      )}
+
+      {driveMerge && (
+        <DriveMergeModal
+          title={driveMerge.local.title}
+          providerName={syncProvider?.name || SYNC_PROVIDER_NAMES[syncConfig.type]}
+          conflicts={driveMerge.conflicts}
+          chapters={driveMerge.merged.chapters}
+          onApply={handleDriveMergeApply}
+          onCancel={() => setDriveMerge(null)}
+        />
+      )}
+
+      {showUnlockKeysModal && (
+        <UnlockModal
+          title="Unlock API Keys"
+          description="Your Gemini key is encrypted. Enter the passphrase to use it this session."
+          onUnlock={handleUnlockSecrets}
+          onClose={() => setShowUnlockKeysModal(false)}
+        />
+      )}
+
+      {showProjectSettings && (
+        <ProjectSettingsModal
+          project={currentProject}
+          onSave={updateMetadata}
+          onClose={() => setShowProjectSettings(false)}
+        />
+      )}
+
+      {showProtectionModal && (
+        <ProtectionModal
+          title={currentProject.title}
+          isProtected={isProjectProtected(currentProject)}
+          onSetPassphrase={handleSetProjectPassphrase}
+          onLock={handleLockProject}
+          onClose={() => setShowProtectionModal(false)}
+        />
+      )}
+
+      {showHistoryModal && (
+        <HistoryModal
+          project={currentProject}
+          remoteHistoryName={syncProvider?.listRevisions ? syncProvider.name : null}
+          onShowRemoteHistory={() => {
+            setShowHistoryModal(false);
+            setShowRevisionsModal(true);
+          }}
+          onTakeSnapshot={takeSnapshot}
+          onRestore={restoreSnapshot}
+          onRestoreItems={restoreSnapshotItems}
+          onClose={() => setShowHistoryModal(false)}
+        />
+      )}
+
+      {showRevisionsModal && syncProvider?.listRevisions && (
+        <RevisionHistoryModal
+          project={currentProject}
+          provider={syncProvider}
+          onRestore={restoreRevision}
+          onRestoreAsCopy={restoreRevisionAsCopy}
+          onClose={() => setShowRevisionsModal(false)}
+        />
+      )}
+
+      {showExtractModal && (
+        <ExtractModal
+          geminiKey={geminiKey}
+          onGeminiKeyChange={setGeminiKey}
+          onExtract={extractEntities}
+          isScreenplay={currentProject.bookType === 'screenplay'}
+          onDetectCharacters={detectScreenplayCharacters}
+          onClose={() => setShowExtractModal(false)}
+        />
+      )}
+
+      {showExtractConfirmModal && (
+        <ExtractConfirmModal
+          entityCount={currentProject.entities.length}
+          onClearAndExtract={handleClearAndExtract}
+          onAddToExisting={handleAddToExisting}
+          onCancel={() => setShowExtractConfirmModal(false)}
+        />
+      )}
+
+      {showEntityModal && (
+        <EntityModal
+          entity={editingEntity}
+          chapters={currentProject.chapters}
+          customFolders={currentProject.customFolders || []}
+          defaultType={defaultEntityType}
+          onSave={saveEntity}
+          onClose={() => { setShowEntityModal(false); setEditingEntity(null); setDefaultEntityType(null); }}
+        />
+      )}
+
+      {showAddFolderModal && (
+        <AddFolderModal
+          existingFolders={currentProject.customFolders || []}
+          onAdd={addCustomFolder}
+          onClose={() => setShowAddFolderModal(false)}
+        />
+      )}
+
+      {loading && (
+        <div className="loading-overlay">
+          <div className="loading-spinner"></div>
+          <p>{loadingMessage}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Top Bar Component (Editor view)
+function TopBar({ title, onTitleChange, onLibrary, onImport, onExport, onExtract, onHistory, onProtection, onSettings, isProtected, onTrash, trashCount, otherTabCount, onUndo, onRedo, undoLabel, redoLabel, hasChapters, syncName, syncStatus, onSaveToDrive }) {
+  return (
+    <div className="top-bar">
+      <button className="btn btn-back" onClick={onLibrary} title="Back to library">←</button>
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => onTitleChange(e.target.value)}
+        placeholder="Novel Title"
+      />
+      <div className="top-bar-spacer"></div>
+      {otherTabCount > 0 && (
+        <span className="tab-presence" title="Changes sync live between tabs">
+          Also open in {otherTabCount} other tab{otherTabCount === 1 ? '' : 's'}
+        </span>
+      )}
+      <button 
+        className="btn btn-undo" 
+        onClick={onUndo} 
+        disabled={!undoLabel} 
+        title={undoLabel ? `Undo ${undoLabel.toLowerCase()} (Ctrl+Z)` : 'Nothing to undo'}
+      >
+        ↶
+      </button>
+      <button 
+        className="btn btn-undo" 
+        onClick={onRedo} 
+        disabled={!redoLabel} 
+        title={redoLabel ? `Redo ${redoLabel.toLowerCase()} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+      >
+        ↷
+      </button>
+      <button className="btn" onClick={onImport}>Import</button>
+      {hasChapters && (
+        <button className="btn btn-secondary" onClick={onExtract}>Extract</button>
+      )}
+      <button className="btn" onClick={onHistory} title="Snapshot history">History</button>
+      <button className="btn" onClick={onSettings} title="Project settings: author, genre, target word count">⚙️</button>
+      <button className="btn" onClick={onProtection} title={isProtected ? 'Passphrase protected' : 'Not passphrase protected'}>
+        {isProtected ? '🔒' : '🔓'}
+      </button>
+      <button className="btn" onClick={onTrash} title="Deleted cards and folders">
+        🗑️{trashCount > 0 ? ` ${trashCount}` : ''}
+      </button>
+      <button className="btn btn-primary" onClick={onExport}>Export</button>
+      {syncStatus && (
+        <span className={`sync-status ${syncStatus}`} title={SYNC_STATUS_LABELS[syncStatus].help}>
+          {SYNC_STATUS_LABELS[syncStatus].label}
+        </span>
+      )}
+      {syncName && (
+        <button className="btn btn-drive" onClick={onSaveToDrive} title={`Save to ${syncName} now`}>☁️</button>
+      )}
+    </div>
+  );
+}
+
+// Storage Error Banner Component
+function StorageErrorBanner({ error, onDismiss }) {
+  return (
+    <div className={`storage-error-banner ${error.isQuota ? 'quota' : ''}`}>
+      <span>⚠️ {error.message}</span>
+      <button className="btn btn-small" onClick={onDismiss}>Dismiss</button>
+    </div>
+  );
+}
+
+// Timeline Panel Component
+// Screenplay scenes are grouped under their act and sequence
+function TimelinePanel({ chapters, isScreenplay, onReorder, onChapterClick, editingChapterId }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+
+  const handleDragStart = (e, index) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) {
+      setDragOverIndex(index);
+    }
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) {
+      onReorder(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDragOverIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDragOverIndex(null);
+  };
+
+  return (
+    <div className="timeline-panel">
+      <div className="timeline-header">{isScreenplay ? 'Scene' : 'Chapter'} Timeline</div>
+      {chapters.length === 0 ? (
+        <p style={{ color: 'rgba(255,255,255,0.5)', fontSize: '0.85rem', fontStyle: 'italic' }}>
+          Import a manuscript to see chapters here
+        </p>
+      ) : (
+        chapters.map((chapter, index) => (
+          <React.Fragment key={chapter.id}>
+            {isScreenplay && chapter.act && chapter.act !== chapters[index - 1]?.act && (
+              <div className="timeline-act">{chapter.act}</div>
+            )}
+            {isScreenplay && chapter.sequence && (chapter.sequence !== chapters[index - 1]?.sequence || chapter.act !== chapters[index - 1]?.act) && (
+              <div className="timeline-sequence">{chapter.sequence}</div>
+            )}
+            <div 
+              className={`chapter-card ${dragIndex === index ? 'dragging' : ''} ${dragOverIndex === index ? 'drag-over' : ''} ${editingChapterId === chapter.id ? 'selected' : ''}`}
+              draggable
+              onDragStart={(e) => handleDragStart(e, index)}
+              onDragOver={(e) => handleDragOver(e, index)}
+              onDrop={(e) => handleDrop(e, index)}
+              onDragEnd={handleDragEnd}
+              onClick={() => onChapterClick(chapter.id)}
+            >
+              <div className="chapter-number">{isScreenplay ? 'Scene' : 'Chapter'} {index + 1}</div>
+              <div className="chapter-title">{chapter.title}</div>
+              {chapter.content && (
+                <div className="chapter-preview">{chapter.content.substring(0, 120)}...</div>
+              )}
+            </div>
+          </React.Fragment>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Corkboard Component with Folder Navigation
+function Corkboard({ 
+  entities, 
+  chapters, 
+  customFolders = [],
+  onUpdatePosition, 
+  onEditEntity, 
+  onDeleteEntity,
+  onToggleStar,
+  isEmpty, 
+  onImport,
+  onAddEntity,
+  onAddFolder,
+  onDeleteCustomFolder,
+  onMergeEntities,
+  onRearrangeEntities,
+  autoRearrange = true
+}) {
+  const [activeFolder, setActiveFolder] = useState(null);
+  const [isCustomFolder, setIsCustomFolder] = useState(false);
+  const [isKeyFolder, setIsKeyFolder] = useState(false);
+  const [selectedForMerge, setSelectedForMerge] = useState([]);
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  
+  // ESC key to go back or clear selection
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        if (selectedForMerge.length > 0) {
+          setSelectedForMerge([]);
+        } else if (activeFolder) {
+          setActiveFolder(null);
+          setIsCustomFolder(false);
+          setIsKeyFolder(false);
+        }
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [activeFolder, selectedForMerge]);
+  
+  // Clear selection when changing folders
+  useEffect(() => {
+    setSelectedForMerge([]);
+  }, [activeFolder]);
+  
+  // Auto-rearrange cards when opening a folder
+  useEffect(() => {
+    if (activeFolder && autoRearrange) {
+      // Get current folder entities
+      let folderEnts;
+      if (isKeyFolder) {
+        folderEnts = entities.filter(e => e.type === activeFolder && e.starred);
+      } else if (isCustomFolder) {
+        folderEnts = entities.filter(e => e.folder === activeFolder);
+      } else {
+        folderEnts = entities.filter(e => e.type === activeFolder);
+      }
+      if (folderEnts.length > 0) {
+        onRearrangeEntities(folderEnts.map(e => e.id));
+      }
+    }
+  }, [activeFolder, isCustomFolder, isKeyFolder]); // Only on folder change, not on entity changes
+  
+  // Toggle entity selection for merge
+  const toggleMergeSelection = (entity) => {
+    setSelectedForMerge(prev => {
+      if (prev.find(e => e.id === entity.id)) {
+        return prev.filter(e => e.id !== entity.id);
+      }
+      // Only allow selecting same type
+      if (prev.length > 0 && prev[0].type !== entity.type) {
+        return prev; // Ignore if different type
+      }
+      if (prev.length >= 2) {
+        return prev; // Max 2 for merge
+      }
+      return [...prev, entity];
+    });
+  };
+  
+  // Entity types for folders
+  const entityTypes = [
+    { type: 'scene', label: 'Scenes', keyLabel: 'Key Scenes', icon: '🎬' },
+    { type: 'character', label: 'Characters', keyLabel: 'Key Characters', icon: '👤' },
+    { type: 'location', label: 'Locations', keyLabel: 'Key Locations', icon: '📍' },
+    { type: 'object', label: 'Objects', keyLabel: 'Key Objects', icon: '🔮' },
+    { type: 'theme', label: 'Themes', keyLabel: 'Key Themes', icon: '💡' },
+    { type: 'idea', label: 'Ideas', keyLabel: 'Key Ideas', icon: '📝' }
+  ];
+  
+  // Reserved folder names (can't create custom folders with these names)
+  const reservedFolderNames = entityTypes.map(et => et.keyLabel.toLowerCase());
+  
+  // Count entities per type
+  const getCounts = () => {
+    const counts = {};
+    entityTypes.forEach(et => {
+      counts[et.type] = entities.filter(e => e.type === et.type).length;
+    });
+    return counts;
+  };
+  
+  // Count starred entities per type
+  const getStarredCounts = () => {
+    const counts = {};
+    entityTypes.forEach(et => {
+      counts[et.type] = entities.filter(e => e.type === et.type && e.starred).length;
+    });
+    return counts;
+  };
+  
+  // Count entities per custom folder
+  const getCustomFolderCounts = () => {
+    const counts = {};
+    (customFolders || []).forEach(folder => {
+      counts[folder] = entities.filter(e => e.folder === folder).length;
+    });
+    return counts;
+  };
+  
+  const counts = getCounts();
+  const starredCounts = getStarredCounts();
+  const customCounts = getCustomFolderCounts();
+  
+  // Get entities for current view
+  const getFolderEntities = () => {
+    if (!activeFolder) return [];
+    if (isKeyFolder) {
+      // Key folder: starred entities of that type
+      return entities.filter(e => e.type === activeFolder && e.starred);
+    }
+    if (isCustomFolder) {
+      return entities.filter(e => e.folder === activeFolder);
+    }
+    return entities.filter(e => e.type === activeFolder);
+  };
+  
+  const folderEntities = getFolderEntities();
+  const activeFolderInfo = entityTypes.find(et => et.type === activeFolder);
+  
+  // Handle add button click
+  const handleAddClick = () => {
+    if (activeFolder && !isCustomFolder) {
+      // Inside a type folder - add entity with that type
+      onAddEntity(activeFolder);
+    } else if (activeFolder && isCustomFolder) {
+      // Inside a custom folder - add entity and assign to this folder
+      onAddEntity(null, activeFolder);
+    } else {
+      // At top level - add a new custom folder
+      onAddFolder();
+    }
+  };
+  
+  if (isEmpty && (!customFolders || customFolders.length === 0)) {
+    return (
       <div className="corkboard">
         <div className="empty-state">
           <h2>Your corkboard is empty</h2>
@@ -1825,482 +7224,2059 @@ function Corkboard({
             Import a manuscript (Markdown) or a project file (JSON) to get started.
             You can also manually add cards using the + button.
           </p>
-          <button className="btn btn-primary" onClick={onImport}>Import</button>
+          <button className="btn btn-primary" onClick={onImport}>Import</button>
+        </div>
+        <button className="add-entity-btn" onClick={handleAddClick} title="Add folder">+</button>
+      </div>
+    );
+  }
+  
+  // Folder view - showing cards of one type or custom folder
+  if (activeFolder) {
+    const folderTitle = isKeyFolder ? activeFolderInfo?.keyLabel : activeFolderInfo?.label;
+    
+    return (
+      <div className="corkboard">
+        <div className="folder-view-header">
+          <button className="btn" onClick={() => { setActiveFolder(null); setIsCustomFolder(false); setIsKeyFolder(false); }}>← Back</button>
+          {isCustomFolder ? (
+            <>
+              <span className="folder-icon custom">📁</span>
+              <h3>{activeFolder}</h3>
+              <span className="folder-count">{folderEntities.length} cards</span>
+              <button 
+                className="btn btn-delete-folder" 
+                onClick={() => { onDeleteCustomFolder(activeFolder); setActiveFolder(null); setIsCustomFolder(false); }}
+                title="Delete folder"
+              >
+                🗑️
+              </button>
+            </>
+          ) : (
+            <>
+              <span className={`folder-icon ${activeFolder}`}>{isKeyFolder ? '⭐' : activeFolderInfo?.icon}</span>
+              <h3>{folderTitle}</h3>
+              <span className="folder-count">{folderEntities.length} cards</span>
+            </>
+          )}
+          {folderEntities.length >= 2 && (
+            <>
+              <button 
+                className="btn btn-rearrange"
+                onClick={() => onRearrangeEntities(folderEntities.map(e => e.id))}
+                title="Rearrange cards in grid"
+              >
+                ⊞
+              </button>
+              <button 
+                className={`btn btn-merge ${selectedForMerge.length === 2 ? 'ready' : ''}`}
+                onClick={() => {
+                  if (selectedForMerge.length === 2) {
+                    onMergeEntities(selectedForMerge);
+                    setSelectedForMerge([]);
+                  }
+                }}
+                disabled={selectedForMerge.length !== 2}
+                title={selectedForMerge.length === 2 ? "Merge selected cards" : "Shift+click 2 cards to merge"}
+              >
+                {selectedForMerge.length === 2 ? '🔗 Merge' : '🔗'}
+              </button>
+            </>
+          )}
+          <span className="esc-hint">{selectedForMerge.length > 0 ? 'ESC to clear selection' : 'ESC to go back'}</span>
+        </div>
+        <div className="folder-contents">
+          <div className="corkboard-inner">
+            {folderEntities.map(entity => (
+              <EntityCard
+                key={entity.id}
+                entity={entity}
+                chapters={chapters}
+                onUpdatePosition={onUpdatePosition}
+                onEdit={() => onEditEntity(entity)}
+                onDelete={() => onDeleteEntity(entity.id)}
+                onToggleStar={!isCustomFolder ? () => onToggleStar(entity.id) : null}
+                isSelected={selectedForMerge.some(e => e.id === entity.id)}
+                onShiftClick={() => toggleMergeSelection(entity)}
+              />
+            ))}
+          </div>
+        </div>
+        {!isKeyFolder && (
+          <button className="add-entity-btn" onClick={handleAddClick} title="Add card">+</button>
+        )}
+      </div>
+    );
+  }
+  
+  // Top-level folder view
+  return (
+    <div className="corkboard">
+      <div className="folder-grid">
+        {/* Type-based folders */}
+        {entityTypes.map(et => (
+          <div 
+            key={et.type}
+            className={`entity-folder ${et.type}`}
+            onClick={() => { setActiveFolder(et.type); setIsCustomFolder(false); setIsKeyFolder(false); }}
+            style={{ opacity: counts[et.type] === 0 ? 0.5 : 1 }}
+          >
+            <div className="folder-icon">{et.icon}</div>
+            <div className="folder-label">{et.label}</div>
+            <div className="folder-count">{counts[et.type]} cards</div>
+          </div>
+        ))}
+        
+        {/* Key folders (only shown if starred entities exist) */}
+        {entityTypes.filter(et => starredCounts[et.type] > 0).map(et => (
+          <div 
+            key={`key-${et.type}`}
+            className={`entity-folder key-folder ${et.type}`}
+            onClick={() => { setActiveFolder(et.type); setIsCustomFolder(false); setIsKeyFolder(true); }}
+          >
+            <div className="folder-icon">⭐</div>
+            <div className="folder-label">{et.keyLabel}</div>
+            <div className="folder-count">{starredCounts[et.type]} cards</div>
+          </div>
+        ))}
+        
+        {/* Custom folders */}
+        {(customFolders || []).map(folder => (
+          <div 
+            key={folder}
+            className="entity-folder custom"
+            onClick={() => { setActiveFolder(folder); setIsCustomFolder(true); setIsKeyFolder(false); }}
+            style={{ opacity: customCounts[folder] === 0 ? 0.5 : 1 }}
+          >
+            <div className="folder-icon">📁</div>
+            <div className="folder-label">{folder}</div>
+            <div className="folder-count">{customCounts[folder]} cards</div>
+          </div>
+        ))}
+      </div>
+      <button className="add-entity-btn" onClick={handleAddClick} title="Add folder">+</button>
+    </div>
+  );
+}
+
+// Chapter Editor Component
+function ChapterEditor({ chapter, chapterIndex, isScreenplay, onUpdateContent, onUpdateTitle, onClose }) {
+  const [title, setTitle] = useState(chapter.title);
+  const [content, setContent] = useState(chapter.content);
+  const [externalContent, setExternalContent] = useState(null); // Text changed elsewhere while typing here
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  const syncedRef = useRef({ id: chapter.id, content: chapter.content });
+  const committedRef = useRef(null);
+
+  // Sync state when chapter changes
+  useEffect(() => {
+    setTitle(chapter.title);
+  }, [chapter.id, chapter.title]);
+
+  // If the text changes elsewhere (another tab, undo) while there is unsaved typing
+  // here, hold on to both versions and let the author choose
+  useEffect(() => {
+    const synced = syncedRef.current;
+    syncedRef.current = { id: chapter.id, content: chapter.content };
+    const sameChapter = synced.id === chapter.id;
+    if (sameChapter && chapter.content === committedRef.current) return; // Our own save
+    if (sameChapter && content !== synced.content && content !== chapter.content) {
+      setExternalContent(chapter.content);
+    } else {
+      setContent(chapter.content);
+      setExternalContent(null);
+    }
+  }, [chapter.id, chapter.content]);
+
+  // Also save on every change for auto-save feel (paused while a conflict is showing)
+  useEffect(() => {
+    if (externalContent !== null) return;
+    const timer = setTimeout(() => {
+      if (content !== chapter.content) {
+        committedRef.current = content;
+        onUpdateContent(content);
+      }
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [content, chapter.content, onUpdateContent, externalContent]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (title !== chapter.title) {
+        onUpdateTitle(title);
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [title, chapter.title, onUpdateTitle]);
+
+  // Word count
+  const wordCount = countWords(content);
+
+  // Screenplays: Fountain elements are coloured in a layer behind the (transparent) text
+  const fountainTypes = isScreenplay ? classifyFountainLines(content) : null;
+  const syncHighlightScroll = () => {
+    if (highlightRef.current) highlightRef.current.scrollTop = textareaRef.current.scrollTop;
+  };
+
+  const textarea = (
+    <textarea
+      ref={textareaRef}
+      className={`chapter-editor-content ${isScreenplay ? 'fountain-input' : ''}`}
+      value={content}
+      onChange={(e) => setContent(e.target.value)}
+      onScroll={isScreenplay ? syncHighlightScroll : undefined}
+      placeholder={isScreenplay ? 'Action, CHARACTER cues and dialogue in Fountain...' : 'Start writing...'}
+    />
+  );
+
+  return (
+    <div className="chapter-editor">
+      <div className="chapter-editor-header">
+        <button className="btn btn-back" onClick={onClose} title="Back to corkboard">←</button>
+        <span className="chapter-editor-label">{isScreenplay ? 'Scene' : 'Chapter'} {chapterIndex + 1}</span>
+        <input
+          type="text"
+          className="chapter-editor-title"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder={isScreenplay ? 'INT. LOCATION - DAY' : 'Chapter title...'}
+        />
+        <span className="chapter-editor-wordcount">{wordCount.toLocaleString()} words</span>
+      </div>
+      {externalContent !== null && (
+        <div className="chapter-conflict">
+          <div className="chapter-conflict-message">
+            <span>⚠️ This chapter was changed elsewhere (another tab or undo) while you were typing.</span>
+            <button className="btn btn-small" onClick={() => setExternalContent(null)}>Keep Mine</button>
+            <button 
+              className="btn btn-small" 
+              onClick={() => { setContent(externalContent); setExternalContent(null); }}
+            >
+              Use Other Version
+            </button>
+          </div>
+          <details>
+            <summary>Show other version</summary>
+            <pre className="conflict-text">{externalContent}</pre>
+          </details>
+        </div>
+      )}
+      {isScreenplay ? (
+        <div className="fountain-editor">
+          <div ref={highlightRef} className="chapter-editor-content fountain-highlight" aria-hidden="true">
+            {content.split('\n').map((line, i) => (
+              <div key={i} className={`fountain-${fountainTypes[i]}`}>{line || '\u00a0'}</div>
+            ))}
+          </div>
+          {textarea}
+        </div>
+      ) : textarea}
+    </div>
+  );
+}
+
+// Entity Card Component (Draggable)
+function EntityCard({ entity, chapters, onUpdatePosition, onEdit, onDelete, onToggleStar, isSelected, onShiftClick }) {
+  const cardRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+
+  const handleMouseDown = (e) => {
+    if (e.target.classList.contains('entity-delete') || e.target.classList.contains('entity-star')) return;
+    
+    // Shift+click for merge selection
+    if (e.shiftKey && onShiftClick) {
+      e.preventDefault();
+      onShiftClick();
+      return;
+    }
+    
+    setIsDragging(true);
+    const rect = cardRef.current.getBoundingClientRect();
+    setOffset({
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    });
+  };
+
+  const handleMouseMove = useCallback((e) => {
+    if (!isDragging) return;
+    const parent = cardRef.current.closest('.corkboard-inner');
+    if (!parent) return;
+    const parentRect = parent.getBoundingClientRect();
+    const scrollLeft = cardRef.current.closest('.corkboard').scrollLeft;
+    const scrollTop = cardRef.current.closest('.corkboard').scrollTop;
+    const x = e.clientX - parentRect.left + scrollLeft - offset.x;
+    const y = e.clientY - parentRect.top + scrollTop - offset.y;
+    onUpdatePosition(entity.id, Math.max(0, x), Math.max(0, y));
+  }, [isDragging, offset, entity.id, onUpdatePosition]);
+
+  const handleMouseUp = useCallback(() => {
+    setIsDragging(false);
+  }, []);
+
+  useEffect(() => {
+    if (isDragging) {
+      window.addEventListener('mousemove', handleMouseMove);
+      window.addEventListener('mouseup', handleMouseUp);
+      return () => {
+        window.removeEventListener('mousemove', handleMouseMove);
+        window.removeEventListener('mouseup', handleMouseUp);
+      };
+    }
+  }, [isDragging, handleMouseMove, handleMouseUp]);
+
+  const chapterNames = (entity.chapterRefs || [])
+    .map(id => {
+      const ch = chapters.find(c => c.id === id);
+      return ch ? chapters.indexOf(ch) + 1 : null;
+    })
+    .filter(Boolean);
+
+  // For collections, show story titles instead of chapter numbers
+  const displayRefs = entity.storyRefs && entity.storyRefs.length > 0
+    ? entity.storyRefs.join(', ')
+    : chapterNames.length > 0 
+      ? `Ch. ${chapterNames.join(', ')}`
+      : null;
+
+  return (
+    <div
+      ref={cardRef}
+      className={`entity-card ${entity.type} ${isSelected ? 'selected-for-merge' : ''}`}
+      style={{
+        left: entity.position?.x || 0,
+        top: entity.position?.y || 0,
+        transform: `rotate(${(entity.id.charCodeAt(4) % 5) - 2}deg)`
+      }}
+      onMouseDown={handleMouseDown}
+      onDoubleClick={onEdit}
+    >
+      <button className="entity-delete" onClick={onDelete} title="Move card to Trash">×</button>
+      {onToggleStar && (
+        <button 
+          className={`entity-star ${entity.starred ? 'starred' : ''}`} 
+          onClick={(e) => { e.stopPropagation(); onToggleStar(); }}
+          title={entity.starred ? "Unstar" : "Star as key"}
+        >
+          {entity.starred ? '★' : '☆'}
+        </button>
+      )}
+      {isSelected && <div className="merge-indicator">🔗</div>}
+      <div className="entity-type">{entity.type}</div>
+      <div className="entity-name">{entity.name}</div>
+      {entity.description && (
+        <div className="entity-description">{entity.description}</div>
+      )}
+      {displayRefs && (
+        <div className="entity-chapters">
+          {displayRefs}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Import Modal Component
+function ImportModal({ onImport, onImportFiles, onClose }) {
+  const [dragOver, setDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFile = (file) => {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.docx') || name.endsWith('.epub')) {
+      file.arrayBuffer().then(buffer => onImport(buffer, name.slice(-4), file.name));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const content = e.target.result;
+      const format = name.endsWith('.json') ? 'json' : name.endsWith('.txt') ? 'text' : name.endsWith('.fountain') ? 'fountain'
+        : name.endsWith('.csv') ? 'csv' : name.endsWith('.tsv') ? 'tsv' : 'markdown';
+      onImport(content, format, file.name);
+    };
+    reader.readAsText(file);
+  };
+
+  // Several files, or a .zip, are chapter files for one project
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 1 || (files.length === 1 && files[0].name.toLowerCase().endsWith('.zip'))) {
+      onImportFiles(files);
+    } else if (files.length === 1) {
+      handleFile(files[0]);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Import</h2>
+        
+        <div
+          className={`import-area ${dragOver ? 'dragover' : ''}`}
+          onClick={() => fileInputRef.current?.click()}
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={handleDrop}
+        >
+          <p><strong>Drop a file here</strong> (or several chapter files) or click to browse</p>
+          <p style={{ fontSize: '0.8rem', color: 'var(--ink-light)', marginTop: '12px' }}>
+            Supports <strong>.md</strong> (Markdown), <strong>.docx</strong> (Word), <strong>.epub</strong> (e-book), <strong>.fountain</strong> (screenplay) or <strong>.json</strong> (Project file)
+          </p>
+        </div>
+
+        <p className="help-text">
+          <strong>Markdown:</strong> # is book title, ## headers become chapters.
+        </p>
+        <p className="help-text">
+          <strong>Text:</strong> Choose how chapters start ("Chapter 12", Roman numerals, *** separators or your own patterns) and preview them before importing.
+        </p>
+        <p className="help-text">
+          <strong>Word:</strong> Heading 1 or Heading 2 paragraphs (or "Chapter 1" lines) become chapters. Italics and bold are kept.
+        </p>
+        <p className="help-text">
+          <strong>EPUB:</strong> Table of contents entries become chapters, in reading order. Dedication, epigraph and copyright pages go into front matter.
+        </p>
+        <p className="help-text">
+          <strong>Fountain:</strong> Creates a screenplay. Each scene heading starts a scene, and speaking characters get cards.
+        </p>
+        <p className="help-text">
+          <strong>JSON:</strong> Full project format with chapters and entities.
+        </p>
+        <p className="help-text">
+          <strong>One file per chapter:</strong> Drop several .md, .txt or .docx files, or a .zip of them, and put them in order before importing.
+        </p>
+        <p className="help-text">
+          <strong>Obsidian vault:</strong> Drop an exported vault's .zip (or its notes) to update the project's cards and chapters by id.
+        </p>
+        <p className="help-text">
+          <strong>CSV or TSV:</strong> Updates the open project's cards from an exported card spreadsheet, matching rows by id or name. Rows without a card become new cards.
+        </p>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".md,.json,.txt,.fountain,.docx,.epub,.zip,.csv,.tsv"
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => handleFiles(e.target.files)}
+        />
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Import Conflict Modal
+function ImportConflictModal({ existingTitle, onOverwrite, onReimport, onCreateNew, onCancel }) {
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Project Already Exists</h2>
+        <p style={{ marginBottom: '24px' }}>
+          A project called "<strong>{existingTitle}</strong>" already exists. What would you like to do?
+        </p>
+        
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          {onReimport && (
+            <>
+              <button className="btn btn-primary" onClick={onReimport}>
+                Re-import as New Draft
+              </button>
+              <p className="help-text" style={{ marginTop: '-4px' }}>
+                Replace the chapters but keep the cards. You review which new chapters match the old ones first.
+              </p>
+            </>
+          )}
+          <button className={onReimport ? 'btn btn-secondary' : 'btn btn-primary'} onClick={onOverwrite}>
+            Overwrite Existing
+          </button>
+          <button className="btn btn-secondary" onClick={onCreateNew}>
+            Create as New Version
+          </button>
+          <button className="btn" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Draft Re-import Modal Component
+// Review how the chapters of a new draft match the project's chapters before replacing them
+function DraftReimportModal({ project, chapters, onApply, onCancel }) {
+  const [similarity] = useState(() => compareDraftChapters(project.chapters, chapters));
+  const [assignment, setAssignment] = useState(() => matchDraftChapters(project.chapters, chapters, similarity));
+  const matching = describeDraftMatching(project.chapters, chapters, similarity, assignment);
+  const targets = draftReferenceTargets(matching);
+  const oldById = new Map(project.chapters.map(ch => [ch.id, ch]));
+  const cardsReferring = (chapterId) => project.entities.filter(e => (e.chapterRefs || []).includes(chapterId)).length;
+  const lostCards = project.entities.filter(e => (e.chapterRefs || []).some(id => oldById.has(id) && !targets.has(id))).length;
+  const count = (status) => matching.rows.filter(row => row.status === status).length;
+
+  // Each old chapter can be matched once; choosing it again moves it to the new row
+  const assign = (j, oldId) => setAssignment(prev => prev.map((id, k) => {
+    if (k === j) return oldId || null;
+    return oldId && id === oldId ? null : id;
+  }));
+
+  const statusText = (row) => {
+    if (row.status === 'split') return `Split from "${oldById.get(row.splitFrom).title}"`;
+    if (row.status === 'added') return 'New chapter';
+    return oldById.get(row.oldId).title === row.chapter.title ? 'Same chapter' : 'Renamed';
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Re-import Draft</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          Check which chapter of "{project.title}" each chapter of the new draft replaces. Matched chapters keep their cards.
+          {' '}{count('matched')} matched, {count('split')} split, {count('added')} new, {matching.removed.length} not in the new draft.
+        </p>
+
+        <div className="reconcile-list">
+          <div className="reconcile-row reconcile-header">
+            <span>New draft</span>
+            <span>Replaces</span>
+            <span>Status</span>
+          </div>
+          <div className="reconcile-group">
+            {matching.rows.map((row, j) => (
+              <div key={row.chapter.id} className="reconcile-row">
+                <div className="reconcile-side">
+                  <strong>{row.chapter.title}</strong>
+                  <span className="reconcile-missing">{countWords(row.chapter.content).toLocaleString()} words</span>
+                </div>
+                <select value={row.oldId || ''} onChange={(e) => assign(j, e.target.value)}>
+                  <option value="">Nothing (new chapter)</option>
+                  {project.chapters.map(ch => (
+                    <option key={ch.id} value={ch.id}>{ch.title}</option>
+                  ))}
+                </select>
+                <span className={`draft-status ${row.status}`}>{statusText(row)}</span>
+              </div>
+            ))}
+          </div>
+          {matching.removed.length > 0 && (
+            <div className="reconcile-group">
+              <h3>Not in the new draft</h3>
+              {matching.removed.map(({ chapter }) => {
+                const cards = cardsReferring(chapter.id);
+                const movedTo = (targets.get(chapter.id) || []).map(j => `"${matching.rows[j].chapter.title}"`);
+                return (
+                  <div key={chapter.id} className="draft-removed">
+                    <strong>{chapter.title}</strong>
+                    <span className={`draft-status ${movedTo.length > 0 ? 'split' : 'removed'}`}>
+                      {movedTo.length > 0
+                        ? `Text now in ${movedTo.join(' and ')}${cards > 0 ? `; ${cards} card${cards === 1 ? '' : 's'} follow it` : ''}`
+                        : `Removed${cards > 0 ? `; ${cards} card${cards === 1 ? '' : 's'} lose this chapter reference` : ''}`}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {lostCards > 0 && (
+          <p className="help-text">
+            {lostCards} card{lostCards === 1 ? '' : 's'} will lose a chapter reference. Cards themselves are never removed.
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" onClick={() => onApply(matching)}>Apply Draft</button>
         </div>
-        <button className="add-entity-btn" onClick={handleAddClick} title="Add folder">+</button>
       </div>
-    );
-  }
+    </div>
+  );
+}
+
+// Card Import Modal Component
+// Review what a card spreadsheet changes, adds and cannot read before applying it
+function CardImportModal({ fileName, rows, onApply, onCancel }) {
+  const count = (status) => rows.filter(row => row.status === status).length;
+  const shown = rows.filter(row => row.status !== 'unchanged');
+  const applicable = count('changed') + count('added');
+  const fieldLabels = { type: 'type', name: 'name', description: 'description', folder: 'folder', starred: 'star', chapterRefs: 'chapters' };
+
+  const statusText = (row) => {
+    if (row.status === 'added') return `New ${row.card.type}`;
+    if (row.status === 'error') return row.errors.join('; ');
+    return `Changes ${row.changes.map(field => fieldLabels[field]).join(', ')}`;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Import Cards</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          {fileName}: {count('changed')} changed, {count('added')} new, {count('unchanged')} unchanged, {count('error')} with problems.
+        </p>
+
+        {shown.length > 0 ? (
+          <div className="reconcile-list">
+            <div className="reconcile-row reconcile-header card-import-row">
+              <span>Line</span>
+              <span>Card</span>
+              <span>Status</span>
+            </div>
+            <div className="reconcile-group">
+              {shown.map(row => (
+                <div key={row.line} className="reconcile-row card-import-row">
+                  <span className="reconcile-missing">{row.line}</span>
+                  <strong>{row.name || 'Unnamed'}</strong>
+                  <span className={`draft-status ${row.status === 'error' ? 'removed' : row.status}`}>{statusText(row)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <p className="help-text">Every row matches its card. Nothing to update.</p>
+        )}
+
+        {count('error') > 0 && applicable > 0 && (
+          <p className="help-text">
+            Rows with problems are skipped. Fix them in the spreadsheet and import it again to include them.
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" disabled={applicable === 0} onClick={onApply}>
+            Apply {applicable} Row{applicable === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Multi-file Import Modal Component
+// Put chapter files in order (and fix their titles) before importing them as one project
+function MultiFileImportModal({ defaultTitle, files, onImport, onClose }) {
+  const [title, setTitle] = useState(defaultTitle);
+  const [sortMode, setSortMode] = useState('name'); // 'name', 'number' or 'manual'
+  const [items, setItems] = useState(() => sortChapterFiles(files, 'name'));
+  const totalWords = items.reduce((total, item) => total + countWords(item.content), 0);
+
+  const changeSort = (mode) => {
+    setSortMode(mode);
+    if (mode !== 'manual') setItems(prev => sortChapterFiles(prev, mode));
+  };
+
+  const move = (index, delta) => {
+    setSortMode('manual');
+    setItems(prev => {
+      const next = [...prev];
+      [next[index], next[index + delta]] = [next[index + delta], next[index]];
+      return next;
+    });
+  };
+
+  const updateItem = (index, changes) => setItems(prev => prev.map((item, i) => i === index ? { ...item, ...changes } : item));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Import Chapter Files</h2>
+
+        <div className="form-group">
+          <label>Project title</label>
+          <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+        </div>
+
+        <div className="form-group">
+          <label>Order</label>
+          <select value={sortMode} onChange={(e) => changeSort(e.target.value)}>
+            <option value="name">By file name (Chapter 2 before Chapter 10)</option>
+            <option value="number">By the number in the file name</option>
+            <option value="manual">As arranged below</option>
+          </select>
+        </div>
+
+        <p className="help-text">
+          {items.length} chapter{items.length === 1 ? '' : 's'}, {totalWords.toLocaleString()} words. Each file's opening heading is its title; edit titles here if needed.
+        </p>
+        <ol className="multi-import-list">
+          {items.map((item, i) => (
+            <li key={item.name} className="multi-import-row">
+              <div className="multi-import-file">
+                <input type="text" value={item.title} onChange={(e) => updateItem(i, { title: e.target.value })} />
+                <span>{item.name} · {countWords(item.content).toLocaleString()} words</span>
+              </div>
+              <div className="reconcile-actions">
+                <button className="btn btn-small" disabled={i === 0} onClick={() => move(i, -1)} title="Move up">↑</button>
+                <button className="btn btn-small" disabled={i === items.length - 1} onClick={() => move(i, 1)} title="Move down">↓</button>
+                <button className="btn btn-small" onClick={() => setItems(prev => prev.filter((_, k) => k !== i))} title="Leave out">✕</button>
+              </div>
+            </li>
+          ))}
+        </ol>
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button
+            className="btn btn-primary"
+            disabled={items.length === 0}
+            onClick={() => onImport({ title: title.trim() || 'Untitled Novel', files: items })}
+          >
+            Import {items.length} Chapter{items.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Text Import Modal Component
+// Chapter detection rules for a plain text manuscript, with a live preview of the chapters found
+function TextImportModal({ fileName, text, onImport, onClose }) {
+  const [options, setOptions] = useState(() => ({
+    rules: suggestTextRules(text),
+    customPatterns: '',
+    subtitles: true,
+    scenes: false
+  }));
+  const { bookTitle, chapters, errors } = detectTextChapters(text, options);
+  const totalWords = chapters.reduce((total, chapter) => total + countWords(chapter.content), 0);
+  const chapterCount = chapters.filter(chapter => !chapter.isFrontMatter).length;
+
+  const toggleRule = (id) => setOptions(prev => ({
+    ...prev,
+    rules: prev.rules.includes(id) ? prev.rules.filter(rule => rule !== id) : [...prev.rules, id]
+  }));
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Split Text into Chapters</h2>
+        <p className="help-text">
+          {fileName ? <strong>{fileName}</strong> : 'This text'} has no Markdown chapter headings. Choose which lines start a chapter.
+        </p>
+
+        <div className="text-import-rules">
+          {TEXT_CHAPTER_RULES.map(rule => (
+            <label key={rule.id} className="toggle-label">
+              <input type="checkbox" checked={options.rules.includes(rule.id)} onChange={() => toggleRule(rule.id)} />
+              <span>{rule.label}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="form-group">
+          <label>Custom patterns</label>
+          <textarea
+            rows={2}
+            value={options.customPatterns}
+            onChange={(e) => setOptions(prev => ({ ...prev, customPatterns: e.target.value }))}
+            placeholder={'^Book \\d+$\n^\\d+ — '}
+          />
+          <p className="help-text">One regular expression per line, matched case-insensitively against each line of the text.</p>
+          {errors.map(error => <p key={error} className="text-import-error">{error}</p>)}
+        </div>
+
+        <div className="text-import-rules">
+          <label className="toggle-label">
+            <input type="checkbox" checked={options.subtitles} onChange={(e) => setOptions(prev => ({ ...prev, subtitles: e.target.checked }))} />
+            <span>Add a short line after "CHAPTER ONE" or "XII" to the chapter title</span>
+          </label>
+          <label className="toggle-label">
+            <input type="checkbox" checked={options.scenes} onChange={(e) => setOptions(prev => ({ ...prev, scenes: e.target.checked }))} />
+            <span>Treat scene breaks as sub-units (Scene 1, Scene 2… headings within each chapter)</span>
+          </label>
+        </div>
+
+        <h3 className="text-import-summary">
+          {bookTitle ? `${bookTitle}: ` : ''}{chapterCount} chapter{chapterCount === 1 ? '' : 's'}, {totalWords.toLocaleString()} words
+        </h3>
+        <ol className="text-import-preview">
+          {chapters.map(chapter => (
+            <li key={chapter.id} className={chapter.isFrontMatter ? 'front-matter' : ''}>
+              <span className="text-import-title">{chapter.title}</span>
+              <span className="text-import-count">
+                {options.scenes && chapter.sceneCount > 1 ? `${chapter.sceneCount} scenes · ` : ''}
+                {countWords(chapter.content).toLocaleString()} words
+              </span>
+            </li>
+          ))}
+        </ol>
+        {chapterCount <= 1 && (
+          <p className="help-text">Only one chapter found. Enable a rule that matches your chapter headings, or add a custom pattern.</p>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" disabled={errors.length > 0} onClick={() => onImport({ bookTitle, chapters })}>
+            Import {chapterCount} Chapter{chapterCount === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Import Report Modal - validation problems found in an imported project file
+function ImportReportModal({ issues, onConfirm, onCancel }) {
+  const blocking = issues.filter(i => !i.fixable);
+  const fixable = issues.filter(i => i.fixable);
   
-  // Folder view - showing cards of one type or custom folder
-  if (activeFolder) {
-    const folderTitle = isKeyFolder ? activeFolderInfo?.keyLabel : activeFolderInfo?.label;
-    
-    return (
-      <div className="corkboard">
-        <div className="folder-view-header">
-          <button className="btn" onClick={() => { setActiveFolder(null); setIsCustomFolder(false); setIsKeyFolder(false); }}>← Back</button>
-          {isCustomFolder ? (
-            <>
-              <span className="folder-icon custom">📁</span>
-              <h3>{activeFolder}</h3>
-              <span className="folder-count">{folderEntities.length} cards</span>
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>{blocking.length > 0 ? 'Cannot Import File' : 'Problems Found in File'}</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          {blocking.length > 0
+            ? 'This file has problems that cannot be repaired automatically.'
+            : `Bookboard found ${fixable.length} problem${fixable.length === 1 ? '' : 's'} it can repair. Review them before importing.`}
+        </p>
+        
+        <ul className="import-report">
+          {blocking.map((issue, i) => (
+            <li key={`b-${i}`} className="import-issue blocking">{issue.message}</li>
+          ))}
+          {fixable.map((issue, i) => (
+            <li key={`f-${i}`} className="import-issue">{issue.message}</li>
+          ))}
+        </ul>
+        
+        <div className="modal-actions">
+          <button className="btn" onClick={onCancel}>Cancel</button>
+          {blocking.length === 0 && (
+            <button className="btn btn-primary" onClick={onConfirm}>Repair & Import</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Extract Confirm Modal (when entities already exist)
+function ExtractConfirmModal({ entityCount, onClearAndExtract, onAddToExisting, onCancel }) {
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Entities Already Exist</h2>
+        <p style={{ marginBottom: '24px' }}>
+          This project already has <strong>{entityCount}</strong> cards on the corkboard. What would you like to do?
+        </p>
+        
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          <button className="btn btn-primary" onClick={onClearAndExtract}>
+            Clear All & Re-extract
+          </button>
+          <p className="help-text" style={{ marginTop: '-4px' }}>
+            Remove all existing cards and extract fresh from the manuscript.
+          </p>
+          
+          <button className="btn btn-secondary" onClick={onAddToExisting}>
+            Add to Existing
+          </button>
+          <p className="help-text" style={{ marginTop: '-4px' }}>
+            Keep existing cards and add newly extracted ones.
+          </p>
+          
+          <button className="btn" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Export Modal Component
+function ExportModal({ onExportJson, onExportManuscript, onExportDocx, onExportEpub, onExportBible, onExportBibleSite, onExportVault, onExportCards, hasChapters, hasEntities, isScreenplay, onClose }) {
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Export</h2>
+        
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+          {hasChapters && (
+            <div>
               <button 
-                className="btn btn-delete-folder" 
-                onClick={() => { onDeleteCustomFolder(activeFolder); setActiveFolder(null); setIsCustomFolder(false); }}
-                title="Delete folder"
+                className="btn btn-primary" 
+                style={{ width: '100%' }} 
+                onClick={() => { onExportManuscript(); onClose(); }}
               >
-                🗑️
+                {isScreenplay ? 'Export Screenplay (Fountain)' : 'Export Manuscript (Markdown)'}
               </button>
-            </>
-          ) : (
-            <>
-              <span className={`folder-icon ${activeFolder}`}>{isKeyFolder ? '⭐' : activeFolderInfo?.icon}</span>
-              <h3>{folderTitle}</h3>
-              <span className="folder-count">{folderEntities.length} cards</span>
-            </>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                {isScreenplay
+                  ? 'A .fountain file with the title page, acts and sequences, and every scene in order.'
+                  : 'Full novel text in chapter order. Ready to paste back into your editor.'}
+              </p>
+            </div>
+          )}
+
+          {hasChapters && !isScreenplay && (
+            <div>
+              <button 
+                className="btn btn-primary" 
+                style={{ width: '100%' }} 
+                onClick={() => { onExportDocx(); onClose(); }}
+              >
+                Export Word Manuscript (.docx)
+              </button>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                Standard manuscript format for agents and editors, with a cover page and page headers.
+              </p>
+            </div>
+          )}
+
+          {hasChapters && !isScreenplay && (
+            <div>
+              <button 
+                className="btn btn-primary" 
+                style={{ width: '100%' }} 
+                onClick={() => { onExportEpub(); onClose(); }}
+              >
+                Export E-book (EPUB)
+              </button>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                An e-book for beta readers, with a table of contents and an optional cover.
+              </p>
+            </div>
+          )}
+
+          {hasEntities && (
+            <div>
+              <button 
+                className="btn btn-secondary" 
+                style={{ width: '100%' }} 
+                onClick={() => { onExportBible(); onClose(); }}
+              >
+                Export Bible
+              </button>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                Characters, themes, locations, scenes. Reference document for your story.
+              </p>
+            </div>
+          )}
+
+          {hasEntities && (
+            <div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button 
+                  className="btn btn-secondary" 
+                  style={{ flex: 1 }} 
+                  onClick={() => { onExportBibleSite(false); onClose(); }}
+                >
+                  Export Bible Website (.zip)
+                </button>
+                <button 
+                  className="btn" 
+                  onClick={() => { onExportBibleSite(true); onClose(); }}
+                  title="The whole site as one HTML file"
+                >
+                  Single File
+                </button>
+              </div>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                A page per card, type, folder and chapter, linked together. Opens offline in any browser, no Bookboard needed.
+              </p>
+            </div>
           )}
-          {folderEntities.length >= 2 && (
-            <>
-              <button 
-                className="btn btn-rearrange"
-                onClick={() => onRearrangeEntities(folderEntities.map(e => e.id))}
-                title="Rearrange cards in grid"
-              >
-                ⊞
-              </button>
+
+          {(hasEntities || hasChapters) && (
+            <div>
               <button 
-                className={`btn btn-merge ${selectedForMerge.length === 2 ? 'ready' : ''}`}
-                onClick={() => {
-                  if (selectedForMerge.length === 2) {
-                    onMergeEntities(selectedForMerge);
-                    setSelectedForMerge([]);
-                  }
-                }}
-                disabled={selectedForMerge.length !== 2}
-                title={selectedForMerge.length === 2 ? "Merge selected cards" : "Shift+click 2 cards to merge"}
+                className="btn btn-secondary" 
+                style={{ width: '100%' }} 
+                onClick={() => { onExportVault(); onClose(); }}
               >
-                {selectedForMerge.length === 2 ? '🔗 Merge' : '🔗'}
+                Export Obsidian Vault (.zip)
               </button>
-            </>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                A Markdown note per card and chapter with [[wikilinks]]. Import the edited vault to update the cards.
+              </p>
+            </div>
           )}
-          <span className="esc-hint">{selectedForMerge.length > 0 ? 'ESC to clear selection' : 'ESC to go back'}</span>
+
+          {hasEntities && (
+            <div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button 
+                  className="btn btn-secondary" 
+                  style={{ flex: 1 }} 
+                  onClick={() => { onExportCards(','); onClose(); }}
+                >
+                  Export Cards (CSV)
+                </button>
+                <button 
+                  className="btn" 
+                  onClick={() => { onExportCards('\t'); onClose(); }}
+                  title="Tab-separated, for pasting into a spreadsheet"
+                >
+                  TSV
+                </button>
+              </div>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                A row per card with its chapters, folder and star. Edit it in a spreadsheet and import it to update the cards.
+              </p>
+            </div>
+          )}
+
+          <div>
+            <button 
+              className="btn" 
+              style={{ width: '100%' }} 
+              onClick={() => { onExportJson(); onClose(); }}
+            >
+              Export Project (JSON)
+            </button>
+            <p className="help-text" style={{ marginTop: '8px' }}>
+              Complete project data. Use for backup or sharing.
+            </p>
+          </div>
         </div>
-        <div className="folder-contents">
-          <div className="corkboard-inner">
-            {folderEntities.map(entity => (
-              <EntityCard
-                key={entity.id}
-                entity={entity}
-                chapters={chapters}
-                onUpdatePosition={onUpdatePosition}
-                onEdit={() => onEditEntity(entity)}
-                onDelete={() => onDeleteEntity(entity.id)}
-                onToggleStar={!isCustomFolder ? () => onToggleStar(entity.id) : null}
-                isSelected={selectedForMerge.some(e => e.id === entity.id)}
-                onShiftClick={() => toggleMergeSelection(entity)}
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Manuscript Export Modal Component - Word document settings
+function ManuscriptExportModal({ project, defaults, onExport, onClose }) {
+  const author = String(project.metadata?.author || '');
+  const [settings, setSettings] = useState(() => ({
+    ...MANUSCRIPT_EXPORT_DEFAULTS,
+    ...defaults,
+    authorName: author || defaults.authorName || '',
+    surname: !author || defaults.authorName === author ? defaults.surname || '' : ''
+  }));
+  const [working, setWorking] = useState(false);
+  const hasFrontMatter = project.chapters.some(ch => ch.isFrontMatter);
+  const words = project.chapters
+    .filter(ch => settings.includeFrontMatter || !ch.isFrontMatter)
+    .reduce((total, ch) => total + countWords(ch.content), 0);
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+
+  const submit = async () => {
+    setWorking(true);
+    try {
+      await onExport(settings);
+      onClose();
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Export Word Manuscript</h2>
+        <p className="help-text" style={{ marginBottom: '16px' }}>
+          Standard manuscript format: 12pt, 1" margins, each chapter on a new page, with a
+          "{settings.surname.trim() || settings.authorName.trim().split(/\s+/).pop() || 'Surname'} / {project.title} / page" header.
+        </p>
+
+        <form onSubmit={(e) => { e.preventDefault(); submit(); }}>
+          <label>Author Name</label>
+          <input type="text" value={settings.authorName} onChange={(e) => update({ authorName: e.target.value })} placeholder="Legal or pen name" autoFocus />
+          <label>Surname for the Header</label>
+          <input
+            type="text"
+            value={settings.surname}
+            onChange={(e) => update({ surname: e.target.value })}
+            placeholder={settings.authorName.trim().split(/\s+/).pop() || 'From the author name'}
+          />
+          <label>Font</label>
+          <select value={settings.font} onChange={(e) => update({ font: e.target.value })}>
+            {MANUSCRIPT_FONTS.map(font => <option key={font} value={font}>{font}, 12pt</option>)}
+          </select>
+          <label>Line Spacing</label>
+          <select value={settings.lineSpacing} onChange={(e) => update({ lineSpacing: e.target.value })}>
+            <option value="double">Double</option>
+            <option value="oneAndHalf">1.5 lines</option>
+            <option value="single">Single</option>
+          </select>
+          <label>Paper</label>
+          <select value={settings.paper} onChange={(e) => update({ paper: e.target.value })}>
+            <option value="letter">US Letter</option>
+            <option value="a4">A4</option>
+          </select>
+
+          <div className="manuscript-export-options">
+            <label className="toggle-label">
+              <input type="checkbox" checked={settings.includeCover} onChange={(e) => update({ includeCover: e.target.checked })} />
+              <span>Cover page with contact details and word count ({approximateWordCount(words)})</span>
+            </label>
+            {settings.includeCover && (
+              <textarea
+                rows={3}
+                value={settings.contact}
+                onChange={(e) => update({ contact: e.target.value })}
+                placeholder={'Address, email and phone, one per line'}
               />
-            ))}
+            )}
+            {hasFrontMatter && (
+              <label className="toggle-label">
+                <input type="checkbox" checked={settings.includeFrontMatter} onChange={(e) => update({ includeFrontMatter: e.target.checked })} />
+                <span>Include front matter (dedication, epigraph…)</span>
+              </label>
+            )}
+            <label className="toggle-label">
+              <input type="checkbox" checked={settings.chapterPageBreaks} onChange={(e) => update({ chapterPageBreaks: e.target.checked })} />
+              <span>Start each chapter on a new page</span>
+            </label>
           </div>
-        </div>
-        {!isKeyFolder && (
-          <button className="add-entity-btn" onClick={handleAddClick} title="Add card">+</button>
-        )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={working}>
+              {working ? 'Exporting...' : 'Export .docx'}
+            </button>
+          </div>
+        </form>
       </div>
-    );
-  }
-  
-  // Top-level folder view
+    </div>
+  );
+}
+
+// EPUB Export Modal Component - e-book details, cover and stylesheet
+function EpubExportModal({ project, onExport, onClose }) {
+  const [author, setAuthor] = useState(String(project.metadata?.author || ''));
+  const [language, setLanguage] = useState(String(project.metadata?.language || EPUB_EXPORT_DEFAULTS.language));
+  const [includeCss, setIncludeCss] = useState(EPUB_EXPORT_DEFAULTS.includeCss);
+  const [cover, setCover] = useState(null);
+  const [working, setWorking] = useState(false);
+  const frontMatterCount = project.chapters.filter(ch => ch.isFrontMatter).length;
+  const chapterCount = project.chapters.length - frontMatterCount;
+
+  const chooseCover = async (file) => {
+    if (!file) {
+      setCover(null);
+      return;
+    }
+    if (!/^image\/(jpeg|png|gif|webp)$/.test(file.type)) {
+      alert('Choose a JPEG, PNG, GIF or WebP image for the cover.');
+      return;
+    }
+    setCover({ name: file.name, type: file.type, data: await file.arrayBuffer() });
+  };
+
+  const submit = async () => {
+    setWorking(true);
+    try {
+      await onExport({ author, language, includeCss, cover });
+      onClose();
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+      setWorking(false);
+    }
+  };
+
   return (
-    <div className="corkboard">
-      <div className="folder-grid">
-        {/* Type-based folders */}
-        {entityTypes.map(et => (
-          <div 
-            key={et.type}
-            className={`entity-folder ${et.type}`}
-            onClick={() => { setActiveFolder(et.type); setIsCustomFolder(false); setIsKeyFolder(false); }}
-            style={{ opacity: counts[et.type] === 0 ? 0.5 : 1 }}
-          >
-            <div className="folder-icon">{et.icon}</div>
-            <div className="folder-label">{et.label}</div>
-            <div className="folder-count">{counts[et.type]} cards</div>
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>Export EPUB</h2>
+        <p className="help-text" style={{ marginBottom: '16px' }}>
+          An EPUB 3 e-book with a title page, {frontMatterCount > 0 ? 'the front matter, ' : ''}{chapterCount} chapter{chapterCount === 1 ? '' : 's'} in
+          timeline order and a table of contents.
+        </p>
+
+        <form onSubmit={(e) => { e.preventDefault(); submit(); }}>
+          <label>Author</label>
+          <input type="text" value={author} onChange={(e) => setAuthor(e.target.value)} placeholder="Shown on the title page and in the library" autoFocus />
+          <label>Language</label>
+          <input type="text" value={language} onChange={(e) => setLanguage(e.target.value)} placeholder="en, en-GB, fr..." />
+          <label>Cover Image (optional)</label>
+          <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={(e) => chooseCover(e.target.files[0])} />
+          <div className="manuscript-export-options" style={{ marginTop: '16px' }}>
+            <label className="toggle-label">
+              <input type="checkbox" checked={includeCss} onChange={(e) => setIncludeCss(e.target.checked)} />
+              <span>Include a stylesheet (indented paragraphs, centred headings and scene breaks)</span>
+            </label>
           </div>
-        ))}
-        
-        {/* Key folders (only shown if starred entities exist) */}
-        {entityTypes.filter(et => starredCounts[et.type] > 0).map(et => (
-          <div 
-            key={`key-${et.type}`}
-            className={`entity-folder key-folder ${et.type}`}
-            onClick={() => { setActiveFolder(et.type); setIsCustomFolder(false); setIsKeyFolder(true); }}
-          >
-            <div className="folder-icon">⭐</div>
-            <div className="folder-label">{et.keyLabel}</div>
-            <div className="folder-count">{starredCounts[et.type]} cards</div>
+
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={working}>
+              {working ? 'Exporting...' : 'Export .epub'}
+            </button>
           </div>
-        ))}
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Tab Conflict Modal - edits to the same chapter or card made in two tabs
+function TabConflictModal({ conflicts, chapters, onResolve, onClose }) {
+  const renderChapter = (chapter) => chapter ? (
+    <>
+      <strong>{chapter.title}</strong>
+      <pre className="conflict-text">{chapter.content}</pre>
+    </>
+  ) : <em>Deleted</em>;
+
+  const renderEntity = (entity) => entity ? (
+    <>
+      <strong>{entity.name}</strong> <span className="snapshot-status">({entity.type})</span>
+      {entity.folder && <p className="help-text">Folder: {entity.folder}</p>}
+      <pre className="conflict-text">{entity.description || ''}</pre>
+      {entity.chapterRefs?.length > 0 && (
+        <p className="help-text">
+          Chapters: {entity.chapterRefs.map(id => chapters.findIndex(ch => ch.id === id) + 1).filter(n => n > 0).join(', ')}
+        </p>
+      )}
+    </>
+  ) : <em>Deleted</em>;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Conflicting Edits</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          These were changed both here and in another tab. Your version is showing until you choose.
+        </p>
         
-        {/* Custom folders */}
-        {(customFolders || []).map(folder => (
-          <div 
-            key={folder}
-            className="entity-folder custom"
-            onClick={() => { setActiveFolder(folder); setIsCustomFolder(true); setIsKeyFolder(false); }}
-            style={{ opacity: customCounts[folder] === 0 ? 0.5 : 1 }}
-          >
-            <div className="folder-icon">📁</div>
-            <div className="folder-label">{folder}</div>
-            <div className="folder-count">{customCounts[folder]} cards</div>
-          </div>
-        ))}
+        {conflicts.map(conflict => {
+          const render = conflict.kind === 'chapter' ? renderChapter : renderEntity;
+          return (
+            <div key={`${conflict.kind}:${conflict.id}`} className="conflict-item">
+              <div className="conflict-columns">
+                <div className="conflict-side">
+                  <h4>This tab</h4>
+                  {render(conflict.local)}
+                </div>
+                <div className="conflict-side">
+                  <h4>Other tab</h4>
+                  {render(conflict.remote)}
+                </div>
+              </div>
+              <div className="modal-actions" style={{ marginTop: '12px' }}>
+                <button className="btn btn-small" onClick={() => onResolve(conflict, 'mine')}>Keep This Tab's</button>
+                <button className="btn btn-small" onClick={() => onResolve(conflict, 'theirs')}>Use Other Tab's</button>
+              </div>
+            </div>
+          );
+        })}
+        
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={onClose}>Close</button>
+        </div>
       </div>
-      <button className="add-entity-btn" onClick={handleAddClick} title="Add folder">+</button>
     </div>
   );
 }
 
-// Chapter Editor Component
-function ChapterEditor({ chapter, chapterIndex, onUpdateContent, onUpdateTitle, onClose }) {
-  const [title, setTitle] = useState(chapter.title);
-  const [content, setContent] = useState(chapter.content);
-  const textareaRef = useRef(null);
+// Drive Merge Modal Component - choose between this device's and Drive's edits
+function DriveMergeModal({ title, providerName, conflicts, chapters, onApply, onCancel }) {
+  const [choices, setChoices] = useState({});
 
-  // Sync state when chapter changes
-  useEffect(() => {
-    setTitle(chapter.title);
-    setContent(chapter.content);
-  }, [chapter.id, chapter.title, chapter.content]);
+  const keyOf = (conflict) => `${conflict.kind}:${conflict.id}`;
 
-  // Also save on every change for auto-save feel
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      if (content !== chapter.content) {
-        onUpdateContent(content);
-      }
-    }, 1000);
-    return () => clearTimeout(timer);
-  }, [content, chapter.content, onUpdateContent]);
+  const sideOf = (conflict, field) => {
+    const choice = choices[keyOf(conflict)] || 'local';
+    return typeof choice === 'string' ? choice : (choice[field] || 'local');
+  };
 
-  useEffect(() => {
-    const timer = setTimeout(() => {
-      if (title !== chapter.title) {
-        onUpdateTitle(title);
-      }
-    }, 500);
-    return () => clearTimeout(timer);
-  }, [title, chapter.title, onUpdateTitle]);
+  const chooseAll = (conflict, side) => {
+    setChoices(prev => ({ ...prev, [keyOf(conflict)]: side }));
+  };
 
-  // Word count
-  const wordCount = content.trim() ? content.trim().split(/\s+/).length : 0;
+  const chooseField = (conflict, field, side) => {
+    setChoices(prev => {
+      const current = prev[keyOf(conflict)] || 'local';
+      const fields = typeof current === 'string'
+        ? Object.fromEntries(conflict.fields.map(f => [f, current]))
+        : current;
+      return { ...prev, [keyOf(conflict)]: { ...fields, [field]: side } };
+    });
+  };
+
+  const formatValue = (field, value) => {
+    if (value === undefined || value === null || value === '') return <em>None</em>;
+    if (field === 'starred') return value ? 'Starred' : 'Not starred';
+    if (field === 'chapterRefs') {
+      return value.map(id => chapters.findIndex(ch => ch.id === id) + 1).filter(n => n > 0).join(', ') || <em>None</em>;
+    }
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  };
+
+  const itemName = (conflict) => {
+    const item = conflict.local || conflict.remote;
+    return conflict.kind === 'chapter' ? `Chapter: ${item.title}` : `${item.name} (${item.type})`;
+  };
+
+  const renderSide = (conflict, side) => {
+    const item = conflict[side];
+    const active = conflict.fields
+      ? conflict.fields.every(field => sideOf(conflict, field) === side)
+      : sideOf(conflict) === side;
+    return (
+      <div className={`conflict-side ${active ? 'chosen' : ''}`}>
+        <h4>{side === 'local' ? 'This device' : providerName}</h4>
+        {!item ? <em>Deleted</em> : conflict.kind === 'chapter' ? (
+          <>
+            <strong>{item.title}</strong>
+            <pre className="conflict-text">{item.content}</pre>
+          </>
+        ) : (
+          <>
+            <strong>{item.name}</strong>
+            <pre className="conflict-text">{item.description || ''}</pre>
+          </>
+        )}
+        <button className={`btn btn-small ${active ? 'btn-primary' : ''}`} onClick={() => chooseAll(conflict, side)}>
+          {item ? `Use ${side === 'local' ? 'This Device' : providerName} Version` : 'Delete'}
+        </button>
+      </div>
+    );
+  };
 
   return (
-    <div className="chapter-editor">
-      <div className="chapter-editor-header">
-        <button className="btn btn-back" onClick={onClose} title="Back to corkboard">←</button>
-        <span className="chapter-editor-label">Chapter {chapterIndex + 1}</span>
-        <input
-          type="text"
-          className="chapter-editor-title"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
-          placeholder="Chapter title..."
-        />
-        <span className="chapter-editor-wordcount">{wordCount.toLocaleString()} words</span>
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Merge "{title}" with {providerName}</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          Other changes were merged automatically. These were changed both on this device and on {providerName} since they last matched. Choose what to keep.
+        </p>
+
+        {conflicts.map(conflict => (
+          <div key={keyOf(conflict)} className="conflict-item">
+            <h3 className="merge-item-name">{itemName(conflict)}</h3>
+            {conflict.kind === 'entity' && conflict.fields ? (
+              <table className="merge-field-table">
+                <thead>
+                  <tr><th>Field</th><th>This device</th><th>{providerName}</th></tr>
+                </thead>
+                <tbody>
+                  {conflict.fields.map(field => (
+                    <tr key={field}>
+                      <td>{field}</td>
+                      {['local', 'remote'].map(side => (
+                        <td key={side}>
+                          <label className="toggle-label">
+                            <input
+                              type="radio"
+                              name={`${keyOf(conflict)}:${field}`}
+                              checked={sideOf(conflict, field) === side}
+                              onChange={() => chooseField(conflict, field, side)}
+                            />
+                            <span className="merge-field-value">{formatValue(field, conflict[side][field])}</span>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="conflict-columns">
+                {renderSide(conflict, 'local')}
+                {renderSide(conflict, 'remote')}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <div className="modal-actions">
+          <button className="btn" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" onClick={() => onApply(choices)}>Apply Merge</button>
+        </div>
       </div>
-      <textarea
-        ref={textareaRef}
-        className="chapter-editor-content"
-        value={content}
-        onChange={(e) => setContent(e.target.value)}
-        placeholder="Start writing..."
-      />
     </div>
   );
 }
 
-// Entity Card Component (Draggable)
-function EntityCard({ entity, chapters, onUpdatePosition, onEdit, onDelete, onToggleStar, isSelected, onShiftClick }) {
-  const cardRef = useRef(null);
-  const [isDragging, setIsDragging] = useState(false);
-  const [offset, setOffset] = useState({ x: 0, y: 0 });
+// Trash Modal Component - restore or permanently delete trashed items
+function TrashModal({ title, items, onRestore, onPurge, onClose }) {
+  const [selected, setSelected] = useState([]);
 
-  const handleMouseDown = (e) => {
-    if (e.target.classList.contains('entity-delete') || e.target.classList.contains('entity-star')) return;
-    
-    // Shift+click for merge selection
-    if (e.shiftKey && onShiftClick) {
-      e.preventDefault();
-      onShiftClick();
-      return;
-    }
-    
-    setIsDragging(true);
-    const rect = cardRef.current.getBoundingClientRect();
-    setOffset({
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top
-    });
-  };
+  // Drop selections for items that are no longer in the trash
+  useEffect(() => {
+    setSelected(prev => prev.filter(id => items.some(item => item.id === id)));
+  }, [items.length]);
 
-  const handleMouseMove = useCallback((e) => {
-    if (!isDragging) return;
-    const parent = cardRef.current.closest('.corkboard-inner');
-    if (!parent) return;
-    const parentRect = parent.getBoundingClientRect();
-    const scrollLeft = cardRef.current.closest('.corkboard').scrollLeft;
-    const scrollTop = cardRef.current.closest('.corkboard').scrollTop;
-    const x = e.clientX - parentRect.left + scrollLeft - offset.x;
-    const y = e.clientY - parentRect.top + scrollTop - offset.y;
-    onUpdatePosition(entity.id, Math.max(0, x), Math.max(0, y));
-  }, [isDragging, offset, entity.id, onUpdatePosition]);
+  const toggle = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
 
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-  }, []);
+  const daysLeft = (deletedAt) => {
+    const elapsed = (Date.now() - new Date(deletedAt)) / (24 * 60 * 60 * 1000);
+    return Math.max(0, Math.ceil(TRASH_RETENTION_DAYS - elapsed));
+  };
 
-  useEffect(() => {
-    if (isDragging) {
-      window.addEventListener('mousemove', handleMouseMove);
-      window.addEventListener('mouseup', handleMouseUp);
-      return () => {
-        window.removeEventListener('mousemove', handleMouseMove);
-        window.removeEventListener('mouseup', handleMouseUp);
-      };
-    }
-  }, [isDragging, handleMouseMove, handleMouseUp]);
+  const sorted = [...items].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
 
-  const chapterNames = (entity.chapterRefs || [])
-    .map(id => {
-      const ch = chapters.find(c => c.id === id);
-      return ch ? chapters.indexOf(ch) + 1 : null;
-    })
-    .filter(Boolean);
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>{title}</h2>
+        <p style={{ marginBottom: '20px', color: 'var(--ink-light)' }}>
+          Deleted items are kept for {TRASH_RETENTION_DAYS} days, then removed permanently.
+        </p>
 
-  // For collections, show story titles instead of chapter numbers
-  const displayRefs = entity.storyRefs && entity.storyRefs.length > 0
-    ? entity.storyRefs.join(', ')
-    : chapterNames.length > 0 
-      ? `Ch. ${chapterNames.join(', ')}`
-      : null;
+        {sorted.length === 0 ? (
+          <div className="empty-state" style={{ padding: '40px 20px' }}>
+            <p>Trash is empty.</p>
+          </div>
+        ) : (
+          <>
+            <label className="toggle-label" style={{ marginBottom: '8px' }}>
+              <input
+                type="checkbox"
+                checked={selected.length === sorted.length}
+                onChange={() => setSelected(selected.length === sorted.length ? [] : sorted.map(item => item.id))}
+              />
+              <span>Select all</span>
+            </label>
+            <div className="drive-project-list">
+              {sorted.map(item => (
+                <div key={item.id} className="drive-project-item">
+                  <label className="toggle-label trash-item-label">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(item.id)}
+                      onChange={() => toggle(item.id)}
+                    />
+                    <span className="drive-project-info">
+                      <span className="drive-project-name">{item.label}</span>
+                      <span className="drive-project-date">
+                        {item.detail} · Deleted {new Date(item.deletedAt).toLocaleDateString()} · {daysLeft(item.deletedAt)} days left
+                      </span>
+                    </span>
+                  </label>
+                  <button className="btn btn-small" onClick={() => onRestore([item.id])}>Restore</button>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
 
-  return (
-    <div
-      ref={cardRef}
-      className={`entity-card ${entity.type} ${isSelected ? 'selected-for-merge' : ''}`}
-      style={{
-        left: entity.position?.x || 0,
-        top: entity.position?.y || 0,
-        transform: `rotate(${(entity.id.charCodeAt(4) % 5) - 2}deg)`
-      }}
-      onMouseDown={handleMouseDown}
-      onDoubleClick={onEdit}
-    >
-      <button className="entity-delete" onClick={onDelete} title="Delete card">×</button>
-      {onToggleStar && (
-        <button 
-          className={`entity-star ${entity.starred ? 'starred' : ''}`} 
-          onClick={(e) => { e.stopPropagation(); onToggleStar(); }}
-          title={entity.starred ? "Unstar" : "Star as key"}
-        >
-          {entity.starred ? '★' : '☆'}
-        </button>
-      )}
-      {isSelected && <div className="merge-indicator">🔗</div>}
-      <div className="entity-type">{entity.type}</div>
-      <div className="entity-name">{entity.name}</div>
-      {entity.description && (
-        <div className="entity-description">{entity.description}</div>
-      )}
-      {displayRefs && (
-        <div className="entity-chapters">
-          {displayRefs}
+        <div className="modal-actions">
+          <button className="btn" onClick={() => onRestore(selected)} disabled={selected.length === 0}>
+            Restore Selected
+          </button>
+          <button className="btn" onClick={() => onPurge(selected)} disabled={selected.length === 0}>
+            Delete Forever
+          </button>
+          <button className="btn btn-primary" onClick={onClose}>Close</button>
         </div>
-      )}
+      </div>
     </div>
   );
 }
 
-// Import Modal Component
-function ImportModal({ onImport, onClose }) {
-  const [dragOver, setDragOver] = useState(false);
-  const fileInputRef = useRef(null);
-
-  const handleFile = (file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const content = e.target.result;
-      const isJson = file.name.endsWith('.json');
-      onImport(content, isJson);
-    };
-    reader.readAsText(file);
-  };
+// Unlock Modal Component - asks for a passphrase
+function UnlockModal({ title, description, onUnlock, onClose }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
 
-  const handleDrop = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    setDragOver(false);
-    const file = e.dataTransfer.files[0];
-    if (file) handleFile(file);
+    setWorking(true);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setWorking(false);
+    }
   };
 
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal" onClick={e => e.stopPropagation()}>
-        <h2>Import</h2>
-        
-        <div
-          className={`import-area ${dragOver ? 'dragover' : ''}`}
-          onClick={() => fileInputRef.current?.click()}
-          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
-          onDragLeave={() => setDragOver(false)}
-          onDrop={handleDrop}
-        >
-          <p><strong>Drop a file here</strong> or click to browse</p>
-          <p style={{ fontSize: '0.8rem', color: 'var(--ink-light)', marginTop: '12px' }}>
-            Supports <strong>.md</strong> (Markdown) or <strong>.json</strong> (Project file)
-          </p>
-        </div>
+        <h2>{title}</h2>
+        <p className="help-text" style={{ marginBottom: '16px' }}>{description}</p>
 
-        <p className="help-text">
-          <strong>Markdown:</strong> # is book title, ## headers become chapters.
-        </p>
-        <p className="help-text">
-          <strong>JSON:</strong> Full project format with chapters and entities.
+        <form onSubmit={handleSubmit}>
+          <label>Passphrase</label>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => { setPassphrase(e.target.value); setError(''); }}
+            autoFocus
+          />
+          {error && <p style={{ color: 'var(--red-pin)', fontSize: '0.8rem', marginTop: '-8px' }}>{error}</p>}
+
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={!passphrase || working}>
+              {working ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Protection Modal Component - set, change or remove a project's passphrase
+function ProtectionModal({ title, isProtected, onSetPassphrase, onLock, onClose }) {
+  const [currentPassphrase, setCurrentPassphrase] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  // Pass null to remove the passphrase
+  const submit = async (nextPassphrase) => {
+    if (nextPassphrase !== null && nextPassphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+    setWorking(true);
+    try {
+      await onSetPassphrase(currentPassphrase, nextPassphrase);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal" onClick={e => e.stopPropagation()}>
+        <h2>{isProtected ? 'Passphrase Protection' : 'Protect with a Passphrase'}</h2>
+        <p className="help-text" style={{ marginBottom: '16px' }}>
+          {isProtected
+            ? `"${title}" is encrypted on this device, in its snapshots and on Google Drive.`
+            : `Encrypt "${title}" on this device, in its snapshots and on Google Drive. The title stays visible in the library.`}
+          {' '}A forgotten passphrase cannot be recovered.
         </p>
 
-        <input
-          ref={fileInputRef}
-          type="file"
-          accept=".md,.json,.txt"
-          style={{ display: 'none' }}
-          onChange={(e) => {
-            const file = e.target.files?.[0];
-            if (file) handleFile(file);
-          }}
-        />
+        <form onSubmit={(e) => { e.preventDefault(); submit(passphrase); }}>
+          {isProtected && (
+            <>
+              <label>Current Passphrase</label>
+              <input
+                type="password"
+                value={currentPassphrase}
+                onChange={(e) => { setCurrentPassphrase(e.target.value); setError(''); }}
+                autoFocus
+              />
+            </>
+          )}
+          <label>{isProtected ? 'New Passphrase' : 'Passphrase'}</label>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => { setPassphrase(e.target.value); setError(''); }}
+            autoFocus={!isProtected}
+          />
+          <label>Confirm Passphrase</label>
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => { setConfirmation(e.target.value); setError(''); }}
+          />
+          {error && <p style={{ color: 'var(--red-pin)', fontSize: '0.8rem', marginTop: '-8px' }}>{error}</p>}
 
-        <div className="modal-actions">
-          <button className="btn" onClick={onClose}>Cancel</button>
-        </div>
+          <div className="modal-actions">
+            {isProtected && (
+              <>
+                <button type="button" className="btn" onClick={onLock} disabled={working}>Lock Now</button>
+                <button type="button" className="btn" onClick={() => submit(null)} disabled={!currentPassphrase || working}>
+                  Remove Passphrase
+                </button>
+              </>
+            )}
+            <button type="button" className="btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={!passphrase || (isProtected && !currentPassphrase) || working}>
+              {isProtected ? 'Change Passphrase' : 'Set Passphrase'}
+            </button>
+          </div>
+        </form>
       </div>
     </div>
   );
 }
 
-// Import Conflict Modal
-function ImportConflictModal({ existingTitle, onOverwrite, onCreateNew, onCancel }) {
+// Project Settings Modal Component - manuscript details kept in project.metadata
+function ProjectSettingsModal({ project, onSave, onClose }) {
+  const metadata = project.metadata || {};
+  const knownKeys = MANUSCRIPT_METADATA_FIELDS.map(f => f.key);
+  // Structured values, such as a screenplay's title page, are kept but not edited here
+  const isEditable = (value) => Array.isArray(value)
+    ? value.every(v => v === null || typeof v !== 'object')
+    : value === null || typeof value !== 'object';
+  const asText = (value) => value == null ? '' : Array.isArray(value) ? value.join(', ') : String(value);
+  const [fields, setFields] = useState(() => Object.fromEntries(knownKeys.map(key => [key, asText(metadata[key])])));
+  const [extras, setExtras] = useState(() => Object.entries(metadata)
+    .filter(([key, value]) => !knownKeys.includes(key) && isEditable(value))
+    .map(([key, value]) => ({ key, value: asText(value), isList: Array.isArray(value) })));
+  const [error, setError] = useState('');
+  const totalWords = project.chapters.reduce((total, ch) => total + countWords(ch.content), 0);
+  const target = Number(fields.targetWordCount.replace(/[,\s]/g, ''));
+
+  const updateExtra = (index, changes) => {
+    setExtras(prev => prev.map((extra, i) => i === index ? { ...extra, ...changes } : extra));
+    setError('');
+  };
+
+  const save = () => {
+    if (fields.targetWordCount.trim() && !(Number.isInteger(target) && target > 0)) {
+      setError('Target word count must be a whole number');
+      return;
+    }
+    const taken = extras.find(({ key }) => key.trim() && knownKeys.includes(metadataKey(key)));
+    if (taken) {
+      setError(`"${taken.key.trim()}" is already one of the fields above`);
+      return;
+    }
+    const next = Object.fromEntries(Object.entries(metadata).filter(([key, value]) => !knownKeys.includes(key) && !isEditable(value)));
+    MANUSCRIPT_METADATA_FIELDS.forEach(field => {
+      const value = fields[field.key].trim();
+      if (!value) return;
+      next[field.key] = field.number ? target : value;
+    });
+    extras.forEach(({ key, value, isList }) => {
+      const text = value.trim();
+      if (!key.trim() || !text) return;
+      const parse = (v) => /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v;
+      next[key.trim()] = isList ? text.split(',').map(v => v.trim()).filter(Boolean).map(parse) : parse(text);
+    });
+    onSave(next);
+    onClose();
+  };
+
   return (
-    <div className="modal-overlay" onClick={onCancel}>
+    <div className="modal-overlay" onClick={onClose}>
       <div className="modal" onClick={e => e.stopPropagation()}>
-        <h2>Project Already Exists</h2>
-        <p style={{ marginBottom: '24px' }}>
-          A project called "<strong>{existingTitle}</strong>" already exists. What would you like to do?
+        <h2>Project Settings</h2>
+        <p className="help-text" style={{ marginBottom: '16px' }}>
+          Details about the manuscript. They are written as front matter when you export the manuscript
+          and head the story bible.
         </p>
-        
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-          <button className="btn btn-primary" onClick={onOverwrite}>
-            Overwrite Existing
-          </button>
-          <button className="btn btn-secondary" onClick={onCreateNew}>
-            Create as New Version
-          </button>
-          <button className="btn" onClick={onCancel}>
-            Cancel
+
+        <form onSubmit={(e) => { e.preventDefault(); save(); }}>
+          {MANUSCRIPT_METADATA_FIELDS.map((field, i) => (
+            <React.Fragment key={field.key}>
+              <label>{field.label}</label>
+              <input
+                type="text"
+                inputMode={field.number ? 'numeric' : undefined}
+                value={fields[field.key]}
+                onChange={(e) => { setFields(prev => ({ ...prev, [field.key]: e.target.value })); setError(''); }}
+                placeholder={field.number ? 'e.g. 90000' : ''}
+                autoFocus={i === 0}
+              />
+              {field.number && target > 0 && (
+                <p className="help-text project-settings-progress">
+                  {totalWords.toLocaleString()} of {target.toLocaleString()} words ({Math.round(totalWords / target * 100)}%)
+                </p>
+              )}
+            </React.Fragment>
+          ))}
+
+          <label>Other Details</label>
+          {extras.map((extra, i) => (
+            <div key={i} className="project-settings-extra">
+              <input
+                type="text"
+                value={extra.key}
+                onChange={(e) => updateExtra(i, { key: e.target.value })}
+                placeholder="Name"
+              />
+              <input
+                type="text"
+                value={extra.value}
+                onChange={(e) => updateExtra(i, { value: e.target.value })}
+                placeholder={extra.isList ? 'Comma-separated values' : 'Value'}
+              />
+              <button type="button" className="btn btn-small" onClick={() => setExtras(prev => prev.filter((_, j) => j !== i))} title="Remove">
+                ✕
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn btn-small" onClick={() => setExtras(prev => [...prev, { key: '', value: '', isList: false }])}>
+            + Add Detail
           </button>
-        </div>
+          {metadata.titlePage && (
+            <p className="help-text" style={{ marginTop: '12px' }}>
+              The rest of the screenplay's title page is kept as imported and exported with the script.
+            </p>
+          )}
+          {error && <p style={{ color: 'var(--red-pin)', fontSize: '0.8rem', marginTop: '12px' }}>{error}</p>}
+
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary">Save</button>
+          </div>
+        </form>
       </div>
     </div>
   );
 }
 
-// Extract Confirm Modal (when entities already exist)
-function ExtractConfirmModal({ entityCount, onClearAndExtract, onAddToExisting, onCancel }) {
+// History Modal Component - snapshots with diff and restore
+function HistoryModal({ project, remoteHistoryName, onShowRemoteHistory, onTakeSnapshot, onRestore, onRestoreItems, onClose }) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [label, setLabel] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedData, setSelectedData] = useState(null);
+  const [chosenChapters, setChosenChapters] = useState([]);
+  const [chosenEntities, setChosenEntities] = useState([]);
+
+  const refresh = () => {
+    listSnapshots(project.id).then(setSnapshots).catch(error => {
+      console.error('Failed to list snapshots:', error);
+      setSnapshots([]);
+    });
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [project.id]);
+
+  const selectSnapshot = async (snapshot) => {
+    setSelectedId(snapshot.id);
+    setSelectedData(null);
+    setChosenChapters([]);
+    setChosenEntities([]);
+    setSelectedData(await loadSnapshotData(snapshot.id));
+  };
+
+  const handleTakeSnapshot = async () => {
+    await onTakeSnapshot(label);
+    setLabel('');
+    refresh();
+  };
+
+  const toggle = (setList, id) => {
+    setList(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  // Changes from the selected snapshot to the current project
+  const diff = selectedData ? diffProjects(selectedData, project) : null;
+  const restorableChapters = diff ? [
+    ...diff.chapters.edited.map(({ before }) => ({ item: before, status: 'edited since' })),
+    ...diff.chapters.removed.map(ch => ({ item: ch, status: 'deleted since' }))
+  ] : [];
+  const restorableEntities = diff ? [
+    ...diff.entities.edited.map(({ before }) => ({ item: before, status: 'edited since' })),
+    ...diff.entities.removed.map(e => ({ item: e, status: 'deleted since' })),
+    ...diff.entities.merged.map(({ from, into }) => ({ item: from, status: `merged into ${into.name}` }))
+  ] : [];
+  const addedSince = diff ? [
+    ...diff.chapters.added.map(ch => `Chapter: ${ch.title}`),
+    ...diff.entities.added.map(e => `${e.type}: ${e.name}`)
+  ] : [];
+
   return (
-    <div className="modal-overlay" onClick={onCancel}>
-      <div className="modal" onClick={e => e.stopPropagation()}>
-        <h2>Entities Already Exist</h2>
-        <p style={{ marginBottom: '24px' }}>
-          This project already has <strong>{entityCount}</strong> cards on the corkboard. What would you like to do?
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>Project History</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          Snapshots are taken automatically while you work and before destructive actions.
+          {remoteHistoryName && (
+            <> Versions uploaded to {remoteHistoryName} are in its <button className="btn-link" onClick={onShowRemoteHistory}>{remoteHistoryName} history</button>.</>
+          )}
         </p>
-        
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-          <button className="btn btn-primary" onClick={onClearAndExtract}>
-            Clear All & Re-extract
-          </button>
-          <p className="help-text" style={{ marginTop: '-4px' }}>
-            Remove all existing cards and extract fresh from the manuscript.
-          </p>
-          
-          <button className="btn btn-secondary" onClick={onAddToExisting}>
-            Add to Existing
-          </button>
-          <p className="help-text" style={{ marginTop: '-4px' }}>
-            Keep existing cards and add newly extracted ones.
-          </p>
-          
-          <button className="btn" onClick={onCancel}>
-            Cancel
-          </button>
+
+        <div className="snapshot-create">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label (optional), e.g. Draft 2 finished"
+          />
+          <button className="btn" onClick={handleTakeSnapshot} disabled={!storageDb}>Take Snapshot</button>
+        </div>
+
+        {snapshots === null ? (
+          <p className="help-text">Loading snapshots...</p>
+        ) : snapshots.length === 0 ? (
+          <div className="empty-state" style={{ padding: '24px 20px' }}>
+            <p>{storageDb ? 'No snapshots yet.' : 'Snapshots need IndexedDB, which is not available in this browser.'}</p>
+          </div>
+        ) : (
+          <div className="snapshot-list">
+            {snapshots.map(snapshot => (
+              <div
+                key={snapshot.id}
+                className={`snapshot-item ${selectedId === snapshot.id ? 'selected' : ''}`}
+                onClick={() => selectSnapshot(snapshot)}
+              >
+                <div className="snapshot-info">
+                  <span className="snapshot-label">
+                    {snapshot.label || (snapshot.kind === 'manual' ? 'Manual snapshot' : 'Auto snapshot')}
+                    {snapshot.kind === 'manual' && <span className="snapshot-kind">manual</span>}
+                  </span>
+                  <span className="snapshot-date">
+                    {new Date(snapshot.createdAt).toLocaleString()} · {snapshot.chapterCount} chapters · {snapshot.entityCount} cards
+                  </span>
+                  <span className="snapshot-changes">{formatDiffSummary(snapshot.changes)}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {selectedId && (
+          <div className="snapshot-detail">
+            {!selectedData ? (
+              <p className="help-text">Loading snapshot...</p>
+            ) : (
+              <>
+                <h3>Changes since this snapshot</h3>
+                <p className="help-text">{formatDiffSummary(summarizeDiff(diff))}</p>
+
+                {restorableChapters.length > 0 && (
+                  <>
+                    <h4>Chapters</h4>
+                    {restorableChapters.map(({ item, status }) => (
+                      <label key={item.id} className="toggle-label">
+                        <input
+                          type="checkbox"
+                          checked={chosenChapters.includes(item.id)}
+                          onChange={() => toggle(setChosenChapters, item.id)}
+                        />
+                        <span>{item.title} <em className="snapshot-status">({status})</em></span>
+                      </label>
+                    ))}
+                  </>
+                )}
+
+                {restorableEntities.length > 0 && (
+                  <>
+                    <h4>Cards</h4>
+                    {restorableEntities.map(({ item, status }) => (
+                      <label key={item.id} className="toggle-label">
+                        <input
+                          type="checkbox"
+                          checked={chosenEntities.includes(item.id)}
+                          onChange={() => toggle(setChosenEntities, item.id)}
+                        />
+                        <span>{item.name} <em className="snapshot-status">({item.type}, {status})</em></span>
+                      </label>
+                    ))}
+                  </>
+                )}
+
+                {addedSince.length > 0 && (
+                  <p className="help-text" style={{ marginTop: '12px' }}>
+                    Added since (removed by a full restore): {addedSince.join(', ')}
+                  </p>
+                )}
+
+                <div className="modal-actions">
+                  <button
+                    className="btn"
+                    onClick={() => onRestoreItems(selectedData, chosenChapters, chosenEntities)}
+                    disabled={chosenChapters.length + chosenEntities.length === 0}
+                  >
+                    Restore Selected
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      if (confirm('Replace the current project with this snapshot? A snapshot of the current state is kept.')) {
+                        onRestore(selectedData);
+                      }
+                    }}
+                  >
+                    Restore Entire Snapshot
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-primary" onClick={onClose}>Close</button>
         </div>
       </div>
     </div>
   );
 }
 
-// Export Modal Component
-function ExportModal({ onExportJson, onExportManuscript, onExportBible, hasChapters, hasEntities, onClose }) {
+// Revision History Modal Component - Browse and restore the versions kept by the sync provider
+const REVISION_STATS_LIMIT = 20; // Recent revisions downloaded in the background to show their stats
+
+function RevisionHistoryModal({ project, provider, onRestore, onRestoreAsCopy, onClose }) {
+  const [revisions, setRevisions] = useState(undefined); // undefined while loading, null if unsupported
+  const [stats, setStats] = useState({}); // revision id -> summarizeProject() result, or { error }
+  const [listError, setListError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedData, setSelectedData] = useState(null);
+  const [previewChapterId, setPreviewChapterId] = useState(null);
+  const selectedIdRef = useRef(null);
+
+  // Revisions are stored as uploaded, so protected ones need this project's current passphrase
+  const fetchRevision = async (revisionId) => {
+    const data = await openSealedProject(await provider.loadRevision(project.id, revisionId));
+    if (isTombstone(data)) throw new Error('Deleted at this point');
+    return migrateProject(data).project;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const list = await provider.listRevisions(project.id);
+        if (cancelled) return;
+        setRevisions(list);
+        // Fill in stats for the recent revisions one at a time
+        for (const revision of (list || []).slice(0, REVISION_STATS_LIMIT)) {
+          const revisionStats = await fetchRevision(revision.id)
+            .then(summarizeProject)
+            .catch(error => ({ error: error.message }));
+          if (cancelled) return;
+          setStats(prev => ({ ...prev, [revision.id]: revisionStats }));
+        }
+      } catch (error) {
+        console.error('Failed to list revisions:', error);
+        if (!cancelled) {
+          setListError(error.message);
+          setRevisions([]);
+        }
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [project.id]);
+
+  const selectRevision = async (revision) => {
+    selectedIdRef.current = revision.id;
+    setSelectedId(revision.id);
+    setSelectedData(null);
+    setPreviewChapterId(null);
+    try {
+      const data = await fetchRevision(revision.id);
+      setStats(prev => ({ ...prev, [revision.id]: summarizeProject(data) }));
+      if (selectedIdRef.current === revision.id) setSelectedData(data);
+    } catch (error) {
+      setStats(prev => ({ ...prev, [revision.id]: { error: error.message } }));
+    }
+  };
+
+  const describeStats = (revisionStats) => {
+    if (!revisionStats) return 'Loading details...';
+    if (revisionStats.error) return revisionStats.error;
+    return `${revisionStats.chapterCount} chapters · ${revisionStats.entityCount} cards · ${(revisionStats.wordCount || 0).toLocaleString()} words`;
+  };
+
+  const selectedRevision = revisions?.find(r => r.id === selectedId);
+  const previewChapter = selectedData?.chapters.find(ch => ch.id === previewChapterId);
+
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal" onClick={e => e.stopPropagation()}>
-        <h2>Export</h2>
-        
-        <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-          {hasChapters && (
-            <div>
-              <button 
-                className="btn btn-primary" 
-                style={{ width: '100%' }} 
-                onClick={() => { onExportManuscript(); onClose(); }}
-              >
-                Export Manuscript
-              </button>
-              <p className="help-text" style={{ marginTop: '8px' }}>
-                Full novel text in chapter order. Ready to paste back into your editor.
-              </p>
-            </div>
-          )}
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <h2>{provider.name} History</h2>
+        <p style={{ marginBottom: '16px', color: 'var(--ink-light)' }}>
+          Earlier versions of "{project.title}" kept by {provider.name} each time it was uploaded.
+          {provider.type === 'drive' && ' Drive keeps them for 30 days (up to 100 versions).'}
+        </p>
 
-          {hasEntities && (
-            <div>
-              <button 
-                className="btn btn-secondary" 
-                style={{ width: '100%' }} 
-                onClick={() => { onExportBible(); onClose(); }}
+        {revisions === undefined ? (
+          <p className="help-text">Loading history...</p>
+        ) : revisions === null ? (
+          <div className="empty-state" style={{ padding: '24px 20px' }}>
+            <p>This {provider.name} doesn't keep earlier versions.</p>
+          </div>
+        ) : revisions.length === 0 ? (
+          <div className="empty-state" style={{ padding: '24px 20px' }}>
+            <p>{listError ? `Couldn't load the history: ${listError}` : `No versions on ${provider.name} yet. They appear once the project has been uploaded.`}</p>
+          </div>
+        ) : (
+          <div className="snapshot-list">
+            {revisions.map((revision, i) => (
+              <div
+                key={revision.id}
+                className={`snapshot-item ${selectedId === revision.id ? 'selected' : ''}`}
+                onClick={() => selectRevision(revision)}
               >
-                Export Bible
-              </button>
-              <p className="help-text" style={{ marginTop: '8px' }}>
-                Characters, themes, locations, scenes. Reference document for your story.
-              </p>
-            </div>
-          )}
+                <div className="snapshot-info">
+                  <span className="snapshot-label">
+                    {revision.modifiedTime ? new Date(revision.modifiedTime).toLocaleString() : `Version ${revisions.length - i}`}
+                    {i === 0 && <span className="snapshot-kind">latest</span>}
+                  </span>
+                  <span className="snapshot-date">
+                    {describeStats(stats[revision.id])}
+                    {revision.size ? ` · ${formatBytes(revision.size)}` : ''}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
 
-          <div>
-            <button 
-              className="btn" 
-              style={{ width: '100%' }} 
-              onClick={() => { onExportJson(); onClose(); }}
-            >
-              Export Project (JSON)
-            </button>
-            <p className="help-text" style={{ marginTop: '8px' }}>
-              Complete project data. Use for backup or sharing.
-            </p>
+        {selectedId && (
+          <div className="snapshot-detail">
+            {stats[selectedId]?.error ? (
+              <p className="help-text">Can't open this version: {stats[selectedId].error}</p>
+            ) : !selectedData ? (
+              <p className="help-text">Loading version...</p>
+            ) : (
+              <>
+                <h3>Changes since this version</h3>
+                <p className="help-text">{formatDiffSummary(summarizeDiff(diffProjects(selectedData, project)))}</p>
+
+                <h4>Chapters ({selectedData.chapters.length})</h4>
+                <div className="revision-chapter-list">
+                  {selectedData.chapters.map(ch => (
+                    <button
+                      key={ch.id}
+                      className={`revision-chapter ${previewChapterId === ch.id ? 'selected' : ''}`}
+                      onClick={() => setPreviewChapterId(previewChapterId === ch.id ? null : ch.id)}
+                    >
+                      {ch.title} <span className="snapshot-status">· {countWords(ch.content).toLocaleString()} words</span>
+                    </button>
+                  ))}
+                </div>
+                {previewChapter && (
+                  <div className="revision-preview">{previewChapter.content || '(empty)'}</div>
+                )}
+
+                <h4>Cards ({selectedData.entities.length})</h4>
+                <div className="revision-cards">
+                  {selectedData.entities.map(e => (
+                    <span key={e.id} className="revision-card" title={e.description || ''}>
+                      {e.name} <em className="snapshot-status">({e.type})</em>
+                    </span>
+                  ))}
+                </div>
+
+                <div className="modal-actions">
+                  <button className="btn" onClick={() => onRestoreAsCopy(selectedData, selectedRevision?.modifiedTime)}>
+                    Restore as Copy
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      if (confirm('Replace the current project with this version? A snapshot of the current state is kept.')) {
+                        onRestore(selectedData);
+                      }
+                    }}
+                  >
+                    Restore as Current
+                  </button>
+                </div>
+              </>
+            )}
           </div>
-        </div>
+        )}
 
         <div className="modal-actions">
-          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" onClick={onClose}>Close</button>
         </div>
       </div>
     </div>
@@ -2308,39 +9284,125 @@ function ExportModal({ onExportJson, onExportManuscript, onExportBible, hasChapt
 }
 
 // Settings Modal Component
-// Drive Modal Component - List and load projects from Google Drive
-function DriveModal({ projects, onLoad, onRefresh, onClose }) {
+// Drive Modal Component - Compare the local library with the projects on the sync provider
+function DriveModal({ providerName, localProjects, remoteProjects, onLoad, onUpload, onTrashLocal, onRefresh, onClose }) {
+  const groups = reconcileLibrary(localProjects, remoteProjects);
+  const sections = [
+    {
+      key: 'diverged',
+      title: 'Changed on both sides',
+      help: 'Merging keeps the changes from both. You choose where the same chapter or card was edited on both sides.',
+      actions: pair => [{ label: 'Merge', primary: true, onClick: () => onLoad(pair.remote.id) }]
+    },
+    {
+      key: 'deletedRemote',
+      title: 'Deleted on another device',
+      help: 'Move the copy on this device to Trash as well, or upload it to bring it back everywhere.',
+      actions: pair => [
+        { label: 'Move to Trash', onClick: () => onTrashLocal(pair.id) },
+        { label: 'Keep', onClick: () => onUpload(pair.id) }
+      ]
+    },
+    {
+      key: 'newerRemote',
+      title: `Newer on ${providerName}`,
+      actions: pair => [{ label: 'Load', primary: true, onClick: () => onLoad(pair.remote.id) }]
+    },
+    {
+      key: 'newerLocal',
+      title: 'Newer on this device',
+      help: 'These are uploaded automatically, or you can upload them now.',
+      actions: pair => [{ label: 'Upload', onClick: () => onUpload(pair.id) }]
+    },
+    {
+      key: 'localOnly',
+      title: 'Only on this device',
+      actions: pair => [{ label: 'Upload', onClick: () => onUpload(pair.id) }]
+    },
+    {
+      key: 'remoteOnly',
+      title: `Only on ${providerName}`,
+      actions: pair => [{ label: 'Load', primary: true, onClick: () => onLoad(pair.remote.id) }]
+    }
+  ].filter(section => groups[section.key].length > 0);
+
+  // One side of a pair: title, when it was last edited, word count
+  const renderSide = (project, isRemote) => {
+    if (!project) {
+      return <div className="reconcile-side reconcile-missing">Not here</div>;
+    }
+    const title = project.title || project.name.replace('.json', '');
+    const editedAt = project.updatedAt || project.modifiedTime;
+    const trashed = isRemote ? project.state === 'trashed' : !!project.deletedAt;
+    return (
+      <div className="reconcile-side">
+        <span className="drive-project-name">{title}</span>
+        <span className="drive-project-date">
+          {editedAt ? `Edited ${new Date(editedAt).toLocaleString()}` : 'Not yet described'}
+          {project.wordCount != null && ` · ${project.wordCount.toLocaleString()} words`}
+          {trashed && ' · in Trash'}
+        </span>
+      </div>
+    );
+  };
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
-        <h2>Google Drive Projects</h2>
+        <h2>{providerName} Projects</h2>
         <p style={{ marginBottom: '20px', color: 'var(--ink-light)' }}>
-          Projects stored in your Google Drive "Bookboard" folder.
+          {providerName === SYNC_PROVIDER_NAMES.drive
+            ? 'Your library compared with the projects in your Google Drive "Bookboard" folder.'
+            : `Your library compared with the projects on your ${providerName}.`}
         </p>
         
-        {projects.length === 0 ? (
+        {sections.length === 0 && groups.inSync.length === 0 ? (
           <div className="empty-state" style={{ padding: '40px 20px' }}>
-            <p>No projects found on Google Drive.</p>
+            <p>No projects found on {providerName}.</p>
             <p className="help-text">Use "Sync All" to upload your local projects.</p>
           </div>
         ) : (
-          <div className="drive-project-list">
-            {projects.map(file => (
-              <div key={file.id} className="drive-project-item">
-                <div className="drive-project-info">
-                  <span className="drive-project-name">{file.name.replace('.json', '')}</span>
-                  <span className="drive-project-date">
-                    Modified: {new Date(file.modifiedTime).toLocaleString()}
-                  </span>
-                </div>
-                <button 
-                  className="btn btn-small"
-                  onClick={() => onLoad(file.id, file.name)}
-                >
-                  Load
-                </button>
+          <div className="reconcile-list">
+            {sections.length > 0 && (
+              <div className="reconcile-row reconcile-header">
+                <span>This device</span>
+                <span>{providerName}</span>
+                <span></span>
+              </div>
+            )}
+            {sections.map(section => (
+              <div key={section.key} className="reconcile-group">
+                <h3>{section.title} ({groups[section.key].length})</h3>
+                {section.help && <p className="help-text">{section.help}</p>}
+                {groups[section.key].map(pair => (
+                  <div key={pair.id} className="reconcile-row">
+                    {renderSide(pair.local, false)}
+                    {renderSide(pair.remote, true)}
+                    <div className="reconcile-actions">
+                      {section.actions(pair).map(action => (
+                        <button
+                          key={action.label}
+                          className={`btn btn-small ${action.primary ? 'btn-primary' : ''}`}
+                          onClick={action.onClick}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
               </div>
             ))}
+            {groups.inSync.length > 0 && (
+              <details className="reconcile-group">
+                <summary>In sync ({groups.inSync.length})</summary>
+                {groups.inSync.map(pair => (
+                  <div key={pair.id} className="drive-project-item">
+                    {renderSide(pair.local, false)}
+                  </div>
+                ))}
+              </details>
+            )}
           </div>
         )}
 
@@ -2354,9 +9416,24 @@ function DriveModal({ projects, onLoad, onRefresh, onClose }) {
 }
 
 // Settings Modal Component
-function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleClientIdChange, googleAuthStatus, onGoogleSignIn, autoRearrange, onAutoRearrangeChange, debugMode, onDebugModeChange, onClose }) {
+function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleClientIdChange, googleAuthStatus, onGoogleSignIn, syncConfig, onSyncConfigChange, webdavPassword, onWebdavPasswordChange, restToken, onRestTokenChange, secretsStatus, onProtectSecrets, onUnlockSecrets, autoRearrange, onAutoRearrangeChange, debugMode, onDebugModeChange, onClose }) {
   const [showKey, setShowKey] = useState(false);
   const [showClientId, setShowClientId] = useState(false);
+  const [showSyncSecret, setShowSyncSecret] = useState(false);
+  const [secretsPassphrase, setSecretsPassphrase] = useState('');
+  const keysLocked = secretsStatus === 'locked';
+  
+  const updateSyncConfig = (changes) => onSyncConfigChange({ ...syncConfig, ...changes });
+  
+  // Pass null to store the keys in plain text again
+  const protectKeys = async (passphrase) => {
+    try {
+      await onProtectSecrets(passphrase);
+      setSecretsPassphrase('');
+    } catch (error) {
+      alert('Failed to update key protection: ' + error.message);
+    }
+  };
   
   const downloadLog = () => {
     const logText = getLogText();
@@ -2382,57 +9459,147 @@ function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleC
         </div>
         
         <div className="settings-section">
-          <h3>Google Drive Sync</h3>
+          <h3>Sync</h3>
           <p className="help-text" style={{ marginBottom: '12px' }}>
-            Sync your projects across devices using Google Drive. Your API keys stay local and are never synced.
+            Sync your projects across devices. Your API keys and passwords stay local and are never synced.
           </p>
           
-          <div style={{ position: 'relative' }}>
-            <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Google OAuth Client ID</label>
-            <input
-              type={showClientId ? 'text' : 'password'}
-              value={googleClientId}
-              onChange={(e) => onGoogleClientIdChange(e.target.value)}
-              placeholder="xxxxx.apps.googleusercontent.com"
-              style={{ fontFamily: "'JetBrains Mono', monospace", paddingRight: '60px', fontSize: '0.8rem' }}
-            />
-            <button 
-              type="button"
-              className="btn-show-hide"
-              onClick={() => setShowClientId(!showClientId)}
-            >
-              {showClientId ? 'Hide' : 'Show'}
-            </button>
-          </div>
+          <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Sync with</label>
+          <select value={syncConfig.type} onChange={(e) => updateSyncConfig({ type: e.target.value })}>
+            {Object.entries(SYNC_PROVIDER_NAMES).map(([type, name]) => (
+              <option key={type} value={type}>{name}</option>
+            ))}
+          </select>
           
-          {googleClientId && (
-            <div style={{ marginTop: '12px' }}>
-              {googleAuthStatus === 'signed_in' ? (
-                <p style={{ color: 'var(--green-pin)' }}>✓ Signed in to Google</p>
-              ) : (
-                <button className="btn" onClick={onGoogleSignIn}>Sign in to Google</button>
-              )}
-            </div>
+          {syncConfig.type === 'webdav' && (
+            <>
+              <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Folder URL</label>
+              <input
+                type="text"
+                value={syncConfig.webdavUrl}
+                onChange={(e) => updateSyncConfig({ webdavUrl: e.target.value.trim() })}
+                placeholder="https://cloud.example.com/remote.php/dav/files/me/Bookboard/"
+                style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: '0.8rem' }}
+              />
+              <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Username</label>
+              <input
+                type="text"
+                value={syncConfig.webdavUsername}
+                onChange={(e) => updateSyncConfig({ webdavUsername: e.target.value })}
+              />
+              <div style={{ position: 'relative' }}>
+                <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Password (or app password)</label>
+                <input
+                  type={showSyncSecret ? 'text' : 'password'}
+                  value={webdavPassword}
+                  onChange={(e) => onWebdavPasswordChange(e.target.value)}
+                  placeholder={keysLocked ? 'Locked' : ''}
+                  disabled={keysLocked}
+                  style={{ paddingRight: '60px' }}
+                />
+                <button type="button" className="btn-show-hide" onClick={() => setShowSyncSecret(!showSyncSecret)}>
+                  {showSyncSecret ? 'Hide' : 'Show'}
+                </button>
+              </div>
+              <p className="help-text">
+                The server must allow requests from this page (CORS). Projects are stored as one JSON file each; the folder is created if needed.
+              </p>
+            </>
           )}
           
-          <details className="api-key-help" style={{ marginTop: '16px' }}>
-            <summary style={{ cursor: 'pointer', fontWeight: '500' }}>How to set up Google Drive sync</summary>
-            <ol>
-              <li>Go to <a href="https://console.cloud.google.com/" target="_blank" rel="noopener noreferrer">Google Cloud Console</a></li>
-              <li>Select your project (or create one)</li>
-              <li>Enable <strong>Google Drive API</strong> (APIs & Services → Enable APIs)</li>
-              <li>Go to <strong>Credentials</strong> → <strong>Create Credentials</strong> → <strong>OAuth client ID</strong></li>
-              <li>Choose <strong>Web application</strong></li>
-              <li>Add your URL to <strong>Authorized JavaScript origins</strong>:
-                <ul>
-                  <li><code>http://localhost:8000</code> (for local dev)</li>
-                  <li>Your GitHub Pages URL (if hosted there)</li>
-                </ul>
-              </li>
-              <li>Copy the <strong>Client ID</strong> and paste it above</li>
-              <li>Set up the OAuth consent screen (can be in "Testing" mode for personal use)</li>
-            </ol>
-          </details>
+          {syncConfig.type === 'rest' && (
+            <>
+              <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Server URL</label>
+              <input
+                type="text"
+                value={syncConfig.restUrl}
+                onChange={(e) => updateSyncConfig({ restUrl: e.target.value.trim() })}
+                placeholder="https://sync.example.com/api"
+                style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: '0.8rem' }}
+              />
+              <div style={{ position: 'relative' }}>
+                <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Access token (optional)</label>
+                <input
+                  type={showSyncSecret ? 'text' : 'password'}
+                  value={restToken}
+                  onChange={(e) => onRestTokenChange(e.target.value)}
+                  placeholder={keysLocked ? 'Locked' : ''}
+                  disabled={keysLocked}
+                  style={{ paddingRight: '60px' }}
+                />
+                <button type="button" className="btn-show-hide" onClick={() => setShowSyncSecret(!showSyncSecret)}>
+                  {showSyncSecret ? 'Hide' : 'Show'}
+                </button>
+              </div>
+              <p className="help-text">
+                Bookboard uses <code>GET /projects</code>, and <code>GET</code>, <code>PUT</code> and <code>DELETE</code> on <code>/projects/:id</code> with JSON bodies. The token is sent as a Bearer token.
+              </p>
+            </>
+          )}
+          
+          {syncConfig.type === 'drive' && (
+            <>
+              <div style={{ position: 'relative' }}>
+                <label style={{ fontSize: '0.85rem', fontWeight: '500' }}>Google OAuth Client ID</label>
+                <input
+                  type={showClientId ? 'text' : 'password'}
+                  value={googleClientId}
+                  onChange={(e) => onGoogleClientIdChange(e.target.value)}
+                  placeholder={keysLocked ? 'Locked' : 'xxxxx.apps.googleusercontent.com'}
+                  disabled={keysLocked}
+                  style={{ fontFamily: "'JetBrains Mono', monospace", paddingRight: '60px', fontSize: '0.8rem' }}
+                />
+                <button 
+                  type="button"
+                  className="btn-show-hide"
+                  onClick={() => setShowClientId(!showClientId)}
+                >
+                  {showClientId ? 'Hide' : 'Show'}
+                </button>
+              </div>
+          
+              {googleClientId && (
+                <div style={{ marginTop: '12px' }}>
+                  {googleAuthStatus === 'signed_in' ? (
+                    <p style={{ color: 'var(--green-pin)' }}>✓ Signed in to Google</p>
+                  ) : (
+                    <button className="btn" onClick={onGoogleSignIn}>Sign in to Google</button>
+                  )}
+                </div>
+              )}
+          
+              <details className="api-key-help" style={{ marginTop: '16px' }}>
+                <summary style={{ cursor: 'pointer', fontWeight: '500' }}>How to set up Google Drive sync</summary>
+                <ol>
+                  <li>Go to <a href="https://console.cloud.google.com/" target="_blank" rel="noopener noreferrer">Google Cloud Console</a></li>
+                  <li>Select your project (or create one)</li>
+                  <li>Enable <strong>Google Drive API</strong> (APIs & Services → Enable APIs)</li>
+                  <li>Go to <strong>Credentials</strong> → <strong>Create Credentials</strong> → <strong>OAuth client ID</strong></li>
+                  <li>Choose <strong>Web application</strong></li>
+                  <li>Add your URL to <strong>Authorized JavaScript origins</strong>:
+                    <ul>
+                      <li><code>http://localhost:8000</code> (for local dev)</li>
+                      <li>Your GitHub Pages URL (if hosted there)</li>
+                    </ul>
+                  </li>
+                  <li>Copy the <strong>Client ID</strong> and paste it above</li>
+                  <li>Set up the OAuth consent screen (can be in "Testing" mode for personal use)</li>
+                </ol>
+              </details>
+
+              <label className="toggle-label" style={{ marginTop: '16px' }}>
+                <input
+                  type="checkbox"
+                  checked={!!syncConfig.driveSplit}
+                  onChange={(e) => updateSyncConfig({ driveSplit: e.target.checked })}
+                />
+                <span>Store large projects as one file per chapter</span>
+              </label>
+              <p className="help-text" style={{ marginTop: '8px' }}>
+                Projects over {DRIVE_SPLIT_MIN_WORDS.toLocaleString()} words upload and download only the chapters that changed, and edits to different chapters on two devices never conflict. Passphrase-protected projects are always stored as one file.
+              </p>
+            </>
+          )}
         </div>
 
         <div className="settings-section">
@@ -2446,7 +9613,8 @@ function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleC
               type={showKey ? 'text' : 'password'}
               value={geminiKey}
               onChange={(e) => onGeminiKeyChange(e.target.value)}
-              placeholder="AIzaSy..."
+              placeholder={keysLocked ? 'Locked' : 'AIzaSy...'}
+              disabled={keysLocked}
               style={{ fontFamily: "'JetBrains Mono', monospace", paddingRight: '60px' }}
             />
             <button 
@@ -2473,6 +9641,31 @@ function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleC
           </details>
         </div>
 
+        <div className="settings-section">
+          <h3>API Key Protection</h3>
+          <p className="help-text" style={{ marginBottom: '12px' }}>
+            Encrypt your stored keys with a passphrase. You'll be asked for it once per session before the keys can be used.
+          </p>
+          {keysLocked ? (
+            <button className="btn" onClick={onUnlockSecrets}>🔑 Unlock Keys</button>
+          ) : (
+            <form className="secrets-form" onSubmit={(e) => { e.preventDefault(); protectKeys(secretsPassphrase); }}>
+              <input
+                type="password"
+                value={secretsPassphrase}
+                onChange={(e) => setSecretsPassphrase(e.target.value)}
+                placeholder={secretsStatus === 'unlocked' ? 'New passphrase' : 'Passphrase'}
+              />
+              <button type="submit" className="btn" disabled={!secretsPassphrase}>
+                {secretsStatus === 'unlocked' ? 'Change' : 'Encrypt Keys'}
+              </button>
+              {secretsStatus === 'unlocked' && (
+                <button type="button" className="btn" onClick={() => protectKeys(null)}>Remove</button>
+              )}
+            </form>
+          )}
+        </div>
+
         <div className="settings-section">
           <h3>Corkboard</h3>
           <label className="toggle-label">
@@ -2517,7 +9710,7 @@ function SettingsModal({ geminiKey, onGeminiKeyChange, googleClientId, onGoogleC
 }
 
 // Extract Modal Component (Gemini API)
-function ExtractModal({ geminiKey, onGeminiKeyChange, onExtract, onClose }) {
+function ExtractModal({ geminiKey, onGeminiKeyChange, onExtract, isScreenplay, onDetectCharacters, onClose }) {
   const [bookType, setBookType] = useState('novel');
   
   return (
@@ -2528,18 +9721,31 @@ function ExtractModal({ geminiKey, onGeminiKeyChange, onExtract, onClose }) {
           Use Gemini AI to automatically extract characters, themes, locations, and key scenes from your manuscript.
         </p>
         
-        <div className="book-type-section">
-          <label>Book Type</label>
-          <select value={bookType} onChange={(e) => setBookType(e.target.value)}>
-            <option value="novel">Novel (single continuous story)</option>
-            <option value="collection">Short Story Collection</option>
-          </select>
-          <p className="help-text" style={{ marginTop: '8px' }}>
-            {bookType === 'novel' 
-              ? 'Characters appearing in multiple chapters will be merged into one card.'
-              : 'Each story is treated independently. Characters with the same name in different stories remain separate.'}
-          </p>
-        </div>
+        {isScreenplay ? (
+          <div className="book-type-section">
+            <label>Screenplay</label>
+            <button className="btn btn-secondary" style={{ width: '100%' }} onClick={onDetectCharacters}>
+              Detect Characters from Dialogue
+            </button>
+            <p className="help-text" style={{ marginTop: '8px' }}>
+              Adds a card for every character cue (and adds scenes to existing character cards). No API key needed.
+              Gemini extraction below finds locations, themes and the rest.
+            </p>
+          </div>
+        ) : (
+          <div className="book-type-section">
+            <label>Book Type</label>
+            <select value={bookType} onChange={(e) => setBookType(e.target.value)}>
+              <option value="novel">Novel (single continuous story)</option>
+              <option value="collection">Short Story Collection</option>
+            </select>
+            <p className="help-text" style={{ marginTop: '8px' }}>
+              {bookType === 'novel' 
+                ? 'Characters appearing in multiple chapters will be merged into one card.'
+                : 'Each story is treated independently. Characters with the same name in different stories remain separate.'}
+            </p>
+          </div>
+        )}
         
         {geminiKey ? (
           <div className="api-key-section">
@@ -2808,5 +10014,15 @@ function AddFolderModal({ existingFolders = [], onAdd, onClose }) {
   );
 }
 
-// Render the app
-ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+// Render the app once storage is ready. If storage can't be read at all, the app still
+// starts with an empty library and shows the error.
+initStorage()
+  .catch(error => {
+    projectIndexCache = [];
+    projectCache.clear();
+    reportStorageError(error, 'startup');
+  })
+  .then(() => {
+    initTabChannel();
+    ReactDOM.createRoot(document.getElementById('root')).render(<App />);
+  });
@@ -0,0 +1,159 @@
+// Bookboard sync stub server
+// A tiny in-memory server for trying out the WebDAV and REST sync providers locally.
+// The REST side keeps every upload as a revision, like Drive does, so it also
+// stands in for Drive when trying the sync history view.
+// No dependencies:  node tools/sync-stub-server.js [port]
+//
+//   REST:   http://localhost:8787/api      (GET /projects, GET/HEAD/PUT/DELETE /projects/:id,
+//                                           GET /projects/:id/revisions[/:rev])
+//   WebDAV: http://localhost:8787/dav/     (PROPFIND, PROPPATCH, HEAD, GET, PUT, DELETE, MKCOL)
+//
+// Data is lost when the server stops.
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const restProjects = new Map(); // id -> { body, modified, revisions: [{ id, body, modified }] }
+const MAX_REVISIONS = 100;
+const davFiles = new Map();     // file name -> { body, modified, props }
+const BOOKBOARD_NS = 'urn:x-bookboard:project';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth',
+  'Access-Control-Expose-Headers': 'Last-Modified'
+};
+
+const send = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+// What the REST list reports for an uploaded project, project tombstone or encrypted project
+const describeProject = (id, file) => {
+  const project = JSON.parse(file.body);
+  const wordCount = project.ciphertext
+    ? project.wordCount
+    : (project.chapters || []).reduce((total, c) => total + ((c.content || '').match(/\S+/g) || []).length, 0);
+  return {
+    id,
+    title: project.title,
+    updatedAt: project.updatedAt || file.modified.toISOString(),
+    wordCount: project.tombstone ? null : wordCount ?? null,
+    state: project.tombstone ? 'deleted' : project.deletedAt ? 'trashed' : 'active'
+  };
+};
+
+const handleRest = async (req, res, path) => {
+  if (path === '/projects' && req.method === 'GET') {
+    const list = [...restProjects.entries()].map(([id, file]) => describeProject(id, file));
+    return send(res, 200, JSON.stringify(list), { 'Content-Type': 'application/json' });
+  }
+  const revisionMatch = path.match(/^\/projects\/([^/]+)\/revisions(?:\/([^/]+))?$/);
+  if (revisionMatch && req.method === 'GET') {
+    const revisions = restProjects.get(decodeURIComponent(revisionMatch[1]))?.revisions || [];
+    if (!revisionMatch[2]) {
+      const list = revisions.map(r => ({ id: r.id, updatedAt: r.modified.toISOString(), size: Buffer.byteLength(r.body) })).reverse();
+      return send(res, 200, JSON.stringify(list), { 'Content-Type': 'application/json' });
+    }
+    const revision = revisions.find(r => r.id === decodeURIComponent(revisionMatch[2]));
+    return revision ? send(res, 200, revision.body, { 'Content-Type': 'application/json' }) : send(res, 404);
+  }
+  const match = path.match(/^\/projects\/([^/]+)$/);
+  if (!match) return send(res, 404);
+  const id = decodeURIComponent(match[1]);
+  const file = restProjects.get(id);
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    if (!file) return send(res, 404);
+    const headers = { 'Content-Type': 'application/json', 'Last-Modified': file.modified.toUTCString() };
+    return send(res, 200, req.method === 'GET' ? file.body : '', headers);
+  }
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    const modified = new Date();
+    const revisions = [...(file ? file.revisions : []), { id: String(modified.getTime()), body, modified }].slice(-MAX_REVISIONS);
+    restProjects.set(id, { body, modified, revisions });
+    return send(res, file ? 204 : 201);
+  }
+  if (req.method === 'DELETE') {
+    return send(res, restProjects.delete(id) ? 204 : 404);
+  }
+  return send(res, 405);
+};
+
+const handleDav = async (req, res, path) => {
+  const name = decodeURIComponent(path.replace(/^\//, ''));
+  if (!name) {
+    if (req.method === 'PROPFIND') {
+      const entries = [...davFiles.entries()].map(([fileName, file]) => {
+        const props = Object.entries(file.props).map(([key, value]) => `<b:${key}>${escapeXml(value)}</b:${key}>`).join('');
+        return `
+  <d:response>
+    <d:href>/dav/${encodeURIComponent(fileName)}</d:href>
+    <d:propstat><d:prop><d:getlastmodified>${file.modified.toUTCString()}</d:getlastmodified>${props}</d:prop></d:propstat>
+  </d:response>`;
+      }).join('');
+      const xml = `<?xml version="1.0"?>\n<d:multistatus xmlns:d="DAV:" xmlns:b="${BOOKBOARD_NS}">\n  <d:response><d:href>/dav/</d:href></d:response>${entries}\n</d:multistatus>`;
+      return send(res, 207, xml, { 'Content-Type': 'application/xml' });
+    }
+    return send(res, 405); // The folder always exists, so MKCOL is refused too
+  }
+  const file = davFiles.get(name);
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    if (!file) return send(res, 404);
+    const headers = { 'Content-Type': 'application/json', 'Last-Modified': file.modified.toUTCString() };
+    return send(res, 200, req.method === 'GET' ? file.body : '', headers);
+  }
+  if (req.method === 'PUT') {
+    davFiles.set(name, { body: await readBody(req), modified: new Date(), props: file ? file.props : {} });
+    return send(res, file ? 204 : 201);
+  }
+  if (req.method === 'PROPPATCH') {
+    if (!file) return send(res, 404);
+    // Only handles <b:name>value</b:name> properties in the Bookboard namespace
+    const body = await readBody(req);
+    for (const [, key, value] of body.matchAll(/<b:(\w+)>([\s\S]*?)<\/b:\1>/g)) {
+      file.props[key] = unescapeXml(value);
+    }
+    const xml = `<?xml version="1.0"?>\n<d:multistatus xmlns:d="DAV:"><d:response><d:href>/dav/${encodeURIComponent(name)}</d:href>` +
+      '<d:propstat><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>';
+    return send(res, 207, xml, { 'Content-Type': 'application/xml' });
+  }
+  if (req.method === 'DELETE') {
+    return send(res, davFiles.delete(name) ? 204 : 404);
+  }
+  return send(res, 405);
+};
+
+const server = http.createServer(async (req, res) => {
+  const path = new URL(req.url, `http://localhost:${PORT}`).pathname;
+  console.log(req.method, path);
+  try {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (path.startsWith('/api/')) return await handleRest(req, res, path.slice(4));
+    if (path === '/dav' || path.startsWith('/dav/')) return await handleDav(req, res, path.slice(4));
+    return send(res, 404);
+  } catch (error) {
+    console.error(error);
+    return send(res, 500, error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync stub server on http://localhost:${PORT}`);
+  console.log(`  REST:   http://localhost:${PORT}/api`);
+  console.log(`  WebDAV: http://localhost:${PORT}/dav/`);
+});